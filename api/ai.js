@@ -1,4 +1,4 @@
-// DropLit AI API v4.19 - Vercel Edge Function
+// DropLit AI API v4.36 - Vercel Edge Function
 // + CONFLICT RESOLUTION PROTOCOL for contradictory facts
 // + Transparent handling of uncertainty
 // + Explicit "CHECK MEMORY FIRST" instruction
@@ -9,7 +9,28 @@
 // + TOKEN DEDUCTION v1.0
 // + VOICE AUTO-MODEL v1.0
 // + IMAGE IN CHAT v1.0 ← NEW: Multimodal messages with images
-// Version: 4.19.0
+// + RECURRING EVENTS v1.0: real cron schedules in user's timezone
+// + COMMAND APPROVAL v1.0: high-risk / unknown recipient / burst → awaiting_approval
+// + LLM PROVIDERS v1.0: Anthropic / OpenAI-compatible / local (Ollama, llama.cpp) behind one interface
+// + PERSISTENT RATE LIMITS v1.0: per-user budgets (chat / image / ocr / email) in Supabase, balance check before model call
+// + JWT AUTH v1.0: Authorization: Bearer <access_token> required, user id from verified claims
+// + TOOL REGISTRY v1.0: tools declared once in js/tool-registry.js, per-persona on/off
+// + SEARCH DROPS v1.0: search_drops tool over all user's drops, encrypted ones searched on device
+// + CONVERSATION SUMMARY v1.0: older turns folded into a rolling summary, history budget per model
+// + PROMPT CACHING v1.0: stable prompt blocks with cache_control, token budgets for volatile sections
+// + WEB SEARCH PROVIDERS v1.0: Tavily / Brave / SearXNG / fixture stub, numbered sources for citations
+// + EMAIL TRANSPORT v1.0: Resend / SMTP relay / dev sinks, sender names, reply-to, delivery status log
+// + COMMAND EXECUTION v1.0: email / telegram / signed webhook command drops, retries, per-attempt log
+// + USER TIME v1.0: js/time.js — trigger_at in the user's zone, times shown in user's zone + locale
+// + DATE PARSER v1.0: js/date-parser.js (EN / RU) — create_event time cross-checked against the user's words
+// + MEMORY INSPECTOR v1.0: list / edit / pin / forget core_memory facts and core_entities, pinned facts first
+// Version: 4.37.0
+
+import DropLitTime from '../js/time.js';
+import DropLitCron from '../js/cron.js';
+import CommandValidator from '../js/command-validator.js';
+import DropLitTools from '../js/tool-registry.js';
+import DropLitExecutor from '../js/command-executor.js';
 
 export const config = {
   runtime: 'edge',
@@ -18,31 +39,57 @@ export const config = {
 // ============================================
 // AI MODELS CONFIGURATION
 // ============================================
+// key → provider + model id (провайдеры — см. LLM PROVIDERS)
 const AI_MODELS = {
   'sonnet': {
+    provider: 'anthropic',
     id: 'claude-sonnet-4-20250514',
     name: 'ASKI (Sonnet)',
     description: 'Fast, creative, enthusiastic',
-    maxTokens: 4096
+    maxTokens: 4096,
+    historyBudget: 8000
   },
   'opus': {
+    provider: 'anthropic',
     id: 'claude-opus-4-20250514',
     name: 'ASKI Deep (Opus)',
     description: 'Deep thinking, thorough analysis',
-    maxTokens: 8192
+    maxTokens: 8192,
+    historyBudget: 16000
   },
   'haiku': {
+    provider: 'anthropic',
     id: 'claude-3-5-haiku-20241022',
     name: 'ASKI Quick (Haiku)',
     description: 'Lightning fast responses',
-    maxTokens: 2048
+    maxTokens: 2048,
+    historyBudget: 4000
+  },
+  'gpt': {
+    provider: 'openai',
+    id: process.env.OPENAI_CHAT_MODEL || 'gpt-4o',
+    name: 'ASKI (GPT)',
+    description: 'OpenAI-compatible endpoint',
+    maxTokens: 4096,
+    historyBudget: 8000
+  },
+  'local': {
+    provider: 'local',
+    id: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    name: 'ASKI Local',
+    description: 'Self-hosted model (Ollama / llama.cpp)',
+    maxTokens: 4096,
+    historyBudget: parseInt(process.env.LOCAL_LLM_HISTORY_BUDGET, 10) || 2000
   }
 };
 
 const DEFAULT_MODEL = 'sonnet';
 
+// Модель без настроенного провайдера → DEFAULT_MODEL
 function getModelConfig(modelKey) {
-  return AI_MODELS[modelKey] || AI_MODELS[DEFAULT_MODEL];
+  const config = AI_MODELS[modelKey];
+  if (config && getProvider(config).isConfigured()) return config;
+  return AI_MODELS[DEFAULT_MODEL];
 }
 
 // ============================================
@@ -99,25 +146,64 @@ const SUPABASE_URL = 'https://ughfdhmyflotgsysvrrc.supabase.co';
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 
 // Pricing per 1M tokens (USD)
+// cacheWrite / cacheRead — prompt caching (Anthropic: 1.25x / 0.1x input, OpenAI: read 0.5x)
 const API_PRICING = {
-  'claude-sonnet-4-20250514': { input: 3.00, output: 15.00 },
-  'claude-opus-4-20250514': { input: 15.00, output: 75.00 },
-  'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00 }
+  'claude-sonnet-4-20250514': { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+  'claude-opus-4-20250514': { input: 15.00, output: 75.00, cacheWrite: 18.75, cacheRead: 1.50 },
+  'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00, cacheWrite: 1.00, cacheRead: 0.08 },
+  'gpt-4o': { input: 2.50, output: 10.00, cacheWrite: 2.50, cacheRead: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60, cacheWrite: 0.15, cacheRead: 0.075 }
 };
 
+// Колонки для кэш-токенов (v4.31). Пишутся только когда не ноль —
+// старая таблица продолжает работать для запросов без кэша.
+const API_COSTS_CACHE_SCHEMA = `
+ALTER TABLE api_costs ADD COLUMN IF NOT EXISTS tokens_cache_write INTEGER DEFAULT 0;
+ALTER TABLE api_costs ADD COLUMN IF NOT EXISTS tokens_cache_read INTEGER DEFAULT 0;
+`;
+
+// Usage в формате Anthropic: input_tokens — без кэша, кэш отдельно
+function emptyUsage() {
+  return { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+}
+
+function addUsage(total, usage = {}) {
+  for (const key of Object.keys(total)) total[key] += usage[key] || 0;
+  return total;
+}
+
+// Для баланса пользователя кэш считается по тем же коэффициентам, что и цена
+function billableInputTokens(usage) {
+  return Math.ceil(
+    (usage.input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) * 1.25 +
+    (usage.cache_read_input_tokens || 0) * 0.1
+  );
+}
+
 async function logApiCost(params) {
   const {
     provider = 'anthropic',
     model,
     tokens_input = 0,
     tokens_output = 0,
+    tokens_cache_write = 0,
+    tokens_cache_read = 0,
     user_id = null,
     action = 'chat'
   } = params;
   
   // Calculate cost
-  const pricing = API_PRICING[model] || { input: 3.00, output: 15.00 };
-  const cost_usd = (tokens_input * pricing.input + tokens_output * pricing.output) / 1_000_000;
+  // Локальная модель ничего не стоит, неизвестная облачная — по цене Sonnet
+  const pricing = provider === 'local'
+    ? { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }
+    : (API_PRICING[model] || API_PRICING['claude-sonnet-4-20250514']);
+  const cost_usd = (
+    tokens_input * pricing.input +
+    tokens_output * pricing.output +
+    tokens_cache_write * (pricing.cacheWrite ?? pricing.input) +
+    tokens_cache_read * (pricing.cacheRead ?? pricing.input)
+  ) / 1_000_000;
   
   const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
   if (!SUPABASE_KEY) {
@@ -139,6 +225,8 @@ async function logApiCost(params) {
         model,
         tokens_input,
         tokens_output,
+        ...(tokens_cache_write ? { tokens_cache_write } : {}),
+        ...(tokens_cache_read ? { tokens_cache_read } : {}),
         cost_usd,
         user_id,
         action
@@ -148,7 +236,7 @@ async function logApiCost(params) {
     if (!response.ok) {
       console.error('[Cost Log] Failed:', response.status);
     } else {
-      console.log(`[Cost Log] ${action}: ${tokens_input}/${tokens_output} tokens, $${cost_usd.toFixed(6)}`);
+      console.log(`[Cost Log] ${action}: ${tokens_input}/${tokens_output} tokens, cache w${tokens_cache_write}/r${tokens_cache_read}, $${cost_usd.toFixed(6)}`);
     }
   } catch (err) {
     console.error('[Cost Log] Error:', err.message);
@@ -207,55 +295,387 @@ async function deductUserTokens(userId, inputTokens, outputTokens, action) {
 }
 
 // ============================================
-// RATE LIMITING
+// AUTH: SUPABASE JWT VERIFICATION (v4.27)
 // ============================================
-const rateLimitStore = new Map();
+// user id берётся только из проверенного access token (Authorization: Bearer),
+// userId / uid из body допускаются лишь как подтверждение и должны совпадать.
+//
+// Ключи проверки:
+//   HS256        — SUPABASE_JWT_SECRET (legacy JWT secret проекта)
+//   ES256/RS256  — JWKS проекта: ${SUPABASE_URL}/auth/v1/.well-known/jwks.json
+//   AI_TEST_JWT_SECRET — HS256 ключ для локальной разработки и тестов,
+//                        игнорируется при VERCEL_ENV=production
+
+const JWT_ISSUER = `${SUPABASE_URL}/auth/v1`;
+const JWT_AUDIENCE = 'authenticated';
+const JWT_CLOCK_SKEW_S = 30;
+const JWKS_URL = `${SUPABASE_URL}/auth/v1/.well-known/jwks.json`;
+const JWKS_TTL_MS = 10 * 60 * 1000;
+
+const JWT_ALGORITHMS = {
+  HS256: { name: 'HMAC', hash: 'SHA-256' },
+  ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+};
+
+let jwksCache = { keys: [], fetchedAt: 0 };
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function base64UrlToBytes(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(str.length / 4) * 4, '=');
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function decodeJwtPart(part) {
+  return JSON.parse(new TextDecoder().decode(base64UrlToBytes(part)));
+}
+
+function getTestJwtSecret() {
+  if (process.env.VERCEL_ENV === 'production') return null;
+  return process.env.AI_TEST_JWT_SECRET || null;
+}
+
+async function getJwks(forceRefresh = false) {
+  if (!forceRefresh && jwksCache.keys.length && Date.now() - jwksCache.fetchedAt < JWKS_TTL_MS) {
+    return jwksCache.keys;
+  }
+  
+  try {
+    const response = await fetch(JWKS_URL);
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    const data = await response.json();
+    jwksCache = { keys: data.keys || [], fetchedAt: Date.now() };
+  } catch (err) {
+    console.error('[Auth] JWKS fetch failed:', err.message);
+  }
+  return jwksCache.keys;
+}
+
+// → [{ key, algorithm, test }] — кандидаты для проверки подписи
+async function getVerificationKeys(header) {
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) throw new AuthError(401, `Unsupported token algorithm: ${header.alg}`);
+  
+  if (header.alg === 'HS256') {
+    const secrets = [
+      { secret: process.env.SUPABASE_JWT_SECRET, test: false },
+      { secret: getTestJwtSecret(), test: true }
+    ].filter(s => s.secret);
+    
+    return Promise.all(secrets.map(async ({ secret, test }) => ({
+      key: await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), algorithm, false, ['verify']),
+      algorithm,
+      test
+    })));
+  }
+  
+  // Асимметричные ключи: новый kid → один раз перечитываем JWKS (ротация ключей)
+  let jwk = (await getJwks()).find(k => k.kid === header.kid);
+  if (!jwk) jwk = (await getJwks(true)).find(k => k.kid === header.kid);
+  if (!jwk) return [];
+  
+  const { key_ops, ...publicJwk } = jwk;
+  return [{
+    key: await crypto.subtle.importKey('jwk', publicJwk, algorithm, false, ['verify']),
+    algorithm,
+    test: false
+  }];
+}
+
+async function verifySupabaseJWT(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new AuthError(401, 'Malformed token');
+  
+  let header, claims;
+  try {
+    header = decodeJwtPart(parts[0]);
+    claims = decodeJwtPart(parts[1]);
+  } catch (e) {
+    throw new AuthError(401, 'Malformed token');
+  }
+  
+  const data = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  const signature = base64UrlToBytes(parts[2]);
+  
+  let verifiedWith = null;
+  for (const candidate of await getVerificationKeys(header)) {
+    if (await crypto.subtle.verify(candidate.algorithm, candidate.key, signature, data)) {
+      verifiedWith = candidate;
+      break;
+    }
+  }
+  if (!verifiedWith) throw new AuthError(401, 'Invalid token signature');
+  
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + JWT_CLOCK_SKEW_S < now) {
+    throw new AuthError(401, 'Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - JWT_CLOCK_SKEW_S > now) {
+    throw new AuthError(401, 'Token not yet valid');
+  }
+  
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(JWT_AUDIENCE)) throw new AuthError(401, 'Invalid token audience');
+  
+  // Тестовые токены могут быть выписаны без issuer проекта
+  if (!verifiedWith.test && claims.iss !== JWT_ISSUER) {
+    throw new AuthError(401, 'Invalid token issuer');
+  }
+  
+  if (!claims.sub) throw new AuthError(401, 'Token has no subject');
+  
+  return claims;
+}
+
+async function authenticateRequest(req, bodyUserIds = []) {
+  const authHeader = req.headers.get('authorization') || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  if (!match) throw new AuthError(401, 'Authorization required');
+  
+  const claims = await verifySupabaseJWT(match[1].trim());
+  
+  // body userId / uid — только если совпадает с токеном
+  for (const claimedId of bodyUserIds) {
+    if (claimedId && claimedId !== claims.sub) {
+      console.warn('[Auth] User id mismatch: body', claimedId, 'token', claims.sub);
+      throw new AuthError(403, 'User id does not match token');
+    }
+  }
+  
+  return { userId: claims.sub, email: claims.email || null, claims };
+}
+
+function authErrorResponse(error, corsHeaders) {
+  return new Response(JSON.stringify({ error: error.message }), {
+    status: error.status || 401,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+      ...(error.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {})
+    }
+  });
+}
+
+// ============================================
+// RATE LIMITING & QUOTAS (v4.26)
+// ============================================
+// Лимиты по user id (для анонимных запросов — по IP), отдельный бюджет
+// на каждый тип операции. У бюджета несколько окон: минутное от всплесков
+// и суточная квота. Счётчики живут в Supabase (fixed window, RPC rate_limit_hit
+// проверяет все окна бюджета и только потом считает запрос), поэтому не
+// сбрасываются на cold start и общие для всех регионов. Отказ не считается:
+// клиент, который долбит после 429, не отодвигает себе сброс суточной квоты.
+// Если Supabase недоступен — in-memory fallback с тем же правилом.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
 
 const RATE_LIMITS = {
-  default: { requests: 60, windowMs: 60000 },
-  ai: { requests: 20, windowMs: 60000 },
+  default: [{ requests: 60, windowMs: MINUTE_MS }],
+  chat: [{ requests: 20, windowMs: MINUTE_MS }, { requests: 500, windowMs: DAY_MS }],
+  image: [{ requests: 5, windowMs: MINUTE_MS }, { requests: 30, windowMs: DAY_MS }],
+  ocr: [{ requests: 10, windowMs: MINUTE_MS }, { requests: 200, windowMs: DAY_MS }],
+  email: [{ requests: 5, windowMs: MINUTE_MS }, { requests: 50, windowMs: DAY_MS }],
+  // Консолидация памяти идёт фоном — не съедает квоту чата
+  memory: [{ requests: 10, windowMs: MINUTE_MS }, { requests: 200, windowMs: DAY_MS }],
+};
+
+// action запроса → бюджет (text actions: poem, summarize... → chat)
+const ACTION_RATE_BUCKETS = {
+  chat: 'chat',
+  ocr: 'ocr',
+  describe: 'ocr',
+  send_email_with_attachment: 'email',
+  email_status: 'default',
+  execute_command: 'email',
+  webhook_secret: 'default',
+  models: 'default',
+  summarize_episode: 'memory',
+  memory_list: 'default',
+  memory_update: 'default',
+  memory_forget: 'default'
 };
 
-function getRateLimitKey(request, type = 'default') {
+const RATE_LIMIT_SCHEMA = `
+-- Rate limit counters (fixed windows, service role only)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (key, window_start)
+);
+
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- v4.37: check-then-increment over all windows of a bucket at once
+DROP FUNCTION IF EXISTS rate_limit_hit(TEXT, BIGINT, INT);
+
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_keys TEXT[], p_windows_ms BIGINT[], p_limits INT[])
+RETURNS TABLE (allowed BOOLEAN, remaining INT, reset_in INT)
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+  v_windows TIMESTAMPTZ[] := '{}';
+  v_counts INT[] := '{}';
+  v_admit BOOLEAN := true;
+  v_count INT;
+BEGIN
+  -- Строки окон создаём и блокируем (всегда в одном порядке), пока ничего не считая
+  FOR n IN 1..array_length(p_keys, 1) LOOP
+    v_windows[n] := to_timestamp(
+      floor(extract(epoch FROM now()) * 1000 / p_windows_ms[n]) * p_windows_ms[n] / 1000.0
+    );
+    INSERT INTO rate_limits (key, window_start, count)
+    VALUES (p_keys[n], v_windows[n], 0)
+    ON CONFLICT (key, window_start) DO NOTHING;
+
+    SELECT rate_limits.count INTO v_count FROM rate_limits
+    WHERE rate_limits.key = p_keys[n] AND rate_limits.window_start = v_windows[n]
+    FOR UPDATE;
+
+    v_counts[n] := v_count;
+    IF v_count >= p_limits[n] THEN
+      v_admit := false;
+    END IF;
+  END LOOP;
+
+  -- Считаем только пропущенный запрос — во всех окнах сразу
+  IF v_admit THEN
+    FOR n IN 1..array_length(p_keys, 1) LOOP
+      UPDATE rate_limits SET count = rate_limits.count + 1
+      WHERE rate_limits.key = p_keys[n] AND rate_limits.window_start = v_windows[n];
+      v_counts[n] := v_counts[n] + 1;
+    END LOOP;
+  END IF;
+
+  -- Изредка чистим старые окна
+  IF random() < 0.01 THEN
+    DELETE FROM rate_limits WHERE window_start < now() - INTERVAL '2 days';
+  END IF;
+
+  RETURN QUERY SELECT
+    v_admit OR v_counts[w.n] < p_limits[w.n],
+    GREATEST(p_limits[w.n] - v_counts[w.n], 0),
+    CEIL(EXTRACT(EPOCH FROM (v_windows[w.n] + p_windows_ms[w.n] * INTERVAL '1 millisecond' - now())))::INT
+  FROM generate_subscripts(p_keys, 1) AS w(n);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION rate_limit_hit(TEXT[], BIGINT[], INT[]) FROM PUBLIC, anon, authenticated;
+`;
+
+// In-memory fallback (per instance)
+const rateLimitStore = new Map();
+
+function getRateLimitSubject(request, userId = null) {
+  if (userId) return `user:${userId}`;
   const ip = request.headers.get('x-forwarded-for')?.split(',')[0] || 
              request.headers.get('x-real-ip') || 
              'unknown';
-  return `${type}:${ip}`;
+  return `ip:${ip}`;
+}
+
+function getRateLimitBucket(action) {
+  return ACTION_RATE_BUCKETS[action] || (action ? 'chat' : 'default');
 }
 
-function checkRateLimit(key, limitType = 'default') {
+// Окна бюджета: [{ key, limit }] → результат по каждому окну.
+// Запрос считается во всех окнах, только если ни одно не исчерпано
+function hitMemoryWindows(windows) {
   const now = Date.now();
-  const limit = RATE_LIMITS[limitType];
   
   if (rateLimitStore.size > 10000) {
-    const cutoff = now - 120000;
     for (const [k, v] of rateLimitStore) {
-      if (v.windowStart < cutoff) {
+      if (now - v.windowStart > v.windowMs) {
         rateLimitStore.delete(k);
       }
     }
   }
   
-  const record = rateLimitStore.get(key);
+  const records = windows.map(({ key, limit }) => {
+    let record = rateLimitStore.get(key);
+    if (!record || (now - record.windowStart) > limit.windowMs) {
+      record = { count: 0, windowStart: now, windowMs: limit.windowMs };
+      rateLimitStore.set(key, record);
+    }
+    return record;
+  });
+  
+  const admit = records.every((record, i) => record.count < windows[i].limit.requests);
+  if (admit) records.forEach(record => record.count++);
+  
+  return records.map((record, i) => {
+    const { limit } = windows[i];
+    return {
+      allowed: admit || record.count < limit.requests,
+      remaining: Math.max(limit.requests - record.count, 0),
+      resetIn: Math.ceil((record.windowStart + limit.windowMs - now) / 1000)
+    };
+  });
+}
+
+async function hitRateWindows(windows) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return hitMemoryWindows(windows);
   
-  if (!record || (now - record.windowStart) > limit.windowMs) {
-    rateLimitStore.set(key, { count: 1, windowStart: now });
-    return { allowed: true, remaining: limit.requests - 1 };
+  try {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/rate_limit_hit`, {
+      method: 'POST',
+      headers: {
+        'apikey': SUPABASE_KEY,
+        'Authorization': `Bearer ${SUPABASE_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        p_keys: windows.map(w => w.key),
+        p_windows_ms: windows.map(w => w.limit.windowMs),
+        p_limits: windows.map(w => w.limit.requests)
+      })
+    });
+    
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    
+    const rows = await response.json();
+    if (rows.length !== windows.length) throw new Error('unexpected result');
+    
+    return rows.map(row => ({ allowed: row.allowed, remaining: row.remaining, resetIn: Math.max(1, row.reset_in) }));
+  } catch (err) {
+    console.error('[RateLimit] Store unavailable, using memory:', err.message);
+    return hitMemoryWindows(windows);
   }
+}
+
+async function checkRateLimit(subject, bucket = 'default') {
+  const limits = RATE_LIMITS[bucket] || RATE_LIMITS.default;
   
-  if (record.count >= limit.requests) {
-    const resetIn = Math.ceil((record.windowStart + limit.windowMs - now) / 1000);
-    return { allowed: false, remaining: 0, resetIn };
+  const results = await hitRateWindows(
+    limits.map(limit => ({ key: `${bucket}:${limit.windowMs}:${subject}`, limit }))
+  );
+  
+  const denied = results.filter(r => !r.allowed);
+  if (denied.length) {
+    const resetIn = Math.max(...denied.map(r => r.resetIn));
+    console.warn(`[RateLimit] ${bucket} exceeded for ${subject}, reset in ${resetIn}s`);
+    return { allowed: false, remaining: 0, resetIn, bucket };
   }
   
-  record.count++;
-  return { allowed: true, remaining: limit.requests - record.count };
+  return { allowed: true, remaining: Math.min(...results.map(r => r.remaining)), bucket };
 }
 
-function rateLimitResponse(resetIn) {
+function rateLimitResponse(resetIn, bucket = 'default') {
   return new Response(JSON.stringify({
     error: 'Too many requests',
     message: `Rate limit exceeded. Try again in ${resetIn} seconds.`,
+    bucket,
     retryAfter: resetIn
   }), {
     status: 429,
@@ -268,7 +688,53 @@ function rateLimitResponse(resetIn) {
 }
 
 // ============================================
-// TOOL DEFINITIONS
+// TOKEN BALANCE CHECK (before model call)
+// ============================================
+// null = баланс неизвестен (нет ключа / профиля) → не блокируем
+async function getUserTokenBalance(userId) {
+  if (!userId) return null;
+  
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return null;
+  
+  try {
+    const response = await fetch(
+      `${SUPABASE_URL}/rest/v1/profiles?id=eq.${encodeURIComponent(userId)}&select=token_balance`,
+      {
+        headers: {
+          'apikey': SUPABASE_KEY,
+          'Authorization': `Bearer ${SUPABASE_KEY}`
+        }
+      }
+    );
+    
+    if (!response.ok) return null;
+    
+    const rows = await response.json();
+    const balance = rows[0]?.token_balance;
+    return typeof balance === 'number' ? balance : null;
+  } catch (err) {
+    console.error('[Balance] Error:', err.message);
+    return null;
+  }
+}
+
+function insufficientBalanceResponse(balance) {
+  return new Response(JSON.stringify({
+    error: 'Insufficient token balance',
+    message: 'Your AI token balance is empty.',
+    balance
+  }), {
+    status: 402,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    }
+  });
+}
+
+// ============================================
+// TOOL DEFINITIONS → js/tool-registry.js (DropLitTools)
 // ============================================
 
 // Parse contacts from Knowledge Base text
@@ -347,316 +813,6 @@ function resolveEmailAddress(recipient, userEmail, askiKnowledge = '') {
   return null;
 }
 
-const TOOLS = [
-  {
-    name: "create_drop",
-    description: "Create note. Use ONLY when user EXPLICITLY asks to save/remember.",
-    input_schema: {
-      type: "object",
-      properties: {
-        text: { type: "string", description: "Note content" },
-        category: { type: "string", enum: ["tasks", "ideas", "bugs", "questions", "design", "inbox"] }
-      },
-      required: ["text"]
-    }
-  },
-  {
-    name: "send_email",
-    description: "Send email with content, optionally as Word document attachment. Use when user asks to send, email, or share something. Can use names from address book (Alex, Бухгалтерия, etc.) or direct email addresses.",
-    input_schema: {
-      type: "object",
-      properties: {
-        to: { 
-          type: "string", 
-          description: "Recipient: name from address book (Alex, мне, Бухгалтерия) or email address" 
-        },
-        subject: { 
-          type: "string", 
-          description: "Email subject line" 
-        },
-        content: { 
-          type: "string", 
-          description: "Email body content (text or HTML)" 
-        },
-        as_word: { 
-          type: "boolean", 
-          description: "If true, convert content to Word document and attach" 
-        },
-        filename: {
-          type: "string",
-          description: "Filename for Word attachment (without extension). Default: 'document'"
-        }
-      },
-      required: ["to", "subject", "content"]
-    }
-  },
-  {
-    name: "get_summary",
-    description: "Get summary of user's notes for a period.",
-    input_schema: {
-      type: "object",
-      properties: {
-        period: { type: "string", enum: ["today", "week", "month"] }
-      },
-      required: []
-    }
-  },
-  {
-    name: "web_search",
-    description: "Search internet for current events, news, weather, prices, facts.",
-    input_schema: {
-      type: "object",
-      properties: {
-        query: { type: "string", description: "Search query" },
-        search_depth: { type: "string", enum: ["basic", "advanced"] }
-      },
-      required: ["query"]
-    }
-  },
-  {
-    name: "create_event",
-    description: "Create a command drop: reminder, alarm, or scheduled notification. Use when user asks to remind, wake up, schedule something. Trigger phrases: 'remind me...', 'wake me up...', 'in X hours...', 'tomorrow at...', 'напомни...', 'разбуди...', 'через X минут...'",
-    input_schema: {
-      type: "object",
-      properties: {
-        name: { 
-          type: "string", 
-          description: "Short title for the reminder/alarm" 
-        },
-        description: { 
-          type: "string", 
-          description: "Detailed description of what to remind about" 
-        },
-        trigger_type: { 
-          type: "string", 
-          enum: ["datetime", "cron"], 
-          description: "datetime for one-time, cron for recurring" 
-        },
-        trigger_at: { 
-          type: "string", 
-          description: "ISO datetime when to trigger (e.g. 2026-01-15T08:00:00Z). REQUIRED for datetime type. Always include timezone or use UTC." 
-        },
-        cron_expression: { 
-          type: "string", 
-          description: "Cron expression for recurring (e.g. '0 8 * * *' = daily 8am). Use for 'every day', 'every morning' etc." 
-        },
-        action_type: { 
-          type: "string", 
-          enum: ["push", "tts", "email", "telegram"], 
-          description: "push=notification banner (default), tts=voice announcement, email=send email, telegram=telegram message" 
-        },
-        priority: { 
-          type: "number", 
-          description: "1-10 urgency. Use 8-10 for alarms/wake-up, 5 for normal reminders, 1-3 for low priority" 
-        }
-      },
-      required: ["name", "trigger_type", "action_type"]
-    }
-  },
-  {
-    name: "cancel_event",
-    description: "Cancel/delete an existing reminder or scheduled event. Use when user asks to cancel, delete, remove a reminder. Trigger phrases: 'cancel reminder...', 'delete reminder...', 'remove alarm...', 'отмени напоминание...', 'удали напоминание...', 'отмена...'",
-    input_schema: {
-      type: "object",
-      properties: {
-        event_id: {
-          type: "string",
-          description: "ID of the event to cancel (from list_events or recent context)"
-        },
-        search_query: {
-          type: "string",
-          description: "Search text to find the reminder to cancel (if ID not known). Searches in reminder titles."
-        }
-      },
-      required: []
-    }
-  },
-  {
-    name: "list_events",
-    description: "List all active reminders and scheduled events. Use when user asks to see, show, list reminders. Trigger phrases: 'show my reminders', 'what reminders...', 'list alarms', 'покажи напоминания', 'какие напоминания', 'мои напоминания'",
-    input_schema: {
-      type: "object",
-      properties: {
-        status: {
-          type: "string",
-          enum: ["pending", "executed", "cancelled", "all"],
-          description: "Filter by status. Default: pending (active reminders)"
-        },
-        limit: {
-          type: "number",
-          description: "Max number of events to return. Default: 10"
-        }
-      },
-      required: []
-    }
-  },
-  {
-    name: "delete_drop",
-    description: "Delete a drop from user's feed. Look at ЛЕНТА/FEED section in your context to find the ID. Returns action for frontend to execute.",
-    input_schema: {
-      type: "object",
-      properties: {
-        drop_id: {
-          type: "string",
-          description: "ID of the drop from ЛЕНТА/FEED list"
-        }
-      },
-      required: ["drop_id"]
-    }
-  },
-  {
-    name: "update_drop",
-    description: "Edit content of a drop in user's feed. Look at ЛЕНТА/FEED section to find the ID. Returns action for frontend to execute.",
-    input_schema: {
-      type: "object",
-      properties: {
-        drop_id: {
-          type: "string",
-          description: "ID of the drop from ЛЕНТА/FEED list"
-        },
-        new_content: {
-          type: "string",
-          description: "New text content for the drop"
-        }
-      },
-      required: ["drop_id", "new_content"]
-    }
-  },
-  {
-    name: "update_event",
-    description: "Modify an existing reminder/scheduled event. Use when user wants to change time, reschedule, or update reminder text. Trigger phrases: 'change reminder to...', 'reschedule...', 'move reminder to...', 'перенеси напоминание...', 'измени время...'",
-    input_schema: {
-      type: "object",
-      properties: {
-        event_id: {
-          type: "string",
-          description: "ID of the reminder to update (UUID format)"
-        },
-        search_query: {
-          type: "string",
-          description: "Text to search for if ID not provided"
-        },
-        new_title: {
-          type: "string",
-          description: "New title/name for the reminder"
-        },
-        new_time: {
-          type: "string",
-          description: "New trigger time in ISO format (e.g. 2026-01-15T10:00:00Z)"
-        },
-        new_description: {
-          type: "string",
-          description: "New description text"
-        }
-      },
-      required: []
-    }
-  },
-  {
-    name: "generate_image",
-    description: "Generate an image using GPT Image (gpt-image-1). Use when user asks to create, generate, draw, make an image, picture, illustration, infographic, visual. Can use images from chat as reference. Trigger phrases: 'create image...', 'generate picture...', 'draw...', 'make illustration...', 'нарисуй...', 'создай картинку...', 'сгенерируй изображение...', 'сделай на основе этого фото...'",
-    input_schema: {
-      type: "object",
-      properties: {
-        prompt: {
-          type: "string",
-          description: "Detailed description of the image to generate. Be specific about style, colors, composition. In English for best results. If user uploaded an image, describe what to create based on it."
-        },
-        size: {
-          type: "string",
-          enum: ["square", "vertical", "horizontal"],
-          description: "Image orientation: square (1024x1024), vertical (1024x1536 - BEST for phone, DEFAULT), horizontal (1536x1024). Default: vertical"
-        },
-        quality: {
-          type: "string",
-          enum: ["low", "medium", "high"],
-          description: "Image quality: low (~$0.02), medium (~$0.07), high (~$0.19). Default: medium"
-        }
-      },
-      required: ["prompt"]
-    }
-  },
-  {
-    name: "create_chart",
-    description: "Create a data visualization chart from user's drops or provided data. Use when user asks for statistics, analytics, graphs, charts, visualizations of their data. Trigger phrases: 'покажи статистику...', 'построй график...', 'сколько у меня...', 'визуализируй...', 'диаграмма...', 'show stats...', 'chart of...', 'visualize...'",
-    input_schema: {
-      type: "object",
-      properties: {
-        title: {
-          type: "string",
-          description: "Chart title in user's language"
-        },
-        chart_type: {
-          type: "string",
-          enum: ["bar", "line", "pie", "doughnut", "polarArea", "radar"],
-          description: "Chart type: bar (comparison), line (trends over time), pie/doughnut (proportions), polarArea (categories), radar (multiple metrics)"
-        },
-        data_source: {
-          type: "string",
-          enum: ["drops", "manual"],
-          description: "Data source: 'drops' to analyze user's drops, 'manual' for provided data"
-        },
-        query: {
-          type: "string",
-          description: "What to analyze. Examples: 'tasks by category', 'drops per day this week', 'ideas vs bugs ratio'"
-        },
-        filters: {
-          type: "object",
-          description: "Filters for drops query",
-          properties: {
-            categories: { type: "array", items: { type: "string" }, description: "Filter by categories: tasks, ideas, bugs, etc." },
-            period: { type: "string", enum: ["today", "week", "month", "all"], description: "Time period" },
-            creator: { type: "string", enum: ["user", "aski", "all"], description: "Who created" }
-          }
-        },
-        manual_data: {
-          type: "object",
-          description: "Manual data if data_source is 'manual'",
-          properties: {
-            labels: { type: "array", items: { type: "string" }, description: "X-axis labels" },
-            values: { type: "array", items: { type: "number" }, description: "Data values" },
-            dataset_label: { type: "string", description: "Dataset label for legend" }
-          }
-        },
-        colors: {
-          type: "string",
-          enum: ["default", "warm", "cool", "monochrome", "rainbow"],
-          description: "Color scheme. Default: auto-selected based on chart type"
-        }
-      },
-      required: ["title", "chart_type"]
-    }
-  },
-  {
-    name: "create_diagram",
-    description: "Create diagrams and schemas: flowcharts, sequences, architecture, mindmaps, ER, gantt, state machines. Uses Mermaid.js (renders in browser - fully private, no external servers). Trigger phrases: 'нарисуй схему...', 'покажи архитектуру...', 'диаграмма процесса...', 'flowchart...', 'sequence diagram...', 'mind map...'",
-    input_schema: {
-      type: "object",
-      properties: {
-        title: {
-          type: "string",
-          description: "Diagram title in user's language"
-        },
-        diagram_type: {
-          type: "string",
-          enum: ["flowchart", "sequence", "class", "state", "er", "gantt", "mindmap", "pie", "block", "timeline", "quadrant", "git"],
-          description: "Diagram type: flowchart (processes), sequence (interactions), class (OOP), state (state machine), er (database), gantt (timeline), mindmap (ideas), pie (proportions), block (architecture), timeline (chronology), quadrant (priorities), git (branches)"
-        },
-        code: {
-          type: "string",
-          description: "Mermaid code. Start with diagram type keyword (flowchart, sequenceDiagram, classDiagram, etc). Use proper Mermaid syntax."
-        },
-        theme: {
-          type: "string",
-          enum: ["default", "dark", "forest", "neutral"],
-          description: "Color theme. Default: clean look"
-        }
-      },
-      required: ["title", "diagram_type", "code"]
-    }
-  }
-];
-
 // ============================================
 // EXPANSION DETECTION
 // ============================================
@@ -790,9 +946,7 @@ async function fetchCoreContext(userId, queryText = '') {
   try {
     // 1. Fetch core memory and entities
     const [memoryRes, entitiesRes] = await Promise.all([
-      fetch(`${SUPABASE_URL}/rest/v1/core_memory?user_id=eq.${userId}&is_active=eq.true&order=confidence.desc&limit=50`, {
-        headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` }
-      }),
+      fetchCoreMemoryFacts(userId, 50, SUPABASE_KEY),
       fetch(`${SUPABASE_URL}/rest/v1/core_entities?user_id=eq.${userId}&order=mention_count.desc&limit=15`, {
         headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` }
       })
@@ -915,56 +1069,315 @@ async function semanticSearch(userId, queryText, supabaseUrl, supabaseKey, opena
 }
 
 // ============================================
-// SYSTEM PROMPT
+// MEMORY INSPECTOR (v4.37)
 // ============================================
-function buildSystemPrompt(dropContext, userProfile, coreContext, isExpansion = false, userTimezone = 'UTC', currentFeed = [], askiKnowledge = '') {
-  const now = new Date();
-  const currentDate = now.toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric',
-    timeZone: userTimezone
-  });
-  const currentTime = now.toLocaleTimeString('en-US', { 
-    hour: '2-digit', 
-    minute: '2-digit', 
-    hour12: false,
-    timeZone: userTimezone
-  });
-
-  // Filter out anti-facts before adding to prompt
-  const cleanMemory = filterMemory(coreContext?.memory);
-  const hasMemory = cleanMemory?.length > 0;
-  const hasEntities = coreContext?.entities?.length > 0;
-  const hasFeed = currentFeed?.length > 0;
-  const hasKnowledge = askiKnowledge?.trim()?.length > 0;
-
-  let basePrompt = `You are Aski — a highly capable AI assistant with access to user's personal knowledge base.
-
-## CURRENT: ${currentDate}, ${currentTime} (${userTimezone})
+// Пользователь видит и правит то, что попадает в CORE MEMORY:
+// факты (core_memory) и сущности (core_entities). Закреплённые факты
+// идут в промпт первыми и не вытесняются бюджетом секции.
+// "Забыть" удаляет факт вместе с копиями — строками с тем же текстом
+// после нормализации (экстрактор сохраняет один факт из разных дропов).
+// Копии в InfiniteMemory на устройстве удаляет клиент.
+
+const MEMORY_INSPECTOR_SCHEMA = `
+ALTER TABLE core_memory ADD COLUMN IF NOT EXISTS pinned BOOLEAN DEFAULT false;
+ALTER TABLE core_memory ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+ALTER TABLE core_entities ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+`;
+
+const MEMORY_LIST_LIMITS = { fact: 500, entity: 200 };
+const MEMORY_FACT_MAX_CHARS = 500;
+const MEMORY_TABLES = { fact: 'core_memory', entity: 'core_entities' };
+
+function coreMemoryHeaders(key, prefer = null) {
+  return {
+    'apikey': key,
+    'Authorization': `Bearer ${key}`,
+    'Content-Type': 'application/json',
+    ...(prefer ? { 'Prefer': prefer } : {})
+  };
+}
 
-${hasKnowledge ? `## 📚 PERSONAL KNOWLEDGE BASE
-Пользователь настроил для тебя персональную базу знаний. ВСЕГДА учитывай эту информацию:
+// Активные факты, закреплённые первыми. Без миграции MEMORY_INSPECTOR_SCHEMA
+// колонки pinned нет и order по ней даёт 400 — тогда только по confidence,
+// чтобы CORE MEMORY не пропадала из промпта
+async function fetchCoreMemoryFacts(userId, limit, key) {
+  const url = (order) => `${SUPABASE_URL}/rest/v1/core_memory?user_id=eq.${userId}&is_active=eq.true&order=${order}&limit=${limit}`;
+  
+  const response = await fetch(url('pinned.desc,confidence.desc'), { headers: coreMemoryHeaders(key) });
+  if (response.status !== 400) return response;
+  
+  console.warn('[Memory] core_memory.pinned missing, run MEMORY_INSPECTOR_SCHEMA; ordering by confidence');
+  return fetch(url('confidence.desc'), { headers: coreMemoryHeaders(key) });
+}
 
-${askiKnowledge}
+// "Лена — моя сестра." / "лена моя сестра" → одна копия
+function normalizeFact(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
 
----
-` : ''}
+async function listCoreMemory(userId) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return { success: false, error: 'Memory not configured' };
+  
+  const user = encodeURIComponent(userId);
+  const [factsRes, entitiesRes] = await Promise.all([
+    fetchCoreMemoryFacts(user, MEMORY_LIST_LIMITS.fact, SUPABASE_KEY),
+    fetch(`${SUPABASE_URL}/rest/v1/core_entities?user_id=eq.${user}` +
+      `&order=mention_count.desc&limit=${MEMORY_LIST_LIMITS.entity}`, { headers: coreMemoryHeaders(SUPABASE_KEY) })
+  ]);
+  if (!factsRes.ok) return { success: false, error: `Memory error: ${factsRes.status}` };
+  if (!entitiesRes.ok) return { success: false, error: `Entities error: ${entitiesRes.status}` };
+  
+  const facts = await factsRes.json();
+  const entities = await entitiesRes.json();
+  
+  return {
+    success: true,
+    // hidden — отфильтровано isAntiFact, в промпт не попадает
+    facts: facts.map(({ user_id, embedding, ...row }) => ({ ...row, hidden: isAntiFact(row.fact) })),
+    entities: entities.map(({ user_id, embedding, ...row }) => row)
+  };
+}
 
-## 📋 ЛЕНТА / FEED — Source of Truth
-**Лента (Feed)** = то, что пользователь РЕАЛЬНО видит в приложении прямо сейчас.
-Это localStorage на устройстве пользователя. НЕ база данных Supabase!
+/**
+ * Правка факта / сущности. Исправленный пользователем факт — достоверный.
+ * @param {Object} memory - { kind: 'fact' | 'entity', id, changes }
+ */
+async function updateCoreMemory(userId, memory = {}) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return { success: false, error: 'Memory not configured' };
+  
+  const table = MEMORY_TABLES[memory.kind];
+  const changes = memory.changes || {};
+  if (!table || !memory.id) return { success: false, error: 'Missing kind or id' };
+  
+  const patch = { updated_at: new Date().toISOString() };
+  if (memory.kind === 'fact') {
+    if (typeof changes.fact === 'string') {
+      const fact = changes.fact.trim().slice(0, MEMORY_FACT_MAX_CHARS);
+      if (!fact) return { success: false, error: 'Fact is empty' };
+      patch.fact = fact;
+      patch.confidence = 1;
+    }
+    if (typeof changes.pinned === 'boolean') patch.pinned = changes.pinned;
+  } else {
+    if (typeof changes.name === 'string' && changes.name.trim()) patch.name = changes.name.trim().slice(0, 200);
+    if (typeof changes.entity_type === 'string' && changes.entity_type.trim()) patch.entity_type = changes.entity_type.trim().slice(0, 50);
+    if (changes.attributes && typeof changes.attributes === 'object') patch.attributes = changes.attributes;
+  }
+  if (Object.keys(patch).length === 1) return { success: false, error: 'Nothing to update' };
+  
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/${table}?id=eq.${encodeURIComponent(memory.id)}&user_id=eq.${encodeURIComponent(userId)}`,
+    { method: 'PATCH', headers: coreMemoryHeaders(SUPABASE_KEY, 'return=representation'), body: JSON.stringify(patch) }
+  );
+  if (!response.ok) return { success: false, error: `Memory update error: ${response.status}` };
+  
+  const [row] = await response.json();
+  if (!row) return { success: false, error: 'Memory not found' };
+  
+  const { user_id, embedding, ...item } = row;
+  return { success: true, item };
+}
 
-${hasFeed ? `✅ В ленте ${currentFeed.length} дропов:` : '⚠️ Лента пуста или не загружена'}
-${hasFeed ? currentFeed.map((d, i) => `${i+1}. [${d.type || 'note'}] ${d.content?.substring(0, 100) || '[encrypted]'}${d.is_encrypted ? ' 🔒' : ''} (id: ${d.id})`).join('\n') : ''}
+/**
+ * Забыть факт (со всеми копиями) или сущность
+ * @param {Object} memory - { kind: 'fact' | 'entity', id }
+ * @returns {Object} - { success, removed: [id], text } — text для поиска копий на устройстве
+ */
+async function forgetCoreMemory(userId, memory = {}) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return { success: false, error: 'Memory not configured' };
+  
+  const table = MEMORY_TABLES[memory.kind];
+  if (!table || !memory.id) return { success: false, error: 'Missing kind or id' };
+  
+  const user = encodeURIComponent(userId);
+  const headers = coreMemoryHeaders(SUPABASE_KEY);
+  
+  const targetRes = await fetch(`${SUPABASE_URL}/rest/v1/${table}?id=eq.${encodeURIComponent(memory.id)}&user_id=eq.${user}`, { headers });
+  if (!targetRes.ok) return { success: false, error: `Memory error: ${targetRes.status}` };
+  const [target] = await targetRes.json();
+  if (!target) return { success: false, error: 'Memory not found' };
+  
+  let ids = [target.id];
+  if (memory.kind === 'fact') {
+    // Копии — и среди неактивных: иначе реактивация вернёт забытое
+    const allRes = await fetch(`${SUPABASE_URL}/rest/v1/core_memory?user_id=eq.${user}&select=id,fact`, { headers });
+    if (allRes.ok) {
+      const key = normalizeFact(target.fact);
+      ids = (await allRes.json()).filter(row => row.id === target.id || normalizeFact(row.fact) === key).map(row => row.id);
+    }
+  }
+  
+  const deleteRes = await fetch(
+    `${SUPABASE_URL}/rest/v1/${table}?user_id=eq.${user}&id=in.(${ids.map(encodeURIComponent).join(',')})`,
+    { method: 'DELETE', headers: coreMemoryHeaders(SUPABASE_KEY, 'return=minimal') }
+  );
+  if (!deleteRes.ok) return { success: false, error: `Memory delete error: ${deleteRes.status}` };
+  
+  console.log(`[Memory] Forgot ${memory.kind} ${target.id} (+${ids.length - 1} copies) for ${userId}`);
+  return { success: true, removed: ids, text: memory.kind === 'fact' ? target.fact : target.name };
+}
+
+// ============================================
+// CONVERSATION SUMMARY (v4.30)
+// ============================================
+// Длинные (особенно голосовые) разговоры не шлём целиком: старые реплики
+// сворачиваются в краткое содержание, модель получает "summary + последние N".
+// Бюджет истории — AI_MODELS[model].historyBudget (токены, оценка по длине).
+// Клиент хранит summary рядом с историей чата и присылает только
+// несвёрнутые реплики (history[].ts) + historySummary. Новое summary уходит
+// обратно: SSE событие history_summary / поле historySummary в JSON.
+
+const HISTORY_KEEP_MESSAGES = 6;          // последние реплики всегда дословно
+const HISTORY_SUMMARY_MAX_TOKENS = 600;
+const HISTORY_SUMMARY_MAX_CHARS = 4000;   // присланное клиентом summary
+const HISTORY_DEFAULT_BUDGET = 8000;
+const SUMMARY_MODEL = 'haiku';
+
+const SUMMARY_PROMPT = `You maintain a running summary of a conversation between a user and ASKI, a personal assistant.
+Merge the existing summary (if any) with the new turns into ONE updated summary.
+Keep: facts about the user, decisions, open questions, promises ASKI made, names, dates, numbers, IDs of drops and reminders.
+Drop: greetings, small talk, repeated content.
+Write in the language of the conversation, as short bullet points, max 250 words. Output only the summary.`;
+
+// ~3 символа на токен — с запасом для кириллицы
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / 3) : 0;
+}
+
+function historyTokens(history) {
+  return history.reduce((sum, m) => sum + estimateTokens(m.text) + 4, 0);
+}
+
+// Делим историю: fold → в summary, keep → дословно (~половина бюджета)
+function splitHistoryForSummary(history, budget) {
+  if (historyTokens(history) <= budget) return { fold: [], keep: history };
+  
+  let keepFrom = history.length;
+  let used = 0;
+  while (keepFrom > 0) {
+    const cost = estimateTokens(history[keepFrom - 1].text) + 4;
+    if (history.length - keepFrom >= HISTORY_KEEP_MESSAGES && used + cost > budget / 2) break;
+    used += cost;
+    keepFrom--;
+  }
+  
+  // Дословная часть начинается с реплики пользователя
+  while (keepFrom < history.length && !history[keepFrom].isUser) keepFrom++;
+  
+  return { fold: history.slice(0, keepFrom), keep: history.slice(keepFrom) };
+}
+
+async function summarizeHistory(previousSummary, turns, modelConfig, userId) {
+  // Дешёвая модель, если доступна; иначе та же, что отвечает
+  const summaryConfig = getProvider(AI_MODELS[SUMMARY_MODEL]).isConfigured() ? AI_MODELS[SUMMARY_MODEL] : modelConfig;
+  const provider = getProvider(summaryConfig);
+  
+  const transcript = turns.map(m => `${m.isUser ? 'User' : 'ASKI'}: ${m.text}`).join('\n');
+  const data = await provider.complete({
+    model: summaryConfig.id,
+    maxTokens: HISTORY_SUMMARY_MAX_TOKENS,
+    system: SUMMARY_PROMPT,
+    messages: [{
+      role: 'user',
+      content: `${previousSummary ? `Existing summary:\n${previousSummary}\n\n` : ''}New turns:\n${transcript}`
+    }]
+  });
+  
+  if (data.usage) {
+    await logApiCost({
+      provider: provider.name,
+      model: summaryConfig.id,
+      tokens_input: data.usage.input_tokens || 0,
+      tokens_output: data.usage.output_tokens || 0,
+      user_id: userId,
+      action: 'history_summary'
+    });
+    await deductUserTokens(userId, data.usage.input_tokens || 0, data.usage.output_tokens || 0, 'history_summary');
+  }
+  
+  return (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('').trim();
+}
+
+/**
+ * @returns {{ history: Array, summary: string|null, update: Object|null }}
+ *   update = { text, untilTs, foldedCount } — только если summary обновилось
+ */
+async function condenseHistory(history, previousSummary, modelConfig, userId) {
+  const turns = (history || []).filter(m => m.text?.trim());
+  const summary = typeof previousSummary === 'string' && previousSummary.trim()
+    ? previousSummary.trim().substring(0, HISTORY_SUMMARY_MAX_CHARS)
+    : null;
+  
+  const budget = modelConfig.historyBudget || HISTORY_DEFAULT_BUDGET;
+  const { fold, keep } = splitHistoryForSummary(turns, budget);
+  if (!fold.length) return { history: turns, summary, update: null };
+  
+  try {
+    const updated = await summarizeHistory(summary, fold, modelConfig, userId);
+    if (!updated) throw new Error('Empty summary');
+    
+    console.log(`[Summary] Folded ${fold.length} messages, keeping ${keep.length}`);
+    return {
+      history: keep,
+      summary: updated,
+      update: { text: updated, untilTs: fold[fold.length - 1].ts || null, foldedCount: fold.length }
+    };
+  } catch (error) {
+    // Клиент пришлёт эти реплики снова — свернём в следующий раз
+    console.error('[Summary] Failed, trimming history:', error.message);
+    return { history: keep, summary, update: null };
+  }
+}
+
+function formatHistorySummary(summary) {
+  return summary ? `## РАНЕЕ В РАЗГОВОРЕ (краткое содержание старых реплик):\n${summary}` : '';
+}
+
+// ============================================
+// SYSTEM PROMPT (v4.31: stable / volatile blocks)
+// ============================================
+// Промпт = массив text-блоков Anthropic:
+//   stable    — персона, правила, описание тулов (ASKI_STABLE_PROMPT)  → cache_control
+//   knowledge — персональная база знаний (меняется редко)              → cache_control
+//   volatile  — время, лента, summary, память, сущности, заметки, профиль.
+//               У каждой секции свой бюджет токенов (PROMPT_SECTIONS); если не
+//               влезает общий VOLATILE_TOKEN_BUDGET — режем секции с меньшим
+//               приоритетом первыми.
+// Anthropic кэширует префикс tools + stable (+ knowledge): повторные запросы и
+// итерации тулов читают его из кэша. OpenAI-compatible получают текст целиком.
+
+const PROMPT_CACHE_CONTROL = { type: 'ephemeral' };
+const KNOWLEDGE_TOKEN_BUDGET = 3000;
+const VOLATILE_TOKEN_BUDGET = 6000;
+const MIN_SECTION_TOKENS = 50; // меньше — секцию целиком убираем
+
+// priority 1 режется последним
+const PROMPT_SECTIONS = {
+  feed:     { budget: 2000, priority: 1 },
+  summary:  { budget: 800,  priority: 2 },
+  memory:   { budget: 1500, priority: 2 },
+  semantic: { budget: 700,  priority: 3 },
+  entities: { budget: 600,  priority: 4 },
+  notes:    { budget: 1500, priority: 5 },
+  profile:  { budget: 300,  priority: 6 }
+};
+
+const ASKI_STABLE_PROMPT = `You are Aski — a highly capable AI assistant with access to user's personal knowledge base.
+
+## 📋 ЛЕНТА / FEED — Source of Truth
+**Лента (Feed)** = то, что пользователь РЕАЛЬНО видит в приложении прямо сейчас.
+Это localStorage на устройстве пользователя. НЕ база данных Supabase!
+Список дропов — в секции "ЛЕНТА / FEED" в конце промпта.
 
 ⚠️ КРИТИЧЕСКИ ВАЖНО:
 - ЭТО и есть лента пользователя — доверяй ТОЛЬКО этим данным
 - Если пользователь спрашивает "что в ленте" — отвечай из ЭТОГО списка
-- Для удаления/редактирования используй ID из ЭТОГО списка
+- Для удаления/редактирования используй ID из ЭТОГО списка или из search_drops
 - В базе Supabase могут быть старые удалённые дропы — ИГНОРИРУЙ их!
-- Инструменты get_recent_drops и search_drops теперь ищут В ЛЕНТЕ, не в базе
+- search_drops ищет по ВСЕМ дропам пользователя, лента — только последние
 
 ## ⏰ COMMAND DROPS (Напоминания в ленте)
 Дропы с типом [command] — это активные напоминания. Формат: "⏰ HH:MM Название"
@@ -981,12 +1394,8 @@ Before answering ANY question about people, places, dates, or personal info:
 3. NEVER say "I don't know" if the info IS in Core Memory
 4. If you're unsure → ASK user to clarify, don't guess
 
-${hasMemory ? '✅ You have ' + cleanMemory.length + ' facts in memory - USE THEM!' : '⚠️ No memory facts available'}
-${hasEntities ? '✅ You know ' + coreContext.entities.length + ' entities - CHECK THEM!' : ''}
-
 ## TIME AWARENESS:
-- Your current time is accurate for user's location
-- Current UTC: ${now.toISOString()}
+- Your current time (see CURRENT below) is accurate for user's location
 
 ## CAPABILITIES:
 - Read/search user's notes, tasks, ideas
@@ -1001,7 +1410,8 @@ ${hasEntities ? '✅ You know ' + coreContext.entities.length + ' entities - CHE
 ## ⚠️ BREVITY - CRITICAL RULE:
 - ВСЕГДА отвечай МАКСИМАЛЬНО КРАТКО — 1-2 предложения
 - Длинные ответы только если пользователь ЯВНО попросит "подробнее", "расскажи больше", "explain more"
-- После выполнения действия (удаление, создание) — просто подтверди: "Готово" или "Удалено"
+- После выполнения действия (создание) — просто подтверди: "Готово"
+- Удаление (status: awaiting_confirmation) ещё не выполнено — скажи, что удалится после подтверждения в чате, а не "Удалено"
 - НЕ объясняй что ты сделал, если не спрашивают
 - НЕ предлагай дополнительные действия без запроса
 
@@ -1046,17 +1456,24 @@ When you find CONTRADICTORY facts about the same topic:
 
 Когда пользователь говорит "напомни", "разбуди", "через X минут/часов", "завтра в X":
 1. ВСЕГДА используй create_event (НЕ create_drop!)
-2. Convert relative time ("через 5 минут") to absolute ISO datetime
+2. trigger_at — ЛОКАЛЬНОЕ время пользователя без смещения: "завтра в 9" → "2026-01-16T09:00" (дата — от CURRENT выше). Сервер сам переведёт в UTC по часовому поясу пользователя. Относительное ("через 5 минут") — тоже в локальном времени от CURRENT
 3. Set appropriate priority: alarms=8-10, reminders=5, notifications=3
+4. Сервер сверяет trigger_at со словами пользователя. Ошибка TIME_DEVIATION_EXCEEDED / RECURRENCE_MISSING → исправь trigger_at / cron по полю requested. Если уверен, что пользователь имел в виду именно твоё время — повтори тот же вызов
+
+**ПОВТОРЯЮЩИЕСЯ НАПОМИНАНИЯ** ("каждый день", "по будням", "every Tuesday"):
+- trigger_type: "cron" + cron_expression в ЛОКАЛЬНОМ времени пользователя (НЕ UTC!)
+- "каждый будний день в 8" → "0 8 * * 1-5", "каждый вторник в 19:00" → "0 19 * * 2"
+- Сервер сам вычислит ближайший запуск, после срабатывания напоминание перезапускается
+
+**ПОДТВЕРЖДЕНИЕ КОМАНД:** если create_event вернул command.status = "awaiting_approval" — команда НЕ запланирована до подтверждения. Скажи пользователю причину (approval_reason) и попроси подтвердить в карточке в ленте.
 
 **ОТВЕТ ПОСЛЕ СОЗДАНИЯ — КРИТИЧНО:**
-- Говори ОТНОСИТЕЛЬНОЕ время: "Напомню через 5 минут", "Напомню через час"
-- Или просто: "Готово, напомню" без указания времени
-- НЕ называй абсолютное время (15:30) — оно может быть в неправильном часовом поясе!
-- Пользователь увидит правильное время на карточке в ленте
+- Абсолютное время называй ТОЛЬКО из event.scheduled_local / scheduled_time — они уже в поясе пользователя
+- Или ОТНОСИТЕЛЬНОЕ: "Напомню через 5 минут", "Напомню через час"
+- НИКОГДА не пересчитывай время сам и не называй время из trigger_at / UTC
 
-**НЕПРАВИЛЬНО:** "Напомню в 12:30" (это может быть UTC!)
-**ПРАВИЛЬНО:** "Напомню через 5 минут" или "Готово, напоминание создано"
+**НЕПРАВИЛЬНО:** "Напомню в 12:30" (взято из UTC)
+**ПРАВИЛЬНО:** "Напомню завтра в 09:00" (из scheduled_local) или "Напомню через 5 минут"
 
 When user asks to cancel, delete, or remove a reminder:
 1. Use the cancel_event tool
@@ -1066,7 +1483,7 @@ When user asks to cancel, delete, or remove a reminder:
 
 When user asks to change, reschedule, or modify a reminder:
 1. Use the update_event tool
-2. You can change: title (new_title), time (new_time as ISO), description (new_description)
+2. You can change: title (new_title), time (new_time as local ISO without offset, e.g. 2026-01-15T10:00 — user's timezone), description (new_description)
 3. Confirm what was changed
 
 When user asks to see, list, or show reminders:
@@ -1075,18 +1492,30 @@ When user asks to see, list, or show reminders:
 3. Present results in a clear, concise format
 4. Include event ID for reference if user wants to cancel specific one
 
-## DROP MANAGEMENT — ТОЛЬКО ЛЕНТА:
+## DROP MANAGEMENT — ЛЕНТА + ПОИСК:
 
-⚠️ ЛЕНТА (секция выше) = единственный источник. НЕ ходи в базу!
+⚠️ ЛЕНТА (секция в конце промпта) — последние дропы. Сначала смотри туда!
 
-**Что в ленте?** — смотри секцию "ЛЕНТА / FEED" выше, там всё есть
+**Что в ленте?** — смотри секцию "ЛЕНТА / FEED", там всё есть
 
-**Удалить дроп?** — возьми ID из ленты, вызови delete_drop(drop_id)
+**Нет в ленте / старая запись?** — search_drops(query, category, date_from, date_to, creator, marker)
+- Ищи по ключевым словам, не целой фразой
+- Если результат search_local — зашифрованные дропы ищутся на устройстве, скажи что результаты появятся в чате
 
-**Изменить дроп?** — возьми ID из ленты, вызови update_drop(drop_id, new_content)
+**Удалить дроп?** — возьми ID из ленты или search_drops, вызови delete_drop(drop_id). Удалит приложение после того, как пользователь подтвердит в чате
+
+**Изменить дроп?** — возьми ID из ленты или search_drops, вызови update_drop(drop_id, new_content)
 
 **Создать дроп?** — ТОЛЬКО если пользователь явно попросил "запиши/сохрани"
 
+## 🌐 WEB SEARCH — источники:
+
+web_search возвращает пронумерованные sources (n, title, url, snippet).
+- Факты из поиска помечай номером источника: "Курс вырос до 92 ₽ [1]"
+- Несколько источников — [1][3]; номера сквозные, если искал несколько раз
+- Только номера из результатов, не придумывай источники и ссылки
+- URL в тексте не пиши — ссылки покажет чат
+
 ## 📧 EMAIL — Отправка писем:
 
 Используй send_email когда пользователь просит отправить, переслать, поделиться информацией по почте.
@@ -1104,6 +1533,9 @@ When user asks to see, list, or show reminders:
 - "Пришли как документ" → send_email(to: "мне", as_word: true)  
 - "Отправь word файл" → send_email(to: "мне", as_word: true)
 
+**Статус:** success: false → честно скажи, что письмо НЕ ушло. status "sunk" — тестовый режим, письмо не доставлено.
+Статус доставки чат покажет сам — не обещай, что письмо уже дошло.
+
 ## 🎨 IMAGE GENERATION (GPT Image):
 
 Используй generate_image когда пользователь просит создать, нарисовать, сгенерировать изображение.
@@ -1256,298 +1688,1460 @@ erDiagram
 - Always respond in same language as user
 - Support Russian and English seamlessly`;
 
-  // Build core memory section
-  let memorySection = '';
+// Целыми строками, заголовок секции остаётся
+function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+  
+  const kept = [];
+  let used = 0;
+  for (const line of text.split('\n')) {
+    const cost = estimateTokens(line) + 1;
+    if (used + cost > maxTokens) break;
+    kept.push(line);
+    used += cost;
+  }
+  
+  if (!kept.length) return text.substring(0, maxTokens * 3) + '…';
+  return kept.join('\n') + '\n…(обрезано по бюджету)';
+}
+
+// sections: [{ key, text }] в порядке вывода → с учётом бюджетов и приоритетов
+function fitPromptSections(sections, totalBudget = VOLATILE_TOKEN_BUDGET) {
+  const fitted = sections
+    .filter(section => section.text)
+    .map(section => {
+      const limits = PROMPT_SECTIONS[section.key];
+      const text = truncateToTokens(section.text, limits.budget);
+      return { ...section, priority: limits.priority, text, truncated: text !== section.text };
+    });
+  
+  let total = fitted.reduce((sum, section) => sum + estimateTokens(section.text), 0);
+  
+  for (const section of [...fitted].sort((a, b) => b.priority - a.priority)) {
+    if (total <= totalBudget) break;
+    const before = estimateTokens(section.text);
+    const allowed = before - (total - totalBudget);
+    section.text = allowed >= MIN_SECTION_TOKENS ? truncateToTokens(section.text, allowed) : '';
+    section.truncated = true;
+    total -= before - estimateTokens(section.text);
+  }
+  
+  return fitted;
+}
+
+/**
+ * @returns {{ system: Array, text: string, budget: Object }}
+ *   system — блоки для provider (cache_control на стабильных)
+ *   text   — тот же промпт одной строкой (debug)
+ *   budget — токены по блокам и какие секции обрезаны
+ */
+function buildSystemPrompt(dropContext, userProfile, coreContext, isExpansion = false, userTimezone = 'UTC', currentFeed = [], askiKnowledge = '', historySummary = null) {
+  const now = new Date();
+  const currentDate = now.toLocaleDateString('en-US', { 
+    weekday: 'long', 
+    year: 'numeric', 
+    month: 'long', 
+    day: 'numeric',
+    timeZone: userTimezone
+  });
+  const currentTime = now.toLocaleTimeString('en-US', { 
+    hour: '2-digit', 
+    minute: '2-digit', 
+    hour12: false,
+    timeZone: userTimezone
+  });
+
+  // Filter out anti-facts before adding to prompt
+  const cleanMemory = filterMemory(coreContext?.memory);
+  const hasMemory = cleanMemory?.length > 0;
+  const hasEntities = coreContext?.entities?.length > 0;
+  const hasFeed = currentFeed?.length > 0;
+  const hasKnowledge = askiKnowledge?.trim()?.length > 0;
+
+  // --- Stable blocks ---
+  const system = [{ type: 'text', text: ASKI_STABLE_PROMPT, cache_control: PROMPT_CACHE_CONTROL }];
+  
+  if (hasKnowledge) {
+    system.push({
+      type: 'text',
+      text: `## 📚 PERSONAL KNOWLEDGE BASE
+Пользователь настроил для тебя персональную базу знаний. ВСЕГДА учитывай эту информацию:
+
+${truncateToTokens(askiKnowledge.trim(), KNOWLEDGE_TOKEN_BUDGET)}`,
+      cache_control: PROMPT_CACHE_CONTROL
+    });
+  }
+
+  // --- Volatile sections ---
+  const sections = [];
+  
+  sections.push({
+    key: 'feed',
+    text: `## 📋 ЛЕНТА / FEED
+${hasFeed ? `✅ В ленте ${currentFeed.length} дропов:` : '⚠️ Лента пуста или не загружена'}
+${hasFeed ? currentFeed.map((d, i) => `${i+1}. [${d.type || 'note'}] ${d.content?.substring(0, 100) || '[encrypted]'}${d.is_encrypted ? ' 🔒' : ''}${d.from_search ? ' [из поиска]' : ''} (id: ${d.id})`).join('\n') : ''}`
+  });
+  
+  sections.push({ key: 'summary', text: formatHistorySummary(historySummary) });
   
   // Add semantic search results if available
   if (coreContext?.semanticDrops?.length > 0) {
-    memorySection += '\n\n## 🎯 MOST RELEVANT (semantic match):\n';
-    coreContext.semanticDrops.slice(0, 5).forEach(drop => {
-      memorySection += `- "${drop.content?.slice(0, 200) || ''}"\n`;
+    sections.push({
+      key: 'semantic',
+      text: '## 🎯 MOST RELEVANT (semantic match):\n' +
+        coreContext.semanticDrops.slice(0, 5).map(drop => `- "${drop.content?.slice(0, 200) || ''}"`).join('\n')
     });
   }
   
   // Add filtered core memory facts
-  if (hasMemory) {
-    memorySection += '\n\n## 🧠 CORE MEMORY (verified facts):\n### Known facts:\n';
-    cleanMemory.forEach(m => {
-      const confidence = m.confidence ? ` [${Math.round(m.confidence * 100)}%]` : '';
-      memorySection += `- ${m.fact}${confidence}\n`;
-    });
-  }
+  sections.push({
+    key: 'memory',
+    text: hasMemory
+      ? `## 🧠 CORE MEMORY (verified facts):\n✅ You have ${cleanMemory.length} facts in memory - USE THEM!\n### Known facts:\n` +
+        cleanMemory.map(m => {
+          // Закреплено / исправлено пользователем в Memory Inspector
+          const confidence = m.pinned ? ' [confirmed by user]' : m.confidence ? ` [${Math.round(m.confidence * 100)}%]` : '';
+          return `- ${m.fact}${confidence}`;
+        }).join('\n')
+      : '## 🧠 CORE MEMORY:\n⚠️ No memory facts available'
+  });
   
   // Add entities
   if (hasEntities) {
-    memorySection += '\n### Key entities:\n';
-    coreContext.entities.forEach(e => {
-      let entityInfo = `- **${e.name}** (${e.entity_type})`;
-      if (e.attributes) {
-        const attrs = [];
-        if (e.attributes.birthday) attrs.push(`birthday: ${e.attributes.birthday}`);
-        if (e.attributes.relationship) attrs.push(`relationship: ${e.attributes.relationship}`);
-        if (e.attributes.occupation) attrs.push(`occupation: ${e.attributes.occupation}`);
-        if (attrs.length > 0) entityInfo += ` — ${attrs.join(', ')}`;
-      }
-      memorySection += entityInfo + '\n';
+    sections.push({
+      key: 'entities',
+      text: `### Key entities:\n✅ You know ${coreContext.entities.length} entities - CHECK THEM!\n` +
+        coreContext.entities.map(e => {
+          let entityInfo = `- **${e.name}** (${e.entity_type})`;
+          if (e.attributes) {
+            const attrs = [];
+            if (e.attributes.birthday) attrs.push(`birthday: ${e.attributes.birthday}`);
+            if (e.attributes.relationship) attrs.push(`relationship: ${e.attributes.relationship}`);
+            if (e.attributes.occupation) attrs.push(`occupation: ${e.attributes.occupation}`);
+            if (attrs.length > 0) entityInfo += ` — ${attrs.join(', ')}`;
+          }
+          return entityInfo;
+        }).join('\n')
     });
   }
   
   // Add recent drops context (if provided)
   if (dropContext) {
-    memorySection += `\n\n## 📝 USER'S NOTES:\n${dropContext}`;
+    sections.push({ key: 'notes', text: `## 📝 USER'S NOTES:\n${dropContext}` });
+  }
+  
+  // Add user profile if available
+  if (userProfile) {
+    sections.push({ key: 'profile', text: `## USER PROFILE:\n${JSON.stringify(userProfile)}` });
   }
+  
+  const fitted = fitPromptSections(sections);
+  
+  let volatile = `## CURRENT: ${currentDate}, ${currentTime} (${userTimezone})
+Current UTC: ${now.toISOString()}`;
+  fitted.filter(section => section.text).forEach(section => {
+    volatile += '\n\n' + section.text;
+  });
 
   // Add expansion instructions if needed
   if (isExpansion) {
-    basePrompt += `\n\n## EXPANSION MODE:
+    volatile += `\n\n## EXPANSION MODE:
 User has asked to expand on a previous topic. Give a more detailed response covering nuances, examples, or additional perspectives.`;
   }
   
-  // Add user profile if available
-  if (userProfile) {
-    basePrompt += `\n\n## USER PROFILE:\n${JSON.stringify(userProfile)}`;
-  }
-
-  return basePrompt + memorySection;
+  system.push({ type: 'text', text: volatile });
+  
+  const text = system.map(block => block.text).join('\n\n');
+  const budget = {
+    stableTokens: estimateTokens(ASKI_STABLE_PROMPT),
+    knowledgeTokens: hasKnowledge ? estimateTokens(system[1].text) : 0,
+    volatileTokens: estimateTokens(volatile),
+    sections: Object.fromEntries(fitted.map(section => [section.key, {
+      tokens: estimateTokens(section.text),
+      truncated: section.truncated
+    }]))
+  };
+  
+  return { system, text, budget };
 }
 
 // ============================================
 // TOOL EXECUTION
 // ============================================
-async function executeTool(toolName, input, dropContext, userId = null, currentFeed = [], userEmail = null, askiKnowledge = '', userTimezone = 'UTC') {
+async function executeTool(toolName, input, dropContext, userId = null, currentFeed = [], userEmail = null, askiKnowledge = '', userTimezone = 'UTC', disabledTools = [], requestState = {}) {
   console.log('[executeTool] Called with toolName:', toolName);
   console.log('[executeTool] Input keys:', Object.keys(input || {}));
   
-  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  const tool = DropLitTools.get(toolName);
+  if (!tool?.execute) {
+    return { success: false, error: `Unknown tool: ${toolName}` };
+  }
   
-  switch (toolName) {
-    case 'create_drop': {
-      const text = input.text;
-      const category = input.category || 'inbox';
-      
-      if (!text) return { success: false, error: 'No text', action: 'create_drop' };
-      
-      console.log('[create_drop] Creating drop:', text.substring(0, 50));
-      
-      // Just return action for frontend to add to localStorage
-      return { 
-        success: true, 
-        action: 'create_drop',
-        drop: { 
-          text, 
-          category, 
-          creator: 'aski',
-          created_at: new Date().toISOString()
-        },
-        sync_local: true,
-        message: 'Создано'
-      };
+  // Отключён в настройках персоны (v4.28)
+  if (!DropLitTools.isEnabled(toolName, disabledTools)) {
+    return { success: false, error: `Tool ${toolName} is disabled for this persona`, action: toolName };
+  }
+  
+  // Image generation / email тратят свой бюджет (v4.26)
+  if (tool.rateBucket) {
+    const rateCheck = await checkRateLimit(userId ? `user:${userId}` : 'anonymous', tool.rateBucket);
+    if (!rateCheck.allowed) {
+      return { success: false, error: `Rate limit exceeded. Try again in ${rateCheck.resetIn} seconds.`, action: toolName };
     }
+  }
+  
+  const result = await tool.execute(input || {}, { dropContext, userId, currentFeed, userEmail, askiKnowledge, userTimezone, requestState });
+  
+  // Destructive: сервер только готовит действие, приложение применяет его после
+  // подтверждения в чате — модель не должна сообщать, что всё уже сделано
+  if (tool.risk === 'destructive' && result?.success !== false) {
+    return {
+      ...result,
+      status: 'awaiting_confirmation',
+      message: 'Not done yet: the user confirms this in the chat, then the app applies it. Say it will happen after confirmation, not that it is done.'
+    };
+  }
+  
+  return result;
+}
+
+// Серверные исполнители инструментов (схемы и метаданные — js/tool-registry.js)
+DropLitTools.implement({
+  create_drop: { execute: (input) => executeCreateDrop(input) },
+  send_email: { execute: (input, ctx) => executeSendEmail(input, ctx.userEmail, ctx.askiKnowledge, ctx.userId, ctx.requestState.emailSender) },
+  get_summary: { execute: (input, ctx) => executeGetSummary(input, ctx.userId) },
+  search_drops: { execute: (input, ctx) => executeSearchDrops(input, ctx.userId, ctx.userTimezone) },
+  web_search: { execute: (input, ctx) => executeWebSearch(input, ctx.requestState) },
+  create_event: { execute: (input, ctx) => handleCreateEvent(input, ctx.userId, ctx.userTimezone, ctx.askiKnowledge, ctx.userEmail, ctx.requestState.emailSender, ctx.requestState.userLocale, ctx.requestState) },
+  cancel_event: { execute: (input, ctx) => executeCancelEvent(input, ctx.userId) },
+  list_events: { execute: (input, ctx) => executeListEvents(input, ctx.userId, ctx.userTimezone, ctx.requestState.userLocale) },
+  delete_drop: { execute: (input, ctx) => executeDeleteDrop(input, ctx.userId) },
+  update_drop: { execute: (input, ctx) => executeUpdateDrop(input, ctx.userId) },
+  update_event: { execute: (input, ctx) => executeUpdateEvent(input, ctx.userId, ctx.userTimezone, ctx.requestState.userLocale) },
+  generate_image: { execute: (input, ctx) => executeGenerateImage(input, ctx.userId) },
+  create_chart: { execute: (input, ctx) => executeCreateChart(input, ctx.userId, ctx.currentFeed) },
+  create_diagram: { execute: (input, ctx) => executeCreateDiagram(input, ctx.userId) }
+});
+
+// ============================================
+// CREATE DROP - Just signal frontend to add to localStorage
+// ============================================
+function executeCreateDrop(input) {
+  const text = input.text;
+  const category = input.category || 'inbox';
+  
+  if (!text) return { success: false, error: 'No text', action: 'create_drop' };
+  
+  console.log('[create_drop] Creating drop:', text.substring(0, 50));
+  
+  // Just return action for frontend to add to localStorage
+  return { 
+    success: true, 
+    action: 'create_drop',
+    drop: { 
+      text, 
+      category, 
+      creator: 'aski',
+      created_at: new Date().toISOString()
+    },
+    sync_local: true,
+    message: 'Создано'
+  };
+}
+
+// ============================================
+// EMAIL TRANSPORT (v4.33)
+// ============================================
+// Один интерфейс доставки для send_email и send_email_with_attachment:
+//   transport.isConfigured()
+//   transport.send(message) → { providerId, status }
+//   transport.status?(providerId) → 'sent' | 'delivered' | 'bounced' | ...
+//
+//   resend  — api.resend.com (RESEND_API_KEY)
+//   smtp    — любой SMTP через HTTP relay (SMTP_RELAY_URL, SMTP_RELAY_TOKEN).
+//             Edge runtime не умеет открывать TCP, поэтому SMTP-сессию ведёт relay:
+//             POST JSON { from, to, reply_to, subject, html, text, attachments } → { messageId }
+//   mailpit — локальный почтовый ящик для разработки (MAILPIT_URL, /api/v1/send)
+//   log     — письмо только пишется в лог функции
+//
+// EMAIL_TRANSPORT выбирает явно (mailpit / log — только так), иначе resend → smtp.
+// message: { from: { name, email }, to, replyTo, subject, html, text, attachments: [{ filename, content }] }
+// content вложений — base64.
+//
+// Каждое письмо пишется в email_messages со статусом: sent → delivered / bounced,
+// failed — транспорт отказал, sunk — ушло в dev sink. Клиент спрашивает статус
+// через action 'email_status'.
+
+const EMAIL_FROM_ADDRESS = process.env.EMAIL_FROM_ADDRESS || 'aski@syntrise.com';
+const EMAIL_DEFAULT_SENDER_NAME = 'ASKI';
+const EMAIL_STATUS_FINAL = ['delivered', 'bounced', 'complained', 'failed', 'sunk'];
+
+const EMAIL_MESSAGES_SCHEMA = `
+-- Outgoing email log (service role writes, users read their own)
+CREATE TABLE IF NOT EXISTS email_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  transport TEXT NOT NULL,
+  provider_id TEXT,
+  to_email TEXT NOT NULL,
+  subject TEXT,
+  template TEXT,
+  has_attachment BOOLEAN DEFAULT false,
+  status TEXT NOT NULL,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS email_messages_user_idx ON email_messages (user_id, created_at DESC);
+
+ALTER TABLE email_messages ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users read own email log" ON email_messages FOR SELECT USING (auth.uid() = user_id);
+`;
+
+class EmailTransportError extends Error {
+  constructor(transport, status, details = '') {
+    super(`${transport} delivery error: ${status}`);
+    this.name = 'EmailTransportError';
+    this.transport = transport;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function formatMailbox({ name, email }) {
+  return name ? `${name} <${email}>` : email;
+}
+
+// Resend last_event → наш статус
+const RESEND_EVENT_STATUS = {
+  sent: 'sent',
+  delivered: 'delivered',
+  delivery_delayed: 'sent',
+  bounced: 'bounced',
+  complained: 'complained'
+};
+
+const resendTransport = {
+  name: 'resend',
+  isConfigured: () => !!process.env.RESEND_API_KEY,
+  async send(message) {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`
+      },
+      body: JSON.stringify({
+        from: formatMailbox(message.from),
+        to: message.to,
+        ...(message.replyTo ? { reply_to: message.replyTo } : {}),
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        ...(message.attachments?.length ? { attachments: message.attachments } : {})
+      })
+    });
+    if (!response.ok) throw new EmailTransportError('resend', response.status, await response.text());
     
-    case 'send_email': {
-      const RESEND_API_KEY = process.env.RESEND_API_KEY;
-      
-      if (!RESEND_API_KEY) {
-        return { success: false, error: 'Email service not configured', action: 'send_email' };
-      }
-      
-      const recipient = input.to;
-      const subject = input.subject;
-      const content = input.content;
-      const asWord = input.as_word || false;
-      const filename = input.filename || 'document';
-      
-      // Resolve recipient (pass userEmail for personal aliases)
-      const toEmail = resolveEmailAddress(recipient, userEmail, askiKnowledge);
-      if (!toEmail) {
-        return { 
-          success: false, 
-          error: `Не могу найти адрес для "${recipient}". Укажи email напрямую или настрой свою почту в Settings.`,
-          action: 'send_email'
-        };
-      }
-      
-      console.log('[send_email] Sending to:', toEmail, 'Subject:', subject, 'asWord:', asWord);
-      
-      // If Word attachment requested, delegate to frontend for docx generation
-      if (asWord) {
-        return {
-          success: true,
-          action: 'send_email_with_docx',
-          needs_docx: true,
-          to: toEmail,
-          subject: subject,
-          content: content,
-          filename: filename,
-          message: 'Подготавливаю документ...'
-        };
-      }
-      
-      // Simple email without attachment - send directly
-      try {
-        const emailBody = {
-          from: 'ASKI <aski@syntrise.com>',
-          to: toEmail,
-          subject: subject,
-          html: content.includes('<') ? content : `<div style="font-family: Arial, sans-serif; line-height: 1.6;">${content.replace(/\n/g, '<br>')}</div>`
-        };
-        
-        const response = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${RESEND_API_KEY}`
-          },
-          body: JSON.stringify(emailBody)
-        });
-        
-        if (!response.ok) {
-          const error = await response.text();
-          console.error('[send_email] Failed:', error);
-          return { success: false, error: `Email failed: ${error}`, action: 'send_email' };
-        }
-        
-        const result = await response.json();
-        console.log('[send_email] Success! ID:', result.id);
-        
-        return {
-          success: true,
-          action: 'send_email',
-          message: `Письмо отправлено на ${toEmail}`,
-          email_id: result.id,
-          to: toEmail,
-          subject: subject
-        };
-        
-      } catch (error) {
-        console.error('[send_email] Exception:', error);
-        return { success: false, error: error.message, action: 'send_email' };
-      }
-    }
+    const result = await response.json();
+    return { providerId: result.id, status: 'sent' };
+  },
+  async status(providerId) {
+    const response = await fetch(`https://api.resend.com/emails/${encodeURIComponent(providerId)}`, {
+      headers: { 'Authorization': `Bearer ${process.env.RESEND_API_KEY}` }
+    });
+    if (!response.ok) return null;
     
-    case 'get_summary': {
-      const period = input.period || 'today';
-      
-      if (!SUPABASE_KEY || !userId) {
-        return { success: false, error: 'No SUPABASE_KEY or userId' };
-      }
-      
-      // Calculate date range
-      const now = new Date();
-      let startDate;
-      switch (period) {
-        case 'today':
-          startDate = new Date(now.setHours(0, 0, 0, 0));
-          break;
-        case 'week':
-          startDate = new Date(now.setDate(now.getDate() - 7));
-          break;
-        case 'month':
-          startDate = new Date(now.setMonth(now.getMonth() - 1));
-          break;
-        default:
-          startDate = new Date(now.setHours(0, 0, 0, 0));
-      }
-      
-      const url = `${SUPABASE_URL}/rest/v1/drops?user_id=eq.${userId}&created_at=gte.${startDate.toISOString()}&order=created_at.desc`;
-      
-      const response = await fetch(url, {
-        headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` }
-      });
-      
-      if (!response.ok) return { success: false, error: 'Fetch failed' };
-      const drops = await response.json();
-      
-      // Group by category
-      const byCategory = {};
-      drops.forEach(d => {
-        const cat = d.category || 'inbox';
-        byCategory[cat] = (byCategory[cat] || 0) + 1;
-      });
-      
-      return { success: true, period, totalCount: drops.length, byCategory };
-    }
+    const data = await response.json();
+    return RESEND_EVENT_STATUS[data.last_event] || null;
+  }
+};
+
+const smtpRelayTransport = {
+  name: 'smtp',
+  isConfigured: () => !!process.env.SMTP_RELAY_URL,
+  async send(message) {
+    const response = await fetch(process.env.SMTP_RELAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMTP_RELAY_TOKEN ? { 'Authorization': `Bearer ${process.env.SMTP_RELAY_TOKEN}` } : {})
+      },
+      body: JSON.stringify({
+        from: formatMailbox(message.from),
+        to: message.to,
+        reply_to: message.replyTo || undefined,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: message.attachments || []
+      })
+    });
+    if (!response.ok) throw new EmailTransportError('smtp', response.status, await response.text());
     
-    case 'web_search': {
-      const TAVILY_KEY = process.env.TAVILY_API_KEY;
-      if (!TAVILY_KEY) {
-        return { success: false, error: 'No TAVILY_API_KEY configured' };
-      }
-      
-      try {
-        const response = await fetch('https://api.tavily.com/search', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_key: TAVILY_KEY,
-            query: input.query,
-            search_depth: input.search_depth || 'basic',
-            max_results: 5
-          })
-        });
-        
-        if (!response.ok) {
-          return { success: false, error: 'Tavily search failed' };
-        }
-        
-        const data = await response.json();
-        const results = data.results?.map(r => ({
-          title: r.title,
-          content: r.content?.slice(0, 300),
-          url: r.url
-        })) || [];
-        
-        return { success: true, results, query: input.query };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
+    // SMTP сервер принял письмо — дальше статуса не узнать
+    const result = await response.json().catch(() => ({}));
+    return { providerId: result.messageId || result.id || null, status: 'sent' };
+  }
+};
+
+const mailpitTransport = {
+  name: 'mailpit',
+  isConfigured: () => process.env.EMAIL_TRANSPORT === 'mailpit' && !!process.env.MAILPIT_URL,
+  async send(message) {
+    const base = process.env.MAILPIT_URL.replace(/\/+$/, '');
+    const response = await fetch(`${base}/api/v1/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        From: { Email: message.from.email, Name: message.from.name || '' },
+        To: [{ Email: message.to }],
+        ReplyTo: message.replyTo ? [{ Email: message.replyTo }] : [],
+        Subject: message.subject,
+        HTML: message.html,
+        Text: message.text,
+        Attachments: (message.attachments || []).map(a => ({ Filename: a.filename, Content: a.content }))
+      })
+    });
+    if (!response.ok) throw new EmailTransportError('mailpit', response.status, await response.text());
     
-    case 'create_event': {
-      return await handleCreateEvent(input, userId);
+    const result = await response.json();
+    return { providerId: result.ID || null, status: 'sunk' };
+  }
+};
+
+const logTransport = {
+  name: 'log',
+  isConfigured: () => process.env.EMAIL_TRANSPORT === 'log',
+  async send(message) {
+    console.log('[Email:log]', JSON.stringify({
+      from: formatMailbox(message.from),
+      to: message.to,
+      replyTo: message.replyTo,
+      subject: message.subject,
+      text: message.text,
+      attachments: (message.attachments || []).map(a => `${a.filename} (${Math.round(a.content.length * 3 / 4 / 1024)} KB)`)
+    }));
+    return { providerId: `log-${crypto.randomUUID()}`, status: 'sunk' };
+  }
+};
+
+const EMAIL_TRANSPORTS = {
+  resend: resendTransport,
+  smtp: smtpRelayTransport,
+  mailpit: mailpitTransport,
+  log: logTransport
+};
+
+function getEmailTransport() {
+  const preferred = EMAIL_TRANSPORTS[process.env.EMAIL_TRANSPORT];
+  if (preferred?.isConfigured()) return preferred;
+  return [resendTransport, smtpRelayTransport].find(t => t.isConfigured()) || null;
+}
+
+// Имя отправителя: из настроек клиента, иначе из профиля Supabase
+function buildEmailSender(senderName, auth, userEmail) {
+  const meta = auth?.claims?.user_metadata || {};
+  const rawName = senderName || meta.full_name || meta.name || '';
+  const name = String(rawName).replace(/[<>"\r\n@]/g, '').trim().slice(0, 64);
+  const replyTo = [userEmail, auth?.email].find(e => typeof e === 'string' && /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(e.trim()));
+  
+  return {
+    name: name ? `${name} via ${EMAIL_DEFAULT_SENDER_NAME}` : EMAIL_DEFAULT_SENDER_NAME,
+    displayName: name || null,
+    replyTo: replyTo ? replyTo.trim() : null
+  };
+}
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+function escapeEmailHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function emailLayout(bodyHtml, footer) {
+  return `<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #1F2937; max-width: 640px;">
+${bodyHtml}
+<p style="margin-top: 24px; color: #888; font-size: 12px;">${escapeEmailHtml(footer)}</p>
+</div>`;
+}
+
+function emailFooter(sender) {
+  return sender?.displayName
+    ? `Отправлено через ASKI от имени ${sender.displayName}`
+    : 'Отправлено через ASKI';
+}
+
+// template → { html, text }
+const EMAIL_TEMPLATES = {
+  // Обычное письмо: модель может прислать готовый HTML или простой текст
+  message: ({ content, sender }) => {
+    const isHtml = /<[a-z][\s\S]*>/i.test(content);
+    const bodyHtml = isHtml ? content : `<div>${escapeEmailHtml(content).replace(/\n/g, '<br>')}</div>`;
+    const text = isHtml ? content.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '') : content;
+    return {
+      html: emailLayout(bodyHtml, emailFooter(sender)),
+      text: `${text}\n\n— ${emailFooter(sender)}`
+    };
+  },
+  // Word документ во вложении
+  document: ({ subject, filename, sender }) => ({
+    html: emailLayout(`<p>Документ "${escapeEmailHtml(subject)}" во вложении (${escapeEmailHtml(filename)}).</p>`, emailFooter(sender)),
+    text: `Документ "${subject}" во вложении (${filename}).\n\n— ${emailFooter(sender)}`
+  })
+};
+
+// ============================================
+// EMAIL LOG (Supabase email_messages)
+// ============================================
+function emailLogHeaders(key, prefer = null) {
+  return {
+    'apikey': key,
+    'Authorization': `Bearer ${key}`,
+    'Content-Type': 'application/json',
+    ...(prefer ? { 'Prefer': prefer } : {})
+  };
+}
+
+async function recordEmailMessage(row) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY || !row.user_id) return null;
+  
+  try {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/email_messages`, {
+      method: 'POST',
+      headers: emailLogHeaders(SUPABASE_KEY, 'return=representation'),
+      body: JSON.stringify(row)
+    });
+    if (!response.ok) {
+      console.error('[Email Log] Insert failed:', response.status);
+      return null;
     }
+    const [inserted] = await response.json();
+    return inserted?.id || null;
+  } catch (err) {
+    console.error('[Email Log] Error:', err.message);
+    return null;
+  }
+}
+
+async function updateEmailStatus(id, status) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return;
+  
+  try {
+    await fetch(`${SUPABASE_URL}/rest/v1/email_messages?id=eq.${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: emailLogHeaders(SUPABASE_KEY, 'return=minimal'),
+      body: JSON.stringify({ status, updated_at: new Date().toISOString() })
+    });
+  } catch (err) {
+    console.error('[Email Log] Status update failed:', err.message);
+  }
+}
+
+/**
+ * Send through the configured transport and log the outcome.
+ * Never throws: returns { success, status, transport, messageId, providerId, error, retryable }.
+ */
+async function deliverEmail({ to, subject, template, vars = {}, attachments = [], sender, userId }) {
+  const transport = getEmailTransport();
+  if (!transport) {
+    return { success: false, status: 'failed', error: 'Email service not configured', retryable: false };
+  }
+  
+  const { html, text } = EMAIL_TEMPLATES[template]({ ...vars, subject, sender });
+  const message = {
+    from: { name: sender?.name || EMAIL_DEFAULT_SENDER_NAME, email: EMAIL_FROM_ADDRESS },
+    to,
+    replyTo: sender?.replyTo || null,
+    subject,
+    html,
+    text,
+    attachments
+  };
+  
+  let outcome;
+  try {
+    outcome = await transport.send(message);
+  } catch (error) {
+    console.error('[Email] Delivery failed:', transport.name, error.message, error.details || '');
+    // 4xx (кроме 429) — письмо не пройдёт и при повторе
+    const status = typeof error.status === 'number' ? error.status : 0;
+    outcome = {
+      providerId: null,
+      status: 'failed',
+      error: error.details || error.message,
+      retryable: !(status >= 400 && status < 500 && status !== 429)
+    };
+  }
+  
+  const messageId = await recordEmailMessage({
+    user_id: userId,
+    transport: transport.name,
+    provider_id: outcome.providerId,
+    to_email: to,
+    subject,
+    template,
+    has_attachment: attachments.length > 0,
+    status: outcome.status,
+    error: outcome.error ? String(outcome.error).slice(0, 500) : null
+  });
+  
+  console.log(`[Email] ${transport.name}: ${outcome.status} → ${to}`, outcome.providerId || '');
+  
+  return {
+    success: outcome.status !== 'failed',
+    status: outcome.status,
+    transport: transport.name,
+    messageId,
+    providerId: outcome.providerId,
+    error: outcome.error,
+    retryable: outcome.retryable !== false
+  };
+}
+
+// Статусы писем пользователя; незавершённые обновляем у провайдера
+async function getEmailStatuses(userId, ids = []) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return { success: false, error: 'Email log not configured' };
+  
+  const validIds = (Array.isArray(ids) ? ids : [])
+    .filter(id => /^[0-9a-f-]{36}$/i.test(id))
+    .slice(0, 20);
+  const filter = validIds.length ? `&id=in.(${validIds.join(',')})` : '';
+  
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/email_messages?user_id=eq.${encodeURIComponent(userId)}${filter}` +
+    `&select=id,transport,provider_id,to_email,subject,status,error,created_at&order=created_at.desc&limit=20`,
+    { headers: emailLogHeaders(SUPABASE_KEY) }
+  );
+  if (!response.ok) return { success: false, error: `Email log error: ${response.status}` };
+  
+  const rows = await response.json();
+  
+  for (const row of rows) {
+    const transport = EMAIL_TRANSPORTS[row.transport];
+    if (EMAIL_STATUS_FINAL.includes(row.status) || !row.provider_id || !transport?.status || !transport.isConfigured()) continue;
     
-    case 'cancel_event': {
-      return await executeCancelEvent(input, userId);
+    const fresh = await transport.status(row.provider_id).catch(() => null);
+    if (fresh && fresh !== row.status) {
+      row.status = fresh;
+      await updateEmailStatus(row.id, fresh);
     }
-    
-    case 'list_events': {
-      return await executeListEvents(input, userId);
+  }
+  
+  return {
+    success: true,
+    emails: rows.map(({ provider_id, ...row }) => row)
+  };
+}
+
+// ============================================
+// SEND EMAIL TOOL (Word attachment is generated on the frontend)
+// ============================================
+async function executeSendEmail(input, userEmail, askiKnowledge, userId = null, sender = null) {
+  if (!getEmailTransport()) {
+    return { success: false, error: 'Email service not configured', action: 'send_email' };
+  }
+  
+  const recipient = input.to;
+  const subject = input.subject;
+  const content = input.content || '';
+  const asWord = input.as_word || false;
+  const filename = input.filename || 'document';
+  
+  // Resolve recipient (pass userEmail for personal aliases)
+  const toEmail = resolveEmailAddress(recipient, userEmail, askiKnowledge);
+  if (!toEmail) {
+    return { 
+      success: false, 
+      error: `Не могу найти адрес для "${recipient}". Укажи email напрямую или настрой свою почту в Settings.`,
+      action: 'send_email'
+    };
+  }
+  
+  console.log('[send_email] Sending to:', toEmail, 'Subject:', subject, 'asWord:', asWord);
+  
+  // If Word attachment requested, delegate to frontend for docx generation
+  if (asWord) {
+    return {
+      success: true,
+      action: 'send_email_with_docx',
+      needs_docx: true,
+      to: toEmail,
+      subject: subject,
+      content: content,
+      filename: filename,
+      message: 'Подготавливаю документ...'
+    };
+  }
+  
+  // Simple email without attachment - send directly
+  const delivery = await deliverEmail({
+    to: toEmail,
+    subject,
+    template: 'message',
+    vars: { content },
+    sender,
+    userId
+  });
+  
+  if (!delivery.success) {
+    return {
+      success: false,
+      error: `Email failed: ${delivery.error}`,
+      action: 'send_email',
+      status: 'failed',
+      email_id: delivery.messageId,
+      to: toEmail,
+      subject: subject
+    };
+  }
+  
+  return {
+    success: true,
+    action: 'send_email',
+    message: `Письмо отправлено на ${toEmail}`,
+    email_id: delivery.messageId,
+    status: delivery.status,
+    transport: delivery.transport,
+    to: toEmail,
+    subject: subject
+  };
+}
+
+// ============================================
+// GET SUMMARY - Count user's drops by category for a period
+// ============================================
+async function executeGetSummary(input, userId) {
+  const period = input.period || 'today';
+  
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  
+  if (!SUPABASE_KEY || !userId) {
+    return { success: false, error: 'No SUPABASE_KEY or userId' };
+  }
+  
+  // Calculate date range
+  const now = new Date();
+  let startDate;
+  switch (period) {
+    case 'today':
+      startDate = new Date(now.setHours(0, 0, 0, 0));
+      break;
+    case 'week':
+      startDate = new Date(now.setDate(now.getDate() - 7));
+      break;
+    case 'month':
+      startDate = new Date(now.setMonth(now.getMonth() - 1));
+      break;
+    default:
+      startDate = new Date(now.setHours(0, 0, 0, 0));
+  }
+  
+  const url = `${SUPABASE_URL}/rest/v1/drops?user_id=eq.${userId}&created_at=gte.${startDate.toISOString()}&order=created_at.desc`;
+  
+  const response = await fetch(url, {
+    headers: { 'apikey': SUPABASE_KEY, 'Authorization': `Bearer ${SUPABASE_KEY}` }
+  });
+  
+  if (!response.ok) return { success: false, error: 'Fetch failed' };
+  const drops = await response.json();
+  
+  // Group by category
+  const byCategory = {};
+  drops.forEach(d => {
+    const cat = d.category || 'inbox';
+    byCategory[cat] = (byCategory[cat] || 0) + 1;
+  });
+  
+  return { success: true, period, totalCount: drops.length, byCategory };
+}
+
+// ============================================
+// SEARCH DROPS - All user's drops with filters (v4.29)
+// Открытые дропы ищем в Supabase, зашифрованные сервер прочитать не может —
+// клиент повторяет поиск локально (расшифрованная лента + ZK токены)
+// ============================================
+const SEARCH_DROPS_DEFAULT_LIMIT = 10;
+const SEARCH_DROPS_MAX_LIMIT = 30;
+const SEARCH_DROPS_PAGE_SIZE = 100;
+const SEARCH_DROPS_MAX_PAGES = 10;
+
+function normalizeSearchFilters(input) {
+  const isDay = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const limit = Math.min(Math.max(parseInt(input.limit, 10) || SEARCH_DROPS_DEFAULT_LIMIT, 1), SEARCH_DROPS_MAX_LIMIT);
+  
+  return {
+    query: typeof input.query === 'string' ? input.query.trim() : '',
+    category: input.category || null,
+    date_from: isDay(input.date_from) ? input.date_from : null,
+    date_to: isDay(input.date_to) ? input.date_to : null,
+    creator: input.creator === 'user' || input.creator === 'aski' ? input.creator : null,
+    marker: typeof input.marker === 'string' && /^[a-z]+$/.test(input.marker) ? input.marker : null,
+    limit
+  };
+}
+
+// Слова запроса, безопасные для PostgREST or=(...)
+function searchTerms(query) {
+  return [...new Set(
+    query.toLowerCase()
+      .replace(/[,()*%\\"']/g, ' ')
+      .split(/\s+/)
+      .filter(w => w.length >= 2)
+  )].slice(0, 8);
+}
+
+/**
+ * PostgREST-фильтры search_drops. Открытые дропы хранят маркеры в колонке
+ * markers (text[]), зашифрованные — в metadata.markers (jsonb); creator
+ * без значения — это 'user'.
+ */
+function searchDropsQuery(userId, filters, terms, userTimezone, encrypted) {
+  const params = [
+    `user_id=eq.${userId}`,
+    'is_deleted=eq.false',
+    `encrypted_content=${encrypted ? 'not.is.null' : 'is.null'}`
+  ];
+  const groups = [];
+  
+  if (filters.category) params.push(`category=eq.${encodeURIComponent(filters.category)}`);
+  if (filters.date_from) params.push(`metadata->>timestamp=gte.${DropLitTime.dayBoundary(filters.date_from, userTimezone)}`);
+  if (filters.date_to) params.push(`metadata->>timestamp=lte.${DropLitTime.dayBoundary(filters.date_to, userTimezone, true)}`);
+  if (filters.creator === 'aski') params.push('metadata->>creator=eq.aski');
+  if (filters.creator === 'user') groups.push('metadata->>creator.is.null,metadata->>creator.eq.user');
+  if (filters.marker) {
+    params.push(encrypted
+      ? `metadata->markers=cs.${encodeURIComponent(JSON.stringify([filters.marker]))}`
+      : `markers=cs.${encodeURIComponent(`{${filters.marker}}`)}`);
+  }
+  // Текст зашифрованных строк сервер не видит — их проверит клиент
+  if (terms.length && !encrypted) groups.push(terms.map(t => `content.ilike.*${t}*`).join(','));
+  
+  if (groups.length === 1) params.push(`or=(${encodeURIComponent(groups[0])})`);
+  if (groups.length > 1) params.push(`and=(${encodeURIComponent(groups.map(g => `or(${g})`).join(','))})`);
+  
+  return `${SUPABASE_URL}/rest/v1/drops?${params.join('&')}`;
+}
+
+// Сколько зашифрованных дропов проходит фильтры (без текста) — для поиска на устройстве
+async function countEncryptedCandidates(filters, userId, userTimezone) {
+  const url = searchDropsQuery(userId, filters, [], userTimezone, true) + '&select=external_id&limit=1';
+  const response = await fetch(url, {
+    headers: {
+      'apikey': SUPABASE_SERVICE_KEY,
+      'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
+      'Prefer': 'count=exact'
     }
+  });
+  if (!response.ok) return 0;
+  const total = Number((response.headers.get('content-range') || '').split('/')[1]);
+  return Number.isFinite(total) ? total : 0;
+}
+
+async function executeSearchDrops(input, userId, userTimezone = 'UTC') {
+  const filters = normalizeSearchFilters(input);
+  const terms = searchTerms(filters.query);
+  
+  if (!terms.length && !filters.category && !filters.date_from && !filters.date_to && !filters.creator && !filters.marker) {
+    return { success: false, error: 'Укажи слова для поиска или хотя бы один фильтр', action: 'search_drops' };
+  }
+  
+  // Без сервера (нет ключа / гость) — ищет только клиент
+  if (!SUPABASE_SERVICE_KEY || !userId) {
+    return {
+      success: true,
+      action: 'search_drops',
+      filters,
+      matches: [],
+      search_local: true,
+      message: 'Поиск выполнится на устройстве пользователя, результаты появятся в чате'
+    };
+  }
+  
+  const baseUrl = searchDropsQuery(userId, filters, terms, userTimezone, false) +
+    '&select=external_id,content,category,markers,metadata,created_at&order=created_at.desc';
+  
+  try {
+    // Страницы от новых к старым. Строка со всеми словами запроса лучше любой
+    // более старой — как только таких набралось limit, дальше не читаем
+    const scored = [];
+    let complete = 0;
+    let hasMore = false;
     
-    case 'delete_drop': {
-      return await executeDeleteDrop(input, userId);
+    for (let page = 0; page < SEARCH_DROPS_MAX_PAGES; page++) {
+      const response = await fetch(`${baseUrl}&limit=${SEARCH_DROPS_PAGE_SIZE}&offset=${page * SEARCH_DROPS_PAGE_SIZE}`, {
+        headers: { 'apikey': SUPABASE_SERVICE_KEY, 'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}` }
+      });
+      
+      if (!response.ok) {
+        console.error('[search_drops] Fetch error:', response.status, await response.text());
+        return { success: false, error: 'Search failed', action: 'search_drops' };
+      }
+      
+      const rows = await response.json();
+      for (const row of rows) {
+        const text = (row.content || '').toLowerCase();
+        const score = terms.filter(t => text.includes(t)).length;
+        scored.push({ row, score });
+        if (score === terms.length) complete++;
+      }
+      
+      hasMore = rows.length === SEARCH_DROPS_PAGE_SIZE;
+      if (!hasMore || complete >= filters.limit) break;
     }
     
-    case 'update_drop': {
-      return await executeUpdateDrop(input, userId);
-    }
+    const matches = scored
+      .filter(m => !terms.length || m.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, filters.limit)
+      .map(({ row }) => ({
+        id: row.external_id,
+        content: (row.content || '').substring(0, 300),
+        category: row.category || 'inbox',
+        creator: row.metadata?.creator || 'user',
+        markers: row.markers || [],
+        created_at: row.metadata?.timestamp || row.created_at
+      }));
     
-    case 'update_event': {
-      return await executeUpdateEvent(input, userId);
-    }
+    const encryptedCount = await countEncryptedCandidates(filters, userId, userTimezone);
+    
+    console.log('[search_drops] Found', matches.length, 'open,', encryptedCount, 'encrypted candidates');
+    
+    return {
+      success: true,
+      action: 'search_drops',
+      filters,
+      matches,
+      count: matches.length,
+      encrypted_candidates: encryptedCount,
+      search_local: encryptedCount > 0,
+      message: encryptedCount > 0
+        ? `${encryptedCount} зашифрованных дропов проверяются на устройстве, их результаты появятся в чате`
+        : undefined
+    };
+  } catch (error) {
+    console.error('[search_drops] Exception:', error);
+    return { success: false, error: error.message, action: 'search_drops' };
+  }
+}
+
+// ============================================
+// WEB SEARCH PROVIDERS (v4.32)
+// ============================================
+// Один интерфейс для поисковиков:
+//   provider.isConfigured()
+//   provider.search(query, { depth, maxResults }) → [{ title, url, snippet, published }]
+//
+//   tavily  — api.tavily.com (TAVILY_API_KEY)
+//   brave   — Brave Search API (BRAVE_SEARCH_API_KEY)
+//   searxng — свой SearXNG с включённым format=json (SEARXNG_URL)
+//   fixture — детерминированные ответы без сети для тестов (WEB_SEARCH_FIXTURES = JSON)
+//
+// WEB_SEARCH_PROVIDER выбирает явно, иначе первый настроенный: tavily → brave → searxng.
+// Модель получает пронумерованные источники и ссылается на них как [n];
+// номера сквозные в пределах одного запроса (requestState.citationCount).
+
+const WEB_SEARCH_MAX_RESULTS = 5;
+const WEB_SEARCH_SNIPPET_CHARS = 500;
+
+class WebSearchError extends Error {
+  constructor(provider, status, details = '') {
+    super(`${provider} search error: ${status}`);
+    this.name = 'WebSearchError';
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const tavilySearchProvider = {
+  name: 'tavily',
+  isConfigured: () => !!process.env.TAVILY_API_KEY,
+  async search(query, { depth = 'basic', maxResults }) {
+    const response = await fetch('https://api.tavily.com/search', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        api_key: process.env.TAVILY_API_KEY,
+        query,
+        search_depth: depth,
+        max_results: maxResults
+      })
+    });
+    if (!response.ok) throw new WebSearchError('tavily', response.status, await response.text());
+    
+    const data = await response.json();
+    return (data.results || []).map(r => ({
+      title: r.title,
+      url: r.url,
+      snippet: r.content,
+      published: r.published_date || null
+    }));
+  }
+};
+
+const braveSearchProvider = {
+  name: 'brave',
+  isConfigured: () => !!process.env.BRAVE_SEARCH_API_KEY,
+  async search(query, { maxResults }) {
+    const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=${maxResults}`;
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'application/json',
+        'X-Subscription-Token': process.env.BRAVE_SEARCH_API_KEY
+      }
+    });
+    if (!response.ok) throw new WebSearchError('brave', response.status, await response.text());
+    
+    const data = await response.json();
+    return (data.web?.results || []).map(r => ({
+      title: r.title,
+      url: r.url,
+      // Brave подсвечивает совпадения тегами <strong>
+      snippet: (r.description || '').replace(/<[^>]+>/g, ''),
+      published: r.page_age || r.age || null
+    }));
+  }
+};
+
+const searxngSearchProvider = {
+  name: 'searxng',
+  isConfigured: () => !!process.env.SEARXNG_URL,
+  async search(query, { maxResults }) {
+    const base = process.env.SEARXNG_URL.replace(/\/+$/, '');
+    const response = await fetch(`${base}/search?q=${encodeURIComponent(query)}&format=json`, {
+      headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) throw new WebSearchError('searxng', response.status, await response.text());
     
-    case 'generate_image': {
-      return await executeGenerateImage(input, userId);
+    const data = await response.json();
+    return (data.results || []).slice(0, maxResults).map(r => ({
+      title: r.title,
+      url: r.url,
+      snippet: r.content,
+      published: r.publishedDate || null
+    }));
+  }
+};
+
+// Фикстуры: { "<подстрока запроса>": [{ title, url, snippet }], "*": [...] }
+const DEFAULT_WEB_SEARCH_FIXTURES = {
+  '*': [
+    { title: 'Example Domain', url: 'https://example.com/', snippet: 'This domain is for use in illustrative examples in documents.' },
+    { title: 'Example Domain (org)', url: 'https://example.org/', snippet: 'You may use this domain in literature without prior coordination or asking for permission.' }
+  ]
+};
+
+const fixtureSearchProvider = {
+  name: 'fixture',
+  // Только по явному выбору — в проде случайно не включится
+  isConfigured: () => process.env.WEB_SEARCH_PROVIDER === 'fixture',
+  async search(query, { maxResults }) {
+    let fixtures = DEFAULT_WEB_SEARCH_FIXTURES;
+    if (process.env.WEB_SEARCH_FIXTURES) {
+      try {
+        fixtures = JSON.parse(process.env.WEB_SEARCH_FIXTURES);
+      } catch (e) {
+        throw new WebSearchError('fixture', 'invalid_json', e.message);
+      }
     }
+    const q = query.toLowerCase();
+    const key = Object.keys(fixtures).find(k => k !== '*' && q.includes(k.toLowerCase()));
+    return (fixtures[key || '*'] || []).slice(0, maxResults);
+  }
+};
+
+const WEB_SEARCH_PROVIDERS = {
+  tavily: tavilySearchProvider,
+  brave: braveSearchProvider,
+  searxng: searxngSearchProvider,
+  fixture: fixtureSearchProvider
+};
+
+function getWebSearchProvider() {
+  const preferred = WEB_SEARCH_PROVIDERS[process.env.WEB_SEARCH_PROVIDER];
+  if (preferred?.isConfigured()) return preferred;
+  return ['tavily', 'brave', 'searxng'].map(name => WEB_SEARCH_PROVIDERS[name]).find(p => p.isConfigured()) || null;
+}
+
+// Пронумерованные source documents для модели и citation chips на клиенте
+function toSourceDocuments(results, startIndex) {
+  const seen = new Set();
+  return results
+    .filter(r => r?.url && /^https?:\/\//i.test(r.url) && !seen.has(r.url) && seen.add(r.url))
+    .slice(0, WEB_SEARCH_MAX_RESULTS)
+    .map((r, i) => ({
+      n: startIndex + i,
+      title: (r.title || r.url).slice(0, 200),
+      url: r.url,
+      snippet: (r.snippet || '').replace(/\s+/g, ' ').trim().slice(0, WEB_SEARCH_SNIPPET_CHARS),
+      published: r.published || null
+    }));
+}
+
+// ============================================
+// WEB SEARCH TOOL
+// ============================================
+async function executeWebSearch(input, requestState = {}) {
+  const query = typeof input.query === 'string' ? input.query.trim() : '';
+  if (!query) {
+    return { success: false, error: 'Empty search query', action: 'web_search' };
+  }
+  
+  const provider = getWebSearchProvider();
+  if (!provider) {
+    return { success: false, error: 'No web search provider configured', action: 'web_search' };
+  }
+  
+  try {
+    const results = await provider.search(query, {
+      depth: input.search_depth || 'basic',
+      maxResults: WEB_SEARCH_MAX_RESULTS
+    });
+    
+    const sources = toSourceDocuments(results, (requestState.citationCount || 0) + 1);
+    requestState.citationCount = (requestState.citationCount || 0) + sources.length;
+    
+    console.log(`[web_search] ${provider.name}: ${sources.length} sources for "${query.substring(0, 50)}"`);
     
-    case 'create_chart': {
-      return await executeCreateChart(input, userId, currentFeed);
+    return {
+      success: true,
+      action: 'web_search',
+      provider: provider.name,
+      query,
+      sources,
+      citation_format: 'Cite facts from these sources inline as [n] using the source "n". Do not invent sources.'
+    };
+  } catch (error) {
+    console.error('[web_search] Failed:', provider.name, error.message, error.details || '');
+    return { success: false, error: error.message, action: 'web_search' };
+  }
+}
+
+// ============================================
+// COMMAND EXECUTION (v4.34)
+// ============================================
+// Command drops с action_type email / telegram / webhook выполняет сервер:
+// адаптеры — js/command-executor.js, здесь — окружение (почта, токен бота,
+// секрет подписи) и журнал попыток.
+//
+// Запуск: action 'execute_command' от sw.js или приложения, когда срабатывает
+// напоминание. Один запуск = одно срабатывание (command_id + run_at): строка
+// attempt 0 в command_executions служит захватом, повторный вызов от второй
+// вкладки / SW получает duplicate и ничего не отправляет.
+//
+// Env: TELEGRAM_BOT_TOKEN, COMMAND_WEBHOOK_SECRET (из него выводится секрет
+// подписи каждого пользователя — см. action 'webhook_secret').
+
+const COMMAND_EXECUTIONS_SCHEMA = `
+-- Command execution log: one row per attempt, attempt 0 = claim of a run
+CREATE TABLE IF NOT EXISTS command_executions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  execution_id TEXT NOT NULL,
+  command_id TEXT NOT NULL,
+  user_id UUID NOT NULL,
+  run_at TIMESTAMPTZ NOT NULL,
+  action_type TEXT NOT NULL,
+  attempt INT NOT NULL,
+  outcome TEXT NOT NULL,
+  status TEXT,
+  code TEXT,
+  detail TEXT,
+  response_code INT,
+  provider_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (command_id, run_at, attempt)
+);
+
+CREATE INDEX IF NOT EXISTS command_executions_user_idx ON command_executions (user_id, created_at DESC);
+
+ALTER TABLE command_executions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users read own command executions" ON command_executions FOR SELECT USING (auth.uid() = user_id);
+`;
+
+// Куда отправлять — фиксируется при создании команды
+function resolveCommandTarget(actionType, recipient, userEmail, askiKnowledge) {
+  const value = typeof recipient === 'string' ? recipient.trim() : '';
+  
+  if (actionType === 'email') {
+    const to = resolveEmailAddress(value || 'me', userEmail, askiKnowledge);
+    return to ? { to } : {};
+  }
+  if (actionType === 'telegram' && /^(-?\d+|@[A-Za-z0-9_]{5,})$/.test(value)) {
+    return { chat_id: value };
+  }
+  if (actionType === 'webhook' && /^https:\/\/\S+$/i.test(value)) {
+    return { url: value };
+  }
+  return {};
+}
+
+// Секрет подписи webhook конкретного пользователя: HMAC(COMMAND_WEBHOOK_SECRET, user_id)
+async function getWebhookSecret(userId) {
+  const master = process.env.COMMAND_WEBHOOK_SECRET;
+  if (!master || !userId) return null;
+  
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(master),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`webhook:${userId}`));
+  return 'whsec_' + [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Попытка → command_executions. Для attempt 0: true — run захвачен, false — уже захвачен,
+// null — журнал недоступен (без журнала не выполняем: нечем отсечь повтор)
+async function recordCommandAttempt(row) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_KEY) return null;
+  
+  try {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/command_executions`, {
+      method: 'POST',
+      headers: emailLogHeaders(SUPABASE_KEY, 'resolution=ignore-duplicates,return=representation'),
+      body: JSON.stringify({
+        ...row,
+        detail: row.detail ? String(row.detail).slice(0, 500) : null
+      })
+    });
+    if (!response.ok) {
+      console.error('[Command Log] Insert failed:', response.status, await response.text());
+      return null;
+    }
+    const rows = await response.json();
+    return rows.length > 0;
+  } catch (err) {
+    console.error('[Command Log] Insert failed:', err.message);
+    return null;
+  }
+}
+
+async function loadCommandDrop(commandId, userId, key) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/command_drops?id=eq.${encodeURIComponent(commandId)}&user_id=eq.${encodeURIComponent(userId)}&select=*`,
+    { headers: emailLogHeaders(key) }
+  );
+  if (!response.ok) return null;
+  const [cmd] = await response.json();
+  return cmd || null;
+}
+
+async function saveCommandOutcome(cmd, patch, key) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/command_drops?id=eq.${encodeURIComponent(cmd.id)}`,
+    {
+      method: 'PATCH',
+      headers: emailLogHeaders(key, 'return=minimal'),
+      body: JSON.stringify({ ...patch, updated_at: new Date().toISOString() })
     }
-    
-    case 'create_diagram': {
-      return await executeCreateDiagram(input, userId);
+  );
+  if (!response.ok) console.error('[execute_command] Status update failed:', response.status);
+}
+
+// Следующий запуск повторяющейся команды (как getNextRun в sw.js)
+function nextCommandRun(cmd) {
+  if (!cmd.schedule_rule) return null;
+  const timeZone = DropLitTime.normalizeTimeZone(cmd.action_params?.timezone || cmd.timezone);
+  const from = Math.max(Date.now(), new Date(cmd.scheduled_at).getTime() || 0);
+  const next = DropLitCron.nextRun(cmd.schedule_rule, { from, timeZone });
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Execute a due command drop through its adapter.
+ * commandId — команда из command_drops; command — локальная (local_only) команда с устройства.
+ * Статусу и approval из тела запроса не верим: локальная команда проходит Level 4
+ * здесь, а подтверждение хранится только в command_drops — всё, что требует
+ * подтверждения (email / telegram / webhook), исполняется только по commandId.
+ * Returns { success, status, execution, next_run } or { skipped | duplicate | blocked }.
+ */
+async function executeCommandDrop({ commandId, command }, userId, auth) {
+  const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  
+  if (!SUPABASE_KEY) return { success: false, error: 'Command storage not configured' };
+  
+  let cmd;
+  if (commandId) {
+    cmd = await loadCommandDrop(commandId, userId, SUPABASE_KEY);
+    if (!cmd) return { success: false, error: 'Command not found' };
+  } else if (command && typeof command === 'object' && command.id) {
+    const { status, approval, approved_at, ...fields } = command;
+    cmd = { ...fields, id: String(command.id), status: 'pending', storage_type: 'local' };
+  } else {
+    return { success: false, error: 'commandId is required' };
+  }
+  
+  if (!DropLitExecutor.isRemote(cmd.action_type)) {
+    return { success: true, skipped: true, reason: 'LOCAL_ACTION', action_type: cmd.action_type || 'push' };
+  }
+  
+  // Level 4 на сервере для локальной команды: подтвердить её негде, поэтому не исполняем
+  if (!commandId) {
+    const approval = CommandValidator.checkApproval(cmd, { addressBook: '', recentCommands: 0 });
+    if (approval.required) {
+      console.warn('[execute_command] Local command needs approval:', cmd.id, approval.rules.map(r => r.code).join(','));
+      return { success: false, blocked: true, reason: 'APPROVAL_REQUIRED', status: 'awaiting_approval', approval_reason: approval.reason };
     }
-    
-    default:
-      return { success: false, error: `Unknown tool: ${toolName}` };
   }
+  
+  // Level 5 guard — как в sw.js: сервер мог уже пометить срабатывание (только для строк command_drops)
+  const verdict = CommandValidator.guardExecution(cmd, {
+    acceptStatuses: commandId ? ['pending', 'in_progress', 'executed'] : ['pending']
+  });
+  if (!verdict.valid) {
+    const reason = verdict.errors[0]?.code || 'BLOCKED';
+    console.warn('[execute_command] Blocked:', cmd.id, reason);
+    return { success: false, blocked: true, reason, status: cmd.status };
+  }
+  
+  const runAt = new Date(cmd.scheduled_at).toISOString();
+  const executionId = crypto.randomUUID();
+  const logBase = {
+    execution_id: executionId,
+    command_id: cmd.id,
+    user_id: userId,
+    run_at: runAt,
+    action_type: cmd.action_type
+  };
+  
+  const claimed = await recordCommandAttempt({ ...logBase, attempt: 0, outcome: 'claimed' });
+  if (claimed === null) {
+    return { success: false, error: 'Command execution log unavailable' };
+  }
+  if (!claimed) {
+    console.log('[execute_command] Already running/ran:', cmd.id, runAt);
+    return { success: true, duplicate: true, execution: cmd.action_params?.last_execution || null };
+  }
+  
+  const params = cmd.action_params || {};
+  // Отправитель — из профиля вошедшего пользователя; из сохранённого — только имя, заново очищенное
+  const sender = buildEmailSender(commandId ? params.sender?.displayName : null, auth, null);
+  
+  const execution = await DropLitExecutor.execute(cmd, {
+    executionId,
+    telegramToken: process.env.TELEGRAM_BOT_TOKEN || null,
+    webhookSecret: await getWebhookSecret(userId),
+    sendEmail: ({ to, subject, content }) => deliverEmail({
+      to,
+      subject,
+      template: 'message',
+      vars: { content },
+      sender,
+      userId
+    }),
+    onAttempt: (entry) => recordCommandAttempt({
+      ...logBase,
+      attempt: entry.attempt,
+      outcome: entry.outcome,
+      status: entry.status,
+      code: entry.code || null,
+      detail: entry.detail || null,
+      response_code: entry.response_code || null,
+      provider_id: entry.provider_id || null
+    })
+  });
+  
+  const summary = DropLitExecutor.summarize(execution);
+  const failed = execution.status === 'failed';
+  const nextRun = nextCommandRun(cmd);
+  const status = nextRun ? 'pending' : (failed ? 'failed' : 'executed');
+  
+  console.log(`[execute_command] ${cmd.action_type}: ${execution.status} after ${execution.attempts.length} attempt(s)`, cmd.id);
+  
+  if (commandId) {
+    await saveCommandOutcome(cmd, {
+      status,
+      ...(nextRun ? { scheduled_at: nextRun } : {}),
+      last_executed_at: execution.finished_at,
+      action_params: { ...params, last_execution: summary }
+    }, SUPABASE_KEY);
+  }
+  
+  return {
+    success: !failed,
+    command_id: cmd.id,
+    status,
+    next_run: nextRun,
+    execution: summary
+  };
+}
+
+// ============================================
+// REQUESTED TIME CHECK (v4.36)
+// ============================================
+// trigger_at считает модель. Level 3 валидатора разбирает последнюю реплику
+// пользователя (js/date-parser.js) и сверяет: расхождение → ошибка инструмента
+// с разобранным временем, модель исправляет. Повтор того же trigger_at в этом
+// же запросе принимаем — парсер мог понять фразу не так.
+
+function latestUserText(messages = []) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.role !== 'user') continue;
+    if (typeof message.content === 'string') return message.content;
+    const textBlock = (message.content || []).find(block => block.type === 'text');
+    if (textBlock) return textBlock.text;
+  }
+  return null;
+}
+
+function checkRequestedTime(input, scheduledAt, recurrence, timezone, userLocale, requestState = {}) {
+  if (!requestState.userRequest) return null;
+  
+  const key = `${input.trigger_at || ''}|${input.cron_expression || ''}`;
+  requestState.confirmedTimes = requestState.confirmedTimes || [];
+  if (requestState.confirmedTimes.includes(key)) return null;
+  
+  const check = CommandValidator.checkContext({
+    title: input.name,
+    scheduled_at: scheduledAt,
+    trigger_at: input.trigger_at || null,
+    schedule_rule: recurrence?.cron || null,
+    timezone
+  }, requestState.userRequest);
+  if (!check.blocked) return null;
+  
+  const issue = check.errors[0];
+  if (!issue.details?.requested) return null;
+  requestState.confirmedTimes.push(key);
+  
+  const requestedLocal = DropLitTime.format(issue.details.requested, { timeZone: timezone, locale: userLocale, style: 'full' });
+  const createdLocal = DropLitTime.format(scheduledAt, { timeZone: timezone, locale: userLocale, style: 'full' });
+  console.log(`[create_event] ${issue.code}: "${issue.details.matched}" → ${requestedLocal}, trigger_at → ${createdLocal}`);
+  
+  const problem = issue.code === 'RECURRENCE_MISSING'
+    ? `the user asked for a recurring reminder "${issue.details.matched}" (cron ${issue.details.requested_cron}), but this event fires once. Use trigger_type "cron"`
+    : `the user said "${issue.details.matched}" (${requestedLocal}), but this event is scheduled for ${createdLocal}. Fix trigger_at / cron_expression`;
+  
+  return {
+    success: false,
+    action: 'create_event',
+    error: `${issue.code}: ${problem}, or repeat the same call if the user really meant this.`,
+    requested: {
+      local: DropLitTime.toZoned(issue.details.requested, timezone).local,
+      kind: issue.details.requested_kind,
+      cron: issue.details.requested_cron || null,
+      display: requestedLocal
+    }
+  };
 }
 
 // ============================================
 // CREATE EVENT HANDLER → COMMAND DROPS v2.0
 // ============================================
-async function handleCreateEvent(input, userId) {
+async function handleCreateEvent(input, userId, userTimezone = 'UTC', askiKnowledge = '', userEmail = null, emailSender = null, userLocale = DropLitTime.DEFAULT_LOCALE, requestState = {}) {
   const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
   
   // Generate local ID for fallback
@@ -1559,34 +3153,89 @@ async function handleCreateEvent(input, userId) {
       return { success: false, error: 'Event name is required', action: 'create_event' };
     }
     
-    // Calculate scheduled_at
+    // Recurring events: cron is evaluated in the user's timezone
+    const isRecurring = input.trigger_type === 'cron';
+    const timezone = DropLitTime.normalizeTimeZone(userTimezone);
+    let recurrence = null;
+    
+    if (isRecurring) {
+      const cronCheck = DropLitCron.validate(input.cron_expression);
+      if (!cronCheck.valid) {
+        return {
+          success: false,
+          action: 'create_event',
+          error: `Invalid cron_expression "${input.cron_expression || ''}": ${cronCheck.error}`
+        };
+      }
+      recurrence = buildRecurrence(input.cron_expression, timezone, 5, Date.now(), userLocale);
+      if (!recurrence.next_runs.length) {
+        return { success: false, action: 'create_event', error: 'Cron expression never fires' };
+      }
+    }
+    
+    // Calculate scheduled_at — instant in UTC; trigger_at без смещения = часы пользователя
     let scheduledAt;
-    if (input.trigger_type === 'datetime' && input.trigger_at) {
-      scheduledAt = input.trigger_at;
-    } else if (input.trigger_type === 'cron') {
-      // For cron, calculate next occurrence (simplified - use current time + 1 hour as placeholder)
-      scheduledAt = new Date(Date.now() + 3600000).toISOString();
+    if (isRecurring) {
+      scheduledAt = recurrence.next_runs[0];
     } else if (!input.trigger_at) {
       // Default 1 hour if no time specified
       scheduledAt = new Date(Date.now() + 3600000).toISOString();
     } else {
-      scheduledAt = input.trigger_at;
+      const triggerAt = DropLitTime.toInstant(input.trigger_at, timezone);
+      if (!triggerAt) {
+        return { success: false, action: 'create_event', error: `Invalid trigger_at "${input.trigger_at}"` };
+      }
+      scheduledAt = triggerAt.toISOString();
     }
     
+    // v4.36: время против слов пользователя (validator Level 3)
+    const timeMismatch = checkRequestedTime(input, scheduledAt, recurrence, timezone, userLocale, requestState);
+    if (timeMismatch) return timeMismatch;
+    
     // Map action_type
     const actionType = input.action_type || 'push';
     
-    // Format time for display
-    const scheduledDate = new Date(scheduledAt);
-    const timeStr = scheduledDate.toLocaleTimeString('ru-RU', { 
-      hour: '2-digit', 
-      minute: '2-digit',
-      timeZone: 'UTC'
-    });
+    // v4.34: адрес / chat_id / url фиксируются сейчас — выполняет сервер (COMMAND EXECUTION)
+    const deliveryParams = DropLitExecutor.isRemote(actionType)
+      ? {
+          ...resolveCommandTarget(actionType, input.recipient, userEmail, askiKnowledge),
+          ...(actionType === 'email' && emailSender ? { sender: emailSender } : {})
+        }
+      : {};
+    if (DropLitExecutor.isRemote(actionType) && !deliveryParams.to && !deliveryParams.chat_id && !deliveryParams.url) {
+      const expected = { email: 'email address or contact name', telegram: 'chat id (number or @channel)', webhook: 'https:// URL' };
+      return {
+        success: false,
+        action: 'create_event',
+        error: `Cannot resolve recipient "${input.recipient || ''}" for ${actionType}: expected ${expected[actionType]}`
+      };
+    }
+    
+    // Format time for display — in the user's zone and locale
+    const timeStr = DropLitTime.format(scheduledAt, { timeZone: timezone, locale: userLocale, style: 'time' });
+    const scheduledLocal = DropLitTime.format(scheduledAt, { timeZone: timezone, locale: userLocale, style: 'full' });
+    
+    // Level 4 APPROVAL: high-risk actions, unknown recipients, bursts
+    const approvalCommand = {
+      title: input.name,
+      sense_type: 'reminder',
+      action_type: actionType,
+      action_params: { recipient: input.recipient }
+    };
     
     // If no Supabase or userId, create local-only command drop
     if (!SUPABASE_KEY || !userId) {
       console.log('[create_event] No Supabase/userId - creating local-only command drop');
+      // email / telegram / webhook всегда требуют Level 4 подтверждения, а хранится оно
+      // только в command_drops — локальную такую команду execute_command не исполнит никогда
+      if (DropLitExecutor.isRemote(actionType)) {
+        return {
+          success: false,
+          action: 'create_event',
+          error: `Cannot schedule ${actionType} without cloud sync: it needs approval stored on the server. Sign in, or create a push reminder instead`
+        };
+      }
+      const localApproval = CommandValidator.checkApproval(approvalCommand, { addressBook: askiKnowledge, recentCommands: 0 });
       
       return { 
         success: true, 
@@ -1597,7 +3246,10 @@ async function handleCreateEvent(input, userId) {
           name: input.name,
           trigger_at: scheduledAt,
           scheduled_time: timeStr,
+          scheduled_local: scheduledLocal,
+          timezone,
           action_type: actionType,
+          recurrence,
           creator: 'aski'
         },
         command: {
@@ -1605,7 +3257,14 @@ async function handleCreateEvent(input, userId) {
           title: input.name,
           scheduled_at: scheduledAt,
           scheduled_time: timeStr,
-          status: 'pending',
+          scheduled_local: scheduledLocal,
+          schedule_rule: recurrence?.cron || null,
+          timezone,
+          action_type: actionType,
+          action_params: { timezone, recipient: input.recipient || null, ...deliveryParams },
+          recipient: input.recipient || null,
+          status: localApproval.status,
+          approval_reason: localApproval.reason || null,
           creator: 'aski'
         }
       };
@@ -1631,14 +3290,17 @@ async function handleCreateEvent(input, userId) {
       // Classification
       relation_type: 'user',
       sense_type: senseType,
-      runtime_type: input.trigger_type === 'cron' ? 'scripted' : 'scheduled',
+      runtime_type: isRecurring ? 'scripted' : 'scheduled',
       
       // Execution
       scheduled_at: scheduledAt,
-      schedule_rule: input.trigger_type === 'cron' ? input.cron_expression : null,
+      schedule_rule: isRecurring ? recurrence.cron : null,
       action_type: actionType,
       action_params: {
         priority: input.priority || 5,
+        timezone,
+        recipient: input.recipient || null,
+        ...deliveryParams,
         original_input: input
       },
       
@@ -1727,6 +3389,16 @@ async function handleCreateEvent(input, userId) {
     console.log('[create_event] ✓ Validation PASSED');
     // === END COMMAND VALIDATOR ===
     
+    // Level 4 APPROVAL — command is stored but not executed until the user confirms
+    const recentCommands = await countRecentCommands(userId, SUPABASE_KEY);
+    const approval = CommandValidator.checkApproval(approvalCommand, { addressBook: askiKnowledge, recentCommands });
+    if (approval.required) {
+      commandData.status = 'awaiting_approval';
+      commandData.approval = 'required';
+      commandData.action_params.approval_rules = approval.rules.map(r => r.code);
+      console.log('[create_event] ⏳ Approval required:', approval.reason);
+    }
+    
     // Insert into command_drops table
     const response = await fetch(`${SUPABASE_URL}/rest/v1/command_drops`, {
       method: 'POST',
@@ -1759,7 +3431,10 @@ async function handleCreateEvent(input, userId) {
         name: input.name,
         trigger_at: scheduledAt,
         scheduled_time: timeStr,
+        scheduled_local: scheduledLocal,
+        timezone,
         action_type: actionType,
+        recurrence,
         creator: 'aski'
       },
       // Also return for frontend display
@@ -1768,7 +3443,13 @@ async function handleCreateEvent(input, userId) {
         title: input.name,
         scheduled_at: scheduledAt,
         scheduled_time: timeStr,
-        status: 'pending',
+        scheduled_local: scheduledLocal,
+        schedule_rule: recurrence?.cron || null,
+        timezone,
+        action_type: actionType,
+        recipient: input.recipient || null,
+        status: commandData.status,
+        approval_reason: approval.reason || null,
         creator: 'aski'
       }
     };
@@ -1779,6 +3460,43 @@ async function handleCreateEvent(input, userId) {
   }
 }
 
+// Commands created by the user in the approval burst window
+async function countRecentCommands(userId, serviceKey) {
+  try {
+    const since = new Date(Date.now() - CommandValidator.config.BURST_WINDOW_MINUTES * 60000).toISOString();
+    const response = await fetch(
+      `${SUPABASE_URL}/rest/v1/command_drops?user_id=eq.${userId}&created_at=gte.${since}&select=id`,
+      {
+        headers: {
+          'apikey': serviceKey,
+          'Authorization': `Bearer ${serviceKey}`
+        }
+      }
+    );
+    if (!response.ok) return 0;
+    const rows = await response.json();
+    return rows.length;
+  } catch (e) {
+    console.warn('[create_event] Could not count recent commands:', e.message);
+    return 0;
+  }
+}
+
+// ============================================
+// RECURRENCE HELPERS
+// ============================================
+
+// Next runs of a cron schedule, as ISO instants + local display strings
+function buildRecurrence(cronExpression, timezone, count = 5, from = Date.now(), locale = DropLitTime.DEFAULT_LOCALE) {
+  const runs = DropLitCron.nextRuns(cronExpression, count, { from, timeZone: timezone });
+  return {
+    cron: cronExpression,
+    timezone,
+    next_runs: runs.map(d => d.toISOString()),
+    next_runs_local: runs.map(d => DropLitTime.format(d, { timeZone: timezone, locale, style: 'full' }))
+  };
+}
+
 // ============================================
 // CANCEL EVENT TOOL
 // ============================================
@@ -1903,7 +3621,7 @@ async function executeCancelEvent(input, userId) {
 // ============================================
 // LIST EVENTS TOOL
 // ============================================
-async function executeListEvents(input, userId) {
+async function executeListEvents(input, userId, userTimezone = 'UTC', userLocale = DropLitTime.DEFAULT_LOCALE) {
   try {
     console.log('[list_events] Listing events for user:', userId);
     
@@ -1945,19 +3663,22 @@ async function executeListEvents(input, userId) {
     console.log('[list_events] Found', events.length, 'events');
     
     // Format events for display
-    const formattedEvents = events.map(e => ({
-      id: e.id,
-      title: e.title,
-      scheduled_at: e.scheduled_at,
-      scheduled_time: new Date(e.scheduled_at).toLocaleString('ru-RU', {
-        day: 'numeric',
-        month: 'short',
-        hour: '2-digit',
-        minute: '2-digit'
-      }),
-      status: e.status,
-      action_type: e.action_type
-    }));
+    // Times in the zone the event was created in (recurring) / the user's zone now
+    const formattedEvents = events.map(e => {
+      const timezone = DropLitTime.normalizeTimeZone(e.action_params?.timezone || userTimezone);
+      return {
+        id: e.id,
+        title: e.title,
+        scheduled_at: e.scheduled_at,
+        scheduled_time: DropLitTime.format(e.scheduled_at, { timeZone: timezone, locale: userLocale }),
+        timezone,
+        status: e.status,
+        action_type: e.action_type,
+        recurrence: e.schedule_rule
+          ? buildRecurrence(e.schedule_rule, timezone, 5, Date.now(), userLocale)
+          : null
+      };
+    });
     
     return {
       success: true,
@@ -1990,8 +3711,7 @@ async function executeDeleteDrop(input, userId) {
     action: 'delete_drop',
     deleted_id: dropId,
     local_id: dropId,
-    sync_local: true,
-    message: 'Удалено'
+    sync_local: true
   };
 }
 
@@ -2025,7 +3745,7 @@ async function executeUpdateDrop(input, userId) {
 // ============================================
 // UPDATE EVENT - Modify reminder/scheduled event
 // ============================================
-async function executeUpdateEvent(input, userId) {
+async function executeUpdateEvent(input, userId, userTimezone = 'UTC', userLocale = DropLitTime.DEFAULT_LOCALE) {
   try {
     console.log('[update_event] Updating event for user:', userId);
     
@@ -2072,8 +3792,15 @@ async function executeUpdateEvent(input, userId) {
     if (input.new_title) {
       updateData.title = input.new_title;
     }
+    // new_time без смещения — часы в поясе события
+    const eventTimezone = DropLitTime.normalizeTimeZone(eventToUpdate.action_params?.timezone || userTimezone);
+    let newTime = null;
     if (input.new_time) {
-      updateData.scheduled_at = input.new_time;
+      newTime = DropLitTime.toInstant(input.new_time, eventTimezone);
+      if (!newTime) {
+        return { success: false, error: `Invalid new_time "${input.new_time}"`, action: 'update_event' };
+      }
+      updateData.scheduled_at = newTime.toISOString();
     }
     if (input.new_description) {
       updateData.content = input.new_description;
@@ -2101,11 +3828,8 @@ async function executeUpdateEvent(input, userId) {
     // Format response
     const changes = [];
     if (input.new_title) changes.push(`title → "${input.new_title}"`);
-    if (input.new_time) {
-      const newTimeStr = new Date(input.new_time).toLocaleString('ru-RU', {
-        day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
-      });
-      changes.push(`time → ${newTimeStr}`);
+    if (newTime) {
+      changes.push(`time → ${DropLitTime.format(newTime, { timeZone: eventTimezone, locale: userLocale })}`);
     }
     if (input.new_description) changes.push(`description updated`);
     
@@ -2572,67 +4296,434 @@ async function executeCreateChart(input, userId, currentFeed = []) {
   };
 }
 
-// Helper: parse Russian date format
-function parseRuDate(dateStr) {
-  if (!dateStr) return new Date(0);
-  const parts = dateStr.split('.');
-  if (parts.length !== 3) return new Date(0);
-  const [d, m, y] = parts.map(Number);
-  return new Date(y, m - 1, d);
+// ============================================
+// CREATE DIAGRAM → Mermaid.js Visualization (v4.24)
+// ============================================
+async function executeCreateDiagram(input, userId) {
+  console.log('[create_diagram] Input:', JSON.stringify(input).slice(0, 500));
+  
+  const title = input.title || 'Diagram';
+  const diagramType = input.diagram_type || 'flowchart';
+  const code = input.code || '';
+  const theme = input.theme || 'default';
+  
+  // Validate Mermaid code - should start with diagram type keyword
+  const validStarts = ['flowchart', 'graph', 'sequenceDiagram', 'classDiagram', 'stateDiagram', 
+                       'erDiagram', 'gantt', 'mindmap', 'pie', 'block', 'timeline', 
+                       'quadrantChart', 'gitGraph', 'journey', 'C4Context'];
+  
+  const codeStart = code.trim().split(/[\s\n]/)[0].toLowerCase();
+  const isValid = validStarts.some(s => codeStart.startsWith(s.toLowerCase()));
+  
+  if (!code || !isValid) {
+    console.log('[create_diagram] Invalid code - does not start with diagram type');
+    return {
+      success: false,
+      action: 'create_diagram',
+      error: 'Invalid Mermaid code: must start with diagram type (flowchart, sequenceDiagram, etc)'
+    };
+  }
+  
+  // Add theme config if not default
+  let finalCode = code.trim();
+  if (theme !== 'default') {
+    // Prepend theme directive
+    finalCode = `%%{init: {'theme': '${theme}'}}%%\n${finalCode}`;
+  }
+  
+  console.log('[create_diagram] Final code length:', finalCode.length);
+  console.log('[create_diagram] Type:', diagramType, 'Theme:', theme);
+  
+  // Return diagram data for client-side rendering
+  // Client will render using Mermaid.js in browser (fully private!)
+  return {
+    success: true,
+    action: 'create_diagram',
+    title: title,
+    diagramType: diagramType,
+    code: finalCode,
+    theme: theme
+  };
+}
+
+// ============================================
+// LLM PROVIDERS (v4.25)
+// ============================================
+// Один интерфейс для всех LLM бэкендов. Внутри ai.js сообщения и тулы
+// остаются в формате Anthropic Messages (text / image / tool_use / tool_result),
+// провайдер переводит их в свой формат и обратно.
+//
+//   provider.isConfigured()          → есть ли ключ / endpoint в env
+//   provider.complete(request)       → { content, stopReason, usage }
+//   provider.stream(request)         → async generator нормализованных событий:
+//     { type: 'text', text }                    — дельта текста
+//     { type: 'tool_start', id, name }          — модель начала вызов тула
+//     { type: 'tool_use', id, name, input }     — вызов тула целиком (JSON собран)
+//     { type: 'usage', inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens } — суммировать
+//     { type: 'stop', stopReason }              — 'end_turn' | 'tool_use' | 'max_tokens'
+//
+//   request = { model, system, messages, maxTokens, tools? }
+//   system — строка или массив text-блоков (cache_control понимает только Anthropic)
+//   usage  — { input_tokens (без кэша), output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+//
+// Провайдеры:
+//   anthropic — api.anthropic.com (ANTHROPIC_API_KEY)
+//   openai    — любой OpenAI-compatible /chat/completions
+//               (OPENAI_API_KEY, OPENAI_BASE_URL — по умолчанию api.openai.com)
+//   local     — Ollama (http://host:11434/v1) или llama.cpp server (http://host:8080/v1)
+//               через их OpenAI-compatible API (LOCAL_LLM_URL, LOCAL_LLM_API_KEY опционально)
+// Ошибки HTTP бросаются как LLMProviderError.
+
+class LLMProviderError extends Error {
+  constructor(provider, status, details = '') {
+    super(`${provider} API error: ${status}`);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// --- Anthropic Messages API ---
+const anthropicProvider = {
+  name: 'anthropic',
+
+  isConfigured() {
+    return !!process.env.ANTHROPIC_API_KEY;
+  },
+
+  async request(body) {
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      throw new LLMProviderError('anthropic', response.status, await response.text());
+    }
+    return response;
+  },
+
+  buildBody({ model, system, messages, maxTokens, tools }, stream) {
+    const body = { model, max_tokens: maxTokens, messages, stream };
+    if (system) body.system = system;
+    if (tools?.length) {
+      body.tools = tools;
+      body.tool_choice = { type: 'auto' };
+    }
+    return body;
+  },
+
+  async complete(req) {
+    const response = await this.request(this.buildBody(req, false));
+    const data = await response.json();
+    return {
+      content: data.content || [],
+      stopReason: data.stop_reason || 'end_turn',
+      usage: {
+        input_tokens: data.usage?.input_tokens || 0,
+        output_tokens: data.usage?.output_tokens || 0,
+        cache_creation_input_tokens: data.usage?.cache_creation_input_tokens || 0,
+        cache_read_input_tokens: data.usage?.cache_read_input_tokens || 0
+      }
+    };
+  },
+
+  async *stream(req) {
+    const response = await this.request(this.buildBody(req, true));
+    let toolUse = null;
+    let inputBuffer = '';
+    let stopReason = 'end_turn';
+
+    for await (const event of parseSSEStream(response)) {
+      if (event.type === 'done') break;
+
+      if (event.type === 'message_start' && event.message?.usage) {
+        const usage = event.message.usage;
+        yield {
+          type: 'usage',
+          inputTokens: usage.input_tokens || 0,
+          outputTokens: 0,
+          cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+          cacheReadTokens: usage.cache_read_input_tokens || 0
+        };
+      }
+
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        toolUse = { id: event.content_block.id, name: event.content_block.name };
+        inputBuffer = '';
+        yield { type: 'tool_start', id: toolUse.id, name: toolUse.name };
+      }
+
+      if (event.type === 'content_block_delta') {
+        if (event.delta?.type === 'text_delta' && event.delta.text) {
+          yield { type: 'text', text: event.delta.text };
+        } else if (event.delta?.type === 'input_json_delta') {
+          inputBuffer += event.delta.partial_json || '';
+        }
+      }
+
+      if (event.type === 'content_block_stop' && toolUse) {
+        yield { type: 'tool_use', ...toolUse, input: parseToolArguments(inputBuffer, toolUse.name) };
+        toolUse = null;
+        inputBuffer = '';
+      }
+
+      if (event.type === 'message_delta') {
+        if (event.delta?.stop_reason) stopReason = event.delta.stop_reason;
+        if (event.usage?.output_tokens) {
+          yield { type: 'usage', inputTokens: 0, outputTokens: event.usage.output_tokens };
+        }
+      }
+
+      if (event.type === 'error') {
+        throw new LLMProviderError('anthropic', event.error?.type || 'stream', event.error?.message || '');
+      }
+    }
+
+    yield { type: 'stop', stopReason };
+  }
+};
+
+// --- OpenAI-compatible /chat/completions (OpenAI, Ollama, llama.cpp, vLLM...) ---
+const OPENAI_FINISH_REASONS = {
+  stop: 'end_turn',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  length: 'max_tokens'
+};
+
+function createOpenAICompatibleProvider({ name, baseUrlEnv, defaultBaseUrl = null, apiKeyEnv, requiresKey, maxTokensField }) {
+  const getBaseUrl = () => (process.env[baseUrlEnv] || defaultBaseUrl || '').replace(/\/+$/, '');
+
+  return {
+    name,
+
+    isConfigured() {
+      if (!getBaseUrl()) return false;
+      return !requiresKey || !!process.env[apiKeyEnv];
+    },
+
+    async request(body) {
+      const headers = { 'Content-Type': 'application/json' };
+      const key = process.env[apiKeyEnv];
+      if (key) headers['Authorization'] = `Bearer ${key}`;
+
+      const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw new LLMProviderError(name, response.status, await response.text());
+      }
+      return response;
+    },
+
+    buildBody({ model, system, messages, maxTokens, tools }, stream) {
+      const body = {
+        model,
+        messages: toOpenAIMessages(system, messages),
+        [maxTokensField]: maxTokens,
+        stream
+      };
+      if (stream) body.stream_options = { include_usage: true };
+      if (tools?.length) {
+        body.tools = tools.map(t => ({
+          type: 'function',
+          function: { name: t.name, description: t.description, parameters: t.input_schema }
+        }));
+        body.tool_choice = 'auto';
+      }
+      return body;
+    },
+
+    async complete(req) {
+      const response = await this.request(this.buildBody(req, false));
+      const data = await response.json();
+      const choice = data.choices?.[0] || {};
+      const message = choice.message || {};
+
+      const content = [];
+      if (message.content) content.push({ type: 'text', text: message.content });
+      for (const call of message.tool_calls || []) {
+        content.push({
+          type: 'tool_use',
+          id: call.id || `call_${content.length}`,
+          name: call.function?.name,
+          input: parseToolArguments(call.function?.arguments, call.function?.name)
+        });
+      }
+
+      // Ollama отдаёт finish_reason 'stop' даже когда есть tool_calls
+      const hasTools = content.some(b => b.type === 'tool_use');
+      return {
+        content,
+        stopReason: hasTools ? 'tool_use' : (OPENAI_FINISH_REASONS[choice.finish_reason] || 'end_turn'),
+        usage: openAIUsage(data.usage)
+      };
+    },
+
+    async *stream(req) {
+      const response = await this.request(this.buildBody(req, true));
+      const calls = new Map(); // index → { id, name, arguments }
+      let finishReason = null;
+      let usage = null;
+
+      for await (const chunk of parseSSEStream(response)) {
+        if (chunk.type === 'done') break;
+        if (chunk.usage) usage = chunk.usage;
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+
+        const delta = choice.delta || {};
+        if (delta.content) {
+          yield { type: 'text', text: delta.content };
+        }
+
+        for (const part of delta.tool_calls || []) {
+          const index = part.index ?? calls.size;
+          let call = calls.get(index);
+          if (!call) {
+            call = { id: part.id || `call_${index}`, name: part.function?.name || '', arguments: '' };
+            calls.set(index, call);
+            yield { type: 'tool_start', id: call.id, name: call.name };
+          }
+          call.arguments += part.function?.arguments || '';
+        }
+      }
+
+      // Аргументы приходят кусками — собираем вызовы в конце потока
+      const ordered = [...calls.entries()].sort((a, b) => a[0] - b[0]).map(([, call]) => call);
+      for (const call of ordered) {
+        yield { type: 'tool_use', id: call.id, name: call.name, input: parseToolArguments(call.arguments, call.name) };
+      }
+
+      if (usage) {
+        const normalized = openAIUsage(usage);
+        yield {
+          type: 'usage',
+          inputTokens: normalized.input_tokens,
+          outputTokens: normalized.output_tokens,
+          cacheWriteTokens: 0,
+          cacheReadTokens: normalized.cache_read_input_tokens
+        };
+      }
+
+      yield {
+        type: 'stop',
+        stopReason: ordered.length ? 'tool_use' : (OPENAI_FINISH_REASONS[finishReason] || 'end_turn')
+      };
+    }
+  };
+}
+
+// OpenAI кэширует префикс сам; cached_tokens входят в prompt_tokens
+function openAIUsage(usage) {
+  const cached = usage?.prompt_tokens_details?.cached_tokens || 0;
+  return {
+    input_tokens: Math.max((usage?.prompt_tokens || 0) - cached, 0),
+    output_tokens: usage?.completion_tokens || 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: cached
+  };
 }
 
-// ============================================
-// CREATE DIAGRAM → Mermaid.js Visualization (v4.24)
-// ============================================
-async function executeCreateDiagram(input, userId) {
-  console.log('[create_diagram] Input:', JSON.stringify(input).slice(0, 500));
-  
-  const title = input.title || 'Diagram';
-  const diagramType = input.diagram_type || 'flowchart';
-  const code = input.code || '';
-  const theme = input.theme || 'default';
-  
-  // Validate Mermaid code - should start with diagram type keyword
-  const validStarts = ['flowchart', 'graph', 'sequenceDiagram', 'classDiagram', 'stateDiagram', 
-                       'erDiagram', 'gantt', 'mindmap', 'pie', 'block', 'timeline', 
-                       'quadrantChart', 'gitGraph', 'journey', 'C4Context'];
-  
-  const codeStart = code.trim().split(/[\s\n]/)[0].toLowerCase();
-  const isValid = validStarts.some(s => codeStart.startsWith(s.toLowerCase()));
-  
-  if (!code || !isValid) {
-    console.log('[create_diagram] Invalid code - does not start with diagram type');
-    return {
-      success: false,
-      action: 'create_diagram',
-      error: 'Invalid Mermaid code: must start with diagram type (flowchart, sequenceDiagram, etc)'
-    };
+// Anthropic content blocks → OpenAI chat messages
+function toOpenAIMessages(system, messages) {
+  const result = [];
+  const systemText = Array.isArray(system) ? system.map(b => b.text).join('\n\n') : system;
+  if (systemText) result.push({ role: 'system', content: systemText });
+
+  for (const msg of messages) {
+    if (typeof msg.content === 'string') {
+      result.push({ role: msg.role, content: msg.content });
+      continue;
+    }
+
+    const blocks = msg.content || [];
+
+    if (msg.role === 'assistant') {
+      const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+      const toolCalls = blocks.filter(b => b.type === 'tool_use').map(b => ({
+        id: b.id,
+        type: 'function',
+        function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+      }));
+      const out = { role: 'assistant', content: text || null };
+      if (toolCalls.length) out.tool_calls = toolCalls;
+      result.push(out);
+      continue;
+    }
+
+    // user: tool_result → отдельные сообщения role 'tool', остальное — multipart content
+    const parts = [];
+    for (const block of blocks) {
+      if (block.type === 'tool_result') {
+        result.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: typeof block.content === 'string' ? block.content : JSON.stringify(block.content)
+        });
+      } else if (block.type === 'text') {
+        parts.push({ type: 'text', text: block.text });
+      } else if (block.type === 'image' && block.source?.type === 'base64') {
+        parts.push({
+          type: 'image_url',
+          image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+        });
+      }
+    }
+    if (parts.length) result.push({ role: 'user', content: parts });
   }
-  
-  // Add theme config if not default
-  let finalCode = code.trim();
-  if (theme !== 'default') {
-    // Prepend theme directive
-    finalCode = `%%{init: {'theme': '${theme}'}}%%\n${finalCode}`;
+
+  return result;
+}
+
+function parseToolArguments(raw, toolName) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw; // Ollama иногда отдаёт объект, а не строку
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error('[LLM] Failed to parse tool input for', toolName, ':', e.message);
+    return {};
   }
-  
-  console.log('[create_diagram] Final code length:', finalCode.length);
-  console.log('[create_diagram] Type:', diagramType, 'Theme:', theme);
-  
-  // Return diagram data for client-side rendering
-  // Client will render using Mermaid.js in browser (fully private!)
-  return {
-    success: true,
-    action: 'create_diagram',
-    title: title,
-    diagramType: diagramType,
-    code: finalCode,
-    theme: theme
-  };
+}
+
+const LLM_PROVIDERS = {
+  anthropic: anthropicProvider,
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresKey: true,
+    maxTokensField: 'max_completion_tokens'
+  }),
+  local: createOpenAICompatibleProvider({
+    name: 'local',
+    baseUrlEnv: 'LOCAL_LLM_URL',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    requiresKey: false,
+    maxTokensField: 'max_tokens'
+  })
+};
+
+function getProvider(modelConfig) {
+  return LLM_PROVIDERS[modelConfig?.provider] || LLM_PROVIDERS.anthropic;
 }
 
 // ============================================
-// PARSE SSE STREAM FROM CLAUDE
+// PARSE SSE STREAM (Anthropic и OpenAI-compatible)
 // ============================================
 async function* parseSSEStream(response) {
   const reader = response.body.getReader();
@@ -2667,26 +4758,20 @@ async function* parseSSEStream(response) {
 // ============================================
 // STREAMING CHAT WITH TOOLS (with cost tracking)
 // ============================================
-async function handleStreamingChatWithTools(apiKey, systemPrompt, messages, maxTokens, dropContext, writer, debugInfo = null, userId = null, modelConfig = null, currentFeed = [], userEmail = null, askiKnowledge = '') {
+async function handleStreamingChatWithTools(systemPrompt, messages, maxTokens, dropContext, writer, debugInfo = null, userId = null, modelConfig = null, currentFeed = [], userEmail = null, askiKnowledge = '', userTimezone = 'UTC', disabledTools = [], emailSender = null, userLocale = DropLitTime.DEFAULT_LOCALE) {
   const encoder = new TextEncoder();
   let toolResults = [];
-  let createDropAction = null;
-  let createEventAction = null;
-  let cancelEventAction = null;
-  let listEventsAction = null;
-  let deleteDropAction = null;
-  let updateDropAction = null;
-  let sendEmailAction = null;
-  let generateImageAction = null;
-  let createChartActions = [];  // v4.22: массив для множественных графиков
-  let createDiagramActions = [];  // v4.24: массив для диаграмм PlantUML
+  // Per-request tool context: сквозная нумерация источников web_search, отправитель писем,
+  // реплика пользователя для сверки времени create_event
+  const requestState = { citationCount: 0, emailSender, userLocale, userRequest: latestUserText(messages) };
   
   // Use provided model or default to Sonnet
-  const modelId = modelConfig?.id || AI_MODELS[DEFAULT_MODEL].id;
+  const model = modelConfig || AI_MODELS[DEFAULT_MODEL];
+  const modelId = model.id;
+  const provider = getProvider(model);
   
-  // Track total usage across all iterations (NEW)
-  let totalInputTokens = 0;
-  let totalOutputTokens = 0;
+  // Track total usage across all iterations (incl. prompt cache, v4.31)
+  const totalUsage = emptyUsage();
   
   // Helper to send SSE event to client
   const sendEvent = (data) => {
@@ -2695,117 +4780,55 @@ async function handleStreamingChatWithTools(apiKey, systemPrompt, messages, maxT
   
   // Tool loop - max 5 iterations
   for (let iteration = 0; iteration < 5; iteration++) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: modelId,
-        max_tokens: maxTokens,
-        system: systemPrompt,
-        messages,
-        tools: TOOLS,
-        tool_choice: { type: 'auto' },
-        stream: true
-      }),
-    });
-    
-    if (!response.ok) {
-      const error = await response.text();
-      sendEvent({ type: 'error', error: `API error: ${response.status}` });
-      break;
-    }
-    
     // Collect response data
     let currentTextContent = '';
-    let currentToolUse = null;
-    let toolUseInputBuffer = '';
     let stopReason = null;
     let contentBlocks = [];
-    let messageUsage = null; // Track usage for this iteration (NEW)
     
-    // Parse stream
-    for await (const event of parseSSEStream(response)) {
-      if (event.type === 'done') break;
-      
-      // Message start - contains usage info (NEW)
-      if (event.type === 'message_start') {
-        if (event.message?.usage) {
-          totalInputTokens += event.message.usage.input_tokens || 0;
-        }
-      }
-      
-      // Content block start
-      if (event.type === 'content_block_start') {
-        if (event.content_block?.type === 'text') {
-          currentTextContent = '';
-        } else if (event.content_block?.type === 'tool_use') {
-          currentToolUse = {
-            id: event.content_block.id,
-            name: event.content_block.name,
-            input: {}
-          };
-          toolUseInputBuffer = '';
-          // Notify client that tool is starting
-          sendEvent({ type: 'tool_start', tool: event.content_block.name });
-        }
+    const flushText = () => {
+      if (currentTextContent) {
+        contentBlocks.push({ type: 'text', text: currentTextContent });
+        currentTextContent = '';
       }
-      
-      // Content block delta
-      if (event.type === 'content_block_delta') {
-        if (event.delta?.type === 'text_delta') {
-          const text = event.delta.text || '';
-          currentTextContent += text;
+    };
+    
+    // Parse normalized provider stream (v4.25)
+    try {
+      for await (const event of provider.stream({
+        model: modelId,
+        system: systemPrompt,
+        messages,
+        maxTokens,
+        tools: DropLitTools.getSchemas(disabledTools)
+      })) {
+        if (event.type === 'text') {
+          currentTextContent += event.text;
           // Stream text to client immediately
-          if (text) {
-            sendEvent({ type: 'text', content: text });
-          }
-        } else if (event.delta?.type === 'input_json_delta') {
-          // Accumulate tool input JSON
-          toolUseInputBuffer += event.delta.partial_json || '';
-        }
-      }
-      
-      // Content block stop
-      if (event.type === 'content_block_stop') {
-        console.log('[Streaming] content_block_stop - currentTextContent:', currentTextContent?.length || 0, 'currentToolUse:', currentToolUse?.name || 'null');
-        if (currentTextContent) {
-          contentBlocks.push({ type: 'text', text: currentTextContent });
-          console.log('[Streaming] Added text block, total blocks:', contentBlocks.length);
-        }
-        if (currentToolUse) {
-          // Parse accumulated JSON input
-          try {
-            currentToolUse.input = JSON.parse(toolUseInputBuffer || '{}');
-            console.log('[Streaming] Parsed tool input for', currentToolUse.name, '- keys:', Object.keys(currentToolUse.input));
-          } catch (e) {
-            console.error('[Streaming] Failed to parse tool input:', e.message);
-            currentToolUse.input = {};
-          }
-          contentBlocks.push({
-            type: 'tool_use',
-            id: currentToolUse.id,
-            name: currentToolUse.name,
-            input: currentToolUse.input
+          sendEvent({ type: 'text', content: event.text });
+        } else if (event.type === 'tool_start') {
+          // Notify client that tool is starting
+          sendEvent({ type: 'tool_start', tool: event.name });
+        } else if (event.type === 'tool_use') {
+          flushText();
+          contentBlocks.push({ type: 'tool_use', id: event.id, name: event.name, input: event.input });
+          console.log('[Streaming] Added tool_use block:', event.name, '- keys:', Object.keys(event.input), 'total blocks:', contentBlocks.length);
+        } else if (event.type === 'usage') {
+          addUsage(totalUsage, {
+            input_tokens: event.inputTokens,
+            output_tokens: event.outputTokens,
+            cache_creation_input_tokens: event.cacheWriteTokens,
+            cache_read_input_tokens: event.cacheReadTokens
           });
-          console.log('[Streaming] Added tool_use block:', currentToolUse.name, 'total blocks:', contentBlocks.length);
-          currentToolUse = null;
-          toolUseInputBuffer = '';
-        }
-      }
-      
-      // Message delta (contains stop_reason and output tokens) (UPDATED)
-      if (event.type === 'message_delta') {
-        stopReason = event.delta?.stop_reason;
-        console.log('[Streaming] message_delta received! stop_reason:', stopReason);
-        if (event.usage?.output_tokens) {
-          totalOutputTokens += event.usage.output_tokens;
+        } else if (event.type === 'stop') {
+          stopReason = event.stopReason;
         }
       }
+    } catch (streamError) {
+      console.error('[Streaming] Provider error:', provider.name, streamError.message, streamError.details || '');
+      sendEvent({ type: 'error', error: streamError.message });
+      break;
     }
+    flushText();
     
     // Check if we need to execute tools
     console.log('[Streaming] stopReason:', stopReason, 'contentBlocks:', contentBlocks.length);
@@ -2840,7 +4863,7 @@ async function handleStreamingChatWithTools(apiKey, systemPrompt, messages, maxT
         try {
           console.log('[Tool] Executing:', toolBlock.name);
           console.log('[Tool] Input:', JSON.stringify(toolBlock.input).slice(0, 500));
-          toolResult = await executeTool(toolBlock.name, toolBlock.input, dropContext, userId, currentFeed, userEmail, askiKnowledge);
+          toolResult = await executeTool(toolBlock.name, toolBlock.input, dropContext, userId, currentFeed, userEmail, askiKnowledge, userTimezone, disabledTools, requestState);
           console.log('[Tool] Result for', toolBlock.name, ':', JSON.stringify({
             success: toolResult?.success,
             action: toolResult?.action,
@@ -2856,84 +4879,11 @@ async function handleStreamingChatWithTools(apiKey, systemPrompt, messages, maxT
         
         toolResults.push({ toolName: toolBlock.name, result: toolResult });
         
-        // Track create_drop action
-        if (toolBlock.name === 'create_drop' && toolResult?.action === 'create_drop') {
-          createDropAction = toolResult;
-          console.log('[create_drop] Tracked for frontend:', JSON.stringify(toolResult));
-        }
-        
-        // Track create_event action
-        if (toolBlock.name === 'create_event' && toolResult?.action === 'create_event') {
-          createEventAction = toolResult;
-          console.log('[create_event] Tracked for frontend:', JSON.stringify(toolResult));
-        }
-        
-        // DEBUG: Log if create_event was called but not tracked
-        if (toolBlock.name === 'create_event' && toolResult?.action !== 'create_event') {
-          console.warn('[create_event] NOT tracked - action was:', toolResult?.action, 'error:', toolResult?.error);
-        }
-        
-        // Track cancel_event action
-        if (toolBlock.name === 'cancel_event' && toolResult?.action === 'cancel_event') {
-          cancelEventAction = toolResult;
-        }
-        
-        // Track list_events action
-        if (toolBlock.name === 'list_events' && toolResult?.action === 'list_events') {
-          listEventsAction = toolResult;
-        }
-        
-        // Track delete_drop action (v4.17)
-        if (toolBlock.name === 'delete_drop') {
-          deleteDropAction = toolResult;
-        }
-        
-        // Track update_drop action (v4.17)
-        if (toolBlock.name === 'update_drop') {
-          updateDropAction = toolResult;
-        }
-        
-        // Track send_email action (v4.19)
-        if (toolBlock.name === 'send_email') {
-          sendEmailAction = toolResult;
-          console.log('[send_email] Tracked:', JSON.stringify(toolResult));
-        }
-        
-        // Track generate_image action (v4.20)
-        if (toolBlock.name === 'generate_image') {
-          generateImageAction = toolResult;
-          console.log('[generate_image] Tracked, image size:', toolResult?.image?.length || 0);
-        }
-        
-        // Track create_chart action (v4.22 - множественные графики)
-        if (toolBlock.name === 'create_chart') {
-          createChartActions.push(toolResult);
-          console.log('[create_chart] Tracked #' + createChartActions.length + ', chart type:', toolResult?.chartType, 'labels:', toolResult?.chartConfig?.data?.labels?.length || 0);
-          
-          // СРАЗУ отправляем график клиенту (не ждём done)
-          if (toolResult?.success && toolResult?.chartConfig) {
-            sendEvent({
-              type: 'chart_ready',
-              chart: toolResult
-            });
-          }
-        }
-        
-        // Track create_diagram action (v4.24 - Mermaid диаграммы)
-        if (toolBlock.name === 'create_diagram') {
-          createDiagramActions.push(toolResult);
-          console.log('[create_diagram] Tracked #' + createDiagramActions.length + ', type:', toolResult?.diagramType, 'code length:', toolResult?.code?.length || 0);
-          
-          // СРАЗУ отправляем диаграмму клиенту
-          if (toolResult?.success && toolResult?.code) {
-            console.log('[create_diagram] Sending diagram_ready event, code length:', toolResult.code.length);
-            sendEvent({
-              type: 'diagram_ready',
-              diagram: toolResult
-            });
-          } else {
-            console.log('[create_diagram] NOT sending diagram_ready - success:', toolResult?.success, 'hasCode:', !!toolResult?.code);
-          }
+        // СРАЗУ отправляем готовый результат клиенту (chart_ready, diagram_ready) — из реестра
+        const toolDef = DropLitTools.get(toolBlock.name);
+        if (toolDef?.readyEvent && toolResult?.success) {
+          console.log(`[${toolBlock.name}] Sending ${toolDef.readyEvent.type} event`);
+          sendEvent({ type: toolDef.readyEvent.type, [toolDef.readyEvent.key]: toolResult });
         }
         
         // Notify client about tool result
@@ -2967,47 +4917,38 @@ async function handleStreamingChatWithTools(apiKey, systemPrompt, messages, maxT
   // Log API cost (NEW) - wrapped in try/catch to never break the flow
   try {
     await logApiCost({
-      provider: 'anthropic',
+      provider: provider.name,
       model: modelId,
-      tokens_input: totalInputTokens,
-      tokens_output: totalOutputTokens,
+      tokens_input: totalUsage.input_tokens,
+      tokens_output: totalUsage.output_tokens,
+      tokens_cache_write: totalUsage.cache_creation_input_tokens,
+      tokens_cache_read: totalUsage.cache_read_input_tokens,
       user_id: userId,
       action: 'chat'
     });
     // Deduct tokens from user balance
-    await deductUserTokens(userId, totalInputTokens, totalOutputTokens, 'chat');
+    await deductUserTokens(userId, billableInputTokens(totalUsage), totalUsage.output_tokens, 'chat');
   } catch (costErr) {
     console.error('[Cost Log] Failed in streaming:', costErr.message);
   }
   
-  // Log generateImage state before sending done
-  console.log('[Streaming] generateImageAction before done:', generateImageAction ? {
-    success: generateImageAction.success,
-    action: generateImageAction.action,
-    error: generateImageAction.error,
-    hasImage: !!generateImageAction.image,
-    imageLength: generateImageAction.image?.length || 0
-  } : 'null');
+  if (debugInfo) {
+    debugInfo.promptCache = {
+      writeTokens: totalUsage.cache_creation_input_tokens,
+      readTokens: totalUsage.cache_read_input_tokens
+    };
+  }
   
-  // Log createChart state before sending done (v4.22 - массив)
-  console.log('[Streaming] createChartActions before done:', createChartActions.length, 'charts');
-  console.log('[Streaming] createDiagramActions before done:', createDiagramActions.length, 'diagrams');
+  // Tool results → done fields by registry resultKey (createDrop, createCharts...)
+  const collected = DropLitTools.collectResults(toolResults);
+  console.log('[Streaming] Results before done:', Object.keys(collected).filter(k => Array.isArray(collected[k]) ? collected[k].length : collected[k]).join(', ') || 'none');
   
   // Send final event with metadata AND debug info
   sendEvent({ 
     type: 'done',
     toolsUsed: toolResults.map(t => t.toolName),
-    createDrop: createDropAction,
-    createEvent: createEventAction,
-    cancelEvent: cancelEventAction,
-    listEvents: listEventsAction,
-    deleteDrop: deleteDropAction,
-    updateDrop: updateDropAction,
-    sendEmail: sendEmailAction,
-    generateImage: generateImageAction,
-    createCharts: createChartActions,  // v4.22: массив графиков
-    createDiagrams: createDiagramActions,  // v4.24: массив диаграмм
-    usage: { input_tokens: totalInputTokens, output_tokens: totalOutputTokens },
+    ...collected,
+    usage: totalUsage,
     _debug: debugInfo
   });
   
@@ -3017,51 +4958,39 @@ async function handleStreamingChatWithTools(apiKey, systemPrompt, messages, maxT
 // ============================================
 // NON-STREAMING CHAT HANDLER (fallback, with cost tracking)
 // ============================================
-async function handleNonStreamingChat(apiKey, systemPrompt, messages, maxTokens, dropContext, userId = null, modelConfig = null, currentFeed = [], userEmail = null, askiKnowledge = '') {
+async function handleNonStreamingChat(systemPrompt, messages, maxTokens, dropContext, userId = null, modelConfig = null, currentFeed = [], userEmail = null, askiKnowledge = '', userTimezone = 'UTC', disabledTools = [], emailSender = null, userLocale = DropLitTime.DEFAULT_LOCALE) {
   // Use provided model or default to Sonnet
-  const modelId = modelConfig?.id || AI_MODELS[DEFAULT_MODEL].id;
+  const model = modelConfig || AI_MODELS[DEFAULT_MODEL];
+  const modelId = model.id;
+  const provider = getProvider(model);
   
   const claudeRequest = {
     model: modelId,
-    max_tokens: maxTokens,
+    maxTokens,
     system: systemPrompt,
-    tools: TOOLS,
-    tool_choice: { type: 'auto' },
+    tools: DropLitTools.getSchemas(disabledTools),
   };
 
   let data;
   let toolResults = [];
-  let totalInputTokens = 0; // NEW
-  let totalOutputTokens = 0; // NEW
+  const requestState = { citationCount: 0, emailSender, userLocale, userRequest: latestUserText(messages) };
+  const totalUsage = emptyUsage();
   
   for (let i = 0; i < 5; i++) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({ ...claudeRequest, messages, stream: false }),
-    });
-
-    data = await response.json();
+    data = await provider.complete({ ...claudeRequest, messages });
     
-    // Accumulate usage (NEW)
-    if (data.usage) {
-      totalInputTokens += data.usage.input_tokens || 0;
-      totalOutputTokens += data.usage.output_tokens || 0;
-    }
+    // Accumulate usage (incl. prompt cache)
+    addUsage(totalUsage, data.usage);
     
-    if (data.stop_reason !== 'tool_use') break;
+    if (data.stopReason !== 'tool_use') break;
     
-    const toolBlock = data.content?.find(b => b.type === 'tool_use');
+    const toolBlock = data.content.find(b => b.type === 'tool_use');
     if (!toolBlock) break;
     
     let toolResult;
     try {
       console.log('[Tool Non-Stream] Executing:', toolBlock.name, JSON.stringify(toolBlock.input));
-      toolResult = await executeTool(toolBlock.name, toolBlock.input, dropContext, userId, currentFeed, userEmail, askiKnowledge);
+      toolResult = await executeTool(toolBlock.name, toolBlock.input, dropContext, userId, currentFeed, userEmail, askiKnowledge, userTimezone, disabledTools, requestState);
       console.log('[Tool Non-Stream] Result:', toolBlock.name, JSON.stringify(toolResult));
     } catch (toolError) {
       console.error('[Tool Non-Stream] Error:', toolBlock.name, toolError.message);
@@ -3070,7 +4999,8 @@ async function handleNonStreamingChat(apiKey, systemPrompt, messages, maxTokens,
     
     toolResults.push({ toolName: toolBlock.name, result: toolResult });
     
-    messages.push({ role: 'assistant', content: data.content });
+    // Только выполненный tool_use — у OpenAI-compatible на каждый tool_call нужен ответ
+    messages.push({ role: 'assistant', content: data.content.filter(b => b.type !== 'tool_use' || b === toolBlock) });
     messages.push({ 
       role: 'user', 
       content: [{ 
@@ -3080,46 +5010,39 @@ async function handleNonStreamingChat(apiKey, systemPrompt, messages, maxTokens,
       }]
     });
     
-    const finalResponse = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({ ...claudeRequest, messages, stream: false }),
-    });
-    
-    if (!finalResponse.ok) break;
-    data = await finalResponse.json();
-    
-    // Accumulate usage from final response (NEW)
-    if (data.usage) {
-      totalInputTokens += data.usage.input_tokens || 0;
-      totalOutputTokens += data.usage.output_tokens || 0;
+    try {
+      data = await provider.complete({ ...claudeRequest, messages });
+    } catch (finalError) {
+      console.error('[Non-Stream] Provider error:', provider.name, finalError.message);
+      break;
     }
+    
+    // Accumulate usage from final response
+    addUsage(totalUsage, data.usage);
   }
 
   // Log API cost (NEW)
   try {
     await logApiCost({
-      provider: 'anthropic',
+      provider: provider.name,
       model: modelId,
-      tokens_input: totalInputTokens,
-      tokens_output: totalOutputTokens,
+      tokens_input: totalUsage.input_tokens,
+      tokens_output: totalUsage.output_tokens,
+      tokens_cache_write: totalUsage.cache_creation_input_tokens,
+      tokens_cache_read: totalUsage.cache_read_input_tokens,
       user_id: userId,
       action: 'chat'
     });
     // Deduct tokens from user balance
-    await deductUserTokens(userId, totalInputTokens, totalOutputTokens, 'chat');
+    await deductUserTokens(userId, billableInputTokens(totalUsage), totalUsage.output_tokens, 'chat');
   } catch (costErr) {
     console.error('[Cost Log] Failed in non-streaming:', costErr.message);
   }
 
-  const textBlocks = data.content?.filter(b => b.type === 'text') || [];
+  const textBlocks = data.content.filter(b => b.type === 'text');
   const resultText = textBlocks.map(b => b.text).join('\n');
   
-  return { resultText, toolResults, usage: { input_tokens: totalInputTokens, output_tokens: totalOutputTokens } };
+  return { resultText, toolResults, usage: totalUsage };
 }
 
 // ============================================
@@ -3129,7 +5052,7 @@ export default async function handler(req) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   };
 
   if (req.method === 'OPTIONS') {
@@ -3137,13 +5060,6 @@ export default async function handler(req) {
   }
 
   try {
-    // Rate limiting
-    const rateLimitKey = getRateLimitKey(req, 'ai');
-    const rateCheck = checkRateLimit(rateLimitKey, 'ai');
-    if (!rateCheck.allowed) {
-      return rateLimitResponse(rateCheck.resetIn);
-    }
-
     // Parse request
     const { 
       action, 
@@ -3152,6 +5068,7 @@ export default async function handler(req) {
       style, 
       targetLang, 
       history, 
+      historySummary, // v4.30: Rolling summary of older turns
       dropContext, 
       syntriseContext, 
       userProfile, 
@@ -3162,7 +5079,14 @@ export default async function handler(req) {
       voiceMode,  // NEW: if true, auto-select model based on query
       currentFeed, // v4.17: Actual drops from user's feed (localStorage)
       userEmail, // v4.19: User email for send_email tool
+      emailSenderName, // v4.33: Display name for outgoing email
+      emailIds, // v4.33: email_status lookup
+      memory, // v4.37: memory_update / memory_forget — { kind, id, changes }
+      commandId, // v4.34: execute_command — command_drops id
+      command, // v4.34: execute_command — local-only command from the device
       askiKnowledge, // v4.20: Personal knowledge base
+      timezone, // v4.21: Device timezone (fallback when x-timezone header is absent)
+      disabledTools, // v4.28: Tools switched off for the current persona
       // Email attachment fields (for send_email_with_attachment action)
       to: emailTo,
       subject: emailSubject,
@@ -3170,6 +5094,17 @@ export default async function handler(req) {
       docxBase64
     } = await req.json();
 
+    // Auth (v4.27): user id только из проверенного JWT
+    let auth;
+    try {
+      auth = await authenticateRequest(req, [userId, uid]);
+    } catch (authErr) {
+      if (!(authErr instanceof AuthError)) throw authErr;
+      console.warn('[Auth] Rejected:', authErr.message);
+      return authErrorResponse(authErr, corsHeaders);
+    }
+    const authUserId = auth.userId;
+
     // === DEBUG: Log incoming request for voice bug investigation ===
     console.log('[AI-DEBUG-REQUEST]', JSON.stringify({
       timestamp: new Date().toISOString(),
@@ -3182,9 +5117,16 @@ export default async function handler(req) {
       })) || [],
       textPreview: text?.substring(0, 100),
       hasDropContext: !!dropContext,
-      userId: userId || uid || 'none'
+      userId: authUserId
     }));
 
+    // Rate limiting + quotas (v4.26): per user, separate budget per operation
+    const rateSubject = getRateLimitSubject(req, authUserId);
+    const rateCheck = await checkRateLimit(rateSubject, getRateLimitBucket(action));
+    if (!rateCheck.allowed) {
+      return rateLimitResponse(rateCheck.resetIn, rateCheck.bucket);
+    }
+
     // Auto-select model for voice mode
     let selectedModel = model;
     
@@ -3192,8 +5134,9 @@ export default async function handler(req) {
       // User explicitly chose NOUS (Opus) - always respect this choice
       console.log('[VoiceMode] User chose NOUS (Opus), respecting choice');
       selectedModel = 'opus';
-    } else if (voiceMode) {
+    } else if (voiceMode && (!AI_MODELS[model] || AI_MODELS[model].provider === 'anthropic')) {
       // Voice mode with Sonnet/Haiku/auto - optimize between Haiku and Sonnet
+      // (GPT / local модели не подменяем — пользователь выбрал провайдера сам)
       selectedModel = selectModelForVoice(text);
       console.log(`[VoiceMode] Auto-selected: ${selectedModel} for: "${(text || '').substring(0, 40)}..."`);
     } else if (!model) {
@@ -3202,24 +5145,17 @@ export default async function handler(req) {
 
     // Get model configuration
     const modelConfig = getModelConfig(selectedModel);
-    console.log(`[AI] Action: ${action}, Model: ${modelConfig.id}, Stream: ${stream}, VoiceMode: ${!!voiceMode}`);
+    const provider = getProvider(modelConfig);
+    console.log(`[AI] Action: ${action}, Provider: ${provider.name}, Model: ${modelConfig.id}, Stream: ${stream}, VoiceMode: ${!!voiceMode}`);
 
     // Get user timezone from headers
-    const userTimezone = req.headers.get('x-timezone') || 'UTC';
+    const userTimezone = DropLitTime.normalizeTimeZone(req.headers.get('x-timezone') || timezone);
+    const userLocale = DropLitTime.normalizeLocale(req.headers.get('accept-language'));
     const userCountry = req.headers.get('x-country') || null;
     const userCity = req.headers.get('x-city') || null;
 
     // === SEND EMAIL WITH ATTACHMENT ACTION ===
     if (action === 'send_email_with_attachment') {
-      const RESEND_API_KEY = process.env.RESEND_API_KEY;
-      
-      if (!RESEND_API_KEY) {
-        return new Response(JSON.stringify({ error: 'Email service not configured' }), {
-          status: 500,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        });
-      }
-      
       // Use already parsed fields from main request parsing
       if (!emailTo || !emailSubject || !docxBase64) {
         return new Response(JSON.stringify({ error: 'Missing required fields: to, subject, docxBase64' }), {
@@ -3230,50 +5166,98 @@ export default async function handler(req) {
       
       console.log('[send_email_with_attachment] Sending to:', emailTo, 'Subject:', emailSubject);
       
+      const filename = `${emailFilename || 'document'}.docx`;
+      const delivery = await deliverEmail({
+        to: emailTo,
+        subject: emailSubject,
+        template: 'document',
+        vars: { filename },
+        attachments: [{ filename, content: docxBase64 }],
+        sender: buildEmailSender(emailSenderName, auth, userEmail),
+        userId: authUserId
+      });
+      
+      if (!delivery.success) {
+        const notConfigured = !delivery.transport;
+        return new Response(JSON.stringify({ success: false, error: delivery.error, email_id: delivery.messageId, status: delivery.status }), {
+          status: notConfigured ? 500 : 502,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      }
+      
+      return new Response(JSON.stringify({
+        success: true,
+        message: `Письмо с документом отправлено на ${emailTo}`,
+        email_id: delivery.messageId,
+        status: delivery.status,
+        transport: delivery.transport
+      }), {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    // === EMAIL STATUS ACTION (v4.33) ===
+    if (action === 'email_status') {
       try {
-        const emailBody = {
-          from: 'ASKI <aski@syntrise.com>',
-          to: emailTo,
-          subject: emailSubject,
-          html: `<p>Документ "${emailSubject}" во вложении.</p><p style="color: #666; font-size: 12px;">Отправлено через ASKI</p>`,
-          attachments: [{
-            filename: `${emailFilename || 'document'}.docx`,
-            content: docxBase64
-          }]
-        };
-        
-        const response = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${RESEND_API_KEY}`
-          },
-          body: JSON.stringify(emailBody)
+        const result = await getEmailStatuses(authUserId, emailIds);
+        return new Response(JSON.stringify(result), {
+          status: result.success ? 200 : 503,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         });
-        
-        if (!response.ok) {
-          const error = await response.text();
-          console.error('[send_email_with_attachment] Failed:', error);
-          return new Response(JSON.stringify({ success: false, error }), {
-            status: 500,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-          });
-        }
-        
-        const result = await response.json();
-        console.log('[send_email_with_attachment] Success! ID:', result.id);
-        
-        return new Response(JSON.stringify({
-          success: true,
-          message: `Письмо с документом отправлено на ${emailTo}`,
-          email_id: result.id
-        }), {
-          status: 200,
+      } catch (error) {
+        console.error('[email_status] Exception:', error);
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      }
+    }
+
+    // === EXECUTE COMMAND ACTION (v4.34) ===
+    // email / telegram / webhook command drops; sw.js или приложение вызывают при срабатывании
+    if (action === 'execute_command') {
+      try {
+        const result = await executeCommandDrop({ commandId, command }, authUserId, auth);
+        return new Response(JSON.stringify(result), {
+          status: result.success || result.blocked || result.skipped ? 200 : (result.error === 'Command not found' ? 404 : 502),
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      } catch (error) {
+        console.error('[execute_command] Exception:', error);
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      }
+    }
+
+    // === WEBHOOK SECRET ACTION (v4.34) ===
+    // Секрет для проверки X-DropLit-Signature на стороне получателя
+    if (action === 'webhook_secret') {
+      const secret = await getWebhookSecret(authUserId);
+      return new Response(JSON.stringify(secret
+        ? { success: true, secret, header: 'X-DropLit-Signature', algorithm: 'HMAC-SHA256' }
+        : { success: false, error: 'Webhook signing not configured' }), {
+        status: secret ? 200 : 503,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    // === MEMORY INSPECTOR ACTIONS (v4.37) ===
+    if (action === 'memory_list' || action === 'memory_update' || action === 'memory_forget') {
+      try {
+        const result = action === 'memory_list'
+          ? await listCoreMemory(authUserId)
+          : action === 'memory_update'
+            ? await updateCoreMemory(authUserId, memory)
+            : await forgetCoreMemory(authUserId, memory);
+        return new Response(JSON.stringify(result), {
+          status: result.success ? 200 : (result.error === 'Memory not found' ? 404 : /^Missing|empty|Nothing/.test(result.error) ? 400 : 503),
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         });
-        
       } catch (error) {
-        console.error('[send_email_with_attachment] Exception:', error);
+        console.error(`[${action}] Exception:`, error);
         return new Response(JSON.stringify({ success: false, error: error.message }), {
           status: 500,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -3284,12 +5268,15 @@ export default async function handler(req) {
     // === MODELS ACTION ===
     if (action === 'models') {
       return new Response(JSON.stringify({
-        models: Object.entries(AI_MODELS).map(([key, config]) => ({
-          key,
-          id: config.id,
-          name: config.name,
-          description: config.description
-        })),
+        models: Object.entries(AI_MODELS)
+          .filter(([, config]) => getProvider(config).isConfigured())
+          .map(([key, config]) => ({
+            key,
+            provider: config.provider,
+            id: config.id,
+            name: config.name,
+            description: config.description
+          })),
         default: DEFAULT_MODEL
       }), {
         status: 200,
@@ -3297,8 +5284,14 @@ export default async function handler(req) {
       });
     }
 
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
+    // Пустой баланс → отказ до вызова модели (списание — deductUserTokens после)
+    const balance = await getUserTokenBalance(authUserId);
+    if (balance !== null && balance <= 0) {
+      console.warn('[Balance] Empty balance, refusing:', authUserId);
+      return insufficientBalanceResponse(balance);
+    }
+
+    if (!provider.isConfigured()) {
       return new Response(JSON.stringify({ error: 'API key not configured' }), {
         status: 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -3332,8 +5325,10 @@ export default async function handler(req) {
       }
       
       // Fetch CORE memory + semantic search
-      // Pass the actual user ID received from frontend
-      const effectiveUserId = userId || uid || null;
+      // User ID from the verified token
+      const effectiveUserId = authUserId;
+      const personaDisabledTools = DropLitTools.normalizeDisabled(disabledTools);
+      const emailSender = buildEmailSender(emailSenderName, auth, userEmail);
       const coreContext = effectiveUserId ? await fetchCoreContext(effectiveUserId, text) : null;
       
       // Extract debug info from coreContext
@@ -3348,21 +5343,22 @@ export default async function handler(req) {
       const isExpansion = lastAssistant?.text?.includes('?') && isShortAffirmative(text);
       
       const maxTokens = isExpansion ? 4096 : 4096;  // v4.23: increased for structured responses
-      const systemPrompt = buildSystemPrompt(formattedContext, userProfile, coreContext, isExpansion, userTimezone, currentFeed, askiKnowledge);
+      // Rolling summary (v4.30): старые реплики → краткое содержание
+      const conversation = await condenseHistory(history, historySummary, modelConfig, effectiveUserId);
+      const prompt = buildSystemPrompt(formattedContext, userProfile, coreContext, isExpansion, userTimezone, currentFeed, askiKnowledge, conversation.summary);
+      const systemPrompt = prompt.system;
       
       // Add system prompt debug info (AFTER systemPrompt is built)
-      coreDebug.systemPromptHasCoreMemory = systemPrompt.includes('### Known facts:');
-      coreDebug.systemPromptHasEntities = systemPrompt.includes('### Key entities:');
-      coreDebug.systemPromptLength = systemPrompt.length;
+      coreDebug.systemPromptHasCoreMemory = prompt.text.includes('### Known facts:');
+      coreDebug.systemPromptHasEntities = prompt.text.includes('### Key entities:');
+      coreDebug.systemPromptLength = prompt.text.length;
+      coreDebug.promptBudget = prompt.budget;
       
       // Build messages
-      let messages = [];
-      if (history?.length) {
-        messages = history.filter(m => m.text?.trim()).map(m => ({
-          role: m.isUser ? 'user' : 'assistant',
-          content: m.text
-        }));
-      }
+      let messages = conversation.history.map(m => ({
+        role: m.isUser ? 'user' : 'assistant',
+        content: m.text
+      }));
       
       // v4.19: Support image in chat (multimodal)
       if (image) {
@@ -3395,7 +5391,7 @@ export default async function handler(req) {
             ? m.content.substring(0, 80) 
             : '[multimodal]'
         })),
-        systemPromptLength: systemPrompt?.length || 0,
+        systemPromptLength: prompt.text.length,
         hasHistory: messages.length > 1
       }));
 
@@ -3404,8 +5400,13 @@ export default async function handler(req) {
         const { readable, writable } = new TransformStream();
         const writer = writable.getWriter();
         
+        // Новое summary — первым событием, клиент сохранит его с историей
+        if (conversation.update) {
+          writer.write(new TextEncoder().encode(`data: ${JSON.stringify({ type: 'history_summary', ...conversation.update })}\n\n`));
+        }
+        
         // Start streaming in background, pass debug info, userId, model config, userEmail and askiKnowledge
-        handleStreamingChatWithTools(apiKey, systemPrompt, messages, maxTokens, formattedContext, writer, coreDebug, effectiveUserId, modelConfig, currentFeed, userEmail, askiKnowledge)
+        handleStreamingChatWithTools(systemPrompt, messages, maxTokens, formattedContext, writer, coreDebug, effectiveUserId, modelConfig, currentFeed, userEmail, askiKnowledge, userTimezone, personaDisabledTools, emailSender, userLocale)
           .catch(error => {
             console.error('Streaming error:', error);
             const encoder = new TextEncoder();
@@ -3425,28 +5426,17 @@ export default async function handler(req) {
 
       // NON-STREAMING MODE (fallback)
       const { resultText, toolResults, usage } = await handleNonStreamingChat(
-        apiKey, systemPrompt, messages, maxTokens, formattedContext, effectiveUserId, modelConfig, currentFeed, userEmail, askiKnowledge
+        systemPrompt, messages, maxTokens, formattedContext, effectiveUserId, modelConfig, currentFeed, userEmail, askiKnowledge, userTimezone, personaDisabledTools, emailSender, userLocale
       );
       
-      const createDropAction = toolResults.find(t => t.toolName === 'create_drop');
-      const createEventAction = toolResults.find(t => t.toolName === 'create_event');
-      const cancelEventAction = toolResults.find(t => t.toolName === 'cancel_event');
-      const listEventsAction = toolResults.find(t => t.toolName === 'list_events');
-      const deleteDropAction = toolResults.find(t => t.toolName === 'delete_drop');
-      const updateDropAction = toolResults.find(t => t.toolName === 'update_drop');
-
       return new Response(JSON.stringify({ 
         success: true,
         action: 'chat',
         result: resultText,
         usage,
         toolsUsed: toolResults.map(t => t.toolName),
-        createDrop: createDropAction?.result || null,
-        createEvent: createEventAction?.result || null,
-        cancelEvent: cancelEventAction?.result || null,
-        listEvents: listEventsAction?.result || null,
-        deleteDrop: deleteDropAction?.result || null,
-        updateDrop: updateDropAction?.result || null,
+        ...DropLitTools.collectResults(toolResults),
+        historySummary: conversation.update,
         geo: { timezone: userTimezone, country: userCountry, city: userCity },
         model: modelConfig.id,  // Which model was used
         // DEBUG INFO
@@ -3456,7 +5446,11 @@ export default async function handler(req) {
           effectiveUserId: effectiveUserId,
           modelRequested: model,
           modelUsed: modelConfig.id,
-          coreContext: coreDebug
+          coreContext: coreDebug,
+          promptCache: {
+            writeTokens: usage.cache_creation_input_tokens,
+            readTokens: usage.cache_read_input_tokens
+          }
         }
       }), {
         status: 200,
@@ -3477,35 +5471,25 @@ export default async function handler(req) {
         if (matches) { mediaType = matches[1]; imageData = matches[2]; }
       }
       
-      const effectiveUserId = userId || uid || null; // NEW
+      const effectiveUserId = authUserId;
       
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify({
-          model: modelConfig.id,
-          max_tokens: 1000,
-          messages: [{
-            role: 'user',
-            content: [
-              { type: 'image', source: { type: 'base64', media_type: mediaType, data: imageData } },
-              { type: 'text', text: prompt }
-            ]
-          }]
-        }),
+      const data = await provider.complete({
+        model: modelConfig.id,
+        maxTokens: 1000,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: mediaType, data: imageData } },
+            { type: 'text', text: prompt }
+          ]
+        }]
       });
-
-      const data = await response.json();
       
       // Log cost (NEW)
       try {
         if (data.usage) {
           await logApiCost({
-            provider: 'anthropic',
+            provider: provider.name,
             model: modelConfig.id,
             tokens_input: data.usage.input_tokens || 0,
             tokens_output: data.usage.output_tokens || 0,
@@ -3531,6 +5515,7 @@ export default async function handler(req) {
     const textActions = {
       poem: `Create a beautiful poem. Style: ${style || 'classic'}. 8-16 lines. Same language as input.`,
       summarize: 'Summarize in 1-3 sentences. Same language.',
+      summarize_episode: 'Condense this past conversation between a user and ASKI into an episodic memory. Keep facts about the user, decisions, names, dates, numbers, IDs, open questions. Drop greetings and small talk. 2-6 short bullet points, same language as the conversation. Output only the summary.',
       tasks: 'Extract tasks as JSON: {"tasks": [...]}. Same language.',
       expand: 'Expand idea 2-3x with details. Same language.',
       rewrite: `Rewrite in ${style || 'professional'} tone. Same language.`,
@@ -3541,30 +5526,20 @@ export default async function handler(req) {
     };
 
     if (textActions[action]) {
-      const effectiveUserId = userId || uid || null; // NEW
+      const effectiveUserId = authUserId;
       
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify({
-          model: modelConfig.id,
-          max_tokens: 2048,
-          system: textActions[action],
-          messages: [{ role: 'user', content: text }]
-        }),
+      const data = await provider.complete({
+        model: modelConfig.id,
+        maxTokens: 2048,
+        system: textActions[action],
+        messages: [{ role: 'user', content: text }]
       });
-
-      const data = await response.json();
       
       // Log cost (NEW)
       try {
         if (data.usage) {
           await logApiCost({
-            provider: 'anthropic',
+            provider: provider.name,
             model: modelConfig.id,
             tokens_input: data.usage.input_tokens || 0,
             tokens_output: data.usage.output_tokens || 0,
@@ -1,6 +1,7 @@
 // ============================================
-// DROPLIT AUTH v1.0
+// DROPLIT AUTH v1.1
 // Supabase authentication and sync
+// v1.1: Bidirectional pull + merge (sync-merge.js), delete = tombstone
 // ============================================
 
 // ============================================
@@ -119,7 +120,8 @@ async function signInWithTestAccount() {
     if (typeof toast === 'function') toast('✅ Logged in: ' + currentUser.id.substring(0, 8) + '...', 'success');
     console.log('✅ Signed in as:', currentUser.email, currentUser.id.substring(0, 8) + '...');
     
-    // Check if first time - migrate local data
+    // Check if first time - migrate local data (feed must be loaded from DropStore)
+    await DropStore.ready();
     const migrated = localStorage.getItem('droplit_migrated_' + currentUser.id);
     if (!migrated && typeof ideas !== 'undefined' && ideas.length > 0) {
       await migrateLocalData();
@@ -152,7 +154,8 @@ async function signInAnonymously() {
     currentUser = data.user;
     console.log('✅ Signed in anonymously:', currentUser.id.substring(0, 8) + '...');
     
-    // Check if first time - migrate local data
+    // Check if first time - migrate local data (feed must be loaded from DropStore)
+    await DropStore.ready();
     const migrated = localStorage.getItem('droplit_migrated_' + currentUser.id);
     if (!migrated && typeof ideas !== 'undefined' && ideas.length > 0) {
       await migrateLocalData();
@@ -244,29 +247,183 @@ async function migrateLocalData() {
 
 // ============================================
 // PULL DROPS FROM SERVER
+// Fetch → decrypt → merge by vector clocks → push local winners
 // ============================================
+const PULL_PAGE_SIZE = 500;
+
 async function pullFromServer() {
-  if (!currentUser) return;
+  if (!currentUser || !supabaseClient) return null;
+  if (typeof ideas === 'undefined' || !window.DropLitMerge) return null;
   
   try {
-    // Lightweight sync check — just count, don't pull full data
-    // Full merge will be implemented in TODO: proper conflict resolution
-    const { count, error } = await supabaseClient
-      .from('drops')
-      .select('id', { count: 'exact', head: true })
-      .eq('user_id', currentUser.id);
+    updateSyncUI('syncing', 'Pulling...');
+    await DropStore.ready();
+    
+    // 1. All server drops, including tombstones (is_deleted)
+    const rows = await fetchServerDrops();
+    
+    // 2. Server rows → local drop shape
+    const keys = await getDecryptionKeys();
+    const remote = [];
+    const unreadable = new Set();
+    for (const row of rows) {
+      const drop = await serverRowToDrop(row, keys);
+      if (drop) {
+        remote.push(drop);
+      } else {
+        unreadable.add(String(row.external_id));
+      }
+    }
     
-    if (error) throw error;
+    // 3. Local edits since the last sync get a clock tick
+    DropLitMerge.stampLocalChanges(ideas, DEVICE_ID);
+    
+    // 4. Merge (drops we could not decrypt stay untouched)
+    const mergeable = ideas.filter(d => !unreadable.has(String(d.id)));
+    const untouched = ideas.filter(d => unreadable.has(String(d.id)));
+    const result = DropLitMerge.mergeAll(mergeable, remote, DEVICE_ID);
+    
+    ideas.splice(0, ideas.length, ...result.drops, ...untouched);
+    DropStore.saveAll(ideas);
+    DropLitMerge.rememberFingerprints(ideas);
     
-    if (count > 0) {
-      console.log(`📥 Server has ${count} drops (sync check only)`);
+    console.log(`📥 Pulled ${remote.length} drops:`, result.stats);
+    
+    // 5. Push what the server does not know yet, audit automatic resolutions,
+    //    text edited on both devices → ask the user
+    await DropLitMerge.applyMergeResult(result, {
+      pushDrop: drop => syncDropToServer(drop, 'update'),
+      pushTombstone,
+      onResolved: onSyncConflictResolved
+    });
+    
+    // 6. Audit: pull, then push entries (content-free)
+    if (typeof DropLitAudit !== 'undefined') {
+      DropLitAudit.logSync('pull', remote.length)
+        .then(() => DropLitAudit.sync())
+        .catch(e => console.warn('Audit sync failed:', e.message));
     }
     
+    if (typeof render === 'function') render();
+    if (typeof counts === 'function') counts();
+    
     lastSyncTime = new Date();
+    updateSyncUI('synced', 'Synced');
+    return result.stats;
     
   } catch (error) {
     console.error('❌ Pull error:', error);
+    updateSyncUI('error', 'Pull failed');
+    return null;
+  }
+}
+
+async function fetchServerDrops() {
+  const rows = [];
+  for (let from = 0; ; from += PULL_PAGE_SIZE) {
+    const { data, error } = await supabaseClient
+      .from('drops')
+      .select('*')
+      .eq('user_id', currentUser.id)
+      .order('created_at', { ascending: true })
+      .range(from, from + PULL_PAGE_SIZE - 1);
+    
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PULL_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// Active key + pending key while a key rotation is in progress
+async function getDecryptionKeys() {
+  if (typeof DropLitKeys === 'undefined') return [];
+  try {
+    const active = await DropLitKeys.retrieveKey(currentUser.id);
+    const pending = await DropLitKeys.getPendingRotation(currentUser.id);
+    return [active?.key, pending?.key].filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+// Returns null when an encrypted drop cannot be decrypted on this device
+async function serverRowToDrop(row, keys) {
+  const meta = row.metadata || {};
+  const externalId = String(row.external_id || row.local_id || row.id);
+  const id = /^\d+$/.test(externalId) ? Number(externalId) : externalId;
+  const sync = meta._sync || { clocks: {} };
+  
+  // Tombstone: only the clocks matter
+  if (row.is_deleted) {
+    return { id, is_deleted: true, _sync: sync };
   }
+  
+  let drop;
+  if (row.encryption_version > 0 && row.encrypted_content) {
+    if (keys.length === 0 || typeof DropLitEncryption === 'undefined') return null;
+    for (const key of keys) {
+      const candidate = await DropLitEncryption.processDropFromServer(row, key);
+      if (!candidate._decryption_error) {
+        drop = candidate;
+        break;
+      }
+    }
+    if (!drop) {
+      console.warn('⚠️ Could not decrypt drop:', externalId);
+      return null;
+    }
+  } else {
+    drop = {
+      text: row.content || '',
+      content: row.content || '',
+      category: row.category || 'inbox',
+      markers: row.markers || meta.markers || [],
+      tags: row.tags || [],
+      notes: row.notes || null,
+      source: row.source,
+      creator: meta.creator || 'user',
+      isMedia: meta.isMedia || false,
+      date: meta.date,
+      time: meta.time,
+      timestamp: meta.timestamp || row.created_at
+    };
+    if (Array.isArray(meta.sources)) drop.sources = meta.sources;
+  }
+  
+  drop.id = id;
+  drop._sync = sync;
+  return drop;
+}
+
+// Conflict modal callback: persist and push the resolved drop
+async function onSyncConflictResolved(result) {
+  DropStore.saveAll(ideas);
+  if (typeof render === 'function') render();
+  if (typeof counts === 'function') counts();
+  
+  if (result.drop) await syncDropToServer(result.drop, 'update');
+  if (result.copy) await syncDropToServer(result.copy, 'create');
+}
+
+// Mark a drop deleted on the server, keeping its clocks for other devices
+async function pushTombstone(tombstone) {
+  const { error } = await supabaseClient
+    .from('drops')
+    .update({
+      is_deleted: true,
+      metadata: {
+        _sync: {
+          clocks: tombstone.clocks,
+          device_id: tombstone.device_id || DEVICE_ID,
+          deleted_at: tombstone.deleted_at
+        }
+      }
+    })
+    .eq('external_id', String(tombstone.id))
+    .eq('user_id', currentUser.id);
+  
+  if (error) throw error;
 }
 
 // ============================================
@@ -341,20 +498,22 @@ async function syncDropToServer(idea, action = 'create') {
 
 // ============================================
 // DELETE DROP FROM SERVER
+// Soft delete: the row stays as a tombstone so other devices
+// remove the drop on their next pull instead of re-uploading it
 // ============================================
 async function deleteDropFromServer(ideaId) {
+  // Record the tombstone locally even when offline — the next pull pushes it
+  const drop = typeof ideas !== 'undefined' ? ideas.find(x => String(x.id) === String(ideaId)) : null;
+  const tombstone = window.DropLitMerge
+    ? DropLitMerge.recordTombstone(drop || { id: ideaId }, DEVICE_ID)
+    : { id: ideaId, clocks: {}, deleted_at: new Date().toISOString() };
+  
   if (!syncEnabled || !currentUser || !supabaseClient) return false;
   
   try {
     updateSyncUI('syncing', 'Deleting...');
     
-    const { error } = await supabaseClient
-      .from('drops')
-      .delete()
-      .eq('external_id', String(ideaId))
-      .eq('user_id', currentUser.id);
-    
-    if (error) throw error;
+    await pushTombstone(tombstone);
     
     console.log(`🗑️ Deleted drop ${String(ideaId).substring(0, 8)}...`);
     updateSyncUI('synced', 'Synced');
@@ -383,18 +542,18 @@ async function manualSync() {
   if (typeof toast === 'function') toast('Syncing...', 'info');
   
   try {
-    // Sync all local text drops
-    const textDrops = (typeof ideas !== 'undefined' ? ideas : []).filter(i => !i.isMedia && !i.image && !i.audioData);
-    let synced = 0;
-    
-    for (const idea of textDrops) {
-      const success = await syncDropToServer(idea, 'sync');
-      if (success) synced++;
-    }
+    // Pull + merge pushes local changes as well — a blind push
+    // would overwrite edits made on other devices
+    const stats = await pullFromServer();
+    if (!stats) throw new Error('pull failed');
     
     lastSyncTime = new Date();
     updateLastSyncInfo();
-    if (typeof toast === 'function') toast(`Synced ${synced} drops to cloud`, 'success');
+    const conflicts = window.DropLitMerge ? DropLitMerge.getConflicts().length : 0;
+    if (typeof toast === 'function') {
+      toast(`Synced: +${stats.added} new, ${stats.updated} updated, ${stats.deleted} deleted` +
+        (conflicts ? `, ${conflicts} conflict(s)` : ''), conflicts ? 'warning' : 'success');
+    }
     
   } catch (error) {
     console.error('❌ Manual sync error:', error);
@@ -444,6 +603,7 @@ window.DropLitAuth = {
   deleteDropFromServer,
   manualSync,
   pullFromServer,
+  pushTombstone,
   getSupabase: () => supabaseClient,
   getCurrentUser: () => currentUser,
   getDeviceId: () => DEVICE_ID,
@@ -13,6 +13,11 @@ function getUserEmail() {
   return localStorage.getItem('droplit_user_email') || '';
 }
 
+// Display name for emails ASKI sends ("Name via ASKI")
+function getEmailSenderName() {
+  return localStorage.getItem('droplit_email_sender_name') || '';
+}
+
 // Get ASKI Knowledge Base from localStorage
 function getAskiKnowledge() {
   return localStorage.getItem('droplit_aski_knowledge') || '';
@@ -221,6 +226,7 @@ const CHAT_PAGE_SIZE = 50; // Messages per page
 const CHAT_MAX_MESSAGES = 2000; // Max stored messages
 const CHAT_THUMBNAIL_SIZE = 200; // Max thumbnail dimension
 const CHAT_MEDIA_TTL_DAYS = 14; // Days to keep thumbnails
+const CHAT_SUMMARY_KEY = 'droplit_chat_summary'; // Rolling summary of condensed turns (v4.32)
 
 let chatHistoryLoaded = false;
 let chatHistoryPage = 0;
@@ -323,6 +329,94 @@ async function saveToChatHistory(role, text, imageData = null, extras = {}) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// CONVERSATION SUMMARY (v4.32)
+// Сервер сворачивает старые реплики в краткое содержание, когда история
+// не влезает в бюджет модели. Summary хранится рядом с историей чата,
+// модели уходит "summary + несвёрнутые реплики".
+// ═══════════════════════════════════════════════════════════════
+
+function getChatSummary() {
+  try {
+    return JSON.parse(localStorage.getItem(CHAT_SUMMARY_KEY) || 'null');
+  } catch (e) {
+    return null;
+  }
+}
+
+// update = { text, untilTs, foldedCount } from server
+function applyHistorySummary(update) {
+  if (!update?.text) return;
+  
+  const previous = getChatSummary();
+  const summary = {
+    text: update.text,
+    untilTs: update.untilTs || previous?.untilTs || null,
+    foldedCount: (previous?.foldedCount || 0) + (update.foldedCount || 0),
+    updatedAt: new Date().toISOString()
+  };
+  localStorage.setItem(CHAT_SUMMARY_KEY, JSON.stringify(summary));
+  console.log('[ChatSummary] Condensed', update.foldedCount, 'messages, total:', summary.foldedCount);
+  
+  markCondensedMessages(summary);
+}
+
+// History for the model: every turn after the summary point — no count cap here,
+// the server folds whatever exceeds the model's history budget into the summary
+function getHistoryForModel(currentText) {
+  const summary = getChatSummary();
+  let history = [];
+  try {
+    history = JSON.parse(localStorage.getItem(CHAT_HISTORY_KEY) || '[]');
+  } catch (e) {
+    console.warn('[ChatSummary] History read error:', e);
+  }
+  
+  // Текущее сообщение уже сохранено — оно уходит отдельно как text
+  const last = history[history.length - 1];
+  if (last && last.role === 'user' && last.text === currentText) history = history.slice(0, -1);
+  
+  return {
+    history: history
+      .filter(m => m.text && (!summary?.untilTs || m.ts > summary.untilTs))
+      .map(m => ({ text: m.text, isUser: m.role === 'user', ts: m.ts })),
+    summary: summary?.text || null
+  };
+}
+
+// Dim condensed history messages and show the summary at the boundary
+function markCondensedMessages(summary = getChatSummary()) {
+  const messagesDiv = document.getElementById('askAIMessages');
+  if (!messagesDiv || !summary?.untilTs) return;
+  
+  let boundary = null;
+  messagesDiv.querySelectorAll('.history-message[data-timestamp]').forEach(el => {
+    if (el.dataset.timestamp <= summary.untilTs) {
+      el.classList.add('condensed');
+      boundary = el;
+    }
+  });
+  
+  messagesDiv.querySelector('.chat-summary-notice')?.remove();
+  
+  const notice = document.createElement('div');
+  notice.className = 'chat-summary-notice';
+  notice.innerHTML = `
+    <details>
+      <summary>🗜 ${summary.foldedCount} earlier messages condensed for ASKI</summary>
+      <div class="chat-summary-text">${escapeHtml(summary.text)}</div>
+    </details>
+  `;
+  
+  if (boundary) {
+    boundary.after(notice);
+  } else {
+    const loadMore = document.getElementById('loadMoreHistory');
+    if (loadMore) loadMore.after(notice);
+    else messagesDiv.insertBefore(notice, messagesDiv.firstChild);
+  }
+}
+
 // Load chat history with pagination
 function loadChatHistory(page = 0, append = false) {
   if (isLoadingHistory) return;
@@ -380,6 +474,9 @@ function loadChatHistory(page = 0, append = false) {
       messagesDiv.scrollTop = messagesDiv.scrollHeight;
     }
     
+    // Condensed turns are still visible, just marked (v4.32)
+    markCondensedMessages();
+    
     // Add "Load more" button if more history exists
     if (start > 0 && !document.getElementById('loadMoreHistory')) {
       addLoadMoreButton(messagesDiv, page + 1);
@@ -538,6 +635,7 @@ function clearChatHistory() {
   if (!confirm('Clear all chat history? This cannot be undone.')) return;
   
   localStorage.removeItem(CHAT_HISTORY_KEY);
+  localStorage.removeItem(CHAT_SUMMARY_KEY);
   askAIMessages = [];
   chatHistoryTotal = 0;
   chatHistoryPage = 0;
@@ -2036,8 +2134,8 @@ async function askiSpeak(text, lang = null, onEnd = null) {
   // v4.29: New audio session — invalidates any in-flight TTS fetches
   if (window.newAudioSession) window.newAudioSession();
   
-  // Remove emojis before speaking
-  const cleanText = removeEmojis(text);
+  // Remove emojis (and [n] citation marks) before speaking
+  const cleanText = removeEmojis(stripCitationMarks(text));
   if (!cleanText) {
     if (onEnd) onEnd();
     return;
@@ -3652,7 +3750,7 @@ async function handleStreamingResponse(response) {
   const indicator = msgDiv.querySelector('.streaming-indicator');
   let fullText = '';
   let buffer = '';
-  let createDropData = null;
+  let citationSources = [];
   
   // FIX v1.5: Delayed streaming TTS init - start ONLY when first text arrives
   // This prevents blocking when tools (send_email, create_drop) are processing
@@ -3790,361 +3888,16 @@ async function handleStreamingResponse(response) {
               }
             }
             
-            // Stream done
+            // Older turns condensed on server (v4.32)
+            if (parsed.type === 'history_summary') {
+              applyHistorySummary(parsed);
+            }
+            
+            // Stream done — apply tool results via registry effects (v4.30)
             if (parsed.type === 'done') {
-              // DEBUG: Log what we received
-              console.log('[Streaming DONE] Full parsed:', JSON.stringify({
-                createDrop: parsed.createDrop,
-                createEvent: parsed.createEvent,
-                cancelEvent: parsed.cancelEvent,
-                deleteDrop: parsed.deleteDrop,
-                updateDrop: parsed.updateDrop,
-                generateImage: parsed.generateImage ? { 
-                  action: parsed.generateImage.action, 
-                  success: parsed.generateImage.success,
-                  error: parsed.generateImage.error,
-                  hasImage: !!parsed.generateImage.image,
-                  imageLength: parsed.generateImage.image?.length || 0
-                } : null,
-                createCharts: parsed.createCharts ? parsed.createCharts.length + ' charts' : null,
-                createDiagrams: parsed.createDiagrams ? parsed.createDiagrams.length + ' diagrams' : null,
-                toolsUsed: parsed.toolsUsed
-              }));
-              
-              createDropData = parsed.createDrop;
-              
-              // Handle create_drop in streaming mode (v4.18)
-              if (parsed.createDrop?.action === 'create_drop' && parsed.createDrop?.drop) {
-                const drop = parsed.createDrop.drop;
-                const now = new Date();
-                const newIdea = {
-                  id: Date.now().toString(),
-                  text: drop.text,
-                  content: drop.text,
-                  category: drop.category || 'inbox',
-                  timestamp: now.toISOString(),
-                  created_at: now.toISOString(),
-                  date: now.toLocaleDateString('ru-RU'),
-                  time: now.toLocaleTimeString('ru-RU', {hour:'2-digit', minute:'2-digit'}),
-                  isMedia: false,
-                  source: 'aski_tool',
-                  creator: 'aski'
-                };
-                ideas.unshift(newIdea);
-                localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-                
-                // Refresh feed: filter today, render, scroll to bottom
-                if (typeof setTimeFilter === 'function') setTimeFilter('today');
-                render();
-                counts();
-                if (typeof scrollToBottom === 'function') scrollToBottom();
-                
-                console.log('✅ [Streaming] AI created drop:', newIdea.id, newIdea.text?.substring(0, 30));
-                toast('Дроп создан', 'success');
-                // Clear so it doesn't get processed again later
-                createDropData = null;
-              }
-              
-              // Handle create_event in streaming mode (v4.18) - add command drop to feed
-              console.log('[Streaming DEBUG] createEvent check:', {
-                hasCreateEvent: !!parsed.createEvent,
-                action: parsed.createEvent?.action,
-                hasCommand: !!parsed.createEvent?.command,
-                command: parsed.createEvent?.command,
-                error: parsed.createEvent?.error
-              });
-              
-              if (parsed.createEvent?.action === 'create_event' && parsed.createEvent?.command) {
-                const cmd = parsed.createEvent.command;
-                const now = new Date();
-                
-                // CRITICAL: Use ID from server (UUID from Supabase)
-                const eventId = cmd.id;
-                if (!eventId) {
-                  console.warn('[Streaming] create_event: No ID from server!');
-                }
-                
-                // Format scheduled time for display (use device local time)
-                let scheduledTimeStr = '';
-                console.log('[Command] scheduled_at from server:', cmd.scheduled_at, 'scheduled_time:', cmd.scheduled_time);
-                
-                if (cmd.scheduled_at) {
-                  const scheduledDate = new Date(cmd.scheduled_at);
-                  console.log('[Command] Parsed date:', scheduledDate, 'valid:', !isNaN(scheduledDate.getTime()));
-                  if (!isNaN(scheduledDate.getTime())) {
-                    scheduledTimeStr = scheduledDate.toLocaleTimeString('ru-RU', {hour:'2-digit', minute:'2-digit'});
-                  }
-                }
-                // Fallback to scheduled_time if scheduled_at failed
-                if (!scheduledTimeStr && cmd.scheduled_time) {
-                  scheduledTimeStr = cmd.scheduled_time;
-                }
-                
-                console.log('[Command] Final time string:', scheduledTimeStr);
-                
-                // Text format: ⏰ HH:MM Title
-                const dropText = scheduledTimeStr 
-                  ? `⏰ ${scheduledTimeStr} ${cmd.title}`
-                  : `⏰ ${cmd.title}`;
-                
-                const newIdea = {
-                  id: eventId || Date.now().toString(), // Prefer server UUID
-                  text: dropText,
-                  content: dropText,
-                  category: 'command',
-                  type: 'command',
-                  timestamp: now.toISOString(),
-                  created_at: now.toISOString(),
-                  scheduled_at: cmd.scheduled_at,
-                  event_id: eventId, // Store separately for lookup
-                  status: 'pending',
-                  date: now.toLocaleDateString('ru-RU'),
-                  time: now.toLocaleTimeString('ru-RU', {hour:'2-digit', minute:'2-digit'}),
-                  isMedia: false,
-                  source: 'aski_command',
-                  creator: 'aski'
-                };
-                
-                // Add to end of array (like saveTextNote)
-                ideas.push(newIdea);
-                localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-                
-                // Play sound for feedback (like saveTextNote)
-                if (typeof playDropSound === 'function') {
-                  playDropSound();
-                }
-                
-                // Use resetToShowAll pattern (like saveTextNote)
-                if (typeof resetToShowAll === 'function') {
-                  resetToShowAll();
-                } else {
-                  // Fallback
-                  render();
-                  counts();
-                  setTimeout(() => {
-                    const wrap = document.getElementById('ideasWrap');
-                    if (wrap) wrap.scrollTo({top: wrap.scrollHeight, behavior: 'auto'});
-                  }, 50);
-                }
-                
-                console.log('✅ [Streaming] AI created command drop:', eventId, dropText);
-                toast('Напоминание создано', 'success');
-                
-                // === E2E ENCRYPTION FOR COMMAND DROPS (v4.23) ===
-                // Encrypt the command after it's created in Supabase
-                if (eventId && window.DropLitCommandEncrypt && window.DROPLIT_PRIVACY_ENABLED) {
-                  // Run encryption async - don't block UI
-                  (async () => {
-                    try {
-                      const encrypted = await window.DropLitCommandEncrypt.encryptExistingCommand(
-                        eventId,           // command UUID from Supabase
-                        cmd.title,         // original title
-                        cmd.title          // content (same as title for now)
-                      );
-                      if (encrypted) {
-                        console.log('🔐 [Streaming] Command encrypted:', eventId);
-                      }
-                    } catch (e) {
-                      console.warn('[Streaming] Command encryption skipped:', e.message);
-                      // Non-critical: plaintext version works as fallback
-                    }
-                  })();
-                }
-                // === END E2E ENCRYPTION ===
-              }
-              
-              // Handle cancel_event in streaming mode (v4.20) - remove command drop from feed
-              if (parsed.cancelEvent?.action === 'cancel_event' && parsed.cancelEvent?.sync_local) {
-                const cancelledId = parsed.cancelEvent.cancelled?.id;
-                const cancelledTitle = parsed.cancelEvent.cancelled?.title;
-                let removed = false;
-                
-                console.log('[Cancel] Looking for command drop:', cancelledId, cancelledTitle);
-                alert('[DEBUG] Cancel received!\nID: ' + cancelledId + '\nTitle: ' + cancelledTitle);
-                
-                if (cancelledId) {
-                  // Find by ID (exact match) or event_id field
-                  const idx = ideas.findIndex(i => 
-                    String(i.id) === String(cancelledId) || 
-                    String(i.event_id) === String(cancelledId)
-                  );
-                  if (idx !== -1) {
-                    const removedDrop = ideas.splice(idx, 1)[0];
-                    localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-                    console.log('✅ [Streaming] Removed command drop by ID:', cancelledId, removedDrop.text);
-                    removed = true;
-                  }
-                }
-                
-                // Fallback: find by title
-                if (!removed && cancelledTitle) {
-                  const idx = ideas.findIndex(i => 
-                    (i.type === 'command' || i.category === 'command') && 
-                    (i.text?.includes(cancelledTitle) || i.content?.includes(cancelledTitle))
-                  );
-                  if (idx !== -1) {
-                    const removedDrop = ideas.splice(idx, 1)[0];
-                    localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-                    console.log('✅ [Streaming] Removed command drop by title:', cancelledTitle);
-                    removed = true;
-                  }
-                }
-                
-                if (removed) {
-                  // Simple render + counts (no filter change, no scroll)
-                  render();
-                  counts();
-                  toast('Напоминание отменено', 'success');
-                } else {
-                  console.warn('[Streaming] Could not find command drop to remove:', cancelledId, cancelledTitle);
-                  // Still update counts in case of sync issues
-                  counts();
-                  toast('Напоминание отменено', 'warning');
-                }
-              }
-              
-              // Handle delete_drop in streaming mode (v4.17)
-              if (parsed.deleteDrop?.action === 'delete_drop' && parsed.deleteDrop?.sync_local) {
-                const deleteId = parsed.deleteDrop.local_id || parsed.deleteDrop.deleted_id;
-                if (deleteId) {
-                  const idx = ideas.findIndex(i => String(i.id) === String(deleteId));
-                  if (idx !== -1) {
-                    ideas.splice(idx, 1);
-                    localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-                    
-                    // Refresh feed: filter today, render, scroll to bottom
-                    if (typeof setTimeFilter === 'function') setTimeFilter('today');
-                    render();
-                    counts();
-                    if (typeof scrollToBottom === 'function') scrollToBottom();
-                    
-                    console.log('✅ [Streaming] AI deleted drop:', deleteId);
-                    toast('Удалено из ленты', 'success');
-                  }
-                }
-              }
-              
-              // Handle update_drop in streaming mode (v4.17)
-              if (parsed.updateDrop?.action === 'update_drop') {
-                const updateId = parsed.updateDrop.updated_id;
-                if (updateId) {
-                  const item = ideas.find(i => String(i.id) === String(updateId));
-                  if (item && parsed.updateDrop.new_content) {
-                    item.text = parsed.updateDrop.new_content;
-                    item.content = parsed.updateDrop.new_content;
-                    localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-                    
-                    // Refresh feed after update
-                    if (typeof setTimeFilter === 'function') setTimeFilter('today');
-                    render();
-                    if (typeof scrollToBottom === 'function') scrollToBottom();
-                    
-                    console.log('✅ [Streaming] AI updated drop:', updateId);
-                    toast('Обновлено', 'success');
-                  }
-                }
-              }
-              
-              // Handle send_email_with_docx - generate docx on frontend and send (v4.19)
-              if (parsed.sendEmail?.action === 'send_email_with_docx' && parsed.sendEmail?.needs_docx) {
-                console.log('[Email] Got send_email_with_docx action:', parsed.sendEmail);
-                toast('Создаю документ Word...', 'info');
-                
-                // Generate docx on frontend using existing library
-                generateAndSendDocxEmail(parsed.sendEmail).then(result => {
-                  if (result.success) {
-                    toast(`Письмо с документом отправлено на ${parsed.sendEmail.to}`, 'success');
-                  } else {
-                    toast(`Ошибка отправки: ${result.error}`, 'error');
-                  }
-                }).catch(err => {
-                  console.error('[Email] Error:', err);
-                  toast('Ошибка при создании документа: ' + err.message, 'error');
-                });
-              }
-              
-              // Handle simple send_email (without docx)
-              if (parsed.sendEmail?.action === 'send_email' && !parsed.sendEmail?.needs_docx) {
-                console.log('[Email] Simple email sent:', parsed.sendEmail);
-                toast(`Письмо отправлено на ${parsed.sendEmail.to}`, 'success');
-              }
-              
-              // Debug: log if sendEmail exists but action is unexpected
-              if (parsed.sendEmail && !['send_email', 'send_email_with_docx'].includes(parsed.sendEmail.action)) {
-                console.warn('[Email] Unexpected sendEmail action:', parsed.sendEmail);
-              }
-              
-              // Handle generate_image (v0.9.118)
-              console.log('[Image Gen] Checking parsed.generateImage:', parsed.generateImage ? 'exists' : 'undefined');
-              if (parsed.generateImage) {
-                console.log('[Image Gen] Action:', parsed.generateImage.action);
-                console.log('[Image Gen] Has image:', !!parsed.generateImage.image);
-                console.log('[Image Gen] Image length:', parsed.generateImage.image?.length || 0);
-                console.log('[Image Gen] Success:', parsed.generateImage.success);
-                console.log('[Image Gen] Error:', parsed.generateImage.error || 'none');
-              }
-              
-              if (parsed.generateImage?.action === 'generate_image' && parsed.generateImage?.image) {
-                console.log('[Image Gen] ✅ Adding generated image to chat!');
-                setTimeout(() => {
-                  addGeneratedImageToChat(parsed.generateImage.image, parsed.generateImage.revised_prompt);
-                }, 100);
-              } else if (parsed.generateImage?.action === 'generate_image' && !parsed.generateImage?.image) {
-                console.error('[Image Gen] ❌ Tool called but no image returned!', parsed.generateImage);
-                toast('Ошибка генерации: ' + (parsed.generateImage.error || 'нет изображения'), 'error');
-              }
-              
-              // Handle create_charts array in done event (v4.22 - fallback if chart_ready didn't work)
-              if (parsed.createCharts && Array.isArray(parsed.createCharts) && parsed.createCharts.length > 0) {
-                console.log('[Chart] Done event has', parsed.createCharts.length, 'charts');
-                if (!window._renderedChartIds) window._renderedChartIds = new Set();
-                
-                parsed.createCharts.forEach((chart, idx) => {
-                  if (chart?.chartConfig) {
-                    const chartId = chart.chartType + '_' + (chart.title || Date.now());
-                    if (!window._renderedChartIds.has(chartId)) {
-                      window._renderedChartIds.add(chartId);
-                      console.log('[Chart] Rendering from done (fallback):', chart.title);
-                      setTimeout(() => {
-                        renderChartInChat(chart);
-                      }, idx * 200);
-                    } else {
-                      console.log('[Chart] Already rendered via chart_ready:', chart.title);
-                    }
-                  }
-                });
-                
-                // Clear tracking for next request
-                setTimeout(() => {
-                  window._renderedChartIds = new Set();
-                }, 2000);
-              }
-              
-              // Handle create_diagrams array in done event (v4.24 - fallback)
-              if (parsed.createDiagrams && Array.isArray(parsed.createDiagrams) && parsed.createDiagrams.length > 0) {
-                console.log('[Diagram] Done event has', parsed.createDiagrams.length, 'diagrams');
-                if (!window._renderedDiagramIds) window._renderedDiagramIds = new Set();
-                
-                parsed.createDiagrams.forEach((diagram, idx) => {
-                  if (diagram?.code) {
-                    const diagramId = diagram.diagramType + '_' + (diagram.title || Date.now());
-                    if (!window._renderedDiagramIds.has(diagramId)) {
-                      window._renderedDiagramIds.add(diagramId);
-                      console.log('[Diagram] Rendering from done (fallback):', diagram.title);
-                      setTimeout(() => {
-                        renderDiagramInChat(diagram);
-                      }, idx * 200);
-                    } else {
-                      console.log('[Diagram] Already rendered via diagram_ready:', diagram.title);
-                    }
-                  }
-                });
-                
-                // Clear tracking for next request
-                setTimeout(() => {
-                  window._renderedDiagramIds = new Set();
-                }, 2000);
-              }
+              console.log('[Streaming DONE] Tools used:', parsed.toolsUsed);
+              applyToolEffects(parsed);
+              citationSources = collectCitationSources(parsed);
             }
             
             // Legacy format (v4.4 and earlier)
@@ -4216,6 +3969,9 @@ async function handleStreamingResponse(response) {
     bubble.innerHTML = window.renderMarkdown(fullText);
   }
   
+  // [n] → citation chips + source list (v4.33)
+  const shownSources = renderCitations(bubble, citationSources);
+  
   // Store original markdown for Create Drop button
   bubble.dataset.originalText = fullText;
   
@@ -4242,7 +3998,7 @@ async function handleStreamingResponse(response) {
   // Smart AutoDrop (v4.26) — don't save blocked responses or short chitchat
   if (localStorage.getItem('droplit_autodrop') === 'true' && !wasBlocked) {
     if (shouldAutoSaveToDrop(fullText)) {
-      autoSaveMessageAsDrop(fullText, false);
+      autoSaveMessageAsDrop(fullText, false, shownSources.length ? { sources: shownSources } : {});
     } else {
       console.log('[Chat] Smart AutoDrop: skipping (too short or chitchat)');
     }
@@ -4273,12 +4029,675 @@ async function handleStreamingResponse(response) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// TOOL EFFECTS (tool registry v1.0)
+// Клиентская часть инструментов: как результат применяется к ленте/чату.
+// Схемы, риск и статус — js/tool-registry.js, исполнители — api/ai.js
+// ═══════════════════════════════════════════════════════════════
+
+function refreshFeedAfterTool(scroll = true) {
+  if (typeof setTimeFilter === 'function') setTimeFilter('today');
+  render();
+  counts();
+  if (scroll && typeof scrollToBottom === 'function') scrollToBottom();
+}
+
+function applyCreateDropEffect(result) {
+  if (result.action !== 'create_drop' || !result.drop) return;
+  
+  const drop = result.drop;
+  const now = new Date();
+  const newIdea = {
+    id: Date.now().toString(),
+    text: drop.text,
+    content: drop.text,
+    category: drop.category || 'inbox',
+    timestamp: now.toISOString(),
+    created_at: now.toISOString(),
+    date: now.toLocaleDateString('ru-RU'),
+    time: now.toLocaleTimeString('ru-RU', {hour:'2-digit', minute:'2-digit'}),
+    isMedia: false,
+    source: 'aski_tool',
+    creator: 'aski'
+  };
+  ideas.unshift(newIdea);
+  DropStore.saveAll(ideas);
+  refreshFeedAfterTool();
+  
+  console.log('✅ [Tool] AI created drop:', newIdea.id, newIdea.text?.substring(0, 30));
+  toast('Дроп создан', 'success');
+}
+
+function applyCreateEventEffect(result) {
+  if (result.action !== 'create_event' || !result.command) return;
+  
+  const cmd = result.command;
+  const now = new Date();
+  
+  // CRITICAL: Use ID from server (UUID from Supabase)
+  const eventId = cmd.id;
+  if (!eventId) {
+    console.warn('[Tool] create_event: No ID from server!');
+  }
+  
+  // Format scheduled time for display (user's zone + browser locale)
+  let scheduledTimeStr = '';
+  if (cmd.scheduled_at) {
+    scheduledTimeStr = formatCommandTime(cmd.scheduled_at, cmd.timezone, 'time');
+  }
+  // Fallback to scheduled_time if scheduled_at failed
+  if (!scheduledTimeStr && cmd.scheduled_time) {
+    scheduledTimeStr = cmd.scheduled_time;
+  }
+  
+  // Text format: ⏰ HH:MM Title
+  const dropText = scheduledTimeStr 
+    ? `⏰ ${scheduledTimeStr} ${cmd.title}`
+    : `⏰ ${cmd.title}`;
+  
+  const newIdea = {
+    id: eventId || Date.now().toString(), // Prefer server UUID
+    text: dropText,
+    content: dropText,
+    category: 'command',
+    type: 'command',
+    timestamp: now.toISOString(),
+    created_at: now.toISOString(),
+    scheduled_at: cmd.scheduled_at,
+    event_id: eventId, // Store separately for lookup
+    status: cmd.status || 'pending', // awaiting_approval → confirmation card
+    approval_reason: cmd.approval_reason || null,
+    action_type: cmd.action_type || 'push',
+    date: now.toLocaleDateString('ru-RU'),
+    time: now.toLocaleTimeString('ru-RU', {hour:'2-digit', minute:'2-digit'}),
+    isMedia: false,
+    source: 'aski_command',
+    creator: 'aski',
+    schedule_rule: cmd.schedule_rule || null, // cron, for recurring commands
+    timezone: cmd.timezone || null,
+    action_params: cmd.action_params || null // email / telegram / webhook target
+  };
+  
+  // Burst detection for Level 4 approval
+  if (window.CommandValidator) CommandValidator.recordCommandCreated();
+  if (typeof queueLocalCommand === 'function') queueLocalCommand(cmd);
+  
+  // Add to end of array (like saveTextNote)
+  ideas.push(newIdea);
+  DropStore.saveAll(ideas);
+  
+  if (typeof playDropSound === 'function') {
+    playDropSound();
+  }
+  
+  if (typeof resetToShowAll === 'function') {
+    resetToShowAll();
+  } else {
+    render();
+    counts();
+    setTimeout(() => {
+      const wrap = document.getElementById('ideasWrap');
+      if (wrap) wrap.scrollTo({top: wrap.scrollHeight, behavior: 'auto'});
+    }, 50);
+  }
+  
+  console.log('✅ [Tool] AI created command drop:', eventId, dropText);
+  toast('Напоминание создано', 'success');
+  
+  // === E2E ENCRYPTION FOR COMMAND DROPS (v4.23) ===
+  // Encrypt the command after it's created in Supabase - don't block UI
+  if (eventId && window.DropLitCommandEncrypt && window.DROPLIT_PRIVACY_ENABLED) {
+    window.DropLitCommandEncrypt.encryptExistingCommand(eventId, cmd.title, cmd.title)
+      .then(encrypted => {
+        if (encrypted) console.log('🔐 [Tool] Command encrypted:', eventId);
+      })
+      .catch(e => {
+        // Non-critical: plaintext version works as fallback
+        console.warn('[Tool] Command encryption skipped:', e.message);
+      });
+  }
+}
+
+function applyCancelEventEffect(result) {
+  if (result.action !== 'cancel_event' || !result.sync_local) return;
+  
+  const cancelledId = result.cancelled?.id;
+  const cancelledTitle = result.cancelled?.title;
+  let idx = -1;
+  
+  if (cancelledId) {
+    // Find by ID (exact match) or event_id field
+    idx = ideas.findIndex(i => 
+      String(i.id) === String(cancelledId) || 
+      String(i.event_id) === String(cancelledId)
+    );
+  }
+  
+  // Fallback: find by title
+  if (idx === -1 && cancelledTitle) {
+    idx = ideas.findIndex(i => 
+      (i.type === 'command' || i.category === 'command') && 
+      (i.text?.includes(cancelledTitle) || i.content?.includes(cancelledTitle))
+    );
+  }
+  
+  if (idx !== -1) {
+    const removedDrop = ideas.splice(idx, 1)[0];
+    DropStore.saveAll(ideas);
+    console.log('✅ [Tool] Removed command drop:', cancelledId || cancelledTitle, removedDrop.text);
+    // Simple render + counts (no filter change, no scroll)
+    render();
+    counts();
+    toast('Напоминание отменено', 'success');
+  } else {
+    console.warn('[Tool] Could not find command drop to remove:', cancelledId, cancelledTitle);
+    // Still update counts in case of sync issues
+    counts();
+    toast('Напоминание отменено', 'warning');
+  }
+}
+
+function findToolTargetDrop(result) {
+  const id = result.local_id || result.deleted_id || result.updated_id;
+  return id ? ideas.find(i => String(i.id) === String(id)) || null : null;
+}
+
+function applyDeleteDropEffect(result) {
+  if (result.action !== 'delete_drop' || !result.sync_local) return;
+  
+  const item = findToolTargetDrop(result);
+  if (!item) return;
+  
+  ideas.splice(ideas.indexOf(item), 1);
+  DropStore.saveAll(ideas);
+  refreshFeedAfterTool();
+  
+  console.log('✅ [Tool] AI deleted drop:', item.id);
+  toast('Удалено из ленты', 'success');
+}
+
+function applyUpdateDropEffect(result) {
+  if (result.action !== 'update_drop' || !result.new_content) return;
+  
+  const item = findToolTargetDrop(result);
+  if (!item) return;
+  
+  item.text = result.new_content;
+  item.content = result.new_content;
+  DropStore.saveAll(ideas);
+  refreshFeedAfterTool();
+  
+  console.log('✅ [Tool] AI updated drop:', item.id);
+  toast('Обновлено', 'success');
+}
+
+// search_drops: сервер видит только открытые дропы, зашифрованные ищем здесь.
+// Найденное закрепляется и уходит в currentFeed следующих запросов,
+// чтобы update_drop / delete_drop могли сослаться на ID вне ленты
+const SEARCH_PINS_MAX = 30;
+let searchPinnedDrops = [];
+
+function pinSearchResults(drops) {
+  const ids = new Set(drops.map(d => String(d.id)));
+  searchPinnedDrops = [...drops, ...searchPinnedDrops.filter(d => !ids.has(String(d.id)))].slice(0, SEARCH_PINS_MAX);
+}
+
+function getSearchPinnedDrops() {
+  // Удалённые после поиска дропы больше не нужны модели
+  const alive = new Set(ideas.map(i => String(i.id)));
+  searchPinnedDrops = searchPinnedDrops.filter(d => alive.has(String(d.id)));
+  return searchPinnedDrops;
+}
+
+async function searchDropsLocally(filters = {}) {
+  const from = filters.date_from ? new Date(filters.date_from + 'T00:00:00') : undefined;
+  const to = filters.date_to ? new Date(filters.date_to + 'T23:59:59.999') : undefined;
+  
+  let candidates = ideas;
+  if (window.DropStore?.query) {
+    try {
+      candidates = await DropStore.query({
+        category: filters.category || undefined,
+        marker: filters.marker || undefined,
+        from,
+        to
+      });
+    } catch (e) {
+      console.warn('[search_drops] DropStore query failed, scanning feed:', e);
+    }
+  }
+  
+  candidates = candidates.filter(d => {
+    if (filters.category && d.category !== filters.category) return false;
+    if (filters.marker && !(d.markers || []).includes(filters.marker)) return false;
+    if (filters.creator && (d.creator || 'user') !== filters.creator) return false;
+    const time = new Date(d.timestamp || d.created_at || 0);
+    if (from && time < from) return false;
+    if (to && time > to) return false;
+    return true;
+  });
+  
+  const limit = filters.limit || 10;
+  const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(w => w.length >= 2);
+  if (!terms.length) {
+    return candidates
+      .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0))
+      .slice(0, limit);
+  }
+  
+  const scored = candidates
+    .map(d => {
+      const text = (d.text || d.content || '').toLowerCase();
+      return { drop: d, score: terms.filter(t => text.includes(t)).length };
+    })
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score);
+  
+  if (scored.length) return scored.slice(0, limit).map(m => m.drop);
+  
+  // Точных совпадений нет — семантический / ZK поиск, если приватность готова
+  if (window.DropLitPrivacy?.isReady?.()) {
+    const results = await DropLitPrivacy.search(filters.query, candidates, { topK: limit });
+    return results.map(r => r.drop || r);
+  }
+  return [];
+}
+
+function renderDropSearchResults(drops) {
+  const messagesDiv = document.getElementById('askAIMessages');
+  if (!messagesDiv) return;
+  
+  const time = new Date().toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+  const msgDiv = document.createElement('div');
+  msgDiv.className = 'ask-ai-message ai drop-search';
+  msgDiv.innerHTML = `
+    <div class="drop-search-title">🔍 Найдено на устройстве: ${drops.length}</div>
+    ${drops.length ? `<ul class="drop-search-list">${drops.map(d => `
+      <li class="drop-search-item">
+        <span class="drop-search-text">${escapeHtml((d.text || d.content || '').substring(0, 120))}</span>
+        <span class="drop-search-meta">${escapeHtml(d.date || '')}${d.encrypted || d.is_encrypted ? ' 🔒' : ''}</span>
+      </li>`).join('')}</ul>` : ''}
+    <div class="ask-ai-time">${time}</div>
+  `;
+  
+  messagesDiv.appendChild(msgDiv);
+  messagesDiv.scrollTop = messagesDiv.scrollHeight;
+}
+
+function applySearchDropsEffect(result) {
+  if (result.action !== 'search_drops' || !result.success) return;
+  
+  const serverIds = new Set((result.matches || []).map(m => String(m.id)));
+  const serverDrops = ideas.filter(i => serverIds.has(String(i.id)));
+  
+  if (!result.search_local) {
+    pinSearchResults(serverDrops);
+    return;
+  }
+  
+  searchDropsLocally(result.filters).then(localDrops => {
+    const found = localDrops.filter(d => !serverIds.has(String(d.id)));
+    pinSearchResults([...serverDrops, ...found]);
+    renderDropSearchResults(found);
+    console.log('✅ [Tool] Local drop search:', found.length, 'extra matches');
+  }).catch(e => {
+    console.error('[search_drops] Local search failed:', e);
+    toast('Не удалось выполнить поиск на устройстве', 'error');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EMAIL DELIVERY STATUS (v4.33)
+// Сервер пишет каждое письмо в журнал (email_messages). Карточка в чате
+// показывает статус и догоняет его через action 'email_status':
+// sent → delivered / bounced. failed — не ушло, sunk — dev sink.
+// ═══════════════════════════════════════════════════════════════
+
+const EMAIL_STATUS_LABELS = {
+  sending: 'Отправляется...',
+  sent: 'Отправлено, ждём доставку',
+  delivered: 'Доставлено',
+  bounced: 'Не доставлено — адрес отклонил письмо',
+  complained: 'Получатель пометил как спам',
+  failed: 'Не отправлено',
+  sunk: 'Тестовый режим — письмо не ушло наружу'
+};
+
+const EMAIL_STATUS_POLL_DELAYS = [5000, 15000, 45000, 120000];
+
+function renderEmailStatusCard({ to, subject, status }) {
+  const messagesDiv = document.getElementById('askAIMessages');
+  if (!messagesDiv) return null;
+  
+  const time = new Date().toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+  const msgDiv = document.createElement('div');
+  msgDiv.className = 'ask-ai-message ai email-status';
+  msgDiv.innerHTML = `
+    <div class="email-status-card">
+      <div class="email-status-title">✉️ ${escapeHtml(subject || 'Письмо')}</div>
+      <div class="email-status-to">${escapeHtml(to || '')}</div>
+      <div class="email-status-state"></div>
+    </div>
+    <div class="ask-ai-time">${time}</div>
+  `;
+  setEmailCardStatus(msgDiv, status);
+  
+  messagesDiv.appendChild(msgDiv);
+  messagesDiv.scrollTop = messagesDiv.scrollHeight;
+  return msgDiv;
+}
+
+function setEmailCardStatus(card, status, error = null) {
+  if (!card) return;
+  const state = card.querySelector('.email-status-state');
+  state.dataset.status = status;
+  state.textContent = (EMAIL_STATUS_LABELS[status] || status) + (error ? `: ${error}` : '');
+}
+
+async function fetchEmailStatuses(emailIds) {
+  const response = await fetch(AI_API_URL, {
+    method: 'POST',
+    headers: await getAIHeaders(),
+    body: JSON.stringify({ action: 'email_status', emailIds })
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'email_status failed');
+  return data.emails;
+}
+
+// Пока письмо в статусе sent — спрашиваем провайдера с нарастающей паузой
+function trackEmailDelivery(emailId, card, attempt = 0) {
+  if (!emailId || !card || attempt >= EMAIL_STATUS_POLL_DELAYS.length) return;
+  
+  setTimeout(async () => {
+    try {
+      const [email] = await fetchEmailStatuses([emailId]);
+      if (!email) return;
+      setEmailCardStatus(card, email.status, email.error);
+      if (email.status === 'sent') trackEmailDelivery(emailId, card, attempt + 1);
+      if (email.status === 'bounced') toast(`Письмо на ${email.to_email} не доставлено`, 'error');
+    } catch (e) {
+      console.warn('[Email] Status check failed:', e.message);
+    }
+  }, EMAIL_STATUS_POLL_DELAYS[attempt]);
+}
+
+function showEmailDelivery(to, subject, result) {
+  const status = result.status || (result.success ? 'sent' : 'failed');
+  const card = renderEmailStatusCard({ to, subject, status });
+  if (status === 'failed') setEmailCardStatus(card, status, result.error);
+  if (status === 'sent') trackEmailDelivery(result.email_id, card);
+}
+
+function applySendEmailEffect(result) {
+  // Word attachment: generate docx on frontend and send (v4.19)
+  if (result.action === 'send_email_with_docx' && result.needs_docx) {
+    toast('Создаю документ Word...', 'info');
+    generateAndSendDocxEmail(result).then(sent => {
+      if (sent.success) {
+        toast(`Письмо с документом отправлено на ${result.to}`, 'success');
+      } else {
+        toast(`Ошибка отправки: ${sent.error}`, 'error');
+      }
+      showEmailDelivery(result.to, result.subject, sent);
+    }).catch(err => {
+      console.error('[Email] Error:', err);
+      toast('Ошибка при создании документа: ' + err.message, 'error');
+    });
+  } else if (result.action === 'send_email') {
+    if (result.success) {
+      toast(`Письмо отправлено на ${result.to}`, 'success');
+    } else {
+      toast(`Ошибка отправки: ${result.error}`, 'error');
+    }
+    if (result.to || result.email_id) showEmailDelivery(result.to, result.subject, result);
+  }
+}
+
+function applyGenerateImageEffect(result) {
+  if (result.action !== 'generate_image') return;
+  
+  if (result.image) {
+    setTimeout(() => {
+      addGeneratedImageToChat(result.image, result.revised_prompt);
+    }, 100);
+  } else {
+    console.error('[Image Gen] ❌ Tool called but no image returned!', result);
+    toast('Ошибка генерации: ' + (result.error || 'нет изображения'), 'error');
+  }
+}
+
+// Charts / diagrams arrive via chart_ready / diagram_ready; done is the fallback
+function renderOnceInChat(items, registryKey, makeId, isReady, renderFn) {
+  if (!window[registryKey]) window[registryKey] = new Set();
+  
+  items.forEach((item, idx) => {
+    if (!isReady(item)) return;
+    const id = makeId(item);
+    if (window[registryKey].has(id)) return;
+    window[registryKey].add(id);
+    setTimeout(() => renderFn(item), idx * 200);
+  });
+  
+  // Clear tracking for next request
+  setTimeout(() => {
+    window[registryKey] = new Set();
+  }, 2000);
+}
+
+if (window.DropLitTools) {
+  DropLitTools.implement({
+    create_drop: { effect: applyCreateDropEffect },
+    create_event: { effect: applyCreateEventEffect },
+    cancel_event: { effect: applyCancelEventEffect },
+    delete_drop: {
+      effect: applyDeleteDropEffect,
+      describe: (result) => {
+        const item = findToolTargetDrop(result);
+        const preview = (item?.text || item?.content || '').substring(0, 80);
+        return item ? `Удалить дроп «${preview}»?` : null;
+      }
+    },
+    update_drop: { effect: applyUpdateDropEffect },
+    search_drops: { effect: applySearchDropsEffect },
+    send_email: { effect: applySendEmailEffect },
+    generate_image: { effect: applyGenerateImageEffect },
+    create_chart: {
+      effect: (charts) => renderOnceInChat(charts, '_renderedChartIds',
+        c => c.chartType + '_' + (c.title || Date.now()), c => !!c?.chartConfig, renderChartInChat)
+    },
+    create_diagram: {
+      effect: (diagrams) => renderOnceInChat(diagrams, '_renderedDiagramIds',
+        d => d.diagramType + '_' + (d.title || Date.now()), d => !!d?.code, renderDiagramInChat)
+    }
+  });
+}
+
+/**
+ * Apply tool results from a chat response (streaming done event or JSON).
+ * Destructive tools wait for confirmation in the chat first.
+ */
+function applyToolEffects(payload) {
+  if (!window.DropLitTools) return;
+  
+  for (const tool of DropLitTools.list()) {
+    if (!tool.resultKey || !tool.effect) continue;
+    
+    const result = payload[tool.resultKey];
+    if (!result || (Array.isArray(result) && !result.length)) continue;
+    
+    const run = () => {
+      try {
+        tool.effect(result, payload);
+      } catch (e) {
+        console.error('[Tool] Effect failed:', tool.name, e);
+      }
+    };
+    
+    if (tool.risk === 'destructive' && result.success !== false) {
+      const question = tool.describe ? tool.describe(result) : null;
+      // Nothing to apply (e.g. drop already gone) → skip silently
+      if (question === null && tool.describe) continue;
+      showToolConfirmation(tool, question || tool.title + '?', run);
+    } else {
+      run();
+    }
+  }
+}
+
+function showToolConfirmation(tool, question, onConfirm) {
+  const messagesDiv = document.getElementById('askAIMessages');
+  if (!messagesDiv) return;
+  
+  const card = document.createElement('div');
+  card.className = 'ask-ai-message ai tool-confirm';
+  card.innerHTML = `
+    <div class="tool-confirm-card">
+      <div class="tool-confirm-text">⚠️ ${escapeHtml(question)}</div>
+      <div class="tool-confirm-actions">
+        <button class="ask-ai-action-btn tool-confirm-yes">Подтвердить</button>
+        <button class="ask-ai-action-btn tool-confirm-no">Отмена</button>
+      </div>
+    </div>`;
+  
+  const finish = (text) => {
+    card.querySelector('.tool-confirm-actions').remove();
+    card.querySelector('.tool-confirm-text').textContent = text;
+    card.classList.add('resolved');
+  };
+  
+  card.querySelector('.tool-confirm-yes').onclick = () => {
+    finish('✓ ' + question);
+    onConfirm();
+  };
+  card.querySelector('.tool-confirm-no').onclick = () => {
+    finish('✕ Отменено: ' + question);
+    console.log('[Tool] Destructive action declined:', tool.name);
+  };
+  
+  messagesDiv.appendChild(card);
+  messagesDiv.scrollTop = messagesDiv.scrollHeight;
+}
+
 function toolStatusText(toolName) {
-  const names = { 'web_search': 'Searching...', 'create_drop': 'Creating drop...', 'fetch_recent_drops': 'Reading notes...', 'search_drops': 'Searching notes...', 'get_summary': 'Summarizing...' };
-  return names[toolName] || 'Processing...';
+  return window.DropLitTools?.getStatusLabel(toolName) || 'Processing...';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WEB SEARCH CITATIONS (v4.33)
+// web_search отдаёт модели пронумерованные источники, модель ссылается
+// на них как [n]. Здесь [n] → chip со ссылкой, под ответом — список
+// источников. Те же sources сохраняются в дроп при AutoDrop.
+// ═══════════════════════════════════════════════════════════════
+
+const CITATION_MARK = /\[(\d{1,2})\]/g;
+
+// Sources of all web_search calls in one response (done event / JSON: webSearch[])
+function collectCitationSources(payload) {
+  const searches = Array.isArray(payload?.webSearch) ? payload.webSearch : [];
+  const byNumber = new Map();
+  
+  for (const search of searches) {
+    if (!search?.success || !Array.isArray(search.sources)) continue;
+    for (const src of search.sources) {
+      if (!Number.isInteger(src?.n) || !/^https?:\/\//i.test(src.url || '')) continue;
+      byNumber.set(src.n, { n: src.n, title: src.title || src.url, url: src.url });
+    }
+  }
+  
+  return [...byNumber.values()].sort((a, b) => a.n - b.n);
+}
+
+// [n] не озвучиваем
+function stripCitationMarks(text) {
+  return text.replace(/\s?\[\d{1,2}\]/g, '');
+}
+
+function createCitationLink(source, className, label) {
+  const link = document.createElement('a');
+  link.className = className;
+  link.href = source.url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.title = source.title;
+  link.textContent = label;
+  return link;
+}
+
+function sourceHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Replace [n] marks in a rendered answer with citation chips and append the source list.
+ * Returns the sources shown (cited ones, or all if the model cited none).
+ */
+function renderCitations(bubble, sources) {
+  if (!bubble || !sources?.length) return [];
+  
+  const byNumber = new Map(sources.map(src => [src.n, src]));
+  const cited = new Set();
+  
+  // Text nodes outside links and code
+  const walker = document.createTreeWalker(bubble, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => node.parentElement?.closest('a, code, pre')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+  
+  for (const node of textNodes) {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    
+    for (const match of text.matchAll(CITATION_MARK)) {
+      const source = byNumber.get(Number(match[1]));
+      if (!source) continue;
+      fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+      fragment.appendChild(createCitationLink(source, 'citation-chip', String(source.n)));
+      cited.add(source.n);
+      last = match.index + match[0].length;
+    }
+    
+    if (!last) continue;
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    node.replaceWith(fragment);
+  }
+  
+  const shown = cited.size ? sources.filter(src => cited.has(src.n)) : sources;
+  
+  const list = document.createElement('div');
+  list.className = 'citation-sources';
+  const title = document.createElement('div');
+  title.className = 'citation-sources-title';
+  title.textContent = 'Sources';
+  list.appendChild(title);
+  
+  for (const src of shown) {
+    const row = document.createElement('div');
+    row.className = 'citation-source';
+    const num = document.createElement('span');
+    num.className = 'citation-num';
+    num.textContent = src.n;
+    const host = document.createElement('span');
+    host.className = 'citation-host';
+    host.textContent = sourceHost(src.url);
+    row.append(num, createCitationLink(src, 'citation-source-link', src.title), host);
+    list.appendChild(row);
+  }
+  
+  bubble.appendChild(list);
+  bubble.dataset.sources = JSON.stringify(shown);
+  return shown;
 }
 
-function addAskAIMessage(text, isUser = true, imageUrl = null) {
+function addAskAIMessage(text, isUser = true, imageUrl = null, sources = null) {
   const messagesDiv = document.getElementById('askAIMessages');
   const emptyState = document.getElementById('askAIEmpty');
   
@@ -4292,6 +4711,7 @@ function addAskAIMessage(text, isUser = true, imageUrl = null) {
   const msgDiv = document.createElement('div');
   msgDiv.className = `ask-ai-message ${isUser ? 'user' : 'ai'}`;
   msgDiv.id = msgId;
+  let shownSources = [];
   
   // Determine button state based on AutoDrop
   const createDropBtn = autoDropEnabled 
@@ -4365,6 +4785,8 @@ function addAskAIMessage(text, isUser = true, imageUrl = null) {
       <div class="ask-ai-time">${time}</div>
     `;
     
+    shownSources = renderCitations(msgDiv.querySelector('.ask-ai-bubble'), sources);
+    
     // Auto-speak if enabled
     if (isAutoSpeakEnabled()) {
       updateVoiceModeIndicator('speaking');
@@ -4390,7 +4812,7 @@ function addAskAIMessage(text, isUser = true, imageUrl = null) {
   
   // AutoDrop: automatically save message as drop
   if (autoDropEnabled) {
-    autoSaveMessageAsDrop(text, isUser);
+    autoSaveMessageAsDrop(text, isUser, shownSources.length ? { sources: shownSources } : {});
   }
 }
 
@@ -4558,6 +4980,20 @@ async function sendAskAIMessage() {
           event_id: d.event_id, // v4.22: For command drops
           is_encrypted: d.encrypted || d.is_encrypted || false
         }));
+        
+        // Дропы из прошлых search_drops — чтобы ASKI мог их править (v4.31)
+        const feedIds = new Set(currentFeed.map(d => String(d.id)));
+        getSearchPinnedDrops()
+          .filter(d => !feedIds.has(String(d.id)))
+          .forEach(d => currentFeed.push({
+            id: d.id,
+            content: d.text || d.content || '',
+            category: d.category || 'inbox',
+            type: d.type || d.category || 'note',
+            created_at: d.created_at || d.timestamp,
+            is_encrypted: d.encrypted || d.is_encrypted || false,
+            from_search: true
+          }));
         console.log('[ASKI] Sending currentFeed:', currentFeed.length, 'drops, types:', [...new Set(currentFeed.map(d => d.type))].join(', '));
       }
     } catch (e) {
@@ -4566,14 +5002,18 @@ async function sendAskAIMessage() {
     
     console.log('[ASKI] Sending request with image:', attachedImage ? 'YES' : 'NO');
     
+    // Summary + unsummarized turns instead of the raw tail (v4.32)
+    const chatContext = getHistoryForModel(messageText);
+    
     const response = await fetch(AI_API_URL, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: await getAIHeaders(),
       body: JSON.stringify({
         action: 'chat',
         text: textForAI || 'Что на этом изображении?',  // Default question for image-only (v0.9.117)
         image: attachedImage?.data || null, // v0.9.117: Attached image base64
-        history: askAIMessages.slice(-21, -1), // v4.29: Exclude last msg (sent as 'text'), take 20 before it
+        history: chatContext.history, // v4.32: Turns after the summary point (server condenses if over budget)
+        historySummary: chatContext.summary, // v4.32: Rolling summary of older turns
         syntriseContext: syntriseContext, // Legacy
         dropContext: contextObject, // v2: Structured context for server
         currentFeed: currentFeed, // v4.17: Actual drops from user's feed
@@ -4584,8 +5024,10 @@ async function sendAskAIMessage() {
         voiceMode: isVoice, // v4.27: Voice mode flag for server-side model selection
         autoModel: autoSelectedModel, // v4.27: Client-selected model based on complexity
         userEmail: getUserEmail(), // v4.19: User email for send_email tool
+        emailSenderName: getEmailSenderName(), // v4.33: "Name via ASKI"
         askiKnowledge: getAskiKnowledge(), // v4.20: Personal knowledge base
-        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone // v4.21: Device timezone
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone, // v4.21: Device timezone
+        disabledTools: typeof getDisabledTools === 'function' ? getDisabledTools() : [] // v4.30: Persona tool toggles
       })
     });
     
@@ -4613,74 +5055,13 @@ async function sendAskAIMessage() {
     
     hideAskAITyping();
     
+    if (data.historySummary) applyHistorySummary(data.historySummary);
+    
     if (data.success && data.result) {
-      addAskAIMessage(data.result, false);
-      
-      // Handle AI-initiated drop creation (v2 Tool Calling)
-      // Only create if AutoDrop is enabled OR user explicitly asked
-      if (data.createDrop?.action === 'create_drop') {
-        const autoDropEnabled = isAutoDropEnabled();
-        
-        if (autoDropEnabled) {
-          const dropText = data.createDrop.text;
-          const dropCategory = data.createDrop.category || 'inbox';
-          
-          // Create the drop
-          const now = new Date();
-          const newIdea = {
-            id: Date.now(),
-            text: dropText,
-            category: dropCategory,
-            date: now.toLocaleDateString('ru-RU'),
-            time: now.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' }),
-            timestamp: now.toISOString(),
-            aiGenerated: true,
-            encrypted: window.DROPLIT_PRIVACY_ENABLED || false
-          };
-          
-          ideas.unshift(newIdea);
-          save(newIdea);
-          render();
-          counts();
-          
-          console.log('✅ AI created drop:', dropText.substring(0, 50) + '...');
-          toast(`Aski created: ${dropCategory}`, 'success');
-        } else {
-          console.log('⏭️ AI wanted to create drop but AutoDrop is OFF');
-        }
-      }
-      
-      // Handle AI-initiated drop deletion (v4.17)
-      if (data.deleteDrop?.action === 'delete_drop' && data.deleteDrop?.sync_local) {
-        const deleteId = data.deleteDrop.local_id || data.deleteDrop.deleted_id;
-        if (deleteId) {
-          const idx = ideas.findIndex(i => String(i.id) === String(deleteId));
-          if (idx !== -1) {
-            ideas.splice(idx, 1);
-            localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-            render();
-            counts();
-            console.log('✅ AI deleted drop from local feed:', deleteId);
-            toast('Удалено из ленты', 'success');
-          }
-        }
-      }
+      addAskAIMessage(data.result, false, null, collectCitationSources(data));
       
-      // Handle AI-initiated drop update (v4.17)
-      if (data.updateDrop?.action === 'update_drop') {
-        const updateId = data.updateDrop.updated_id;
-        if (updateId) {
-          const item = ideas.find(i => String(i.id) === String(updateId));
-          if (item && data.updateDrop.new_content) {
-            item.text = data.updateDrop.new_content;
-            item.content = data.updateDrop.new_content;
-            localStorage.setItem('droplit_ideas', JSON.stringify(ideas));
-            render();
-            console.log('✅ AI updated drop in local feed:', updateId);
-            toast('Обновлено', 'success');
-          }
-        }
-      }
+      // Tool results → registry effects (same as streaming done)
+      applyToolEffects(data);
     } else {
       console.log('Error in response:', data);
       addAskAIMessage('Sorry, I could not process your request. ' + (data.error || ''), false);
@@ -4760,6 +5141,7 @@ function createDropFromAI(btn) {
   // Use original markdown if available, fallback to textContent
   const text = bubble.dataset.originalText || bubble.textContent;
   const isUserMessage = msgDiv.classList.contains('user');
+  const sources = bubble.dataset.sources ? JSON.parse(bubble.dataset.sources) : null;
   
   console.log('[createDropFromAI] Creating drop with markdown:', text.substring(0, 50) + '...');
   
@@ -4775,7 +5157,8 @@ function createDropFromAI(btn) {
     source: 'chat_manual',
     creator: isUserMessage ? 'user' : 'aski',
     sessionId: typeof currentChatSessionId !== 'undefined' ? currentChatSessionId : null,
-    encrypted: window.DROPLIT_PRIVACY_ENABLED || false
+    encrypted: window.DROPLIT_PRIVACY_ENABLED || false,
+    ...(sources ? { sources } : {})
   };
   
   ideas.unshift(drop);
@@ -4803,7 +5186,14 @@ function createDropFromAI(btn) {
 
 function copyAIResponse(btn) {
   const bubble = btn.closest('.ask-ai-message').querySelector('.ask-ai-bubble');
-  const text = bubble.textContent;
+  let text = bubble.textContent;
+  
+  // With citations: original text + plain source list instead of rendered chips
+  if (bubble.dataset.sources) {
+    const sources = JSON.parse(bubble.dataset.sources);
+    text = (bubble.dataset.originalText || text) + '\n\nSources:\n' +
+      sources.map(src => `[${src.n}] ${src.title} — ${src.url}`).join('\n');
+  }
   
   navigator.clipboard.writeText(text).then(() => {
     btn.textContent = 'Copied!';
@@ -5173,13 +5563,15 @@ async function generateAndSendDocxEmail(emailData) {
     // Send to server
     const response = await fetch(AI_API_URL, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: await getAIHeaders(),
       body: JSON.stringify({
         action: 'send_email_with_attachment',
         to: to,
         subject: subject,
         filename: filename || 'document',
-        docxBase64: base64
+        docxBase64: base64,
+        userEmail: getUserEmail(), // reply-to
+        emailSenderName: getEmailSenderName()
       })
     });
     
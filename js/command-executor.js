@@ -0,0 +1,431 @@
+// ============================================
+// DROPLIT COMMAND EXECUTOR v1.0
+// Выполнение command drops с внешним действием
+//
+// Один адаптер на action_type:
+//   email    — через почтовый слой сервера (ctx.sendEmail)
+//   telegram — Telegram Bot API sendMessage (ctx.telegramToken)
+//   webhook  — POST JSON с подписью HMAC-SHA256 (ctx.webhookSecret)
+//
+// Временные ошибки (сеть, 408, 429, 5xx) повторяются с экспоненциальной
+// паузой, постоянные (4xx, нет адреса, не настроено) — сразу failed.
+// Каждая попытка уходит в ctx.onAttempt (api/ai.js → command_executions).
+//
+// Выполняет сервер (api/ai.js action 'execute_command'): токены и секреты
+// не покидают его. sw.js и приложение запускают выполнение и показывают
+// итог в карточке команды через describe().
+//
+// Webhook подпись:
+//   X-DropLit-Timestamp: unix seconds
+//   X-DropLit-Signature: sha256=hex(HMAC_SHA256(secret, `${timestamp}.${body}`))
+//   X-DropLit-Delivery:  id выполнения, одинаковый для всех повторов
+// ============================================
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.DropLitExecutor = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const VERSION = '1.0.0';
+
+  const CONFIG = {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 1000,      // 1s → 4s → 16s...
+    BACKOFF_FACTOR: 4,
+    MAX_DELAY_MS: 15000,      // Edge function не может ждать долго
+    REQUEST_TIMEOUT_MS: 10000,
+    WEBHOOK_TOLERANCE_SECONDS: 300
+  };
+
+  // Действия, которые выполняет сервер (push / tts показывает устройство)
+  const REMOTE_ACTION_TYPES = ['email', 'telegram', 'webhook'];
+
+  class ExecutorError extends Error {
+    constructor(code, message, { retryable = false, status = null, retryAfterMs = null } = {}) {
+      super(message);
+      this.name = 'ExecutorError';
+      this.code = code;
+      this.retryable = retryable;
+      this.status = status;
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+
+  function httpError(code, status, detail, retryAfterMs = null) {
+    const retryable = status === 408 || status === 429 || status >= 500;
+    return new ExecutorError(code, `HTTP ${status}${detail ? ': ' + String(detail).slice(0, 200) : ''}`, {
+      retryable,
+      status,
+      retryAfterMs
+    });
+  }
+
+  // fetch с таймаутом; сетевые ошибки — retryable
+  async function request(ctx, url, options) {
+    const fetchFn = ctx.fetch || fetch;
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT_MS) : null;
+    try {
+      return await fetchFn(url, controller ? { ...options, signal: controller.signal } : options);
+    } catch (e) {
+      const timedOut = e?.name === 'AbortError';
+      throw new ExecutorError(timedOut ? 'TIMEOUT' : 'NETWORK', timedOut ? 'Request timed out' : (e?.message || 'Network error'), { retryable: true });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  function commandText(command) {
+    const title = command.title || '';
+    const content = command.content && command.content !== title ? command.content : '';
+    return content ? `${title}\n\n${content}` : title;
+  }
+
+  // ============================================
+  // HMAC (webhook signatures)
+  // ============================================
+
+  function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function hmacHex(secret, message) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    return toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+  }
+
+  /**
+   * Подпись webhook: hex HMAC-SHA256 от `${timestamp}.${body}`
+   */
+  function signWebhook(secret, timestamp, body) {
+    return hmacHex(secret, `${timestamp}.${body}`);
+  }
+
+  /**
+   * Проверка на стороне получателя (constant-time сравнение, окно по времени)
+   * @returns {Promise<boolean>}
+   */
+  async function verifyWebhook(secret, { timestamp, signature, body }, options = {}) {
+    const now = Math.floor((options.now || Date.now()) / 1000);
+    const ts = Number(timestamp);
+    if (!Number.isFinite(ts) || Math.abs(now - ts) > CONFIG.WEBHOOK_TOLERANCE_SECONDS) return false;
+
+    const expected = 'sha256=' + await signWebhook(secret, ts, body);
+    const given = String(signature || '');
+    if (given.length !== expected.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ given.charCodeAt(i);
+    return diff === 0;
+  }
+
+  // ============================================
+  // ADAPTERS
+  // send(command, ctx) → { status: 'delivered' | 'sent' | 'sunk', provider_id, response_code, detail }
+  // ============================================
+
+  const adapters = {};
+
+  adapters.email = {
+    async send(command, ctx) {
+      const params = command.action_params || {};
+      const to = params.to || params.email || params.recipient;
+      if (!to || !String(to).includes('@')) {
+        throw new ExecutorError('NO_RECIPIENT', 'No email address for this command');
+      }
+      if (!ctx.sendEmail) {
+        throw new ExecutorError('EMAIL_UNAVAILABLE', 'Email transport is not available');
+      }
+
+      const result = await ctx.sendEmail({
+        to,
+        subject: command.title || 'DropLit',
+        content: commandText(command)
+      });
+      if (!result.success) {
+        throw new ExecutorError('EMAIL_FAILED', result.error || 'Email failed', { retryable: result.retryable !== false });
+      }
+
+      return { status: result.status || 'sent', provider_id: result.messageId || null, detail: `to ${to}` };
+    }
+  };
+
+  adapters.telegram = {
+    async send(command, ctx) {
+      const params = command.action_params || {};
+      const chatId = String(params.chat_id || params.recipient || '').trim();
+      if (!/^(-?\d+|@[A-Za-z0-9_]{5,})$/.test(chatId)) {
+        throw new ExecutorError('NO_CHAT_ID', 'Telegram chat id (number or @channel) is required');
+      }
+      if (!ctx.telegramToken) {
+        throw new ExecutorError('TELEGRAM_NOT_CONFIGURED', 'Telegram bot is not configured');
+      }
+
+      const response = await request(ctx, `https://api.telegram.org/bot${ctx.telegramToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: chatId,
+          text: commandText(command),
+          disable_web_page_preview: true
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.ok) {
+        const retryAfter = data.parameters?.retry_after ? data.parameters.retry_after * 1000 : null;
+        throw httpError('TELEGRAM_ERROR', response.status, data.description, retryAfter);
+      }
+
+      return {
+        status: 'delivered',
+        provider_id: String(data.result?.message_id ?? ''),
+        response_code: response.status,
+        detail: `chat ${chatId}`
+      };
+    }
+  };
+
+  adapters.webhook = {
+    async send(command, ctx) {
+      const params = command.action_params || {};
+      const url = String(params.url || params.recipient || '').trim();
+      if (!/^https:\/\/[^\s]+$/i.test(url)) {
+        throw new ExecutorError('INVALID_URL', 'Webhook URL must be https://');
+      }
+      if (!ctx.webhookSecret) {
+        throw new ExecutorError('WEBHOOK_NOT_CONFIGURED', 'Webhook signing secret is not configured');
+      }
+
+      const body = JSON.stringify({
+        id: ctx.executionId,
+        event: 'command.fired',
+        command: {
+          id: command.id,
+          title: command.title || '',
+          content: command.content || '',
+          scheduled_at: command.scheduled_at || null
+        },
+        payload: params.payload ?? null,
+        attempt: ctx.attempt,
+        fired_at: new Date().toISOString()
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = await signWebhook(ctx.webhookSecret, timestamp, body);
+
+      const response = await request(ctx, url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `DropLit-Webhook/${VERSION}`,
+          'X-DropLit-Delivery': ctx.executionId,
+          'X-DropLit-Timestamp': String(timestamp),
+          'X-DropLit-Signature': `sha256=${signature}`
+        },
+        body
+      });
+
+      if (!response.ok) {
+        const retryAfter = Number(response.headers?.get?.('retry-after')) * 1000 || null;
+        throw httpError('WEBHOOK_HTTP', response.status, await response.text().catch(() => ''), retryAfter);
+      }
+
+      return { status: 'delivered', response_code: response.status, detail: new URL(url).host };
+    }
+  };
+
+  // ============================================
+  // EXECUTION
+  // ============================================
+
+  function backoffDelay(attempt, retryAfterMs = null) {
+    const base = CONFIG.BASE_DELAY_MS * Math.pow(CONFIG.BACKOFF_FACTOR, attempt - 1);
+    const jittered = base * (0.8 + Math.random() * 0.4);
+    return Math.round(Math.min(CONFIG.MAX_DELAY_MS, Math.max(jittered, retryAfterMs || 0)));
+  }
+
+  function makeExecutionId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `exec_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  async function reportAttempt(ctx, entry) {
+    if (!ctx.onAttempt) return;
+    try {
+      await ctx.onAttempt(entry);
+    } catch (e) {
+      // Лог не должен ломать выполнение
+      console.warn('[Executor] Attempt log failed:', e?.message);
+    }
+  }
+
+  /**
+   * Выполнить команду через адаптер её action_type с повторами.
+   * Не бросает исключений.
+   * @param {Object} command - command drop (id, title, content, action_type, action_params)
+   * @param {Object} ctx - { sendEmail, telegramToken, webhookSecret, onAttempt, fetch, sleep, maxAttempts }
+   * @returns {Promise<Object>} { execution_id, action_type, status, attempts, started_at, finished_at, provider_id, error }
+   */
+  async function execute(command, ctx = {}) {
+    const actionType = command.action_type || 'push';
+    const executionId = ctx.executionId || makeExecutionId();
+    const maxAttempts = ctx.maxAttempts || CONFIG.MAX_ATTEMPTS;
+    const sleep = ctx.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const adapter = adapters[actionType];
+
+    const execution = {
+      execution_id: executionId,
+      command_id: command.id != null ? String(command.id) : null,
+      action_type: actionType,
+      status: 'failed',
+      attempts: [],
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      provider_id: null,
+      error: null
+    };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const entry = {
+        execution_id: executionId,
+        attempt,
+        action_type: actionType,
+        started_at: new Date().toISOString()
+      };
+
+      try {
+        if (!adapter) throw new ExecutorError('UNSUPPORTED_ACTION', `No executor for action "${actionType}"`);
+
+        const result = await adapter.send(command, { ...ctx, executionId, attempt });
+        Object.assign(entry, {
+          outcome: 'success',
+          status: result.status,
+          provider_id: result.provider_id || null,
+          response_code: result.response_code || null,
+          detail: result.detail || null,
+          finished_at: new Date().toISOString()
+        });
+        execution.attempts.push(entry);
+        await reportAttempt(ctx, entry);
+
+        execution.status = result.status;
+        execution.provider_id = entry.provider_id;
+        execution.error = null;
+        break;
+      } catch (error) {
+        const err = error instanceof ExecutorError
+          ? error
+          : new ExecutorError('ADAPTER_ERROR', error?.message || String(error), { retryable: true });
+        const willRetry = err.retryable && attempt < maxAttempts;
+        const delay = willRetry ? backoffDelay(attempt, err.retryAfterMs) : null;
+
+        Object.assign(entry, {
+          outcome: willRetry ? 'retry' : 'failed',
+          status: 'failed',
+          code: err.code,
+          detail: err.message,
+          response_code: err.status,
+          retry_in_ms: delay,
+          finished_at: new Date().toISOString()
+        });
+        execution.attempts.push(entry);
+        execution.error = `${err.code}: ${err.message}`;
+        await reportAttempt(ctx, entry);
+
+        if (!willRetry) break;
+        await sleep(delay);
+      }
+    }
+
+    execution.finished_at = new Date().toISOString();
+    return execution;
+  }
+
+  /**
+   * Компактная запись для карточки (action_params.last_execution)
+   */
+  function summarize(execution) {
+    const success = execution.attempts.find(a => a.outcome === 'success');
+    return {
+      execution_id: execution.execution_id,
+      action_type: execution.action_type,
+      status: execution.status,
+      sent_at: success?.finished_at || null,
+      finished_at: execution.finished_at,
+      provider_id: execution.provider_id,
+      error: execution.error,
+      attempts: execution.attempts.map(a => ({
+        attempt: a.attempt,
+        outcome: a.outcome,
+        code: a.code || null,
+        detail: a.detail || null,
+        at: a.finished_at
+      }))
+    };
+  }
+
+  const STATUS_TEXT = {
+    delivered: 'delivered',
+    sent: 'awaiting delivery',
+    sunk: 'test sink, not delivered',
+    bounced: 'bounced',
+    complained: 'marked as spam'
+  };
+
+  /**
+   * "sent at 08:00, delivered" / "failed at 08:00 after 3 attempts: ..."
+   */
+  function describe(summary, options = {}) {
+    if (!summary) return '';
+    const formatTime = (iso) => {
+      if (!iso) return '';
+      try {
+        return new Date(iso).toLocaleTimeString(options.locale || 'en-GB', {
+          hour: '2-digit',
+          minute: '2-digit',
+          ...(options.timeZone ? { timeZone: options.timeZone } : {})
+        });
+      } catch (e) {
+        return new Date(iso).toISOString().slice(11, 16);
+      }
+    };
+
+    const attempts = summary.attempts?.length || 0;
+
+    if (summary.status === 'failed') {
+      const reason = summary.attempts?.[attempts - 1]?.detail || summary.error || 'unknown error';
+      return `failed at ${formatTime(summary.finished_at)} after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${reason}`;
+    }
+
+    const retryNote = attempts > 1 ? ` (attempt ${attempts})` : '';
+    return `sent at ${formatTime(summary.sent_at || summary.finished_at)}${retryNote}, ${STATUS_TEXT[summary.status] || summary.status}`;
+  }
+
+  return {
+    VERSION,
+    CONFIG,
+    REMOTE_ACTION_TYPES,
+    ExecutorError,
+    isRemote: (actionType) => REMOTE_ACTION_TYPES.includes(actionType),
+    register(actionType, adapter) {
+      adapters[actionType] = adapter;
+    },
+    execute,
+    summarize,
+    describe,
+    backoffDelay,
+    signWebhook,
+    verifyWebhook
+  };
+});
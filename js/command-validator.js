@@ -1,20 +1,37 @@
 // ============================================
-// DROPLIT COMMAND VALIDATOR v1.0
+// DROPLIT COMMAND VALIDATOR v1.3
 // Каскадная валидация командных дропов
 // 
 // Архитектура:
 //   Level 1: SYNTAX    — проверка структуры и форматов
 //   Level 2: LOGIC     — логическая корректность
 //   Level 3: CONTEXT   — соответствие запросу пользователя
-//   Level 4: APPROVAL  — проверка необходимости верификации (stub)
-//   Level 5: EXECUTION — финальная проверка перед выполнением (stub)
+//   Level 4: APPROVAL  — high-risk действия, чужие адресаты, всплески
+//   Level 5: EXECUTION — проверка в момент срабатывания + подписанный лог
 // 
 // v1.0: Поддержка reminder command drops (scheduled, user related)
-// Готов к расширению для action, assignment, management
+// v1.1: Реальные правила approval (status → awaiting_approval),
+//       guardExecution() для sw.js, HMAC-подписанные execution records
+// v1.2: Время через js/time.js — scheduled_at без смещения и "завтра в 9"
+//       считаются в поясе команды (timezone), а не устройства / сервера
+// v1.3: Level 3 разбирает запрос через js/date-parser.js (EN / RU, дни недели,
+//       повторения, диапазоны) и сверяет с trigger_at / scheduled_at модели
+//
+// Загружается в трёх средах: страница (window), sw.js (importScripts),
+// api/ai.js (import) — поэтому localStorage / indexedDB опциональны.
+// js/time.js должен быть загружен раньше (в Node — require);
+// js/date-parser.js — для Level 3 (без него сверка времени пропускается).
 // ============================================
 
-(function() {
+(function(root) {
   'use strict';
+  
+  const Time = root.DropLitTime || (typeof module === 'object' && module.exports ? require('./time.js') : null);
+  const DateParser = root.DropLitDateParser || (typeof module === 'object' && module.exports ? require('./date-parser.js') : null);
+  
+  const hasLocalStorage = (() => {
+    try { return typeof localStorage !== 'undefined'; } catch (e) { return false; }
+  })();
 
   // ============================================
   // CONFIGURATION
@@ -36,8 +53,23 @@
     // Включить подробное логирование
     VERBOSE_LOGGING: true,
     
+    // Действия, которые уходят наружу — всегда через подтверждение
+    HIGH_RISK_ACTION_TYPES: ['email', 'webhook', 'sms', 'telegram'],
+    
+    // Всплеск: больше N команд за окно → подтверждение
+    BURST_WINDOW_MINUTES: 10,
+    BURST_MAX_COMMANDS: 5,
+    
+    // Насколько позже scheduled_at команду ещё можно выполнить
+    EXECUTION_GRACE_MINUTES: 60,
+    
+    // Хранилище подписанных execution records
+    EXECUTION_DB_NAME: 'droplit_validator',
+    EXECUTION_DB_VERSION: 1,
+    MAX_EXECUTION_RECORDS: 500,
+    
     // Версия валидатора
-    VERSION: '1.0.0'
+    VERSION: '1.3.0'
   };
 
   // ============================================
@@ -121,6 +153,18 @@
     }
   }
 
+  // ============================================
+  // TIME (instant + zone of the command)
+  // ============================================
+  
+  function commandTimeZone(command) {
+    return Time.normalizeTimeZone(command.timezone || command.action_params?.timezone);
+  }
+  
+  function scheduledInstant(command) {
+    return Time.toInstant(command.scheduled_at, commandTimeZone(command));
+  }
+
   // ============================================
   // LEVEL 1: SYNTAX VALIDATOR
   // Проверка структуры и форматов
@@ -193,8 +237,8 @@
     checkDataFormats(command, result) {
       // Проверка формата времени (ISO 8601)
       if (command.scheduled_at) {
-        const date = new Date(command.scheduled_at);
-        if (isNaN(date.getTime())) {
+        const date = scheduledInstant(command);
+        if (!date) {
           addError(result, 1, 'INVALID_DATE_FORMAT',
             'Некорректный формат времени',
             { value: command.scheduled_at, expected: 'ISO 8601' }
@@ -263,7 +307,7 @@
       }
       
       // Допустимые status
-      const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled', 'failed', 'awaiting_approval'];
+      const validStatuses = ['pending', 'in_progress', 'completed', 'executed', 'cancelled', 'failed', 'expired', 'awaiting_approval'];
       if (command.status && !validStatuses.includes(command.status)) {
         addError(result, 1, 'INVALID_STATUS',
           `Недопустимый статус: ${command.status}`,
@@ -344,7 +388,7 @@
         return;
       }
       
-      const scheduledAt = new Date(command.scheduled_at);
+      const scheduledAt = scheduledInstant(command);
       const now = new Date();
       
       // Допускаем небольшую погрешность (30 секунд в прошлое)
@@ -355,6 +399,7 @@
           'Время выполнения в прошлом',
           { 
             scheduled_at: command.scheduled_at, 
+            scheduled_local: Time.format(scheduledAt, { timeZone: commandTimeZone(command) }),
             now: now.toISOString(),
             diff_seconds: Math.round((now.getTime() - scheduledAt.getTime()) / 1000)
           }
@@ -377,7 +422,7 @@
         return;
       }
       
-      const scheduledAt = new Date(command.scheduled_at);
+      const scheduledAt = scheduledInstant(command);
       const now = new Date();
       const daysAhead = (scheduledAt.getTime() - now.getTime()) / (1000 * 60 * 60 * 24);
       
@@ -461,7 +506,7 @@
     /**
      * Выполнить все проверки уровня 3
      */
-    validate(command, userRequest, result) {
+    validate(command, userRequest, result, options = {}) {
       console.log('[Validator] === Level 3: CONTEXT ===');
       
       // Если нет оригинального запроса — пропускаем контекстную валидацию
@@ -472,7 +517,7 @@
       }
       
       // 3.1 Проверка отклонения времени от запроса
-      this.checkTimeDeviation(command, userRequest, result);
+      this.checkTimeDeviation(command, userRequest, result, options);
       if (result.blocked) return result;
       
       // 3.2 Проверка соответствия содержания
@@ -485,12 +530,19 @@
     
     /**
      * 3.1 Проверка отклонения времени от запроса
+     * Время из запроса (DropLitDateParser, в поясе команды) против trigger_at модели
+     * @param {Object} options - { now } — момент запроса
      */
-    checkTimeDeviation(command, userRequest, result) {
-      // Парсим время из запроса пользователя
-      const requestedTime = this.parseTimeFromRequest(userRequest);
+    checkTimeDeviation(command, userRequest, result, options = {}) {
+      if (!DateParser) {
+        addCheck(result, 3, 'TIME_DEVIATION', { skipped: true, reason: 'date parser not loaded' });
+        return;
+      }
       
-      if (!requestedTime) {
+      const timeZone = commandTimeZone(command);
+      const requested = DateParser.parse(userRequest, { timeZone, now: options.now });
+      
+      if (!requested) {
         addCheck(result, 3, 'TIME_DEVIATION', { 
           skipped: true, 
           reason: 'cannot parse time from request' 
@@ -498,20 +550,39 @@
         return;
       }
       
-      const scheduledAt = new Date(command.scheduled_at);
-      const deviationMs = Math.abs(scheduledAt.getTime() - requestedTime.getTime());
-      const deviationMinutes = deviationMs / 60000;
+      const scheduledAt = scheduledInstant(command);
+      const details = {
+        requested: requested.at.toISOString(),
+        requested_local: Time.format(requested.at, { timeZone, style: 'full' }),
+        requested_kind: requested.kind,
+        requested_cron: requested.cron,
+        matched: requested.matched,
+        created: command.trigger_at || command.scheduled_at,
+        threshold_minutes: CONFIG.TIME_DEVIATION_THRESHOLD_MINUTES
+      };
+      
+      // "каждый вторник" → команда должна быть повторяющейся
+      if (requested.kind === 'recurring' && !command.schedule_rule) {
+        addError(result, 3, 'RECURRENCE_MISSING',
+          `Запрос повторяющийся (${requested.cron}), а команда — разовая`,
+          details
+        );
+        return;
+      }
+      
+      const deviationMinutes = this.deviationMinutes(requested, scheduledAt, timeZone);
       
       if (deviationMinutes > CONFIG.TIME_DEVIATION_THRESHOLD_MINUTES) {
-        addError(result, 3, 'TIME_DEVIATION_EXCEEDED',
-          `Отклонение времени ${Math.round(deviationMinutes)} мин превышает порог ${CONFIG.TIME_DEVIATION_THRESHOLD_MINUTES} мин`,
-          {
-            requested: requestedTime.toISOString(),
-            created: command.scheduled_at,
-            deviation_minutes: Math.round(deviationMinutes),
-            threshold_minutes: CONFIG.TIME_DEVIATION_THRESHOLD_MINUTES
-          }
-        );
+        const message = `Отклонение времени ${Math.round(deviationMinutes)} мин превышает порог ${CONFIG.TIME_DEVIATION_THRESHOLD_MINUTES} мин`;
+        // В запросе несколько дат — не блокируем, но поднимаем риск
+        if (requested.ambiguous) {
+          addWarning(result, 3, 'TIME_DEVIATION_AMBIGUOUS', message, { ...details, deviation_minutes: Math.round(deviationMinutes) });
+          return;
+        }
+        addError(result, 3, 'TIME_DEVIATION_EXCEEDED', message, {
+          ...details,
+          deviation_minutes: Math.round(deviationMinutes)
+        });
         return;
       }
       
@@ -519,11 +590,35 @@
       result.risk_score += Math.round(deviationMinutes);
       
       addCheck(result, 3, 'TIME_DEVIATION', {
+        requested_kind: requested.kind,
         deviation_minutes: Math.round(deviationMinutes * 10) / 10,
         threshold_minutes: CONFIG.TIME_DEVIATION_THRESHOLD_MINUTES
       });
     },
     
+    /**
+     * Насколько scheduled_at отстоит от разобранного запроса (минуты)
+     * Диапазон — 0 внутри; только день ("в пятницу") — сверяем календарный день
+     */
+    deviationMinutes(requested, scheduledAt, timeZone) {
+      const t = scheduledAt.getTime();
+      
+      if (requested.kind === 'range' && requested.end) {
+        if (t < requested.at.getTime()) return (requested.at.getTime() - t) / 60000;
+        if (t > requested.end.getTime()) return (t - requested.end.getTime()) / 60000;
+        return 0;
+      }
+      
+      if (!requested.hasTime) {
+        const a = Time.localDate(requested.at, timeZone);
+        const b = Time.localDate(scheduledAt, timeZone);
+        const days = Math.abs(Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day)) / 86400000;
+        return days * 24 * 60;
+      }
+      
+      return Math.abs(t - requested.at.getTime()) / 60000;
+    },
+    
     /**
      * 3.2 Проверка релевантности содержания
      */
@@ -558,76 +653,6 @@
       });
     },
     
-    /**
-     * Парсинг времени из запроса пользователя
-     */
-    parseTimeFromRequest(request) {
-      if (!request) return null;
-      
-      const now = new Date();
-      const text = request.toLowerCase();
-      
-      // "через X минут"
-      const minutesMatch = text.match(/через\s+(\d+)\s*минут/);
-      if (minutesMatch) {
-        const minutes = parseInt(minutesMatch[1]);
-        return new Date(now.getTime() + minutes * 60000);
-      }
-      
-      // "через полчаса"
-      if (text.includes('через полчаса') || text.includes('через пол часа')) {
-        return new Date(now.getTime() + 30 * 60000);
-      }
-      
-      // "через час"
-      if (text.match(/через\s+час\b/)) {
-        return new Date(now.getTime() + 60 * 60000);
-      }
-      
-      // "через X часов"
-      const hoursMatch = text.match(/через\s+(\d+)\s*час/);
-      if (hoursMatch) {
-        const hours = parseInt(hoursMatch[1]);
-        return new Date(now.getTime() + hours * 3600000);
-      }
-      
-      // "в HH:MM" или "в H:MM"
-      const timeMatch = text.match(/в\s+(\d{1,2})[:\.](\d{2})/);
-      if (timeMatch) {
-        const hours = parseInt(timeMatch[1]);
-        const minutes = parseInt(timeMatch[2]);
-        const target = new Date(now);
-        target.setHours(hours, minutes, 0, 0);
-        // Если время уже прошло сегодня — значит завтра
-        if (target <= now) {
-          target.setDate(target.getDate() + 1);
-        }
-        return target;
-      }
-      
-      // "завтра в HH:MM"
-      const tomorrowMatch = text.match(/завтра\s+в?\s*(\d{1,2})[:\.]?(\d{2})?/);
-      if (tomorrowMatch) {
-        const hours = parseInt(tomorrowMatch[1]);
-        const minutes = parseInt(tomorrowMatch[2] || '0');
-        const target = new Date(now);
-        target.setDate(target.getDate() + 1);
-        target.setHours(hours, minutes, 0, 0);
-        return target;
-      }
-      
-      // "через N дней"
-      const daysMatch = text.match(/через\s+(\d+)\s*дн/);
-      if (daysMatch) {
-        const days = parseInt(daysMatch[1]);
-        const target = new Date(now);
-        target.setDate(target.getDate() + days);
-        return target;
-      }
-      
-      return null;
-    },
-    
     /**
      * Извлечение значимых слов из текста
      */
@@ -653,7 +678,7 @@
   };
 
   // ============================================
-  // LEVEL 4: APPROVAL GATE (STUB)
+  // LEVEL 4: APPROVAL GATE
   // Проверка необходимости верификации
   // ============================================
   
@@ -663,29 +688,37 @@
     
     /**
      * Проверить необходимость approval
-     * v1.0: Базовая логика, готова к расширению
+     * 
+     * @param {Object} context - { addressBook, recentCommands }
+     *   addressBook    — результат parseAddressBook() (или текст Knowledge Base)
+     *   recentCommands — число команд, созданных за BURST_WINDOW_MINUTES
+     *                    (если не передано — берём локальную историю)
      */
-    validate(command, result) {
+    validate(command, result, context = {}) {
       console.log('[Validator] === Level 4: APPROVAL ===');
       
       // Определяем требуется ли approval
-      const approvalRequired = this.checkApprovalRequired(command);
+      const approvalRequired = this.checkApprovalRequired(command, context);
       
       if (approvalRequired.required) {
         result.approval_required = true;
         result.approval_reason = approvalRequired.reason;
+        result.approval_rules = approvalRequired.rules;
+        result.risk_score += 10 * approvalRequired.rules.length;
         
         addCheck(result, 4, 'APPROVAL_CHECK', {
           required: true,
           reason: approvalRequired.reason,
+          rules: approvalRequired.rules,
           verifier: approvalRequired.verifier
         });
         
-        // Если approval требуется — команда не блокируется,
-        // но переходит в статус awaiting_approval
-        // Это обрабатывается на уровне executor
+        // Команда не блокируется, но переходит в статус awaiting_approval
+        // и не исполняется до подтверждения (см. Level5 guardExecution)
+        result.recommended_status = 'awaiting_approval';
       } else {
         addCheck(result, 4, 'APPROVAL_CHECK', { required: false });
+        result.recommended_status = 'pending';
       }
       
       result.metadata.levels_passed.push(4);
@@ -694,53 +727,194 @@
     
     /**
      * Определить требуется ли верификация
+     * Все сработавшие правила собираются в rules[], reason — первое из них
      */
-    checkApprovalRequired(command) {
-      // v1.0: Approval требуется для:
-      // 1. management команд
-      // 2. action с цепочкой действий
-      // 3. assignment (отправка другим)
-      // 4. Финансовые операции (будущее)
+    checkApprovalRequired(command, context = {}) {
+      const rules = [];
+      let verifier = 'user';
       
       // Management всегда требует approval
       if (command.sense_type === 'management') {
-        return {
-          required: true,
-          reason: 'Management команды требуют подтверждения',
-          verifier: 'user'
-        };
+        rules.push({ code: 'MANAGEMENT', message: 'Management команды требуют подтверждения' });
       }
       
       // Assignment требует approval от acceptor
       if (command.sense_type === 'assignment') {
-        return {
-          required: true,
-          reason: 'Поручения требуют подтверждения',
-          verifier: command.acceptor || 'user'
-        };
+        rules.push({ code: 'ASSIGNMENT', message: 'Поручения требуют подтверждения' });
+        verifier = command.acceptor || 'user';
       }
       
-      // Action с webhook может требовать approval
-      if (command.sense_type === 'action' && command.action_type === 'webhook') {
-        return {
-          required: true,
-          reason: 'Webhook-действия требуют подтверждения',
-          verifier: 'user'
-        };
+      // Действия, которые уходят за пределы устройства
+      if (CONFIG.HIGH_RISK_ACTION_TYPES.includes(command.action_type)) {
+        rules.push({
+          code: 'HIGH_RISK_ACTION',
+          message: `Действие «${command.action_type}» требует подтверждения`
+        });
       }
       
-      // Reminder обычно не требует approval
-      if (command.sense_type === 'reminder') {
-        return { required: false };
+      // Адресаты вне адресной книги
+      const unknown = this.findUnknownRecipients(command, context.addressBook);
+      if (unknown.length > 0) {
+        rules.push({
+          code: 'UNKNOWN_RECIPIENT',
+          message: `Адресат не из адресной книги: ${unknown.join(', ')}`,
+          recipients: unknown
+        });
+      }
+      
+      // Всплеск команд за короткое время
+      const recent = typeof context.recentCommands === 'number'
+        ? context.recentCommands
+        : CommandHistory.countRecent(CONFIG.BURST_WINDOW_MINUTES);
+      if (recent >= CONFIG.BURST_MAX_COMMANDS) {
+        rules.push({
+          code: 'COMMAND_BURST',
+          message: `Слишком много команд подряд (${recent} за ${CONFIG.BURST_WINDOW_MINUTES} мин)`,
+          recent
+        });
       }
       
-      // По умолчанию — не требуется
-      return { required: false };
+      if (rules.length === 0) {
+        return { required: false, rules };
+      }
+      
+      return {
+        required: true,
+        reason: rules[0].message,
+        rules,
+        verifier
+      };
+    },
+    
+    /**
+     * Адресаты команды, которых нет в адресной книге
+     * "мне / me" и пустые адресаты считаются своими
+     */
+    findUnknownRecipients(command, addressBook) {
+      const recipients = extractRecipients(command);
+      if (recipients.length === 0) return [];
+      
+      const book = typeof addressBook === 'string' || !addressBook
+        ? parseAddressBook(addressBook || loadLocalKnowledge())
+        : addressBook;
+      
+      return recipients.filter(r => !isKnownRecipient(r, book));
     }
   };
 
   // ============================================
-  // LEVEL 5: EXECUTION GUARD (STUB)
+  // ADDRESS BOOK
+  // Контакты из ASKI Knowledge Base ("Name: email", "Name - +7...")
+  // ============================================
+  
+  const SELF_ALIASES = ['я', 'мне', 'me', 'myself', 'мой', 'себе', 'user'];
+  
+  /**
+   * Разобрать Knowledge Base в адресную книгу
+   * @returns {{names: Set<string>, addresses: Set<string>}}
+   */
+  function parseAddressBook(knowledge) {
+    const book = { names: new Set(), addresses: new Set() };
+    if (!knowledge) return book;
+    
+    for (const line of String(knowledge).split('\n')) {
+      if (line.startsWith('#') || !line.trim()) continue;
+      
+      const match = line.match(/^[\-\*]?\s*([^:|\-]+)[:\|\-]\s*(.+)$/);
+      if (!match) continue;
+      
+      const addresses = match[2].match(/[\w.+-]+@[\w.-]+\.\w+|\+?\d[\d\s()-]{6,}\d|@\w{3,}|https?:\/\/\S+/g);
+      if (!addresses) continue;
+      
+      const name = match[1].trim().toLowerCase();
+      book.names.add(name);
+      book.names.add(name.split(/\s+/)[0]);
+      addresses.forEach(a => book.addresses.add(normalizeAddress(a)));
+    }
+    
+    return book;
+  }
+  
+  function normalizeAddress(value) {
+    const v = String(value).trim().toLowerCase();
+    // Телефоны сравниваем по цифрам
+    if (/^\+?[\d\s()-]+$/.test(v)) return v.replace(/[^\d]/g, '');
+    return v;
+  }
+  
+  /**
+   * Все адресаты из action_params (email, телефон, чат, webhook url)
+   */
+  function extractRecipients(command) {
+    const params = command.action_params || {};
+    const fields = ['recipient', 'recipients', 'to', 'email', 'phone', 'chat_id', 'url'];
+    const out = [];
+    
+    for (const field of fields) {
+      const value = params[field] ?? command[field];
+      if (!value) continue;
+      (Array.isArray(value) ? value : String(value).split(/[,;]/))
+        .map(v => String(v).trim())
+        .filter(Boolean)
+        .forEach(v => out.push(v));
+    }
+    
+    return [...new Set(out)];
+  }
+  
+  function isKnownRecipient(recipient, book) {
+    const normalized = normalizeAddress(recipient);
+    if (SELF_ALIASES.includes(normalized)) return true;
+    if (book.addresses.has(normalized)) return true;
+    if (book.names.has(normalized)) return true;
+    return false;
+  }
+  
+  function loadLocalKnowledge() {
+    if (!hasLocalStorage) return '';
+    return localStorage.getItem('droplit_aski_knowledge') || '';
+  }
+
+  // ============================================
+  // COMMAND HISTORY (burst detection)
+  // ============================================
+  
+  const CommandHistory = {
+    STORAGE_KEY: 'droplit_command_history',
+    memory: [],
+    
+    load() {
+      if (!hasLocalStorage) return this.memory;
+      try {
+        return JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+      } catch (e) {
+        return [];
+      }
+    },
+    
+    /**
+     * Запомнить создание команды
+     */
+    record(timestamp = Date.now()) {
+      const windowStart = timestamp - CONFIG.BURST_WINDOW_MINUTES * 60000;
+      const history = this.load().filter(t => t >= windowStart);
+      history.push(timestamp);
+      
+      if (hasLocalStorage) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(history));
+      } else {
+        this.memory = history;
+      }
+    },
+    
+    countRecent(minutes) {
+      const windowStart = Date.now() - minutes * 60000;
+      return this.load().filter(t => t >= windowStart).length;
+    }
+  };
+
+  // ============================================
+  // LEVEL 5: EXECUTION GUARD
   // Финальная проверка перед выполнением
   // ============================================
   
@@ -749,8 +923,8 @@
     level: 5,
     
     /**
-     * Финальная проверка
-     * v1.0: Логирование и создание checkpoint
+     * Проверка при создании: логирование и checkpoint
+     * Реальная проверка — guard() в момент срабатывания
      */
     validate(command, result) {
       console.log('[Validator] === Level 5: EXECUTION ===');
@@ -779,10 +953,72 @@
       return result;
     },
     
+    /**
+     * Проверка в момент срабатывания (sw.js)
+     * Команда должна быть валидной, не отменённой, подтверждённой и не просроченной
+     */
+    guard(command, result, options = {}) {
+      const now = options.now || Date.now();
+      const acceptedStatuses = options.acceptStatuses || ['pending'];
+      console.log('[Validator] === Level 5: EXECUTION GUARD ===');
+      
+      // 5.1 Структура не испортилась за время ожидания
+      Level1_Syntax.validate(command, result);
+      if (result.blocked) return result;
+      
+      // 5.2 Статус
+      const status = command.status || 'pending';
+      if (status === 'cancelled') {
+        addError(result, 5, 'COMMAND_CANCELLED', 'Команда отменена');
+        return result;
+      }
+      if (status === 'awaiting_approval' || command.approval === 'required') {
+        addError(result, 5, 'NOT_APPROVED', 'Команда ещё не подтверждена');
+        return result;
+      }
+      if (command.approval === 'rejected') {
+        addError(result, 5, 'APPROVAL_REJECTED', 'Команда отклонена пользователем');
+        return result;
+      }
+      if (!acceptedStatuses.includes(status)) {
+        addError(result, 5, 'INVALID_STATE', `Команда в статусе ${status}`, { status });
+        return result;
+      }
+      addCheck(result, 5, 'STATUS', { status });
+      
+      // 5.3 Срок годности
+      const scheduled = scheduledInstant(command)?.getTime();
+      const lateMinutes = (now - scheduled) / 60000;
+      if (lateMinutes > CONFIG.EXECUTION_GRACE_MINUTES) {
+        addError(result, 5, 'COMMAND_EXPIRED',
+          `Команда просрочена на ${Math.round(lateMinutes)} мин`,
+          { late_minutes: Math.round(lateMinutes), grace: CONFIG.EXECUTION_GRACE_MINUTES }
+        );
+        return result;
+      }
+      if (command.expires_at && new Date(command.expires_at).getTime() < now) {
+        addError(result, 5, 'COMMAND_EXPIRED', 'Истёк срок действия команды',
+          { expires_at: command.expires_at }
+        );
+        return result;
+      }
+      if (lateMinutes < -1) {
+        addError(result, 5, 'NOT_DUE', 'Время выполнения ещё не наступило',
+          { scheduled_at: command.scheduled_at }
+        );
+        return result;
+      }
+      addCheck(result, 5, 'NOT_EXPIRED', { late_minutes: Math.max(0, Math.round(lateMinutes)) });
+      
+      result.metadata.levels_passed.push(5);
+      return result;
+    },
+    
     /**
      * Сохранить лог выполнения
      */
     saveExecutionLog(log) {
+      if (!hasLocalStorage) return;
       try {
         const logs = JSON.parse(localStorage.getItem('droplit_validator_logs') || '[]');
         logs.push(log);
@@ -799,6 +1035,174 @@
     }
   };
 
+  // ============================================
+  // SIGNED EXECUTION RECORDS
+  // IndexedDB droplit_validator: keys (HMAC device key), executions
+  // Каждая запись подписана HMAC-SHA256 и ссылается на подпись предыдущей
+  // ============================================
+  
+  const ExecutionRecords = {
+    dbPromise: null,
+    
+    available() {
+      return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+    
+    openDB() {
+      if (this.dbPromise) return this.dbPromise;
+      
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONFIG.EXECUTION_DB_NAME, CONFIG.EXECUTION_DB_VERSION);
+        
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          if (!db.objectStoreNames.contains('keys')) {
+            db.createObjectStore('keys', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('executions')) {
+            const store = db.createObjectStore('executions', { keyPath: 'id' });
+            store.createIndex('command_id', 'command_id', { unique: false });
+            store.createIndex('executed_at', 'executed_at', { unique: false });
+          }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+      
+      return this.dbPromise;
+    },
+    
+    async tx(storeName, mode, fn) {
+      const db = await this.openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const value = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(value && 'result' in value ? value.result : value);
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+    
+    /**
+     * HMAC-ключ устройства (non-extractable CryptoKey хранится в IndexedDB)
+     */
+    async getSigningKey() {
+      const stored = await this.tx('keys', 'readonly', store => store.get('execution_hmac'));
+      if (stored?.key) return stored.key;
+      
+      const key = await crypto.subtle.generateKey(
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+      );
+      await this.tx('keys', 'readwrite', store => store.put({
+        id: 'execution_hmac',
+        key,
+        created_at: new Date().toISOString()
+      }));
+      return key;
+    },
+    
+    /**
+     * Каноническая строка записи (без подписи, ключи по алфавиту)
+     */
+    canonicalize(record) {
+      const { signature, ...body } = record;
+      return JSON.stringify(Object.keys(body).sort().reduce((acc, k) => {
+        acc[k] = body[k];
+        return acc;
+      }, {}));
+    },
+    
+    async getLast() {
+      return this.tx('executions', 'readonly', store => {
+        const request = store.index('executed_at').openCursor(null, 'prev');
+        const holder = { result: null };
+        request.onsuccess = () => {
+          if (request.result) holder.result = request.result.value;
+        };
+        return holder;
+      });
+    },
+    
+    /**
+     * Записать подписанный execution record
+     * @param {Object} command - Исполняемая команда
+     * @param {Object} verdict - Результат guardExecution()
+     * @param {Object} extra - { executor, outcome }
+     */
+    async append(command, verdict, extra = {}) {
+      const key = await this.getSigningKey();
+      const last = await this.getLast();
+      
+      const record = {
+        id: `exec_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        command_id: String(command.id),
+        title: command.title || '',
+        action_type: command.action_type || 'push',
+        scheduled_at: command.scheduled_at || null,
+        executed_at: new Date().toISOString(),
+        executor: extra.executor || 'unknown',
+        outcome: extra.outcome || (verdict.valid ? 'executed' : 'blocked'),
+        reason: verdict.valid ? null : (verdict.errors[0]?.code || null),
+        validator_version: CONFIG.VERSION,
+        prev_signature: last?.signature || null
+      };
+      
+      const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(this.canonicalize(record)));
+      record.signature = toHex(signature);
+      
+      await this.tx('executions', 'readwrite', store => store.put(record));
+      await this.prune();
+      
+      return record;
+    },
+    
+    async verify(record) {
+      if (!record?.signature) return false;
+      const key = await this.getSigningKey();
+      return crypto.subtle.verify(
+        'HMAC',
+        key,
+        fromHex(record.signature),
+        new TextEncoder().encode(this.canonicalize(record))
+      );
+    },
+    
+    async list(limit = 100) {
+      const all = await this.tx('executions', 'readonly', store => store.getAll());
+      return all
+        .sort((a, b) => b.executed_at.localeCompare(a.executed_at))
+        .slice(0, limit);
+    },
+    
+    async prune() {
+      const all = await this.tx('executions', 'readonly', store => store.getAllKeys());
+      if (all.length <= CONFIG.MAX_EXECUTION_RECORDS) return;
+      
+      const records = await this.list(all.length);
+      const stale = records.slice(CONFIG.MAX_EXECUTION_RECORDS).map(r => r.id);
+      await this.tx('executions', 'readwrite', store => {
+        stale.forEach(id => store.delete(id));
+      });
+    }
+  };
+  
+  function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  
+  function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
   // ============================================
   // MAIN VALIDATOR API
   // ============================================
@@ -810,7 +1214,7 @@
      * 
      * @param {Object} command - Команда для валидации
      * @param {string} userRequest - Оригинальный запрос пользователя (опционально)
-     * @param {Object} options - Опции валидации
+     * @param {Object} options - Опции валидации ({ addressBook, recentCommands, now })
      * @returns {Object} Результат валидации
      */
     validate(command, userRequest = null, options = {}) {
@@ -834,11 +1238,11 @@
         if (result.blocked) return this.finalize(result);
         
         // Level 3: Context (если есть запрос пользователя)
-        Level3_Context.validate(command, userRequest, result);
+        Level3_Context.validate(command, userRequest, result, options);
         if (result.blocked) return this.finalize(result);
         
         // Level 4: Approval
-        Level4_Approval.validate(command, result);
+        Level4_Approval.validate(command, result, options);
         
         // Level 5: Execution guard
         Level5_Execution.validate(command, result);
@@ -853,6 +1257,111 @@
       return this.finalize(result);
     },
     
+    /**
+     * Только Level 3 — сервер сверяет trigger_at с запросом пользователя (create_event)
+     * 
+     * @param {Object} command - { title, scheduled_at, trigger_at, schedule_rule, timezone }
+     * @param {string} userRequest - Текст пользователя
+     * @param {Object} options - { now }
+     * @returns {Object} Результат валидации (blocked → время не совпадает с запросом)
+     */
+    checkContext(command, userRequest, options = {}) {
+      const result = createValidationResult();
+      result.metadata.command_title = command?.title;
+      result.metadata.user_request = userRequest;
+      result.metadata.mode = 'context_check';
+      
+      try {
+        Level3_Context.validate(command, userRequest, result, options);
+      } catch (error) {
+        addError(result, 0, 'VALIDATOR_ERROR',
+          'Внутренняя ошибка валидатора',
+          { error: error.message }
+        );
+      }
+      
+      return this.finalize(result);
+    },
+    
+    /**
+     * Только Level 4 — для сервера (create_event) и UI
+     * @returns {{required: boolean, reason?: string, rules: Array, status: string}}
+     */
+    checkApproval(command, context = {}) {
+      const approval = Level4_Approval.checkApprovalRequired(command, context);
+      return {
+        ...approval,
+        status: approval.required ? 'awaiting_approval' : 'pending'
+      };
+    },
+    
+    /**
+     * Level 5 в момент срабатывания (sw.js, перед показом уведомления)
+     * 
+     * @param {Object} command - Команда из IndexedDB / Supabase
+     * @param {Object} options - { now, acceptStatuses } — для уже отправленных
+     *   сервером уведомлений статус может быть in_progress / executed
+     * @returns {Object} Результат валидации (valid=false → не исполнять)
+     */
+    guardExecution(command, options = {}) {
+      const result = createValidationResult();
+      result.metadata.command_title = command?.title;
+      result.metadata.mode = 'execution_guard';
+      
+      try {
+        // Старые локальные команды могут не иметь sense_type / action_type
+        const normalized = { sense_type: 'reminder', action_type: 'push', ...command };
+        Level5_Execution.guard(normalized, result, options);
+      } catch (error) {
+        addError(result, 0, 'VALIDATOR_ERROR',
+          'Внутренняя ошибка валидатора',
+          { error: error.message }
+        );
+      }
+      
+      return this.finalize(result);
+    },
+    
+    /**
+     * Записать подписанный execution record (IndexedDB)
+     * Не бросает исключений — аудит не должен ломать выполнение
+     */
+    async recordExecution(command, verdict, extra = {}) {
+      if (!ExecutionRecords.available()) return null;
+      try {
+        return await ExecutionRecords.append(command, verdict, extra);
+      } catch (e) {
+        console.warn('[Validator] Could not write execution record:', e);
+        return null;
+      }
+    },
+    
+    /**
+     * Подписанные execution records (новые первыми)
+     */
+    async getExecutionRecords(limit = 100) {
+      if (!ExecutionRecords.available()) return [];
+      return ExecutionRecords.list(limit);
+    },
+    
+    /**
+     * Проверить подпись execution record
+     */
+    async verifyExecutionRecord(record) {
+      if (!ExecutionRecords.available()) return false;
+      return ExecutionRecords.verify(record);
+    },
+    
+    /**
+     * Отметить создание команды (для детекции всплесков)
+     */
+    recordCommandCreated(timestamp) {
+      CommandHistory.record(timestamp);
+    },
+    
+    parseAddressBook,
+    extractRecipients,
+    
     /**
      * Быстрая валидация (только уровни 1-2)
      * Для мгновенных проверок без контекста
@@ -929,6 +1438,7 @@
      * Получить логи валидаций
      */
     getLogs() {
+      if (!hasLocalStorage) return [];
       try {
         return JSON.parse(localStorage.getItem('droplit_validator_logs') || '[]');
       } catch (e) {
@@ -940,7 +1450,7 @@
      * Очистить логи
      */
     clearLogs() {
-      localStorage.removeItem('droplit_validator_logs');
+      if (hasLocalStorage) localStorage.removeItem('droplit_validator_logs');
     },
     
     /**
@@ -958,9 +1468,13 @@
   // EXPOSE GLOBAL API
   // ============================================
   
-  window.CommandValidator = CommandValidator;
+  if (typeof module === 'object' && module.exports) {
+    module.exports = CommandValidator;
+  } else {
+    root.CommandValidator = CommandValidator;
+  }
   
   console.log(`[CommandValidator] Module loaded v${CONFIG.VERSION}`);
   console.log('[CommandValidator] Levels: SYNTAX → LOGIC → CONTEXT → APPROVAL → EXECUTION');
 
-})();
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,271 @@
+// ============================================
+// DROPLIT CRON v1.0
+// Recurring schedules for command drops
+//
+// Standard 5-field cron: minute hour day-of-month month day-of-week
+//   - lists (1,15), ranges (1-5), steps (*/15, 9-17/2)
+//   - month / weekday names (jan, mon), 7 = Sunday
+//   - macros: @hourly @daily @weekly @monthly @yearly @weekdays
+//
+// Times are evaluated as WALL CLOCK in the user's IANA timezone:
+//   "0 8 * * 1-5" = 08:00 local time every weekday, regardless of DST.
+//
+// DST rules:
+//   - Spring forward (local time does not exist) → fire at the shifted
+//     instant right after the gap (02:30 → 03:30)
+//   - Fall back (local time happens twice) → fire once, on the first pass
+//
+// Shared by api/ai.js (create_event), sw.js (re-arm) and the app.
+// Needs js/time.js loaded first (zones, wall time → instant).
+// ============================================
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./time.js'));
+  } else {
+    root.DropLitCron = factory(root.DropLitTime);
+  }
+})(typeof self !== 'undefined' ? self : this, function(Time) {
+  'use strict';
+
+  const VERSION = '1.0.1';
+
+  // Recurrences are searched at most this far ahead (covers "0 0 29 2 *")
+  const MAX_SEARCH_DAYS = 366 * 8;
+
+  const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+    '@weekdays': '0 9 * * 1-5'
+  };
+
+  const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+  ];
+
+  // ============================================
+  // PARSER
+  // ============================================
+
+  function parseValue(token, field) {
+    const lower = token.toLowerCase();
+    if (field.names) {
+      const idx = field.names.indexOf(lower);
+      if (idx !== -1) return idx + field.nameOffset;
+    }
+    if (!/^\d+$/.test(token)) {
+      throw new Error(`Invalid ${field.name} value: "${token}"`);
+    }
+    const value = parseInt(token, 10);
+    if (value < field.min || value > field.max) {
+      throw new Error(`${field.name} out of range (${field.min}-${field.max}): ${value}`);
+    }
+    return value;
+  }
+
+  function parseField(source, field) {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+      const [rangePart, stepPart] = part.split('/');
+      const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+      if (!step || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+        throw new Error(`Invalid step in ${field.name}: "${part}"`);
+      }
+
+      let start;
+      let end;
+      if (rangePart === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangePart.includes('-')) {
+        const [a, b] = rangePart.split('-');
+        start = parseValue(a, field);
+        end = parseValue(b, field);
+        if (start > end) {
+          throw new Error(`Invalid range in ${field.name}: "${rangePart}"`);
+        }
+      } else {
+        start = parseValue(rangePart, field);
+        // "5/15" means "from 5 every 15"
+        end = stepPart === undefined ? start : field.max;
+      }
+
+      for (let v = start; v <= end; v += step) {
+        values.add(v);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Parse a cron expression
+   * @param {string} expression - 5-field cron or macro
+   * @returns {Object|null} Parsed schedule or null if invalid
+   */
+  function parse(expression) {
+    const result = validate(expression);
+    return result.valid ? result.schedule : null;
+  }
+
+  /**
+   * Validate a cron expression
+   * @returns {{valid: boolean, error?: string, schedule?: Object}}
+   */
+  function validate(expression) {
+    if (!expression || typeof expression !== 'string') {
+      return { valid: false, error: 'Empty cron expression' };
+    }
+
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== 5) {
+      return { valid: false, error: `Expected 5 fields, got ${parts.length}` };
+    }
+
+    try {
+      const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+
+      // 7 is an alias for Sunday
+      if (dayOfWeek.has(7)) {
+        dayOfWeek.delete(7);
+        dayOfWeek.add(0);
+      }
+
+      return {
+        valid: true,
+        schedule: {
+          source: normalized,
+          minute,
+          hour,
+          dayOfMonth,
+          month,
+          dayOfWeek,
+          // Vixie cron semantics: when both day fields are restricted, either may match
+          dayOfMonthRestricted: parts[2] !== '*',
+          dayOfWeekRestricted: parts[4] !== '*'
+        }
+      };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  // ============================================
+  // TIMEZONE HELPERS (js/time.js)
+  // ============================================
+
+  const { normalizeTimeZone, wallTimeToInstant, localDate } = Time;
+
+  // ============================================
+  // NEXT OCCURRENCE
+  // ============================================
+
+  function dayMatches(schedule, year, month, day) {
+    if (!schedule.month.has(month)) return false;
+
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const domMatch = schedule.dayOfMonth.has(day);
+    const dowMatch = schedule.dayOfWeek.has(weekday);
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+
+  /**
+   * Next run strictly after `from`
+   * @param {string|Object} expression - Cron expression or parsed schedule
+   * @param {Object} options - { from: Date|string|number, timeZone: string }
+   * @returns {Date|null}
+   */
+  function nextRun(expression, options = {}) {
+    const schedule = typeof expression === 'string' ? parse(expression) : expression;
+    if (!schedule) return null;
+
+    const timeZone = normalizeTimeZone(options.timeZone);
+    const from = options.from !== undefined ? new Date(options.from).getTime() : Date.now();
+    if (isNaN(from)) return null;
+
+    const hours = [...schedule.hour].sort((a, b) => a - b);
+    const minutes = [...schedule.minute].sort((a, b) => a - b);
+
+    // Start one local day earlier: an overlap/gap can map yesterday's wall time past `from`
+    const start = localDate(from, timeZone);
+    const cursor = new Date(Date.UTC(start.year, start.month - 1, start.day - 1));
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+      const year = cursor.getUTCFullYear();
+      const month = cursor.getUTCMonth() + 1;
+      const day = cursor.getUTCDate();
+
+      if (dayMatches(schedule, year, month, day)) {
+        // Take the earliest candidate of the day: a DST gap can shift
+        // 02:30 past 03:00, so wall-clock order is not instant order
+        let best = null;
+        for (const hour of hours) {
+          for (const minute of minutes) {
+            const instant = wallTimeToInstant(year, month, day, hour, minute, timeZone);
+            if (instant > from && (best === null || instant < best)) {
+              best = instant;
+            }
+          }
+        }
+        if (best !== null) {
+          return new Date(best);
+        }
+      }
+
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Next N runs after `from`
+   * @returns {Date[]}
+   */
+  function nextRuns(expression, count = 5, options = {}) {
+    const schedule = typeof expression === 'string' ? parse(expression) : expression;
+    if (!schedule) return [];
+
+    const runs = [];
+    let from = options.from !== undefined ? options.from : Date.now();
+
+    while (runs.length < count) {
+      const next = nextRun(schedule, { ...options, from });
+      if (!next) break;
+      runs.push(next);
+      from = next.getTime();
+    }
+
+    return runs;
+  }
+
+  return {
+    VERSION,
+    MACROS,
+    parse,
+    validate,
+    nextRun,
+    nextRuns,
+    normalizeTimeZone,
+    wallTimeToInstant
+  };
+});
@@ -0,0 +1,812 @@
+// ============================================
+// DROPLIT DATE PARSER v1.0
+// Natural-language reminder times — English + Russian
+//
+//   parse('завтра в 9', { timeZone, now })       → { kind: 'instant', at }
+//   parse('in 2 hours') / parse('через полчаса') → now + duration
+//   parse('next Friday evening')                → пятница следующей недели, 19:00
+//   parse('каждый вторник в 10')                → { kind: 'recurring', cron: '0 10 * * 2', at: next run }
+//   parse('tomorrow from 2 to 4 pm')            → { kind: 'range', at, end }
+//   parse('+15')                                 → через 15 минут (шаблоны команд)
+//
+// Детерминированный: один и тот же текст + now + пояс → один результат,
+// без оценок "вероятности". Часы — всегда в поясе пользователя (js/time.js),
+// повторения — 5-field cron для js/cron.js.
+//
+// Правила:
+//   - "в пятницу" / "on Friday" — ближайшая пятница после сегодня
+//   - "в следующую пятницу" / "next Friday" — пятница следующей недели (пн–вс)
+//   - время без даты — сегодня, если ещё впереди, иначе завтра
+//   - голый час 1–11 ("в 5", "at 5"), уже прошедший сегодня, — 17:00, если оно впереди
+//   - "24:00" — 00:00 следующего дня; "25:00", "every 0 minutes" — null
+//   - дата без времени — DEFAULT_HOUR, hasTime: false
+//   - "утром / вечером" без часов — PARTS_OF_DAY
+//   - "в 7 вечера" / "7 pm" — 19:00; "в 12 ночи" — 00:00
+//   - несколько дней в тексте ("завтра ... 15.03") — дата > число > день недели
+//     > сегодня/завтра, результат с ambiguous: true
+//
+// Corpus: date-parser-test.html (table-driven, открыть в браузере).
+// Needs js/time.js and js/cron.js loaded first.
+// ============================================
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./time.js'), require('./cron.js'));
+  } else {
+    root.DropLitDateParser = factory(root.DropLitTime, root.DropLitCron);
+  }
+})(typeof self !== 'undefined' ? self : this, function(Time, Cron) {
+  'use strict';
+
+  const VERSION = '1.0.0';
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+
+  // Дата без времени → это время (локальное)
+  const DEFAULT_HOUR = 9;
+
+  // ============================================
+  // VOCABULARY
+  // ============================================
+
+  const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    'один': 1, 'одну': 1, 'одна': 1, 'два': 2, 'две': 2, 'три': 3, 'четыре': 4, 'пять': 5, 'шесть': 6,
+    'семь': 7, 'восемь': 8, 'девять': 9, 'десять': 10, 'одиннадцать': 11, 'двенадцать': 12,
+    'пятнадцать': 15, 'двадцать': 20, 'тридцать': 30, 'сорок': 40, 'пятьдесят': 50,
+    'пару': 2, 'пара': 2, couple: 2
+  };
+
+  // Фразы, которые проще заменить до разбора
+  const PHRASES = [
+    [/(?<![\p{L}\d])пол\s*часа(?![\p{L}\d])/gu, '0.5 часа'],
+    [/(?<![\p{L}\d])полтора\s+часа(?![\p{L}\d])/gu, '1.5 часа'],
+    [/(?<![\p{L}\d])полторы\s+минуты(?![\p{L}\d])/gu, '1.5 минуты'],
+    [/(?<![\p{L}\d])(?:a\s+)?half\s+an?\s+hour(?![\p{L}\d])/gu, '0.5 hour'],
+    [/(?<![\p{L}\d])an?\s+hour\s+and\s+a\s+half(?![\p{L}\d])/gu, '1.5 hour'],
+    [/(?<![\p{L}\d])a\s+couple\s+of(?![\p{L}\d])/gu, 'couple'],
+    [/(?<![\p{L}\d])the\s+day\s+after\s+tomorrow(?![\p{L}\d])/gu, 'day after tomorrow']
+  ];
+
+  const UNITS = [
+    { re: 'минут[уы]?|мин|minutes?|mins?|m', unit: 'minute' },
+    { re: 'час(?:а|ов)?|ч|hours?|hrs?|h', unit: 'hour' },
+    { re: 'дн(?:я|ей)|день|сутки|суток|days?|d', unit: 'day' },
+    { re: 'недел[юиь]|weeks?|w', unit: 'week' },
+    { re: 'месяц(?:а|ев)?|months?', unit: 'month' }
+  ];
+
+  // 0 = Sunday (как в cron и Time.localParts)
+  const WEEKDAYS = [
+    { day: 1, en: 'monday', ru: 'понедельник(?:а|ам)?', plural: 'понедельникам|mondays' },
+    { day: 2, en: 'tuesday', ru: 'вторник(?:а|ам)?', plural: 'вторникам|tuesdays' },
+    { day: 3, en: 'wednesday', ru: 'сред[аыуе]', plural: 'средам|wednesdays' },
+    { day: 4, en: 'thursday', ru: 'четверг(?:а|ам)?', plural: 'четвергам|thursdays' },
+    { day: 5, en: 'friday', ru: 'пятниц[аыуе]', plural: 'пятницам|fridays' },
+    { day: 6, en: 'saturday', ru: 'суббот[аыуе]', plural: 'субботам|saturdays' },
+    { day: 0, en: 'sunday', ru: 'воскресень[еяю]', plural: 'воскресеньям|sundays' }
+  ];
+
+  const MONTHS = [
+    'январ[ьяе]|january|jan', 'феврал[ьяе]|february|feb', 'марта?|марте|march|mar', 'апрел[ьяе]|april|apr',
+    'ма[йяе]|may', 'июн[ьяе]|june|jun', 'июл[ьяе]|july|jul', 'август[аеу]?|august|aug',
+    'сентябр[ьяе]|september|sept?', 'октябр[ьяе]|october|oct', 'ноябр[ьяе]|november|nov', 'декабр[ьяе]|december|dec'
+  ];
+
+  // bare — само по себе ("вечером"), after — только после часов ("в 7 вечера")
+  const PARTS_OF_DAY = {
+    morning: { hour: 9, bare: 'утром|с утра|morning', after: 'утра|in the morning' },
+    afternoon: { hour: 14, bare: 'днем|afternoon', after: 'дня|in the afternoon' },
+    evening: { hour: 19, bare: 'вечером|evening|tonight', after: 'вечера|in the evening' },
+    night: { hour: 22, bare: 'ночью|night', after: 'ночи|at night' }
+  };
+
+  // "в 2 раза", "at 5 %" — число после предлога, но не часы
+  const NOT_HOURS = 'раз|процент|%|руб|лет|год|кг|км|класс|этаж|человек|штук|шт|percent|times|people|years?|dollars?|usd|eur';
+
+  // ============================================
+  // REGEX HELPERS
+  // ============================================
+
+  // \b в JS не понимает кириллицу — границы через \p{L}
+  const B = '(?<![\\p{L}\\d])';
+  const E = '(?![\\p{L}\\d])';
+  const NUM = `\\d+(?:[.,]\\d+)?|${Object.keys(NUMBER_WORDS).join('|')}`;
+  const HOUR_WORD = Object.keys(NUMBER_WORDS)
+    .filter(w => NUMBER_WORDS[w] <= 12 && w.length > 2 && !/^(couple|пар)/.test(w))
+    .join('|');
+  const MERIDIEM = 'a\\.?m\\.?|p\\.?m\\.?';
+  const PART_BARE = Object.values(PARTS_OF_DAY).map(p => p.bare).join('|');
+  const PART_WORDS = Object.values(PARTS_OF_DAY).map(p => `${p.after}|${p.bare}`).join('|');
+  const MONTH_RE = MONTHS.map(m => `(?:${m})`).join('|');
+  const WEEKDAY_RE = WEEKDAYS.map(w => `${w.en}|${w.ru}`).join('|');
+
+  function re(source, flags = 'u') {
+    return new RegExp(source, flags);
+  }
+
+  function toNumber(token) {
+    if (token === undefined || token === null || token === '') return null;
+    if (NUMBER_WORDS[token] !== undefined) return NUMBER_WORDS[token];
+    const n = parseFloat(String(token).replace(',', '.'));
+    return isNaN(n) ? null : n;
+  }
+
+  function monthIndex(token) {
+    const index = MONTHS.findIndex(m => re(`^(?:${m})$`).test(token));
+    return index === -1 ? null : index + 1;
+  }
+
+  function weekdayOf(token) {
+    const found = WEEKDAYS.find(w => re(`^(?:${w.en}|${w.ru}|${w.plural})$`).test(token));
+    return found ? found.day : null;
+  }
+
+  function partOf(token) {
+    const key = Object.keys(PARTS_OF_DAY).find(k => re(`^(?:${PARTS_OF_DAY[k].after}|${PARTS_OF_DAY[k].bare})$`).test(token));
+    return key || null;
+  }
+
+  function normalize(text) {
+    let s = String(text || '')
+      .toLowerCase()
+      .replace(/ё/g, 'е')
+      .replace(/[–—]/g, '-')
+      .replace(/[,;!?«»"()]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    for (const [pattern, replacement] of PHRASES) {
+      s = s.replace(pattern, replacement);
+    }
+    return s;
+  }
+
+  // ============================================
+  // SLOT RULES
+  // Каждое правило вынимает фрагмент и заполняет слоты;
+  // найденный фрагмент затирается пробелами, порядок важен.
+  // ============================================
+
+  function hourWithMeridiem(hour, meridiem) {
+    if (!meridiem) return hour;
+    const pm = meridiem.startsWith('p');
+    if (pm && hour < 12) return hour + 12;
+    if (!pm && hour === 12) return 0;
+    return hour;
+  }
+
+  function setTime(slots, hour, minute = 0, meridiem = null) {
+    // "24:00" — конец дня = 00:00 следующего
+    if (hour === 24 && minute === 0 && !meridiem) {
+      slots.time = { hour: 0, minute: 0, explicit: true, nextDay: true };
+      return true;
+    }
+    if (hour === null || hour > 23 || minute > 59) return false;
+    slots.time = { hour: hourWithMeridiem(hour, meridiem), minute, explicit: Boolean(meridiem) };
+    return true;
+  }
+
+  const RULES = [
+    // --- recurrence ---
+    {
+      name: 'every_interval',
+      re: re(`${B}(?:every|each|каждые|каждую|каждый)\\s+(?:(${NUM})\\s*)?(минут[уы]?|minutes?|mins?|час(?:а|ов)?|hours?)${E}`),
+      apply(m, slots) {
+        const n = m[1] === undefined ? 1 : toNumber(m[1]);
+        const isHours = /^(час|hour)/.test(m[2]);
+        // "every 0 minutes" — не "каждую минуту", а ошибка: весь текст без результата
+        if (!Number.isInteger(n) || n < 1 || n > (isHours ? 23 : 59)) {
+          slots.invalid = true;
+          return true;
+        }
+        slots.repeat = { unit: isHours ? 'hour' : 'minute', every: n };
+        return true;
+      }
+    },
+    {
+      name: 'hourly',
+      re: re(`${B}(?:hourly|ежечасно)${E}`),
+      apply(m, slots) {
+        slots.repeat = { unit: 'hour', every: 1 };
+        return true;
+      }
+    },
+    {
+      name: 'weekdays',
+      re: re(`${B}(?:по будням|в будни|каждый будний день|(?:every|each) weekday|on weekdays|weekdays)${E}`),
+      apply(m, slots) {
+        slots.repeat = { unit: 'week', weekdays: [1, 2, 3, 4, 5] };
+        return true;
+      }
+    },
+    {
+      name: 'weekends',
+      re: re(`${B}(?:по выходным|каждые выходные|(?:every|each) weekend|on weekends|weekends)${E}`),
+      apply(m, slots) {
+        slots.repeat = { unit: 'week', weekdays: [6, 0] };
+        return true;
+      }
+    },
+    {
+      name: 'every_weekday',
+      re: re(`${B}(?:(?:every|each|каждый|каждую|каждое|on)\\s+(${WEEKDAY_RE}|${WEEKDAYS.map(w => w.plural).join('|')})|по\\s+(${WEEKDAYS.map(w => w.plural).join('|')}))((?:\\s*(?:and|и|,)?\\s*(?:${WEEKDAY_RE}|${WEEKDAYS.map(w => w.plural).join('|')}))*)${E}`),
+      apply(m, slots) {
+        const first = m[1] || m[2];
+        // "on monday" (без s) — не повторение
+        if (m[0].startsWith('on ') && !/s$/.test(first)) return false;
+        const rest = (m[3] || '').match(re(`${WEEKDAY_RE}|${WEEKDAYS.map(w => w.plural).join('|')}`, 'gu')) || [];
+        const days = [first, ...rest].map(weekdayOf).filter(d => d !== null);
+        slots.repeat = { unit: 'week', weekdays: [...new Set(days)] };
+        return true;
+      }
+    },
+    {
+      name: 'every_period',
+      re: re(`${B}(?:every|each|каждый|каждую|каждое)\\s+(day|week|month|year|день|неделю|месяц|год)${E}|${B}(daily|weekly|monthly|yearly|annually|ежедневно|еженедельно|ежемесячно|ежегодно)${E}`),
+      apply(m, slots) {
+        const word = m[1] || m[2];
+        const unit = /^(day|день|daily|ежедн)/.test(word) ? 'day'
+          : /^(week|недел|еженед)/.test(word) ? 'week'
+          : /^(month|месяц|ежемес)/.test(word) ? 'month'
+          : 'year';
+        slots.repeat = { unit };
+        return true;
+      }
+    },
+    // --- template syntax: "+15", "+2h", "+1d" ---
+    {
+      name: 'template_offset',
+      re: re(`(?<![\\p{L}\\d])\\+(\\d+)\\s*(m|h|d)?${E}`),
+      apply(m, slots) {
+        const n = Number(m[1]);
+        const unit = { h: 'hour', d: 'day' }[m[2]] || 'minute';
+        addDuration(slots, n, unit);
+        return true;
+      }
+    },
+
+    // --- relative: "через 2 часа 30 минут", "in an hour" ---
+    {
+      name: 'relative',
+      re: re(`${B}(?:in|через|спустя)\\s+((?:(?:${NUM})?\\s*(?:${UNITS.map(u => u.re).join('|')})${E}(?:\\s*(?:and|и)\\s*|\\s+)?)+)`),
+      apply(m, slots) {
+        const pairs = m[1].matchAll(re(`(?:(${NUM})\\s*)?(${UNITS.map(u => u.re).join('|')})${E}`, 'gu'));
+        let found = false;
+        for (const pair of pairs) {
+          const n = pair[1] === undefined ? 1 : toNumber(pair[1]);
+          const unit = UNITS.find(u => re(`^(?:${u.re})$`).test(pair[2])).unit;
+          if (n === null || n < 0) return false;
+          addDuration(slots, n, unit);
+          found = true;
+        }
+        return found;
+      }
+    },
+
+    // --- explicit dates ---
+    {
+      name: 'iso_date',
+      re: re(`${B}(\\d{4})-(\\d{1,2})-(\\d{1,2})(?:[t ](\\d{1,2}):(\\d{2}))?${E}`),
+      apply(m, slots) {
+        slots.date = { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+        if (m[4] !== undefined) setTime(slots, Number(m[4]), Number(m[5]));
+        return validDate(slots.date);
+      }
+    },
+    {
+      // "в 9.30" — часы (раньше дат: "в 15.03" тоже станет 15:03)
+      name: 'ru_dotted_time',
+      re: re(`${B}(?:в|к)\\s+(\\d{1,2})\\.(\\d{2})(?![.\\d])`),
+      apply(m, slots) {
+        return setTime(slots, Number(m[1]), Number(m[2]));
+      }
+    },
+    {
+      name: 'numeric_date',
+      re: re(`${B}(\\d{1,2})\\.(\\d{1,2})(?:\\.(\\d{4}|\\d{2}))?(?![\\d]|\\.\\d)`),
+      apply(m, slots) {
+        const year = m[3] ? Number(m[3].length === 2 ? '20' + m[3] : m[3]) : null;
+        slots.date = { year, month: Number(m[2]), day: Number(m[1]) };
+        return validDate(slots.date);
+      }
+    },
+    {
+      name: 'day_month',
+      re: re(`${B}(\\d{1,2})(?:st|nd|rd|th|-?го|-?е)?\\s+(?:of\\s+)?(${MONTH_RE})(?:\\s+(\\d{4}))?${E}`),
+      apply(m, slots) {
+        slots.date = { year: m[3] ? Number(m[3]) : null, month: monthIndex(m[2]), day: Number(m[1]) };
+        return validDate(slots.date);
+      }
+    },
+    {
+      name: 'month_day',
+      re: re(`${B}(${MONTH_RE})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+(\\d{4}))?${E}`),
+      apply(m, slots) {
+        slots.date = { year: m[3] ? Number(m[3]) : null, month: monthIndex(m[1]), day: Number(m[2]) };
+        return validDate(slots.date);
+      }
+    },
+
+    {
+      // "15 числа", "the 15th" — месяц текущий или следующий
+      name: 'day_of_month',
+      re: re(`${B}(?:каждое\\s+)?(\\d{1,2})(?:-?го|-?е)?\\s+числа${E}|${B}(?:каждое\\s+)(\\d{1,2})\\s+число${E}|${B}(?:on\\s+)?the\\s+(\\d{1,2})(?:st|nd|rd|th)${E}`),
+      apply(m, slots) {
+        const day = Number(m[1] || m[2] || m[3]);
+        if (day < 1 || day > 31) return false;
+        slots.dayOfMonth = day;
+        if (/^каждое/.test(m[0])) slots.repeat = { unit: 'month' };
+        return true;
+      }
+    },
+
+    // --- day words ---
+    {
+      name: 'day_after_tomorrow',
+      re: re(`${B}(?:послезавтра|day after tomorrow)${E}`),
+      apply(m, slots) {
+        slots.dayOffset = 2;
+        return true;
+      }
+    },
+    {
+      name: 'tomorrow',
+      re: re(`${B}(?:завтра|tomorrow)${E}`),
+      apply(m, slots) {
+        slots.dayOffset = 1;
+        return true;
+      }
+    },
+    {
+      name: 'today',
+      re: re(`${B}(?:сегодня|today|tonight)${E}|${B}this(?=\\s+(?:morning|afternoon|evening))`),
+      apply(m, slots) {
+        slots.dayOffset = 0;
+        if (m[0] === 'tonight') slots.part = slots.part || 'evening';
+        return true;
+      }
+    },
+    {
+      name: 'weekday',
+      re: re(`${B}(?:(?:в|во|на|on|this|эт[оуа]|(next|следующ\\p{L}*))\\s+)*(${WEEKDAY_RE})${E}`),
+      apply(m, slots) {
+        slots.weekday = { day: weekdayOf(m[2]), next: Boolean(m[1]) };
+        return true;
+      }
+    },
+    {
+      name: 'next_week',
+      re: re(`${B}(?:next week|на следующей неделе)${E}`),
+      apply(m, slots) {
+        slots.nextWeek = true;
+        return true;
+      }
+    },
+
+    // --- times ---
+    {
+      name: 'noon_midnight',
+      re: re(`${B}(?:(?:в|at)\\s+)?(noon|midday|полдень|midnight|полночь)${E}`),
+      apply(m, slots) {
+        return setTime(slots, /noon|midday|полдень/.test(m[1]) ? 12 : 0, 0, null);
+      }
+    },
+    {
+      name: 'clock_time',
+      re: re(`${B}(?:(?:в|к|at|by|@)\\s+)?(\\d{1,2}):(\\d{2})(?:\\s*(${MERIDIEM}))?(?:\\s+(${PART_WORDS}))?(?![\\p{L}\\d])`),
+      apply(m, slots) {
+        if (m[4]) slots.part = partOf(m[4]);
+        // "25:00" — явно часы, но таких нет: не молчим с DEFAULT_HOUR
+        if (!setTime(slots, Number(m[1]), Number(m[2]), m[3] || null)) slots.invalid = true;
+        return true;
+      }
+    },
+    {
+      name: 'meridiem_time',
+      re: re(`${B}(?:(?:at|by|@)\\s+)?(\\d{1,2}|${HOUR_WORD})\\s*(${MERIDIEM})(?![\\p{L}\\d])`),
+      apply(m, slots) {
+        const hour = toNumber(m[1]);
+        if (hour === null || hour < 1 || hour > 12) return false;
+        return setTime(slots, hour, 0, m[2]);
+      }
+    },
+    {
+      name: 'hour_with_preposition',
+      re: re(`${B}(?:в|к|at|by|@)\\s+(\\d{1,2}|${HOUR_WORD})(?:\\s*(?:час(?:а|ов)?|o'?clock))?(?:\\s+(${PART_WORDS}))?${E}(?!\\s*(?:${NOT_HOURS}))`),
+      apply(m, slots) {
+        if (m[2]) slots.part = partOf(m[2]);
+        if (!setTime(slots, toNumber(m[1]), 0, null)) return false;
+        slots.time.bare = !slots.time.nextDay;
+        return true;
+      }
+    },
+    {
+      name: 'part_of_day',
+      re: re(`${B}(?:(?:this|in the|at|on)\\s+)?(${PART_BARE})${E}`),
+      apply(m, slots) {
+        slots.part = partOf(m[1]);
+        return true;
+      }
+    }
+  ];
+
+  // Без года 29 февраля допустимо — resolveDay() возьмёт ближайший високосный
+  function validDate({ year, month, day }) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year || 2000, month);
+  }
+
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  function addDuration(slots, n, unit) {
+    if (unit === 'minute') slots.offsetMs += n * MINUTE;
+    else if (unit === 'hour') slots.offsetMs += n * HOUR;
+    else if (unit === 'day') slots.offsetDays += n;
+    else if (unit === 'week') slots.offsetDays += n * 7;
+    else if (unit === 'month') slots.offsetMonths += n;
+  }
+
+  /**
+   * Run the slot rules over a normalized fragment
+   * @returns {{slots: Object, matched: string[]}}
+   */
+  function extractSlots(text) {
+    const slots = {
+      repeat: null, date: null, dayOfMonth: null, dayOffset: null, weekday: null, nextWeek: false,
+      offsetMs: 0, offsetDays: 0, offsetMonths: 0, time: null, part: null, invalid: false
+    };
+    const matched = [];
+    let rest = text;
+
+    for (const rule of RULES) {
+      const m = rest.match(rule.re);
+      if (!m) continue;
+      const before = JSON.stringify(slots);
+      if (rule.apply(m, slots)) {
+        matched.push({ index: m.index, text: m[0].trim() });
+        rest = rest.slice(0, m.index) + ' '.repeat(m[0].length) + rest.slice(m.index + m[0].length);
+      } else {
+        Object.assign(slots, JSON.parse(before));
+      }
+    }
+
+    matched.sort((a, b) => a.index - b.index);
+    return { slots, matched: matched.map(f => f.text) };
+  }
+
+  /**
+   * Больше одного источника дня ("завтра ... 15.03") — берём по приоритету, но помечаем
+   */
+  function isAmbiguous(slots) {
+    const sources = [slots.date, slots.dayOfMonth, slots.weekday || slots.nextWeek, slots.dayOffset !== null]
+      .filter(Boolean).length;
+    return sources > 1;
+  }
+
+  function hasSlots(slots) {
+    return Boolean(
+      slots.repeat || slots.date || slots.dayOfMonth || slots.dayOffset !== null || slots.weekday ||
+      slots.nextWeek || slots.offsetMs || slots.offsetDays || slots.offsetMonths || slots.time || slots.part
+    );
+  }
+
+  // ============================================
+  // RESOLVE
+  // ============================================
+
+  /**
+   * Hour/minute from explicit time + part of day ("в 7 вечера" → 19:00)
+   */
+  function resolveTime(slots) {
+    if (slots.time) {
+      let { hour, minute, explicit, bare, nextDay } = slots.time;
+      if (!explicit && slots.part) {
+        if ((slots.part === 'afternoon' || slots.part === 'evening') && hour < 12) hour += 12;
+        if (slots.part === 'night') {
+          if (hour === 12) hour = 0;
+          else if (hour >= 6 && hour < 12) hour += 12;
+        }
+      }
+      return { hour, minute, bare: Boolean(bare) && !slots.part, nextDay: Boolean(nextDay) };
+    }
+    if (slots.part) return { hour: PARTS_OF_DAY[slots.part].hour, minute: 0 };
+    return null;
+  }
+
+  function shiftDay({ year, month, day }, days) {
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+  }
+
+  function shiftMonths({ year, month, day }, months) {
+    const first = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    return { year: first.getUTCFullYear(), month: first.getUTCMonth() + 1, day: Math.min(day, lastDay) };
+  }
+
+  function compareDays(a, b) {
+    return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+  }
+
+  /**
+   * Calendar day from date / weekday / offsets, or null if none given
+   */
+  function resolveDay(slots, today, todayWeekday) {
+    let day = null;
+
+    if (slots.date) {
+      day = { year: slots.date.year || today.year, month: slots.date.month, day: slots.date.day };
+      // Без года и уже прошло → следующий год (29 февраля — следующий високосный)
+      if (!slots.date.year && compareDays(day, today) < 0) day.year++;
+      while (!slots.date.year && day.day > daysInMonth(day.year, day.month)) day.year++;
+    } else if (slots.dayOfMonth) {
+      day = { year: today.year, month: today.month, day: slots.dayOfMonth };
+      if (compareDays(day, today) < 0) day = shiftMonths(day, 1);
+    } else if (slots.weekday) {
+      const target = slots.weekday.day;
+      let delta = ((target - todayWeekday + 7) % 7) || 7;
+      if (slots.weekday.next || slots.nextWeek) {
+        // Неделя с понедельника: "next Friday" — пятница следующей недели
+        const toNextMonday = ((1 - todayWeekday + 7) % 7) || 7;
+        delta = toNextMonday + ((target + 6) % 7);
+      }
+      day = shiftDay(today, delta);
+    } else if (slots.nextWeek) {
+      day = shiftDay(today, ((1 - todayWeekday + 7) % 7) || 7);
+    } else if (slots.dayOffset !== null) {
+      day = shiftDay(today, slots.dayOffset);
+    }
+
+    if (slots.offsetDays || slots.offsetMonths) {
+      day = shiftMonths(shiftDay(day || today, slots.offsetDays), slots.offsetMonths);
+    }
+    return day;
+  }
+
+  function toCron(slots, time, today, todayWeekday) {
+    const repeat = slots.repeat;
+    const hour = time ? time.hour : DEFAULT_HOUR;
+    const minute = time ? time.minute : 0;
+
+    if (repeat.unit === 'minute') return `*/${repeat.every} * * * *`;
+    if (repeat.unit === 'hour') return repeat.every === 1 ? `${minute} * * * *` : `${minute} */${repeat.every} * * *`;
+    if (repeat.unit === 'day') return `${minute} ${hour} * * *`;
+
+    if (repeat.unit === 'week') {
+      const days = repeat.weekdays || [slots.weekday ? slots.weekday.day : todayWeekday];
+      return `${minute} ${hour} * * ${[...days].sort((a, b) => a - b).join(',')}`;
+    }
+    if (repeat.unit === 'month') {
+      const dom = slots.dayOfMonth || (slots.date && slots.date.day) || today.day;
+      return `${minute} ${hour} ${dom} * *`;
+    }
+    // year
+    const date = slots.date || today;
+    return `${minute} ${hour} ${date.day} ${date.month} *`;
+  }
+
+  /**
+   * Slots → result; null when the slots don't describe a time
+   */
+  function resolve(slots, zone, now) {
+    const parts = Time.localParts(now, zone);
+    const today = { year: parts.year, month: parts.month, day: parts.day };
+    const time = resolveTime(slots);
+
+    if (slots.repeat) {
+      const cron = toCron(slots, time, today, parts.weekday);
+      if (!Cron.validate(cron).valid) return null;
+      const next = Cron.nextRun(cron, { from: now, timeZone: zone });
+      if (!next) return null;
+      const interval = slots.repeat.unit === 'minute' || slots.repeat.unit === 'hour';
+      return { kind: 'recurring', at: next, end: null, cron, hasTime: Boolean(time) || interval };
+    }
+
+    let day = resolveDay(slots, today, parts.weekday);
+    const onlyRelative = !slots.date && !slots.dayOfMonth && !slots.weekday && !slots.nextWeek && slots.dayOffset === null;
+
+    // "через 2 часа" / "+15" — от текущего момента
+    if (onlyRelative && !time && (slots.offsetMs || slots.offsetDays || slots.offsetMonths)) {
+      let at = new Date(now + slots.offsetMs);
+      if (day) {
+        // дни / месяцы — те же часы на стенке (DST)
+        at = new Date(Time.wallTimeToInstant(day.year, day.month, day.day, parts.hour, parts.minute, zone) + slots.offsetMs);
+      }
+      return { kind: 'instant', at, end: null, cron: null, hasTime: true };
+    }
+
+    if (!day && time) {
+      // "в 5" в 10:00 — скорее 17:00 сегодня, чем 05:00 завтра
+      const todayAt = hour => Time.wallTimeToInstant(today.year, today.month, today.day, hour, time.minute, zone);
+      let hour = time.hour;
+      if (time.bare && hour >= 1 && hour <= 11 && todayAt(hour) <= now && todayAt(hour + 12) > now) {
+        hour += 12;
+      }
+      const at = Time.nextLocalTime(hour, time.minute, { timeZone: zone, now });
+      return { kind: 'instant', at, end: null, cron: null, hasTime: true };
+    }
+
+    if (day) {
+      const { hour, minute, nextDay } = time || { hour: DEFAULT_HOUR, minute: 0 };
+      if (nextDay) day = shiftDay(day, 1);
+      const at = new Date(Time.wallTimeToInstant(day.year, day.month, day.day, hour, minute, zone));
+      return { kind: 'instant', at, end: null, cron: null, hasTime: Boolean(time), day };
+    }
+
+    return null;
+  }
+
+  // ============================================
+  // RANGES
+  // "с 10 до 12", "from 2 to 4 pm", "14:00-16:00", "с 1 по 5 марта", "from Monday to Friday"
+  // ============================================
+
+  const TIME_TOKEN = `\\d{1,2}(?::\\d{2}|\\.\\d{2})?(?:\\s*(?:${MERIDIEM}))?`;
+  const DATE_TOKEN = `\\d{1,2}(?:\\s+(?:${MONTH_RE}))?|(?:${MONTH_RE})\\s+\\d{1,2}|${WEEKDAY_RE}|понедельника|вторника|среды|четверга|пятницы|субботы|воскресенья`;
+
+  const RANGE_RULES = [
+    {
+      type: 'time',
+      re: re(`${B}(?:from|с|between|между)\\s+(${TIME_TOKEN})\\s+(?:to|till|until|and|до|-)\\s+(${TIME_TOKEN})(?:\\s*(?:час(?:а|ов)?|o'?clock))?(?:\\s+(${PART_WORDS}))?${E}(?!\\s*(?:${MONTH_RE}))`)
+    },
+    {
+      type: 'time',
+      re: re(`${B}(\\d{1,2}:\\d{2}(?:\\s*(?:${MERIDIEM}))?)\\s*-\\s*(\\d{1,2}:\\d{2}(?:\\s*(?:${MERIDIEM}))?)${E}`)
+    },
+    {
+      type: 'date',
+      re: re(`${B}(?:from|с|со)\\s+(${DATE_TOKEN})\\s+(?:to|till|until|through|по|до)\\s+(${DATE_TOKEN})${E}`)
+    }
+  ];
+
+  function parseClock(token) {
+    const m = token.match(re(`^(\\d{1,2})(?:[:.](\\d{2}))?\\s*(${MERIDIEM})?$`));
+    if (!m) return null;
+    return { hour: Number(m[1]), minute: Number(m[2] || 0), meridiem: m[3] || null };
+  }
+
+  function parseRange(text, zone, now) {
+    for (const rule of RANGE_RULES) {
+      const m = text.match(rule.re);
+      if (!m) continue;
+      const rest = text.slice(0, m.index) + ' ' + text.slice(m.index + m[0].length);
+
+      if (rule.type === 'time') {
+        const from = parseClock(m[1]);
+        const to = parseClock(m[2]);
+        if (!from || !to) continue;
+        // "from 2 to 4 pm" — am/pm конца действует и на начало
+        if (!from.meridiem && to.meridiem && hourWithMeridiem(from.hour, to.meridiem) <= hourWithMeridiem(to.hour, to.meridiem)) {
+          from.meridiem = to.meridiem;
+        }
+        const context = extractSlots(rest);
+        const part = m[3] ? partOf(m[3]) : context.slots.part;
+        const start = { ...context.slots, part };
+        const end = { ...context.slots, part };
+        if (!setTime(start, from.hour, from.minute, from.meridiem) || !setTime(end, to.hour, to.minute, to.meridiem)) continue;
+
+        const a = resolve(start, zone, now);
+        if (!a) continue;
+        // Конец — в тот же день, что и начало
+        const endDay = a.day || Time.localDate(a.at, zone);
+        const endTime = resolveTime(end);
+        let endAt = Time.wallTimeToInstant(endDay.year, endDay.month, endDay.day, endTime.hour, endTime.minute, zone);
+        if (endAt <= a.at.getTime()) endAt = Time.addLocalDays(endAt, 1, zone).getTime();
+        return { kind: 'range', at: a.at, end: new Date(endAt), cron: null, hasTime: true, matched: [m[0].trim(), ...context.matched] };
+      }
+
+      // date range: "с 1 по 5 марта" / "from March 1 to 5" — месяц одной стороны действует на другую
+      const left = rangeSide(m[1], m[2]);
+      const right = rangeSide(m[2], m[1]);
+      if (!left || !right) continue;
+
+      const context = extractSlots(rest);
+      const start = resolve({ ...left, time: context.slots.time, part: context.slots.part }, zone, now);
+      let finish = resolve({ ...right, time: context.slots.time, part: context.slots.part }, zone, now);
+      if (!start || !finish || !start.day || !finish.day) continue;
+      // "с пятницы по понедельник" — конец на следующей неделе
+      if (right.weekday && compareDays(finish.day, start.day) < 0) {
+        finish = resolve({ ...right, offsetDays: 7, time: context.slots.time, part: context.slots.part }, zone, now);
+      }
+
+      const hasTime = Boolean(resolveTime(context.slots));
+      const at = hasTime ? start.at : new Date(Time.dayBoundary(dayKey(start.day), zone));
+      const end = hasTime ? finish.at : new Date(Time.dayBoundary(dayKey(finish.day), zone, true));
+      if (end <= at) continue;
+      return { kind: 'range', at, end, cron: null, hasTime, matched: [m[0].trim(), ...context.matched] };
+    }
+    return null;
+  }
+
+  /**
+   * Slots of one side of a date range; a bare day number borrows the other side's month
+   */
+  function rangeSide(token, other) {
+    const side = extractSlots(normalizeRangeSide(token)).slots;
+    if (/^\d{1,2}$/.test(token.trim())) {
+      const month = extractSlots(normalizeRangeSide(other)).slots.date;
+      if (!month) return null;
+      return { ...side, date: { year: month.year, month: month.month, day: Number(token) } };
+    }
+    return hasSlots(side) ? side : null;
+  }
+
+  // "понедельника" / "пятницы" (с ... по ...) → именительный для правила weekday
+  function normalizeRangeSide(token) {
+    return token.trim()
+      .replace(/^понедельника$/, 'понедельник')
+      .replace(/^вторника$/, 'вторник')
+      .replace(/^среды$/, 'среда')
+      .replace(/^четверга$/, 'четверг')
+      .replace(/^пятницы$/, 'пятница')
+      .replace(/^субботы$/, 'суббота')
+      .replace(/^воскресенья$/, 'воскресенье');
+  }
+
+  function dayKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  /**
+   * Parse a reminder time out of free text
+   * @param {string} text - "завтра в 9", "next Friday evening", "каждый вторник", "+15"
+   * @param {Object} options - { timeZone, now }
+   * @returns {{kind: 'instant'|'range'|'recurring', at: Date, end: Date|null, cron: string|null,
+   *            hasTime: boolean, ambiguous: boolean, lang: 'en'|'ru', matched: string}|null}
+   */
+  function parse(text, options = {}) {
+    const source = normalize(text);
+    if (!source) return null;
+
+    const zone = Time.normalizeTimeZone(options.timeZone);
+    const now = options.now !== undefined ? new Date(options.now).getTime() : Date.now();
+    if (isNaN(now)) return null;
+    const lang = /[а-я]/.test(source) ? 'ru' : 'en';
+
+    let result = parseRange(source, zone, now);
+    if (!result) {
+      const { slots, matched } = extractSlots(source);
+      if (!hasSlots(slots) || slots.invalid) return null;
+      result = resolve(slots, zone, now);
+      if (result) {
+        result.matched = matched;
+        result.ambiguous = isAmbiguous(slots);
+      }
+    }
+    if (!result || isNaN(result.at.getTime())) return null;
+
+    return {
+      kind: result.kind,
+      at: result.at,
+      end: result.end || null,
+      cron: result.cron || null,
+      hasTime: result.hasTime,
+      ambiguous: Boolean(result.ambiguous),
+      lang,
+      matched: result.matched.join(' ')
+    };
+  }
+
+  /**
+   * Just the instant (start of a range / next run), or null
+   */
+  function parseInstant(text, options = {}) {
+    const result = parse(text, options);
+    return result ? result.at : null;
+  }
+
+  return {
+    VERSION,
+    DEFAULT_HOUR,
+    parse,
+    parseInstant,
+    normalize
+  };
+});
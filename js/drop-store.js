@@ -0,0 +1,571 @@
+// ============================================
+// DROPLIT DROP STORE v1.0
+// IndexedDB storage for drops (replaces localStorage['droplit_ideas'])
+//
+// Лента по-прежнему живёт в памяти (глобальный `ideas`), а DropStore —
+// единственный слой, который пишет её на диск:
+//   - init()        → открыть БД, один раз мигрировать localStorage, загрузить всё
+//   - saveAll(list) → записать только изменённые / удалённые дропы (diff)
+//   - put / remove  → точечные операции
+//   - query(...)    → выборки по индексам category, timestamp, creator, markers
+//   - iterate(...)  → курсор без загрузки всей ленты в память
+//
+// localStorage ограничен ~5 MB — фото и аудио туда не помещались.
+// Если IndexedDB недоступен (private mode) — fallback на localStorage.
+// ============================================
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const STORE_CONFIG = {
+    DB_NAME: 'droplit_drops',
+    DB_VERSION: 1,
+    STORE: 'drops',
+
+    INDEXES: {
+      category:  { keyPath: 'category',  options: { unique: false } },
+      timestamp: { keyPath: 'timestamp', options: { unique: false } },
+      creator:   { keyPath: 'creator',   options: { unique: false } },
+      markers:   { keyPath: 'markers',   options: { unique: false, multiEntry: true } }
+    },
+
+    // Старые ключи localStorage
+    LEGACY_KEY: 'droplit_ideas',
+    LEGACY_WRONG_KEY: 'ideas',          // privacy-модули писали сюда по ошибке
+    MIGRATED_FLAG: 'droplit_dropstore_migrated'
+  };
+
+  // ============================================
+  // STATE
+  // ============================================
+
+  let db = null;
+  let backend = null;            // 'indexeddb' | 'localstorage'
+  let initPromise = null;
+  let loaded = false;
+
+  // String(id) → { key, json } последней записанной версии (для diff в saveAll)
+  const persisted = new Map();
+
+  // Записи выполняются строго по очереди
+  let writeChain = Promise.resolve();
+
+  // ============================================
+  // DATABASE
+  // ============================================
+
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+
+      const request = indexedDB.open(STORE_CONFIG.DB_NAME, STORE_CONFIG.DB_VERSION);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const database = event.target.result;
+
+        if (!database.objectStoreNames.contains(STORE_CONFIG.STORE)) {
+          const store = database.createObjectStore(STORE_CONFIG.STORE, { keyPath: 'id' });
+          for (const [name, def] of Object.entries(STORE_CONFIG.INDEXES)) {
+            store.createIndex(name, def.keyPath, def.options);
+          }
+        }
+      };
+    });
+  }
+
+  function txDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  function requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // IndexedDB ключ должен быть number/string; id у дропа обязателен
+  function isStorable(drop) {
+    return drop && (typeof drop.id === 'number' || typeof drop.id === 'string');
+  }
+
+  // ============================================
+  // MIGRATION (localStorage → IndexedDB, один раз)
+  // ============================================
+
+  function readLegacy(key) {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.warn('[DropStore] Corrupted legacy key:', key);
+      return [];
+    }
+  }
+
+  async function migrateFromLocalStorage() {
+    if (localStorage.getItem(STORE_CONFIG.MIGRATED_FLAG) === 'true') {
+      return { migrated: 0, skipped: true };
+    }
+
+    const drops = readLegacy(STORE_CONFIG.LEGACY_KEY);
+    const known = new Set(drops.map(d => String(d.id)));
+
+    // Дропы из ошибочного ключа 'ideas' — только те, которых нет в основном
+    for (const drop of readLegacy(STORE_CONFIG.LEGACY_WRONG_KEY)) {
+      if (isStorable(drop) && !known.has(String(drop.id))) {
+        drops.push(drop);
+      }
+    }
+
+    const storable = drops.filter(isStorable);
+
+    if (storable.length > 0) {
+      const tx = db.transaction(STORE_CONFIG.STORE, 'readwrite');
+      const store = tx.objectStore(STORE_CONFIG.STORE);
+      for (const drop of storable) {
+        store.put(drop);
+      }
+      await txDone(tx);
+    }
+
+    // Ключи удаляем только после успешной транзакции — освобождаем квоту
+    localStorage.removeItem(STORE_CONFIG.LEGACY_KEY);
+    localStorage.removeItem(STORE_CONFIG.LEGACY_WRONG_KEY);
+    localStorage.setItem(STORE_CONFIG.MIGRATED_FLAG, 'true');
+
+    console.log(`[DropStore] Migrated ${storable.length} drops from localStorage`);
+    return { migrated: storable.length, skipped: false };
+  }
+
+  // ============================================
+  // INIT
+  // ============================================
+
+  /**
+   * Open storage, migrate once, load all drops
+   * @returns {Promise<Array>} - drops sorted by timestamp (oldest first)
+   */
+  function init() {
+    if (initPromise) return initPromise;
+
+    initPromise = (async () => {
+      let drops;
+
+      try {
+        db = await openDB();
+        backend = 'indexeddb';
+        await migrateFromLocalStorage();
+        drops = await getAllRaw();
+      } catch (error) {
+        console.warn('[DropStore] IndexedDB unavailable, using localStorage:', error.message);
+        db = null;
+        backend = 'localstorage';
+        drops = readLegacy(STORE_CONFIG.LEGACY_KEY);
+      }
+
+      drops.sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+      persisted.clear();
+      for (const drop of drops) {
+        if (isStorable(drop)) persisted.set(String(drop.id), { key: drop.id, json: JSON.stringify(drop) });
+      }
+      loaded = true;
+
+      console.log(`[DropStore] Loaded ${drops.length} drops (${backend})`);
+      return drops;
+    })();
+
+    return initPromise;
+  }
+
+  function ready() {
+    return init().then(() => true);
+  }
+
+  // ============================================
+  // WRITE
+  // ============================================
+
+  function enqueueWrite(fn) {
+    const run = writeChain.then(fn);
+    // Ошибка одной записи не должна блокировать следующие
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Persist the whole feed — writes only drops that changed since the last save
+   * and deletes drops that disappeared from the list.
+   * Before init() finishes only upserts are done (the list may be incomplete).
+   *
+   * @param {Array} drops - the in-memory feed (usually global `ideas`)
+   * @returns {Promise<{written: number, deleted: number}>}
+   */
+  function saveAll(drops) {
+    const list = (drops || []).filter(isStorable);
+    const allowDeletes = loaded;
+
+    const changed = [];
+    const present = new Set();
+    for (const drop of list) {
+      const id = String(drop.id);
+      const json = JSON.stringify(drop);
+      present.add(id);
+      if (persisted.get(id)?.json !== json) {
+        changed.push({ id, drop, json });
+      }
+    }
+
+    const removed = [];
+    if (allowDeletes) {
+      for (const id of persisted.keys()) {
+        if (!present.has(id)) removed.push(id);
+      }
+    }
+
+    if (changed.length === 0 && removed.length === 0) {
+      return Promise.resolve({ written: 0, deleted: 0 });
+    }
+
+    return enqueueWrite(async () => {
+      await ready();
+      if (backend === 'localstorage') {
+        const toWrite = allowDeletes ? list : mergeById(readLegacy(STORE_CONFIG.LEGACY_KEY), list);
+        // Может бросить QuotaExceededError — пусть вызывающий покажет toast
+        localStorage.setItem(STORE_CONFIG.LEGACY_KEY, JSON.stringify(toWrite));
+      } else {
+        const tx = db.transaction(STORE_CONFIG.STORE, 'readwrite');
+        const store = tx.objectStore(STORE_CONFIG.STORE);
+        for (const { drop } of changed) store.put(drop);
+        for (const id of removed) {
+          const entry = persisted.get(id);
+          if (entry) store.delete(entry.key);
+        }
+        await txDone(tx);
+      }
+
+      for (const { id, drop, json } of changed) persisted.set(id, { key: drop.id, json });
+      for (const id of removed) persisted.delete(id);
+
+      return { written: changed.length, deleted: removed.length };
+    });
+  }
+
+  /**
+   * Write one drop
+   */
+  function put(drop) {
+    if (!isStorable(drop)) return Promise.reject(new Error('Drop without id'));
+    const json = JSON.stringify(drop);
+
+    return enqueueWrite(async () => {
+      await ready();
+      if (backend === 'localstorage') {
+        const list = readLegacy(STORE_CONFIG.LEGACY_KEY).filter(d => String(d.id) !== String(drop.id));
+        list.push(drop);
+        localStorage.setItem(STORE_CONFIG.LEGACY_KEY, JSON.stringify(list));
+      } else {
+        const tx = db.transaction(STORE_CONFIG.STORE, 'readwrite');
+        tx.objectStore(STORE_CONFIG.STORE).put(drop);
+        await txDone(tx);
+      }
+      persisted.set(String(drop.id), { key: drop.id, json });
+      return drop;
+    });
+  }
+
+  /**
+   * Delete one drop by id
+   */
+  function remove(id) {
+    return enqueueWrite(async () => {
+      await ready();
+      if (backend === 'localstorage') {
+        const list = readLegacy(STORE_CONFIG.LEGACY_KEY).filter(d => String(d.id) !== String(id));
+        localStorage.setItem(STORE_CONFIG.LEGACY_KEY, JSON.stringify(list));
+      } else {
+        const tx = db.transaction(STORE_CONFIG.STORE, 'readwrite');
+        tx.objectStore(STORE_CONFIG.STORE).delete(id);
+        await txDone(tx);
+      }
+      persisted.delete(String(id));
+      return true;
+    });
+  }
+
+  /**
+   * Delete all drops (/clear)
+   */
+  function clear() {
+    return enqueueWrite(async () => {
+      await ready();
+      if (backend === 'localstorage') {
+        localStorage.removeItem(STORE_CONFIG.LEGACY_KEY);
+      } else {
+        const tx = db.transaction(STORE_CONFIG.STORE, 'readwrite');
+        tx.objectStore(STORE_CONFIG.STORE).clear();
+        await txDone(tx);
+      }
+      persisted.clear();
+      return true;
+    });
+  }
+
+  function mergeById(base, updates) {
+    const byId = new Map(base.map(d => [String(d.id), d]));
+    for (const drop of updates) byId.set(String(drop.id), drop);
+    return Array.from(byId.values());
+  }
+
+  // ============================================
+  // READ
+  // ============================================
+
+  async function getAllRaw() {
+    const tx = db.transaction(STORE_CONFIG.STORE, 'readonly');
+    return requestResult(tx.objectStore(STORE_CONFIG.STORE).getAll());
+  }
+
+  async function getAll() {
+    await ready();
+    if (backend === 'localstorage') return readLegacy(STORE_CONFIG.LEGACY_KEY);
+    return getAllRaw();
+  }
+
+  async function get(id) {
+    await ready();
+    if (backend === 'localstorage') {
+      return readLegacy(STORE_CONFIG.LEGACY_KEY).find(d => String(d.id) === String(id)) || null;
+    }
+    const tx = db.transaction(STORE_CONFIG.STORE, 'readonly');
+    const drop = await requestResult(tx.objectStore(STORE_CONFIG.STORE).get(id));
+    return drop || null;
+  }
+
+  async function count(indexName, value) {
+    await ready();
+    if (backend === 'localstorage') {
+      const list = readLegacy(STORE_CONFIG.LEGACY_KEY);
+      return indexName ? list.filter(d => matchesIndex(d, indexName, value)).length : list.length;
+    }
+    const tx = db.transaction(STORE_CONFIG.STORE, 'readonly');
+    const store = tx.objectStore(STORE_CONFIG.STORE);
+    const source = indexName ? store.index(indexName) : store;
+    return requestResult(indexName ? source.count(value) : source.count());
+  }
+
+  function matchesIndex(drop, indexName, value) {
+    const field = drop[STORE_CONFIG.INDEXES[indexName].keyPath];
+    if (indexName === 'markers') return Array.isArray(field) && field.includes(value);
+    return field === value;
+  }
+
+  function toIso(value) {
+    if (value === undefined || value === null) return undefined;
+    return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+  }
+
+  /**
+   * Walk drops with a cursor, without loading the whole feed
+   *
+   * @param {Function} callback - (drop) => false to stop
+   * @param {Object} options
+   * @param {string} [options.index] - category | timestamp | creator | markers
+   * @param {IDBKeyRange|*} [options.range] - key or key range for the index
+   *   (localStorage fallback: exact key only)
+   * @param {string} [options.direction] - 'next' | 'prev'
+   * @returns {Promise<number>} - number of visited drops
+   */
+  async function iterate(callback, options = {}) {
+    await ready();
+    const { index, range, direction = 'next' } = options;
+
+    if (backend === 'localstorage') {
+      let list = readLegacy(STORE_CONFIG.LEGACY_KEY);
+      if (index && range !== undefined) {
+        list = list.filter(d => matchesIndex(d, index, range));
+      }
+      if (index === 'timestamp') list.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+      if (direction === 'prev') list.reverse();
+
+      let visited = 0;
+      for (const drop of list) {
+        visited++;
+        if (callback(drop) === false) break;
+      }
+      return visited;
+    }
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_CONFIG.STORE, 'readonly');
+      const store = tx.objectStore(STORE_CONFIG.STORE);
+      const source = index ? store.index(index) : store;
+      const request = source.openCursor(range === undefined ? null : range, direction);
+      let visited = 0;
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(visited);
+          return;
+        }
+        visited++;
+        if (callback(cursor.value) === false) {
+          resolve(visited);
+          return;
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Indexed query. One index drives the cursor, other filters are applied on top.
+   *
+   * @param {Object} filter
+   * @param {string} [filter.category]
+   * @param {string} [filter.creator]
+   * @param {string} [filter.marker]
+   * @param {Date|string|number} [filter.from] - timestamp >= from
+   * @param {Date|string|number} [filter.to]   - timestamp <= to
+   * @param {number} [filter.limit]
+   * @param {boolean} [filter.newestFirst]
+   * @returns {Promise<Array>}
+   */
+  async function query(filter = {}) {
+    const from = toIso(filter.from);
+    const to = toIso(filter.to);
+    const hasRange = from !== undefined || to !== undefined;
+
+    // Самый селективный индекс ведёт курсор
+    let index, range;
+    if (filter.marker !== undefined) {
+      index = 'markers'; range = filter.marker;
+    } else if (filter.category !== undefined) {
+      index = 'category'; range = filter.category;
+    } else if (filter.creator !== undefined) {
+      index = 'creator'; range = filter.creator;
+    } else if (hasRange || filter.newestFirst) {
+      index = 'timestamp';
+      // Без IndexedDB диапазон проверяется фильтром ниже
+      range = hasRange && backend === 'indexeddb' ? timestampRange(from, to) : undefined;
+    }
+
+    const results = [];
+    await iterate((drop) => {
+      if (filter.category !== undefined && drop.category !== filter.category) return;
+      if (filter.creator !== undefined && drop.creator !== filter.creator) return;
+      if (filter.marker !== undefined && !(drop.markers || []).includes(filter.marker)) return;
+      if (from !== undefined && !(drop.timestamp >= from)) return;
+      if (to !== undefined && !(drop.timestamp <= to)) return;
+
+      results.push(drop);
+      // Лимит на курсоре — только когда порядок курсора совпадает с нужным
+      if (filter.limit && index === 'timestamp' && results.length >= filter.limit) return false;
+    }, {
+      index,
+      range,
+      direction: filter.newestFirst && index === 'timestamp' ? 'prev' : 'next'
+    });
+
+    if (index !== 'timestamp') {
+      results.sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+      if (filter.newestFirst) results.reverse();
+    }
+
+    return filter.limit ? results.slice(0, filter.limit) : results;
+  }
+
+  function timestampRange(from, to) {
+    if (from !== undefined && to !== undefined) return IDBKeyRange.bound(from, to);
+    if (from !== undefined) return IDBKeyRange.lowerBound(from);
+    return IDBKeyRange.upperBound(to);
+  }
+
+  // Shortcuts
+  const byCategory = (category, options = {}) => query({ ...options, category });
+  const byCreator  = (creator, options = {}) => query({ ...options, creator });
+  const byMarker   = (marker, options = {}) => query({ ...options, marker });
+  const byDate     = (from, to, options = {}) => query({ ...options, from, to });
+
+  // ============================================
+  // STATS
+  // ============================================
+
+  /**
+   * Storage usage for /debug and settings
+   * @returns {Promise<{backend, drops, usageKB, quotaKB}>}
+   */
+  async function getStats() {
+    await ready();
+    const stats = { backend, drops: persisted.size, usageKB: null, quotaKB: null };
+
+    if (backend === 'localstorage') {
+      stats.usageKB = (localStorage.getItem(STORE_CONFIG.LEGACY_KEY) || '').length / 1024;
+    } else if (navigator.storage?.estimate) {
+      try {
+        const { usage, quota } = await navigator.storage.estimate();
+        stats.usageKB = usage / 1024;
+        stats.quotaKB = quota / 1024;
+      } catch (e) {}
+    }
+
+    return stats;
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  window.DropStore = {
+    config: STORE_CONFIG,
+
+    // Lifecycle
+    init,
+    ready,
+    isReady: () => loaded,
+    getBackend: () => backend,
+    migrateFromLocalStorage,
+
+    // Write
+    saveAll,
+    put,
+    remove,
+    clear,
+
+    // Read
+    get,
+    getAll,
+    count,
+    iterate,
+    query,
+    byCategory,
+    byCreator,
+    byMarker,
+    byDate,
+
+    // Stats
+    getStats
+  };
+
+  // Начинаем загрузку сразу — к DOMContentLoaded лента обычно уже прочитана
+  init();
+
+  console.log('[DropStore] Module loaded');
+})();
@@ -0,0 +1,346 @@
+// ============================================================
+// bm25-index.js — BM25 inverted index for ASKI memory
+// Version: 1.0
+//
+// Ключевой поиск рядом с векторным: точные имена, числа, редкие
+// слова, которые эмбеддинг "размывает".
+//
+//   tokenize('Позвони Ивану в 14:30') → ['позвон', 'иван', '14:30']
+//   index.add(id, text)                → вставка / замена
+//   index.delete(ids)
+//   index.search(text, k) → [{ id, score }]
+//
+// Токены: буквы/цифры в нижнем регистре, ё → е, числа целиком
+// ("2.5", "14:30", "+7-999"), лёгкий стемминг RU/EN (обрезка окончаний),
+// без стоп-слов. Один и тот же токенайзер для документов и запросов —
+// точность стемминга важна меньше, чем одинаковость.
+//
+// Постинги — массивы чисел slot * 64 + tf (без объектов на пару
+// термин/документ: на 100k сообщений это десятки МБ, а не сотни).
+// Удаление — пометка; постинги чистятся, когда мёртвых слотов > 25%.
+// takeChanges() отдаёт новые документы для инкрементального сохранения,
+// fromDocs() собирает индекс обратно.
+//
+// Используется: vector-index-worker.js (индекс рядом с HNSW),
+// vector-store.js (поиск по диапазону дат и fallback без воркера).
+//
+// Расположение: js/memory/bm25-index.js
+// ============================================================
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.DropLitBM25 = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const VERSION = '1.0.0';
+
+  const DEFAULTS = {
+    k1: 1.2,  // насыщение tf
+    b: 0.75   // нормализация по длине
+  };
+
+  const TF_BITS = 64;      // tf в младших битах постинга (tf ≤ 63)
+  const COMPACT_RATIO = 0.25;
+
+  // ============================================
+  // TOKENIZER
+  // ============================================
+
+  const TOKEN = /\+?\p{N}+(?:[.,:\/-]\p{N}+)*|[\p{L}\p{N}]+/gu;
+
+  const STOPWORDS = new Set([
+    // EN
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+    'from', 'about', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did',
+    'have', 'has', 'had', 'it', 'its', 'this', 'that', 'these', 'those', 'i', 'me', 'my', 'you',
+    'your', 'we', 'our', 'he', 'she', 'they', 'them', 'his', 'her', 'what', 'which', 'who', 'how',
+    'when', 'where', 'why', 'not', 'no', 'so', 'can', 'will', 'would', 'there', 'then', 'than',
+    // RU
+    'и', 'в', 'во', 'на', 'с', 'со', 'к', 'ко', 'по', 'о', 'об', 'от', 'до', 'за', 'из', 'у', 'а',
+    'но', 'или', 'не', 'ни', 'да', 'же', 'ли', 'бы', 'то', 'это', 'этот', 'эта', 'эти', 'что',
+    'как', 'так', 'там', 'тут', 'где', 'когда', 'кто', 'я', 'мне', 'меня', 'мы', 'нам', 'нас',
+    'ты', 'тебе', 'тебя', 'вы', 'вам', 'вас', 'он', 'она', 'оно', 'они', 'его', 'ее', 'их', 'им',
+    'был', 'была', 'было', 'были', 'есть', 'для', 'при', 'про', 'уже', 'еще', 'все', 'всё', 'мой', 'моя'
+  ]);
+
+  // Окончания — от длинных к коротким; обрезаем одно, если основа остаётся ≥ 3 букв
+  const RU_SUFFIXES = [
+    'иями', 'ться',
+    'ями', 'ами', 'ией', 'иях', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ешь', 'ишь', 'ете', 'ите',
+    'тся', 'ать', 'ять', 'ить', 'еть', 'ала', 'ила', 'ало', 'ило', 'али', 'или',
+    'ах', 'ях', 'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ов', 'ев', 'ом', 'ем',
+    'ам', 'ям', 'ую', 'юю', 'ию', 'ия', 'ет', 'ит', 'ут', 'ют', 'ат', 'ят', 'ал', 'ил',
+    'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й'
+  ];
+
+  const EN_SUFFIXES = ['ies', 'ing', 'ed', 'es', 's'];
+
+  function stem(word) {
+    if (word.length < 4 || /\d/.test(word)) return word;
+
+    const suffixes = /[а-я]/.test(word) ? RU_SUFFIXES : EN_SUFFIXES;
+    for (const suffix of suffixes) {
+      if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+        const base = word.slice(0, -suffix.length);
+        return suffix === 'ies' ? base + 'y' : base;
+      }
+    }
+    return word;
+  }
+
+  /**
+   * Text → index terms (same rules for documents and queries)
+   * @returns {Array<string>}
+   */
+  function tokenize(text) {
+    if (!text) return [];
+    const terms = [];
+    for (const match of String(text).toLowerCase().replace(/ё/g, 'е').matchAll(TOKEN)) {
+      const token = match[0];
+      if (/^\+?\p{N}/u.test(token)) {
+        terms.push(token.replace(/^\+/, ''));
+      } else if (!STOPWORDS.has(token)) {
+        terms.push(stem(token));
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Term frequencies of a text
+   * @returns {{terms: Array<string>, tf: Array<number>, length: number}}
+   */
+  function analyze(text) {
+    const counts = new Map();
+    const tokens = tokenize(text);
+    for (const term of tokens) counts.set(term, (counts.get(term) || 0) + 1);
+    return { terms: [...counts.keys()], tf: [...counts.values()], length: tokens.length };
+  }
+
+  // ============================================
+  // INDEX
+  // ============================================
+
+  class BM25Index {
+    constructor(options = {}) {
+      const config = { ...DEFAULTS, ...options };
+      this.k1 = config.k1;
+      this.b = config.b;
+
+      this.ids = [];             // slot → id (undefined = удалён)
+      this.lengths = [];         // slot → число токенов
+      this.idToSlot = new Map();
+      this.postings = new Map(); // term → [slot * 64 + tf]
+      this.totalLength = 0;
+      this.dead = 0;
+
+      this._added = new Map();   // id → doc record, после takeChanges()
+      this._removed = new Set();
+    }
+
+    get size() { return this.idToSlot.size; }
+
+    has(id) { return this.idToSlot.has(String(id)); }
+
+    /**
+     * Insert (or replace) a document
+     * @param {string} id
+     * @param {string|{terms, tf, length}} text - текст или analyze()-запись
+     */
+    add(id, text) {
+      id = String(id);
+      const doc = typeof text === 'string' || !text ? analyze(text) : text;
+
+      if (this.idToSlot.has(id)) this.delete([id]);
+
+      const slot = this.ids.length;
+      this.ids.push(id);
+      this.lengths.push(doc.length);
+      this.idToSlot.set(id, slot);
+      this.totalLength += doc.length;
+
+      for (let i = 0; i < doc.terms.length; i++) {
+        let list = this.postings.get(doc.terms[i]);
+        if (!list) {
+          list = [];
+          this.postings.set(doc.terms[i], list);
+        }
+        list.push(slot * TF_BITS + Math.min(doc.tf[i], TF_BITS - 1));
+      }
+
+      this._added.set(id, { id, terms: doc.terms, tf: doc.tf, length: doc.length });
+      this._removed.delete(id);
+    }
+
+    /**
+     * @param {Array<string>} ids
+     * @returns {number} - сколько удалено
+     */
+    delete(ids) {
+      let deleted = 0;
+      for (const raw of ids) {
+        const id = String(raw);
+        const slot = this.idToSlot.get(id);
+        if (slot === undefined) continue;
+
+        this.totalLength -= this.lengths[slot];
+        this.ids[slot] = undefined;
+        this.idToSlot.delete(id);
+        this.dead++;
+        deleted++;
+
+        this._added.delete(id);
+        this._removed.add(id);
+      }
+
+      if (this.dead > this.ids.length * COMPACT_RATIO) this._compact();
+      return deleted;
+    }
+
+    clear() {
+      for (const id of this.idToSlot.keys()) this._removed.add(id);
+      this.ids = [];
+      this.lengths = [];
+      this.idToSlot.clear();
+      this.postings.clear();
+      this.totalLength = 0;
+      this.dead = 0;
+      this._added.clear();
+    }
+
+    /**
+     * Top-k documents by BM25
+     * @returns {Array<{id, score}>}
+     */
+    search(text, k = 10) {
+      const terms = [...new Set(tokenize(text))];
+      const n = this.size;
+      if (terms.length === 0 || n === 0) return [];
+
+      const avgLength = this.totalLength / n || 1;
+      const scores = new Float64Array(this.ids.length);
+      const touched = [];
+
+      for (const term of terms) {
+        const list = this.postings.get(term);
+        if (!list) continue;
+
+        // df по живым документам
+        let df = list.length;
+        if (this.dead > 0) {
+          for (let i = 0; i < list.length; i++) {
+            if (this.ids[Math.floor(list[i] / TF_BITS)] === undefined) df--;
+          }
+        }
+        if (df === 0) continue;
+
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+
+        for (let i = 0; i < list.length; i++) {
+          const slot = Math.floor(list[i] / TF_BITS);
+          if (this.ids[slot] === undefined) continue;
+          const tf = list[i] % TF_BITS;
+          const norm = this.k1 * (1 - this.b + this.b * this.lengths[slot] / avgLength);
+          if (scores[slot] === 0) touched.push(slot);
+          scores[slot] += idf * tf * (this.k1 + 1) / (tf + norm);
+        }
+      }
+
+      // Top-k без сортировки всех совпадений: частые слова дают десятки тысяч
+      const top = [];
+      let floor = -Infinity;
+      for (const slot of touched) {
+        const score = scores[slot];
+        if (top.length === k && score <= floor) continue;
+        let i = top.length === k ? k - 1 : top.length;
+        while (i > 0 && top[i - 1].score < score) {
+          top[i] = top[i - 1];
+          i--;
+        }
+        top[i] = { slot, score };
+        if (top.length > k) top.length = k;
+        if (top.length === k) floor = top[k - 1].score;
+      }
+
+      return top.map(({ slot, score }) => ({ id: this.ids[slot], score }));
+    }
+
+    // ─── PERSISTENCE ─────────────────────────────────────
+
+    /**
+     * Changes since the last call: { docs: [{ id, terms, tf, length }], removed: [id] }
+     */
+    takeChanges() {
+      const docs = [...this._added.values()];
+      const removed = [...this._removed];
+      this._added.clear();
+      this._removed.clear();
+      return { docs, removed };
+    }
+
+    /**
+     * Rebuild from persisted takeChanges() records
+     */
+    static fromDocs(docs, options = {}) {
+      const index = new BM25Index(options);
+      for (const doc of docs) index.add(doc.id, doc);
+      index._added.clear();
+      return index;
+    }
+
+    /**
+     * Approximate memory footprint (bytes): postings + per-doc arrays
+     */
+    estimateBytes() {
+      let bytes = this.ids.length * 16;
+      for (const [term, list] of this.postings) bytes += term.length * 2 + list.length * 4 + 32;
+      return bytes;
+    }
+
+    // ─── PRIVATE ─────────────────────────────────────────
+
+    /**
+     * Drop dead slots: renumber live documents, rewrite postings
+     */
+    _compact() {
+      const remap = new Int32Array(this.ids.length).fill(-1);
+      const ids = [];
+      const lengths = [];
+
+      for (let slot = 0; slot < this.ids.length; slot++) {
+        if (this.ids[slot] === undefined) continue;
+        remap[slot] = ids.length;
+        this.idToSlot.set(this.ids[slot], ids.length);
+        ids.push(this.ids[slot]);
+        lengths.push(this.lengths[slot]);
+      }
+
+      for (const [term, list] of this.postings) {
+        const next = [];
+        for (let i = 0; i < list.length; i++) {
+          const slot = remap[Math.floor(list[i] / TF_BITS)];
+          if (slot !== -1) next.push(slot * TF_BITS + list[i] % TF_BITS);
+        }
+        if (next.length > 0) this.postings.set(term, next);
+        else this.postings.delete(term);
+      }
+
+      this.ids = ids;
+      this.lengths = lengths;
+      this.dead = 0;
+    }
+  }
+
+  return {
+    VERSION,
+    DEFAULTS,
+    BM25Index,
+    tokenize,
+    analyze
+  };
+});
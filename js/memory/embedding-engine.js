@@ -1,9 +1,15 @@
 // ============================================================
 // embedding-engine.js — Proxy to Web Worker for Transformers.js
-// Version: 2.0 — Web Worker architecture (zero main thread blocking)
+// Version: 3.0 — единый сервис эмбеддингов + выбор модели
 //
-// Same API as v1.2 but all WASM inference runs in a Web Worker.
-// Main thread only sends/receives messages — never blocks UI.
+// v2.0: all WASM inference runs in a Web Worker, main thread never blocks.
+// v3.0: один экземпляр (window.EmbeddingService) на всё приложение —
+//       InfiniteMemory и privacy layer (local-embeddings.js) ходят в один воркер.
+//       Модель выбирает пользователь (localStorage 'droplit_embedding_model').
+//       embed() / embedMany() возвращают id модели вместе с векторами —
+//       хранилища записывают его и сравнивают только векторы одной модели.
+//       Смена модели → событие 'embedding-model-changed', потребители
+//       переиндексируют свои данные в фоне.
 //
 // Расположение: js/memory/embedding-engine.js
 // Зависимости: embedding-worker.js (loaded as Web Worker)
@@ -14,7 +20,8 @@ class EmbeddingEngine {
     this.worker = null;
     this.ready = false;
     this.loading = false;
-    this.modelId = 'Xenova/all-MiniLM-L6-v2';
+    this.modelId = EmbeddingEngine.getSelectedModel();
+    this.dims = null;
     this._initPromise = null;
     this._pendingRequests = new Map(); // id → { resolve, reject }
     this._nextId = 1;
@@ -29,18 +36,22 @@ class EmbeddingEngine {
     this.loading = true;
     console.log('[EmbeddingEngine] Loading model via Worker:', this.modelId);
 
-    this._initPromise = this._initWorker(timeout);
+    const initPromise = this._initWorker(this.modelId, timeout);
+    this._initPromise = initPromise;
 
     try {
-      await this._initPromise;
+      await initPromise;
     } catch (e) {
-      this.loading = false;
-      this._initPromise = null;
+      // После setModel() уже может идти init новой модели — его состояние не трогаем
+      if (this._initPromise === initPromise) {
+        this.loading = false;
+        this._initPromise = null;
+      }
       throw e;
     }
   }
 
-  async _initWorker(timeout) {
+  async _initWorker(modelId, timeout) {
     return new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
         reject(new Error('Worker init timeout (' + (timeout / 1000) + 's)'));
@@ -69,19 +80,24 @@ class EmbeddingEngine {
             clearTimeout(timer);
             this.ready = true;
             this.loading = false;
+            this.dims = data.dims || null;
             const elapsed = data.elapsed || '?';
-            console.log(`[EmbeddingEngine] Model ready via Worker (${elapsed}s)`);
+            console.log(`[EmbeddingEngine] Model ready via Worker: ${modelId}, ${this.dims} dims (${elapsed}s)`);
             this._emitProgress({ stage: 'ready', percent: 100, message: 'Model ready' });
             resolve();
           },
           reject: (error) => {
             clearTimeout(timer);
-            this.loading = false;
             reject(error);
           }
         });
 
-        this.worker.postMessage({ id: initId, type: 'init', payload: {} });
+        const info = EmbeddingEngine.MODELS[modelId] || {};
+        this.worker.postMessage({
+          id: initId,
+          type: 'init',
+          payload: { model: modelId, prefixes: info.prefixes || null }
+        });
 
       } catch (error) {
         clearTimeout(timer);
@@ -152,31 +168,97 @@ class EmbeddingEngine {
     });
   }
 
-  // ─── ЭМБЕДДИНГИ (same API as v1.2) ────────────────────
+  // ─── ЭМБЕДДИНГИ ────────────────────────────────────────
 
   /**
-   * Эмбеддинг для passage (индексируемый текст)
+   * Эмбеддинг + id модели, которая его посчитала
+   * @param {string} text
+   * @param {string} kind - 'passage' (индексируемый текст) | 'query' (поисковый запрос)
+   * @returns {Promise<{vector: Array<number>, model: string}>}
    */
-  async embedPassage(text) {
-    const result = await this._sendRequest('embed', { text });
-    return result.vector;
+  async embed(text, kind = 'passage') {
+    const result = await this._sendRequest('embed', { text, kind });
+    return { vector: result.vector, model: result.model };
   }
 
   /**
-   * Эмбеддинг для query (поисковый запрос)
+   * Батч-эмбеддинг + id модели (для импорта и переиндексации)
+   * @returns {Promise<{vectors: Array<Array<number>>, model: string}>}
    */
+  async embedMany(texts, kind = 'passage') {
+    // Longer timeout for batches: 5 min
+    const result = await this._sendRequest('embedBatch', { texts, kind }, 300000);
+    return { vectors: result.vectors, model: result.model };
+  }
+
+  // same API as v2.0 — только векторы
+
+  async embedPassage(text) {
+    return (await this.embed(text, 'passage')).vector;
+  }
+
   async embedQuery(text) {
-    const result = await this._sendRequest('embed', { text });
-    return result.vector;
+    return (await this.embed(text, 'query')).vector;
   }
 
+  async embedBatch(texts, type = 'passage') {
+    return (await this.embedMany(texts, type)).vectors;
+  }
+
+  // ─── МОДЕЛЬ ────────────────────────────────────────────
+
   /**
-   * Батч-эмбеддинг (для импорта истории)
+   * Текущая модель: { id, dims, label, languages, size, prefixes }
    */
-  async embedBatch(texts, type = 'passage') {
-    // Longer timeout for batches: 5 min
-    const result = await this._sendRequest('embedBatch', { texts }, 300000);
-    return result.vectors;
+  getModel() {
+    return { id: this.modelId, dims: this.dims, ...(EmbeddingEngine.MODELS[this.modelId] || {}) };
+  }
+
+  /**
+   * Сменить модель. Сохраняет выбор, перезапускает воркер (если он был запущен)
+   * и сообщает потребителям — они переиндексируют векторы старой модели.
+   * @returns {Promise<boolean>} - false если модель та же
+   */
+  async setModel(modelId) {
+    if (!EmbeddingEngine.MODELS[modelId]) {
+      throw new Error('Unknown embedding model: ' + modelId);
+    }
+    if (modelId === this.modelId) return false;
+
+    const previous = this.modelId;
+    const wasActive = this.ready || this.loading;
+
+    localStorage.setItem(EmbeddingEngine.STORAGE_KEY, modelId);
+    this.destroy();
+    this.modelId = modelId;
+    console.log(`[EmbeddingEngine] Model changed: ${previous} → ${modelId}`);
+
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('embedding-model-changed', {
+        detail: { previous, model: modelId }
+      }));
+    }
+
+    if (wasActive) {
+      try {
+        await this.init();
+      } catch (e) {
+        // Пока грузились, выбрали ещё одну модель — это не ошибка
+        if (this.modelId === modelId) throw e;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Модель из настроек пользователя (или по умолчанию)
+   */
+  static getSelectedModel() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(EmbeddingEngine.STORAGE_KEY);
+    } catch (e) { /* private mode */ }
+    return EmbeddingEngine.MODELS[saved] ? saved : EmbeddingEngine.DEFAULT_MODEL;
   }
 
   // ─── УПРАВЛЕНИЕ ────────────────────────────────────────
@@ -192,6 +274,12 @@ class EmbeddingEngine {
     }
     this.ready = false;
     this.loading = false;
+    this._initPromise = null;
+    this.dims = null;
+    // Ответов от убитого воркера не будет — не оставляем вызывающих висеть
+    for (const pending of this._pendingRequests.values()) {
+      pending.reject(new Error('EmbeddingEngine stopped'));
+    }
     this._pendingRequests.clear();
     console.log('[EmbeddingEngine] Worker terminated');
   }
@@ -205,7 +293,36 @@ class EmbeddingEngine {
   }
 }
 
+// ─── МОДЕЛИ ──────────────────────────────────────────────
+
+// prefixes: e5 обучена с "query: " / "passage: " — без них качество заметно хуже
+EmbeddingEngine.MODELS = {
+  'Xenova/all-MiniLM-L6-v2': {
+    label: 'MiniLM',
+    languages: 'EN',
+    size: '~23 MB',
+    prefixes: null
+  },
+  'Xenova/multilingual-e5-small': {
+    label: 'E5 small',
+    languages: 'RU, EN + 90',
+    size: '~120 MB',
+    prefixes: { query: 'query: ', passage: 'passage: ' }
+  },
+  'Xenova/paraphrase-multilingual-MiniLM-L12-v2': {
+    label: 'MiniLM L12',
+    languages: 'RU, EN + 50',
+    size: '~120 MB',
+    prefixes: null
+  }
+};
+
+EmbeddingEngine.DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+EmbeddingEngine.STORAGE_KEY = 'droplit_embedding_model';
+
 // Экспорт
 if (typeof window !== 'undefined') {
   window.EmbeddingEngine = EmbeddingEngine;
+  // Единственный экземпляр: один воркер и одна модель для чата и дропов
+  window.EmbeddingService = new EmbeddingEngine();
 }
@@ -1,12 +1,17 @@
 // ============================================================
 // embedding-worker.js — Web Worker для Transformers.js WASM
-// Version: 1.0
+// Version: 2.0 — один воркер на всё приложение, модель выбирается при init
 //
 // Весь WASM inference выполняется в отдельном потоке.
 // Main thread НЕ блокируется при генерации embeddings.
+// Используется и InfiniteMemory (чат), и privacy layer (дропы)
+// через общий EmbeddingEngine (window.EmbeddingService).
 //
 // Протокол: postMessage({ id, type, payload }) → response({ id, type, payload })
-// Типы: init, embed, embedBatch, destroy
+// Типы: init, embed, embedBatch, destroy, ping
+//   init:  { model, prefixes: { query, passage } | null }
+//   embed: { text, kind: 'query' | 'passage' }
+// Каждый ответ с векторами содержит model — id модели, которая их посчитала.
 //
 // Расположение: js/memory/embedding-worker.js
 // ============================================================
@@ -15,7 +20,11 @@ let pipeline = null;
 let isReady = false;
 let isLoading = false;
 
-const MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+
+let modelId = null;
+let prefixes = null;    // e5: "query: " / "passage: "
+let dims = null;
 
 // ─── MESSAGE HANDLER ─────────────────────────────────────
 
@@ -41,7 +50,7 @@ self.onmessage = async (event) => {
         break;
 
       case 'ping':
-        respond(id, 'pong', { ready: isReady, loading: isLoading });
+        respond(id, 'pong', { ready: isReady, loading: isLoading, model: modelId });
         break;
 
       default:
@@ -55,8 +64,10 @@ self.onmessage = async (event) => {
 // ─── INIT: Load Transformers.js + Model ──────────────────
 
 async function handleInit(id, payload = {}) {
-  if (isReady) {
-    respond(id, 'ready', { cached: true });
+  const requested = payload.model || DEFAULT_MODEL_ID;
+
+  if (isReady && requested === modelId) {
+    respond(id, 'ready', { cached: true, model: modelId, dims });
     return;
   }
 
@@ -65,6 +76,15 @@ async function handleInit(id, payload = {}) {
     return;
   }
 
+  // Другая модель — старый pipeline больше не нужен
+  if (pipeline) {
+    if (typeof pipeline.dispose === 'function') {
+      try { await pipeline.dispose(); } catch (e) { /* ignore */ }
+    }
+    pipeline = null;
+    isReady = false;
+  }
+
   isLoading = true;
   const startTime = Date.now();
 
@@ -76,15 +96,16 @@ async function handleInit(id, payload = {}) {
     env.allowLocalModels = false;
     env.useBrowserCache = true;
 
-    sendProgress({ stage: 'downloading', percent: 0, message: 'Loading model...' });
+    sendProgress({ stage: 'downloading', percent: 0, model: requested, message: 'Loading model...' });
 
-    pipeline = await createPipeline('feature-extraction', MODEL_ID, {
+    pipeline = await createPipeline('feature-extraction', requested, {
       progress_callback: (progress) => {
         if (progress.status === 'progress' && progress.total) {
           const percent = Math.round((progress.loaded / progress.total) * 100);
           sendProgress({
             stage: 'downloading',
             percent,
+            model: requested,
             file: progress.file || '',
             message: `Loading: ${percent}%`
           });
@@ -92,16 +113,24 @@ async function handleInit(id, payload = {}) {
       }
     });
 
+    modelId = requested;
+    prefixes = payload.prefixes || null;
+
+    // Размерность узнаём по факту — не зависим от таблицы моделей
+    const probe = await pipeline('dims', { pooling: 'mean', normalize: true });
+    dims = probe.data.length;
+
     isReady = true;
     isLoading = false;
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    sendProgress({ stage: 'ready', percent: 100, message: 'Model ready' });
+    sendProgress({ stage: 'ready', percent: 100, model: modelId, message: 'Model ready' });
 
-    respond(id, 'ready', { elapsed: parseFloat(elapsed), model: MODEL_ID });
+    respond(id, 'ready', { elapsed: parseFloat(elapsed), model: modelId, dims });
 
   } catch (error) {
     isLoading = false;
+    pipeline = null;
     respond(id, 'error', { message: 'Model load failed: ' + error.message });
   }
 }
@@ -114,19 +143,14 @@ async function handleEmbed(id, payload) {
     return;
   }
 
-  const { text } = payload;
+  const { text, kind = 'passage' } = payload;
   if (!text) {
     respond(id, 'error', { message: 'No text provided' });
     return;
   }
 
-  const output = await pipeline(text, {
-    pooling: 'mean',
-    normalize: true
-  });
-
-  const vector = Array.from(output.data);
-  respond(id, 'embedding', { vector });
+  const vector = await embedText(text, kind);
+  respond(id, 'embedding', { vector, model: modelId });
 }
 
 // ─── EMBED BATCH: Multiple texts → vectors ───────────────
@@ -137,7 +161,7 @@ async function handleEmbedBatch(id, payload) {
     return;
   }
 
-  const { texts } = payload;
+  const { texts, kind = 'passage' } = payload;
   if (!texts || !texts.length) {
     respond(id, 'error', { message: 'No texts provided' });
     return;
@@ -146,11 +170,7 @@ async function handleEmbedBatch(id, payload) {
   const results = [];
 
   for (let i = 0; i < texts.length; i++) {
-    const output = await pipeline(texts[i], {
-      pooling: 'mean',
-      normalize: true
-    });
-    results.push(Array.from(output.data));
+    results.push(await embedText(texts[i], kind));
 
     // Progress every 5 items
     if (i % 5 === 0 || i === texts.length - 1) {
@@ -163,7 +183,16 @@ async function handleEmbedBatch(id, payload) {
     }
   }
 
-  respond(id, 'embeddings', { vectors: results });
+  respond(id, 'embeddings', { vectors: results, model: modelId });
+}
+
+async function embedText(text, kind) {
+  const prefix = prefixes ? (prefixes[kind] || '') : '';
+  const output = await pipeline(prefix + text, {
+    pooling: 'mean',
+    normalize: true
+  });
+  return Array.from(output.data);
 }
 
 // ─── DESTROY: Free resources ─────────────────────────────
@@ -172,6 +201,8 @@ function handleDestroy(id) {
   pipeline = null;
   isReady = false;
   isLoading = false;
+  modelId = null;
+  dims = null;
   respond(id, 'destroyed', {});
 }
 
@@ -0,0 +1,661 @@
+// ============================================================
+// hnsw-index.js — HNSW approximate nearest-neighbour index
+// Version: 1.0
+//
+// Hierarchical Navigable Small World (Malkov & Yashunin, 2016)
+// над int8-векторами, метрика — косинус.
+//
+//   quantize(vector) → { q: Int8Array, scale }   (|v| ≤ 127 · scale)
+//   index.add(id, vector | { q, scale })          — вставка / замена
+//   index.delete(ids)                             — с починкой связей соседей
+//   index.search(vector, k, ef) → [{ id, similarity }]
+//
+// Запрос — float, в индексе — int8: косинус от scale не зависит,
+// поэтому похожесть считается прямо по q без деквантования.
+// takeChanges() отдаёт изменённые узлы — для инкрементального сохранения;
+// fromSnapshot() собирает индекс обратно.
+//
+// Используется: vector-index-worker.js (поиск памяти вне main thread),
+// vector-store.js (quantize), memory-bench.html (recall / latency).
+//
+// Расположение: js/memory/hnsw-index.js
+// ============================================================
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.DropLitHNSW = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const VERSION = '1.0.0';
+
+  const DEFAULTS = {
+    M: 16,                // связей на узел (слой 0 — 2M)
+    efConstruction: 100,  // ширина поиска при вставке
+    efSearch: 64,         // ширина поиска по умолчанию
+    seed: 42
+  };
+
+  // ============================================
+  // QUANTIZATION
+  // ============================================
+
+  /**
+   * Symmetric int8 quantization: q = round(v / scale), scale = max|v| / 127
+   * @returns {{q: Int8Array, scale: number}}
+   */
+  function quantize(vector) {
+    let max = 0;
+    for (let i = 0; i < vector.length; i++) {
+      const a = Math.abs(vector[i]);
+      if (a > max) max = a;
+    }
+    const scale = max > 0 ? max / 127 : 1;
+    const q = new Int8Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+      q[i] = Math.round(vector[i] / scale);
+    }
+    return { q, scale };
+  }
+
+  function dequantize(q, scale) {
+    const v = new Float32Array(q.length);
+    for (let i = 0; i < q.length; i++) v[i] = q[i] * scale;
+    return v;
+  }
+
+  function norm(v) {
+    let s = 0;
+    for (let i = 0; i < v.length; i++) s += v[i] * v[i];
+    return Math.sqrt(s);
+  }
+
+  // Отдельные функции под типы — горячий цикл остаётся мономорфным;
+  // развёрнуты по 4, int8 · int8 считается в int32 (384 · 127² < 2³¹)
+  function dotFloatInt8(f, q) {
+    const n = q.length;
+    const tail = n & 3;
+    let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+    let i = 0;
+    for (; i < n - tail; i += 4) {
+      s0 += f[i] * q[i];
+      s1 += f[i + 1] * q[i + 1];
+      s2 += f[i + 2] * q[i + 2];
+      s3 += f[i + 3] * q[i + 3];
+    }
+    for (; i < n; i++) s0 += f[i] * q[i];
+    return s0 + s1 + s2 + s3;
+  }
+
+  function dotInt8(a, b) {
+    const n = a.length;
+    const tail = n & 3;
+    let s = 0;
+    let i = 0;
+    for (; i < n - tail; i += 4) {
+      s = (s + a[i] * b[i] + a[i + 1] * b[i + 1] + a[i + 2] * b[i + 2] + a[i + 3] * b[i + 3]) | 0;
+    }
+    for (; i < n; i++) s = (s + a[i] * b[i]) | 0;
+    return s;
+  }
+
+  function dotFloat(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+    return s;
+  }
+
+  // ============================================
+  // HEAP
+  // ============================================
+
+  // Binary heap of { slot, sim }; top = max sim (max = true) or min sim
+  class Heap {
+    constructor(max) {
+      this.items = [];
+      this.max = max;
+    }
+
+    get size() { return this.items.length; }
+    peek() { return this.items[0]; }
+
+    _above(a, b) {
+      return this.max ? a.sim > b.sim : a.sim < b.sim;
+    }
+
+    push(item) {
+      const items = this.items;
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!this._above(items[i], items[parent])) break;
+        const tmp = items[i];
+        items[i] = items[parent];
+        items[parent] = tmp;
+        i = parent;
+      }
+    }
+
+    pop() {
+      const items = this.items;
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let best = i;
+          if (l < items.length && this._above(items[l], items[best])) best = l;
+          if (r < items.length && this._above(items[r], items[best])) best = r;
+          if (best === i) break;
+          const tmp = items[i];
+          items[i] = items[best];
+          items[best] = tmp;
+          i = best;
+        }
+      }
+      return top;
+    }
+  }
+
+  // mulberry32 — воспроизводимые уровни узлов (бенчмарк, тесты)
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return function() {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ============================================
+  // INDEX
+  // ============================================
+
+  class HNSWIndex {
+    constructor(options = {}) {
+      const o = { ...DEFAULTS, ...options };
+      this.M = o.M;
+      this.M0 = o.M * 2;
+      this.efConstruction = o.efConstruction;
+      this.efSearch = o.efSearch;
+      this.levelMult = 1 / Math.log(o.M);
+      this.dims = o.dims || null;
+      this.seed = o.seed;
+      this._random = createRandom(o.seed);
+
+      // Узлы лежат в слотах; слоты удалённых переиспользуются
+      this.ids = [];        // slot → id
+      this.vectors = [];    // slot → Int8Array
+      this.scales = [];     // slot → scale
+      this.norms = [];      // slot → |q|
+      this.links = [];      // slot → [level] → [slot]
+      this.idToSlot = new Map();
+      this.freeSlots = [];
+
+      this.entryPoint = -1;
+      this.maxLevel = -1;
+
+      this._visited = new Uint32Array(1024);
+      this._epoch = 0;
+
+      this._dirty = new Set();   // слоты, изменённые после takeChanges()
+      this._removed = new Set(); // id, удалённые после takeChanges()
+    }
+
+    get size() { return this.idToSlot.size; }
+
+    has(id) { return this.idToSlot.has(String(id)); }
+
+    // ─── SIMILARITY ──────────────────────────────────────
+
+    _simToQuery(query, queryNorm, slot) {
+      const d = this.norms[slot] * queryNorm;
+      return d === 0 ? 0 : dotFloatInt8(query, this.vectors[slot]) / d;
+    }
+
+    _simSlots(a, b) {
+      const d = this.norms[a] * this.norms[b];
+      return d === 0 ? 0 : dotInt8(this.vectors[a], this.vectors[b]) / d;
+    }
+
+    _nextEpoch() {
+      if (this._visited.length < this.ids.length) {
+        this._visited = new Uint32Array(Math.max(this.ids.length, this._visited.length * 2));
+        this._epoch = 0;
+      }
+      this._epoch++;
+      if (this._epoch === 0xFFFFFFFF) {
+        this._visited.fill(0);
+        this._epoch = 1;
+      }
+      return this._epoch;
+    }
+
+    // ─── SEARCH LAYER ────────────────────────────────────
+
+    /**
+     * Best-first search on one level
+     * @returns {Array<{slot, sim}>} up to ef results, best first
+     */
+    _searchLayer(query, queryNorm, entries, ef, level) {
+      const epoch = this._nextEpoch();
+      const visited = this._visited;
+      const candidates = new Heap(true);
+      const results = new Heap(false);
+
+      for (const slot of entries) {
+        visited[slot] = epoch;
+        const item = { slot, sim: this._simToQuery(query, queryNorm, slot) };
+        candidates.push(item);
+        results.push(item);
+      }
+
+      while (candidates.size > 0) {
+        const current = candidates.pop();
+        if (results.size >= ef && current.sim < results.peek().sim) break;
+
+        const neighbours = this.links[current.slot][level] || [];
+        for (let i = 0; i < neighbours.length; i++) {
+          const n = neighbours[i];
+          if (visited[n] === epoch) continue;
+          visited[n] = epoch;
+
+          const sim = this._simToQuery(query, queryNorm, n);
+          if (results.size < ef || sim > results.peek().sim) {
+            const item = { slot: n, sim };
+            candidates.push(item);
+            results.push(item);
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+
+      return results.items.sort((a, b) => b.sim - a.sim);
+    }
+
+    /**
+     * Neighbour selection heuristic (алгоритм 4 из статьи):
+     * кандидат берётся, если он ближе к базе, чем к уже выбранным —
+     * так связи расходятся по разным направлениям. Остаток добирается по близости.
+     * @param {Array<{slot, sim}>} candidates - best first
+     */
+    _selectNeighbours(candidates, max) {
+      if (candidates.length <= max) return candidates.map(c => c.slot);
+
+      const selected = [];
+      const skipped = [];
+      for (const c of candidates) {
+        if (selected.length >= max) break;
+        let good = true;
+        for (const s of selected) {
+          if (this._simSlots(c.slot, s) > c.sim) {
+            good = false;
+            break;
+          }
+        }
+        if (good) selected.push(c.slot);
+        else skipped.push(c.slot);
+      }
+      for (let i = 0; i < skipped.length && selected.length < max; i++) {
+        selected.push(skipped[i]);
+      }
+      return selected;
+    }
+
+    /**
+     * Add a back-link from `slot` to `added`, keeping the list within the limit.
+     * Список уже отобран эвристикой, поэтому проверяем только новичка:
+     * - он ближе к кому-то из более близких соседей, чем к узлу → лишний;
+     * - иначе вытесняем соседа, которого новичок «закрывает», либо самого дальнего.
+     * Простое «оставить ближайших» рвёт связи между кластерами (recall на 20k+
+     * падает в разы), а полная эвристика на каждое переполнение — в 5 раз дольше.
+     */
+    _link(slot, added, level) {
+      const max = level === 0 ? this.M0 : this.M;
+      const links = this.links[slot][level];
+      if (links.length < max) {
+        links.push(added);
+        return;
+      }
+
+      const addedSim = this._simSlots(slot, added);
+      let farthest = -1;
+      let farthestSim = Infinity;
+      let dominated = -1;
+      let dominatedSim = Infinity;
+
+      for (let i = 0; i < links.length; i++) {
+        const n = links[i];
+        const sim = this._simSlots(slot, n);
+        const between = this._simSlots(n, added);
+        if (sim >= addedSim) {
+          if (between > addedSim) return;
+        } else if (between > sim && sim < dominatedSim) {
+          dominated = i;
+          dominatedSim = sim;
+        }
+        if (sim < farthestSim) {
+          farthest = i;
+          farthestSim = sim;
+        }
+      }
+
+      if (dominated === -1 && farthestSim >= addedSim) return;
+      links[dominated !== -1 ? dominated : farthest] = added;
+    }
+
+    // ─── ADD ─────────────────────────────────────────────
+
+    /**
+     * Insert (or replace) a vector
+     * @param {string} id
+     * @param {Array<number>|Float32Array|{q: Int8Array, scale: number}} vector
+     */
+    add(id, vector) {
+      id = String(id);
+      const { q, scale } = vector && vector.q ? vector : quantize(vector);
+
+      if (this.dims === null) this.dims = q.length;
+      if (q.length !== this.dims) {
+        throw new Error(`Vector has ${q.length} dims, index expects ${this.dims}`);
+      }
+
+      if (this.idToSlot.has(id)) this.delete([id]);
+
+      const level = Math.floor(-Math.log(1 - this._random()) * this.levelMult);
+      const slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.ids.length;
+
+      this.ids[slot] = id;
+      this.vectors[slot] = q;
+      this.scales[slot] = scale;
+      this.norms[slot] = norm(q);
+      this.links[slot] = Array.from({ length: level + 1 }, () => []);
+      this.idToSlot.set(id, slot);
+      this._dirty.add(slot);
+      this._removed.delete(id);
+
+      if (this.entryPoint === -1) {
+        this.entryPoint = slot;
+        this.maxLevel = level;
+        return;
+      }
+
+      const query = Float32Array.from(q);
+      const queryNorm = this.norms[slot];
+      let entries = [this.entryPoint];
+
+      // Жадный спуск по верхним слоям
+      for (let l = this.maxLevel; l > level; l--) {
+        entries = [this._searchLayer(query, queryNorm, entries, 1, l)[0].slot];
+      }
+
+      for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+        const found = this._searchLayer(query, queryNorm, entries, this.efConstruction, l)
+          .filter(c => c.slot !== slot);
+        const neighbours = this._selectNeighbours(found, l === 0 ? this.M0 : this.M);
+
+        this.links[slot][l] = neighbours;
+        for (const n of neighbours) {
+          this._link(n, slot, l);
+          this._dirty.add(n);
+        }
+
+        entries = found.length > 0 ? found.map(c => c.slot) : entries;
+      }
+
+      if (level > this.maxLevel) {
+        this.entryPoint = slot;
+        this.maxLevel = level;
+      }
+    }
+
+    // ─── DELETE ──────────────────────────────────────────
+
+    /**
+     * Remove vectors and repair the graph around them.
+     * Входящие связи ищутся полным проходом — поэтому удаляем пачкой.
+     * @param {Array<string>} ids
+     * @returns {number} - removed
+     */
+    delete(ids) {
+      const doomed = new Set();
+      for (const id of ids) {
+        const slot = this.idToSlot.get(String(id));
+        if (slot !== undefined) doomed.add(slot);
+      }
+      if (doomed.size === 0) return 0;
+
+      // Соседи удаляемых узлов — кандидаты для починки
+      const orphanLinks = new Map(); // slot → [level] → [slot]
+      for (const slot of doomed) orphanLinks.set(slot, this.links[slot]);
+
+      for (let slot = 0; slot < this.links.length; slot++) {
+        const levels = this.links[slot];
+        if (!levels || doomed.has(slot)) continue;
+
+        for (let l = 0; l < levels.length; l++) {
+          const links = levels[l];
+          if (!links.some(n => doomed.has(n))) continue;
+
+          // Замена: оставшиеся соседи + соседи удалённых
+          const pool = new Set();
+          for (const n of links) {
+            if (!doomed.has(n)) {
+              pool.add(n);
+              continue;
+            }
+            for (const nn of orphanLinks.get(n)[l] || []) {
+              if (nn !== slot && !doomed.has(nn)) pool.add(nn);
+            }
+          }
+
+          const candidates = [...pool]
+            .map(n => ({ slot: n, sim: this._simSlots(slot, n) }))
+            .sort((a, b) => b.sim - a.sim);
+          levels[l] = this._selectNeighbours(candidates, l === 0 ? this.M0 : this.M);
+          this._dirty.add(slot);
+        }
+      }
+
+      for (const slot of doomed) {
+        const id = this.ids[slot];
+        this.idToSlot.delete(id);
+        this._removed.add(id);
+        this._dirty.delete(slot);
+        this.ids[slot] = undefined;
+        this.vectors[slot] = undefined;
+        this.links[slot] = undefined;
+        this.norms[slot] = 0;
+        this.freeSlots.push(slot);
+      }
+
+      if (doomed.has(this.entryPoint)) this._pickEntryPoint();
+      return doomed.size;
+    }
+
+    _pickEntryPoint() {
+      this.entryPoint = -1;
+      this.maxLevel = -1;
+      for (let slot = 0; slot < this.links.length; slot++) {
+        const levels = this.links[slot];
+        if (levels && levels.length - 1 > this.maxLevel) {
+          this.entryPoint = slot;
+          this.maxLevel = levels.length - 1;
+        }
+      }
+    }
+
+    clear() {
+      for (const id of this.idToSlot.keys()) this._removed.add(id);
+      this.ids = [];
+      this.vectors = [];
+      this.scales = [];
+      this.norms = [];
+      this.links = [];
+      this.idToSlot.clear();
+      this.freeSlots = [];
+      this.entryPoint = -1;
+      this.maxLevel = -1;
+      this._dirty.clear();
+    }
+
+    // ─── SEARCH ──────────────────────────────────────────
+
+    /**
+     * k nearest by cosine
+     * @param {Array<number>|Float32Array} vector - query (float)
+     * @returns {Array<{id, similarity}>} best first
+     */
+    search(vector, k = 10, ef = this.efSearch) {
+      if (this.entryPoint === -1) return [];
+      if (this.dims !== null && vector.length !== this.dims) {
+        throw new Error(`Query has ${vector.length} dims, index expects ${this.dims}`);
+      }
+
+      const query = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+      const queryNorm = norm(query);
+      let entries = [this.entryPoint];
+      for (let l = this.maxLevel; l > 0; l--) {
+        entries = [this._searchLayer(query, queryNorm, entries, 1, l)[0].slot];
+      }
+
+      return this._searchLayer(query, queryNorm, entries, Math.max(ef, k), 0)
+        .slice(0, k)
+        .map(r => ({ id: this.ids[r.slot], similarity: r.sim }));
+    }
+
+    // ─── PERSISTENCE ─────────────────────────────────────
+
+    /**
+     * Node as a plain record (links by id, not slot)
+     */
+    exportNode(slot) {
+      return {
+        id: this.ids[slot],
+        q: this.vectors[slot],
+        scale: this.scales[slot],
+        links: this.links[slot].map(level => level.map(n => this.ids[n]))
+      };
+    }
+
+    exportMeta() {
+      return {
+        version: VERSION,
+        M: this.M,
+        efConstruction: this.efConstruction,
+        efSearch: this.efSearch,
+        dims: this.dims,
+        seed: this.seed,
+        count: this.size,
+        entryPoint: this.entryPoint === -1 ? null : this.ids[this.entryPoint],
+        maxLevel: this.maxLevel
+      };
+    }
+
+    /**
+     * Changes since the last call: { nodes: [record], removed: [id], meta }
+     */
+    takeChanges() {
+      const nodes = [];
+      for (const slot of this._dirty) {
+        if (this.ids[slot] !== undefined) nodes.push(this.exportNode(slot));
+      }
+      const removed = [...this._removed];
+      this._dirty.clear();
+      this._removed.clear();
+      return { nodes, removed, meta: this.exportMeta() };
+    }
+
+    /**
+     * Rebuild from persisted records
+     * @param {Object} meta - exportMeta()
+     * @param {Array} nodes - exportNode() records
+     */
+    static fromSnapshot(meta, nodes, options = {}) {
+      const index = new HNSWIndex({
+        M: meta.M,
+        efConstruction: meta.efConstruction,
+        efSearch: meta.efSearch,
+        dims: meta.dims,
+        seed: (meta.seed || DEFAULTS.seed) + nodes.length, // новые уровни не повторяют старые
+        ...options
+      });
+
+      nodes.forEach((node, slot) => {
+        index.ids[slot] = node.id;
+        index.vectors[slot] = node.q;
+        index.scales[slot] = node.scale;
+        index.norms[slot] = norm(node.q);
+        index.idToSlot.set(node.id, slot);
+      });
+
+      nodes.forEach((node, slot) => {
+        index.links[slot] = node.links.map(level => level
+          .map(id => index.idToSlot.get(id))
+          .filter(n => n !== undefined));
+      });
+
+      const entry = meta.entryPoint !== null ? index.idToSlot.get(meta.entryPoint) : undefined;
+      if (entry !== undefined && index.links[entry].length - 1 === meta.maxLevel) {
+        index.entryPoint = entry;
+        index.maxLevel = meta.maxLevel;
+      } else {
+        index._pickEntryPoint();
+      }
+
+      return index;
+    }
+
+    /**
+     * Approximate memory footprint (bytes): vectors + links
+     */
+    estimateBytes() {
+      let bytes = 0;
+      for (let slot = 0; slot < this.links.length; slot++) {
+        if (!this.links[slot]) continue;
+        bytes += this.vectors[slot].length + 16;
+        for (const level of this.links[slot]) bytes += level.length * 8;
+      }
+      return bytes;
+    }
+  }
+
+  // ============================================
+  // BRUTE FORCE (эталон для бенчмарка и fallback)
+  // ============================================
+
+  /**
+   * Exact k nearest by cosine
+   * @param {Array<{id, vector}>} items
+   */
+  function bruteForce(items, vector, k = 10) {
+    const queryNorm = norm(vector);
+    const scored = [];
+    for (const item of items) {
+      const d = norm(item.vector) * queryNorm;
+      scored.push({ id: item.id, similarity: d === 0 ? 0 : dotFloat(vector, item.vector) / d });
+    }
+    scored.sort((a, b) => b.similarity - a.similarity);
+    return scored.slice(0, k);
+  }
+
+  return {
+    VERSION,
+    DEFAULTS,
+    HNSWIndex,
+    quantize,
+    dequantize,
+    bruteForce,
+    createRandom
+  };
+});
@@ -1,18 +1,28 @@
 // ============================================================
 // infinite-memory.js — Главный фасад ASKI Infinite Memory
-// Version: 1.0
+// Version: 1.4
 //
 // Объединяет EmbeddingEngine, VectorStore и MemoryContext
 // в единый API для интеграции с chat.js
+// v1.1: общий EmbeddingService (тот же воркер, что у privacy layer),
+//       model в каждой записи, фоновая переиндексация при смене модели
+// v1.2: гибридный поиск (векторы + BM25, RRF, MMR); "вчера", "last week"
+//       в запросе → фильтр по timestamp, а не надежда на similarity
+// v1.3: сверх maxMessages старые разговоры сворачиваются в эпизоды
+//       (MemoryConsolidator); pruneOldest() — только сверх hardLimit
+// v1.4: Memory Inspector — список, поиск, правка, закрепление записей,
+//       findCopies() / forget(): запись вместе с её копиями и эпизодами
 //
 // Расположение: js/memory/infinite-memory.js
-// Зависимости: embedding-engine.js, vector-store.js, memory-context.js
+// Зависимости: embedding-engine.js, vector-store.js, memory-context.js, retrieval.js,
+//              memory-consolidator.js, js/time.js
 // ============================================================
 
 class InfiniteMemory {
   constructor() {
-    this.engine = new EmbeddingEngine();
+    this.engine = window.EmbeddingService || new EmbeddingEngine();
     this.store = new VectorStore();
+    this.consolidator = new MemoryConsolidator(this.store, this.engine);
     this.ready = false;
     this.initializing = false;
     this.initPromise = null;
@@ -20,11 +30,15 @@ class InfiniteMemory {
     
     // Настройки
     this.config = {
-      maxMessages: 5000,      // Лимит перед auto-prune
-      hardLimit: 7000,        // Абсолютный лимит
+      maxMessages: 100000,    // Сверх — консолидация в эпизоды (поиск через HNSW, v1.2 store)
+      hardLimit: 120000,      // Абсолютный лимит — сверх него auto-prune
       searchTopK: 10,         // Результатов поиска
-      searchThreshold: 0.3,   // Минимальный similarity
+      searchThreshold: 0.3,   // Минимальный similarity (без периода в запросе)
+      searchCandidates: 30,   // Кандидатов из каждого списка до RRF / MMR
+      diversity: 0.7,         // MMR lambda: 1 — без учёта дублей
       contextMaxTokens: 1500, // Лимит токенов в промпте
+      reindexBatch: 16,       // Записей за один проход переиндексации
+      copySimilarity: 0.88,   // Похожесть, с которой запись — копия забываемого
       enabled: true           // Можно отключить
     };
 
@@ -34,8 +48,22 @@ class InfiniteMemory {
       dbReady: false,
       totalMessages: 0,
       lastSearchTime: 0,
-      lastSearchResults: 0
+      lastSearchResults: 0,
+      lastSearchScope: null,
+      model: null,
+      reindexing: false,
+      staleMessages: 0,
+      consolidating: false
     };
+
+    this._reindexPromise = null;
+    this._consolidatePromise = null;
+    this._consolidateAfter = 0;   // нечего было сворачивать — не сканируем на каждом сообщении
+
+    // Пользователь сменил модель — старые векторы пересчитываем в фоне
+    window.addEventListener('embedding-model-changed', () => {
+      if (this.ready && this.config.enabled) this.reindex();
+    });
   }
 
   // ─── ИНИЦИАЛИЗАЦИЯ ─────────────────────────────────────
@@ -67,14 +95,8 @@ class InfiniteMemory {
         // 3. Загружаем модель эмбеддингов (может занять 2-15с)
         await this.engine.init();
         this.status.modelLoaded = true;
-        console.log('[InfiniteMemory] Embedding model ready');
-
-        // 4. Auto-prune если нужно
-        if (stats.totalMessages > this.config.hardLimit) {
-          const pruned = await this.store.pruneOldest(this.config.maxMessages);
-          this.status.totalMessages -= pruned;
-          console.log(`[InfiniteMemory] Auto-pruned ${pruned} old messages`);
-        }
+        this.status.model = this.engine.modelId;
+        console.log('[InfiniteMemory] Embedding model ready:', this.engine.modelId);
 
         this.ready = true;
         this.initializing = false;
@@ -84,6 +106,12 @@ class InfiniteMemory {
           detail: { totalMessages: this.status.totalMessages }
         }));
 
+        // 6. Векторы от прежней модели — переиндексация в фоне
+        this.reindex();
+
+        // 7. Сверх лимита — консолидация старых разговоров в фоне
+        if (stats.totalMessages > this.config.maxMessages) this.consolidate();
+
         return true;
 
       } catch (error) {
@@ -118,7 +146,7 @@ class InfiniteMemory {
       const startTime = performance.now();
 
       // Генерируем эмбеддинг
-      const vector = await this.engine.embedPassage(text);
+      const { vector, model } = await this.engine.embed(text, 'passage');
 
       // Создаём запись
       const entry = {
@@ -126,6 +154,7 @@ class InfiniteMemory {
         text: text.substring(0, 2000), // Лимит на длину текста
         role: role,
         vector: vector,
+        model: model,
         timestamp: Date.now(),
         sessionId: sessionId || this._getCurrentSessionId(),
         metadata: {
@@ -141,6 +170,10 @@ class InfiniteMemory {
       const elapsed = (performance.now() - startTime).toFixed(1);
       console.log(`[InfiniteMemory] Indexed ${role} message (${elapsed}ms), total: ${this.status.totalMessages}`);
 
+      if (this.status.totalMessages > this.config.maxMessages && Date.now() >= this._consolidateAfter) {
+        this.consolidate();
+      }
+
       return true;
 
     } catch (error) {
@@ -162,26 +195,38 @@ class InfiniteMemory {
     try {
       const startTime = performance.now();
 
+      // "Что я говорил на прошлой неделе" — период в фильтр, в поиск — остальное
+      const scope = DropLitRetrieval.parseTimeScope(query, { timeZone: DropLitTime.deviceTimeZone() });
+      const searchText = scope && scope.text.length >= 3 ? scope.text : query;
+      const keywordText = scope ? scope.text : query;
+
       // Генерируем эмбеддинг запроса
-      const queryVector = await this.engine.embedQuery(query);
+      const { vector: queryVector, model } = await this.engine.embed(searchText, 'query');
 
-      // Ищем в памяти
-      const results = await this.store.search(queryVector, {
+      // Векторы + ключевые слова — только среди векторов той же модели
+      const results = await this.store.hybridSearch(queryVector, keywordText, {
+        model,
         topK: this.config.searchTopK,
         threshold: this.config.searchThreshold,
-        excludeSessionId: null // Включаем текущую сессию тоже — могут быть полезные ранние сообщения
+        candidates: this.config.searchCandidates,
+        lambda: this.config.diversity,
+        from: scope ? scope.from : null,
+        to: scope ? scope.to : null
       });
 
       const elapsed = (performance.now() - startTime).toFixed(1);
       this.status.lastSearchTime = parseFloat(elapsed);
       this.status.lastSearchResults = results.length;
+      this.status.lastSearchScope = scope ? scope.label : null;
 
       if (results.length === 0) {
         console.log(`[InfiniteMemory] Search: 0 results (${elapsed}ms)`);
         return '';
       }
 
-      console.log(`[InfiniteMemory] Search: ${results.length} results, top similarity: ${results[0].similarity.toFixed(3)} (${elapsed}ms)`);
+      const keywordOnly = results.filter(r => !r.matchedBy.includes('vector')).length;
+      console.log(`[InfiniteMemory] Search: ${results.length} results (${keywordOnly} by keywords only)` +
+        `${scope ? `, period "${scope.label}"` : ''}, top similarity: ${results[0].similarity.toFixed(3)} (${elapsed}ms)`);
 
       // Форматируем для промпта
       const contextBlock = MemoryContext.formatForPrompt(results, this.config.contextMaxTokens);
@@ -191,7 +236,8 @@ class InfiniteMemory {
         detail: {
           count: results.length,
           topSimilarity: results[0]?.similarity || 0,
-          searchTime: parseFloat(elapsed)
+          searchTime: parseFloat(elapsed),
+          scope: this.status.lastSearchScope
         }
       }));
 
@@ -238,7 +284,7 @@ class InfiniteMemory {
       const texts = textMessages.map(m => m.text.substring(0, 2000));
 
       // Батч-эмбеддинг
-      const vectors = await this.engine.embedBatch(texts, 'passage');
+      const { vectors, model } = await this.engine.embedMany(texts, 'passage');
 
       // Создаём записи
       const entries = textMessages.map((m, i) => ({
@@ -246,6 +292,7 @@ class InfiniteMemory {
         text: m.text.substring(0, 2000),
         role: m.role || 'user',
         vector: vectors[i],
+        model,
         timestamp: m.ts ? new Date(m.ts).getTime() : Date.now() - (textMessages.length - i) * 60000,
         sessionId: 'imported',
         metadata: { source: 'chat_history_import' }
@@ -272,6 +319,218 @@ class InfiniteMemory {
     }
   }
 
+  // ─── ПЕРЕИНДЕКСАЦИЯ ────────────────────────────────────
+
+  /**
+   * Пересчитать векторы, посчитанные другой моделью.
+   * Идёт порциями в фоне; пока не закончилась, поиск видит только
+   * уже пересчитанные записи. Повторный вызов возвращает текущий проход.
+   * @returns {Promise<number>} - сколько записей пересчитано
+   */
+  reindex() {
+    if (this._reindexPromise) return this._reindexPromise;
+
+    this._reindexPromise = (async () => {
+      let done = 0;
+      this.status.reindexing = true;
+
+      while (this.ready && this.config.enabled) {
+        const model = this.engine.modelId;
+
+        try {
+          // После смены модели воркер перезапускается — дожидаемся его
+          await this.engine.init();
+
+          const { entries, total } = await this.store.getStale(model, this.config.reindexBatch);
+          this.status.staleMessages = total;
+          if (entries.length === 0) break;
+
+          const result = await this.engine.embedMany(entries.map(e => e.text), 'passage');
+
+          // Модель сменили посреди порции — начинаем заново с новой
+          if (result.model !== this.engine.modelId) continue;
+
+          await this.store.addBatch(entries.map((entry, i) => ({
+            ...entry,
+            vector: result.vectors[i],
+            model: result.model
+          })));
+          done += entries.length;
+
+          const remaining = total - entries.length;
+          window.dispatchEvent(new CustomEvent('memory-progress', {
+            detail: {
+              stage: 'reindexing',
+              current: done,
+              total: done + remaining,
+              model: result.model,
+              message: `Reindexing: ${done}/${done + remaining}`
+            }
+          }));
+
+          // Отдаём воркер живым запросам между порциями
+          await new Promise(r => setTimeout(r, 200));
+
+        } catch (error) {
+          if (this.engine.modelId !== model) continue;
+          console.warn('[InfiniteMemory] Reindex stopped:', error.message);
+          break;
+        }
+      }
+
+      this.status.model = this.engine.modelId;
+      this.status.reindexing = false;
+      this._reindexPromise = null;
+      if (done > 0) console.log(`[InfiniteMemory] Reindexed ${done} messages for ${this.engine.modelId}`);
+
+      return done;
+    })();
+
+    return this._reindexPromise;
+  }
+
+  // ─── КОНСОЛИДАЦИЯ ──────────────────────────────────────
+
+  /**
+   * Свернуть старые разговоры в эпизоды до maxMessages записей.
+   * Если консолидация не успевает (всё свежее, модель не та) и записей
+   * больше hardLimit — удаляем самые старые сырые сообщения, как раньше.
+   * Повторный вызов возвращает текущий проход.
+   * @returns {Promise<number>} - сколько сырых сообщений свёрнуто
+   */
+  consolidate() {
+    if (this._consolidatePromise) return this._consolidatePromise;
+
+    this._consolidatePromise = (async () => {
+      let removed = 0;
+      this.status.consolidating = true;
+
+      try {
+        const result = await this.consolidator.consolidate({ target: this.config.maxMessages });
+        removed = result.removed;
+        if (result.episodes === 0) this._consolidateAfter = Date.now() + 60 * 60 * 1000;
+
+        const stats = await this.store.getStats();
+        this.status.totalMessages = stats.totalMessages;
+
+        if (stats.totalMessages > this.config.hardLimit) {
+          const pruned = await this.store.pruneOldest(this.config.maxMessages);
+          this.status.totalMessages -= pruned;
+          console.warn(`[InfiniteMemory] Consolidation behind, auto-pruned ${pruned} old messages`);
+        }
+      } catch (error) {
+        console.warn('[InfiniteMemory] Consolidation stopped:', error.message);
+      }
+
+      this.status.consolidating = false;
+      this._consolidatePromise = null;
+
+      return removed;
+    })();
+
+    return this._consolidatePromise;
+  }
+
+  // ─── MEMORY INSPECTOR ──────────────────────────────────
+
+  /**
+   * Записи от новых к старым (все модели)
+   * @param {Object} options - см. VectorStore.list()
+   */
+  async listMemories(options = {}) {
+    await this.init();
+    return this.store.list(options);
+  }
+
+  /**
+   * Поиск для инспектора: те же векторы + ключевые слова, без MMR —
+   * пользователь ищет конкретную запись, дубли тоже нужно видеть
+   */
+  async searchMemories(query, topK = 30) {
+    await this.init();
+
+    const { vector, model } = await this.engine.embed(query, 'query');
+    return this.store.hybridSearch(vector, query, {
+      model,
+      topK,
+      threshold: this.config.searchThreshold,
+      candidates: topK,
+      lambda: 1
+    });
+  }
+
+  /**
+   * Исправить текст записи — вектор пересчитывается
+   */
+  async editMemory(id, text) {
+    await this.init();
+
+    const { vector, model } = await this.engine.embed(text, 'passage');
+    return this.store.update(id, {
+      text: text.substring(0, 2000),
+      vector,
+      model,
+      metadata: { edited: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Закреплённая запись не сворачивается в эпизод и не удаляется при переполнении
+   */
+  async pinMemory(id, pinned) {
+    await this.init();
+    return this.store.update(id, { pinned: Boolean(pinned) });
+  }
+
+  /**
+   * Копии утверждения в памяти: почти тот же смысл (копия, пересказ
+   * в эпизоде) или текст целиком внутри записи
+   * @param {string} text
+   * @param {Object} options - { exclude: [id] }
+   * @returns {Promise<Array>} - результаты поиска
+   */
+  async findCopies(text, options = {}) {
+    await this.init();
+    if (!text || text.trim().length < 3) return [];
+
+    const exclude = new Set(options.exclude || []);
+    const needle = InfiniteMemory._normalize(text);
+    const { vector, model } = await this.engine.embed(text, 'passage');
+
+    const results = await this.store.hybridSearch(vector, text, {
+      model,
+      topK: 50,
+      threshold: this.config.copySimilarity,
+      candidates: 50,
+      lambda: 1
+    });
+
+    return results.filter(r => !exclude.has(r.id) && (
+      r.similarity >= this.config.copySimilarity ||
+      (needle.length >= 12 && InfiniteMemory._normalize(r.text).includes(needle))
+    ));
+  }
+
+  /**
+   * Удалить записи (вектор, HNSW узел, BM25 документ)
+   * @param {Array<string>} ids
+   * @returns {Promise<number>}
+   */
+  async forget(ids) {
+    await this.init();
+    if (!ids || ids.length === 0) return 0;
+
+    await this.store.deleteMany(ids);
+    this.status.totalMessages = (await this.store.getStats()).totalMessages;
+    console.log(`[InfiniteMemory] Forgot ${ids.length} memories`);
+
+    return ids.length;
+  }
+
+  static _normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
   // ─── УТИЛИТЫ ──────────────────────────────────────────
 
   /**
@@ -318,9 +577,9 @@ class InfiniteMemory {
 
   /**
    * Освободить ресурсы
+   * Воркер общий с privacy layer — его не останавливаем
    */
   destroy() {
-    this.engine.destroy();
     this.ready = false;
     console.log('[InfiniteMemory] Destroyed');
   }
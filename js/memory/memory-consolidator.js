@@ -0,0 +1,296 @@
+// ============================================================
+// memory-consolidator.js — Консолидация ASKI Infinite Memory
+// Version: 1.0
+//
+// Вместо удаления старых сообщений — эпизодическая память:
+// старые сообщения группируются в эпизоды (sessionId + день),
+// каждый эпизод сворачивается в одну запись tier: 'summary'
+// со своим текстом и эмбеддингом. Сырые сообщения эпизода
+// удаляются только после того, как summary сохранено.
+//
+// Summary: text action 'summarize_episode' (/api/ai), а без сети,
+// авторизации или при ошибке — локально: центральные реплики эпизода
+// по уже посчитанным векторам (MMR, чтобы не брать повторы).
+//
+// Расположение: js/memory/memory-consolidator.js
+// Зависимости: vector-store.js, embedding-engine.js, retrieval.js,
+//              hnsw-index.js (dequantize), js/time.js
+// ============================================================
+
+class MemoryConsolidator {
+  constructor(store, engine) {
+    this.store = store;
+    this.engine = engine;
+
+    this.config = {
+      minAgeDays: 7,            // свежие разговоры не трогаем
+      episodesPerRun: 20,       // эпизодов за один запуск
+      maxEpisodeMessages: 80,   // длинный день сессии → несколько эпизодов
+      maxEpisodeChars: 12000,   // лимит транскрипта для summarize_episode
+      scanLimit: 3000,          // сырых записей за один проход
+      localLines: 5,            // реплик в локальном summary
+      pause: 4000               // между эпизодами (лимит 'memory' — 10/мин)
+    };
+
+    this._running = null;
+    this._aiPausedUntil = 0;    // после 401 / 429 — только локально
+  }
+
+  // ─── ЗАПУСК ────────────────────────────────────────────
+
+  /**
+   * Свернуть самые старые эпизоды. Повторный вызов во время работы
+   * возвращает текущий проход.
+   * @param {Object} options - { target: остановиться, когда записей ≤ target (0 — все старые эпизоды), maxEpisodes }
+   * @returns {Promise<{episodes: number, removed: number, ai: number, local: number}>}
+   */
+  consolidate(options = {}) {
+    if (this._running) return this._running;
+
+    this._running = this._run(options).finally(() => {
+      this._running = null;
+    });
+
+    return this._running;
+  }
+
+  isRunning() {
+    return this._running !== null;
+  }
+
+  async _run({ target = 0, maxEpisodes = this.config.episodesPerRun } = {}) {
+    const result = { episodes: 0, removed: 0, ai: 0, local: 0 };
+    let count = (await this.store.getStats()).totalMessages;
+
+    await this.engine.init();
+    const model = this.engine.modelId;
+    const before = Date.now() - this.config.minAgeDays * 24 * 60 * 60 * 1000;
+
+    while (count > target && result.episodes < maxEpisodes) {
+      const episodes = await this._nextEpisodes(model, before, maxEpisodes - result.episodes);
+      if (episodes.length === 0) break;
+
+      for (const episode of episodes) {
+        if (count <= target) break;
+
+        const summary = await this._summarize(episode);
+        const { vector, model: summaryModel } = await this.engine.embed(summary.text, 'passage');
+
+        // Модель сменили посреди прохода — векторы эпизода уже не той модели
+        if (summaryModel !== model) return result;
+
+        const first = episode.entries[0];
+        const last = episode.entries[episode.entries.length - 1];
+
+        // Сначала summary, потом удаление — при сбое теряется только работа, не память
+        await this.store.add({
+          id: 'sum_' + first.id,
+          text: summary.text.substring(0, 2000),
+          role: 'summary',
+          tier: 'summary',
+          vector,
+          model,
+          timestamp: first.timestamp,
+          sessionId: episode.sessionId,
+          metadata: {
+            from: first.timestamp,
+            to: last.timestamp,
+            messageCount: episode.entries.length,
+            method: summary.method,
+            consolidated: new Date().toISOString()
+          }
+        });
+        await this.store.deleteMany(episode.entries.map(e => e.id));
+
+        count -= episode.entries.length - 1;
+        result.episodes++;
+        result.removed += episode.entries.length;
+        result[summary.method]++;
+
+        window.dispatchEvent(new CustomEvent('memory-progress', {
+          detail: {
+            stage: 'consolidating',
+            current: result.episodes,
+            total: maxEpisodes,
+            message: `Consolidating: ${result.episodes} episodes, ${result.removed} messages`
+          }
+        }));
+
+        await new Promise(r => setTimeout(r, summary.method === 'ai' ? this.config.pause : 0));
+      }
+    }
+
+    if (result.episodes > 0) {
+      console.log(`[MemoryConsolidator] ${result.episodes} episodes (${result.ai} ai, ${result.local} local), ${result.removed} messages condensed`);
+    }
+
+    return result;
+  }
+
+  // ─── ЭПИЗОДЫ ───────────────────────────────────────────
+
+  /**
+   * Старейшие эпизоды: сессия + локальный день, длинные — частями
+   * @returns {Promise<Array<{sessionId, entries}>>} - от старых к новым
+   */
+  async _nextEpisodes(model, before, max) {
+    const entries = await this.store.getOldestRaw(model, before, this.config.scanLimit);
+    if (entries.length === 0) return [];
+
+    const timeZone = DropLitTime.deviceTimeZone();
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const { year, month, day } = DropLitTime.localDate(entry.timestamp, timeZone);
+      const key = `${entry.sessionId || 'unknown'}|${year}-${month}-${day}`;
+      if (!groups.has(key)) groups.set(key, { sessionId: entry.sessionId || 'unknown', entries: [] });
+      groups.get(key).entries.push(entry);
+    }
+
+    const list = [...groups.values()];
+
+    // Порция упёрлась в лимит — последняя группа может продолжаться дальше
+    if (entries.length >= this.config.scanLimit && list.length > 1) {
+      const lastEntry = entries[entries.length - 1];
+      const cut = list.findIndex(g => g.entries.includes(lastEntry));
+      list.splice(cut, 1);
+    }
+
+    const episodes = [];
+    for (const group of list) {
+      episodes.push(...this._split(group));
+      if (episodes.length >= max) break;
+    }
+
+    return episodes.slice(0, max);
+  }
+
+  _split(group) {
+    const parts = [];
+    let current = [];
+    let chars = 0;
+
+    for (const entry of group.entries) {
+      const length = (entry.text || '').length;
+      if (current.length > 0 &&
+          (current.length >= this.config.maxEpisodeMessages || chars + length > this.config.maxEpisodeChars)) {
+        parts.push({ sessionId: group.sessionId, entries: current });
+        current = [];
+        chars = 0;
+      }
+      current.push(entry);
+      chars += length;
+    }
+
+    if (current.length > 0) parts.push({ sessionId: group.sessionId, entries: current });
+    return parts;
+  }
+
+  // ─── SUMMARY ───────────────────────────────────────────
+
+  /**
+   * @returns {Promise<{text: string, method: 'ai' | 'local'}>}
+   */
+  async _summarize(episode) {
+    // Пара реплик — короче любого summary
+    if (episode.entries.length > 2 && this._canUseAI()) {
+      try {
+        const text = await this._summarizeWithAI(episode);
+        if (text) return { text, method: 'ai' };
+      } catch (error) {
+        console.warn('[MemoryConsolidator] AI summary failed, using local:', error.message);
+      }
+    }
+
+    return { text: this._summarizeLocally(episode), method: 'local' };
+  }
+
+  _canUseAI() {
+    return typeof AI_API_URL !== 'undefined' &&
+      typeof getAIHeaders === 'function' &&
+      navigator.onLine !== false &&
+      Date.now() >= this._aiPausedUntil;
+  }
+
+  async _summarizeWithAI(episode) {
+    const transcript = episode.entries
+      .map(e => `${MemoryConsolidator._speaker(e)}: ${e.text}`)
+      .join('\n')
+      .substring(0, this.config.maxEpisodeChars);
+
+    const response = await fetch(AI_API_URL, {
+      method: 'POST',
+      headers: await getAIHeaders(),
+      body: JSON.stringify({ action: 'summarize_episode', text: transcript, model: 'haiku' })
+    });
+
+    if (response.status === 401 || response.status === 429) {
+      // Не авторизован / квота — не долбим сервер, полчаса сворачиваем локально
+      this._aiPausedUntil = Date.now() + 30 * 60 * 1000;
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+
+    return (data.result || '').trim();
+  }
+
+  /**
+   * Экстрактивное summary: реплики, ближайшие к центру эпизода,
+   * без повторов (MMR), в хронологическом порядке
+   */
+  _summarizeLocally(episode) {
+    const vectors = episode.entries.map(e => MemoryConsolidator._unit(
+      e.vector instanceof Int8Array ? DropLitHNSW.dequantize(e.vector, e.scale || 1) : Float32Array.from(e.vector || [])
+    ));
+
+    const dims = vectors[0] ? vectors[0].length : 0;
+    const centroid = new Float32Array(dims);
+    vectors.forEach(v => {
+      for (let i = 0; i < dims; i++) centroid[i] += v[i];
+    });
+    MemoryConsolidator._unit(centroid);
+
+    const candidates = episode.entries
+      .map((entry, i) => ({ entry, vector: vectors[i], score: MemoryConsolidator._dot(vectors[i], centroid) }))
+      .sort((a, b) => b.score - a.score);
+
+    const picked = DropLitRetrieval.mmr(candidates, {
+      topK: this.config.localLines,
+      lambda: 0.6,
+      similarity: (a, b) => MemoryConsolidator._dot(a.vector, b.vector)
+    });
+
+    return picked
+      .sort((a, b) => a.entry.timestamp - b.entry.timestamp)
+      .map(({ entry }) => {
+        const text = entry.text.length > 200 ? entry.text.substring(0, 200) + '…' : entry.text;
+        return `${MemoryConsolidator._speaker(entry)}: ${text}`;
+      })
+      .join('\n');
+  }
+
+  // ─── ПРИВАТНЫЕ МЕТОДЫ ──────────────────────────────────
+
+  static _speaker(entry) {
+    return entry.role === 'user' ? 'User' : 'ASKI';
+  }
+
+  static _unit(v) {
+    const n = Math.sqrt(MemoryConsolidator._dot(v, v));
+    if (n > 0) for (let i = 0; i < v.length; i++) v[i] /= n;
+    return v;
+  }
+
+  static _dot(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+    return s;
+  }
+}
+
+// Экспорт
+if (typeof window !== 'undefined') {
+  window.MemoryConsolidator = MemoryConsolidator;
+}
@@ -1,9 +1,13 @@
 // ============================================================
 // memory-context.js — Форматирование контекста для ASKI Infinite Memory
-// Version: 1.0
+// Version: 1.2
 //
 // Преобразует результаты семантического поиска в текстовый
 // блок для system prompt Claude.
+// v1.1: результаты hybridSearch() несут relevance (RRF) — по ней
+//       сортируются сессии; у search() — similarity, как раньше.
+// v1.2: tier: 'summary' — эпизод, свёрнутый MemoryConsolidator;
+//       помечается как краткое изложение, а не реплика.
 //
 // Расположение: js/memory/memory-context.js
 // ============================================================
@@ -12,7 +16,7 @@ class MemoryContext {
 
   /**
    * Построить блок памяти для system prompt
-   * @param {Array} results - результаты из VectorStore.search()
+   * @param {Array} results - результаты из VectorStore.search() / hybridSearch()
    * @param {number} maxTokens - лимит токенов (~4 символа = 1 токен)
    * @returns {string} - готовый блок для вставки в system prompt
    */
@@ -27,14 +31,15 @@ class MemoryContext {
 
     for (const group of grouped) {
       const sessionDate = MemoryContext._formatDate(group.timestamp);
-      const relevance = Math.round(group.avgSimilarity * 100);
+      const relevance = Math.round(group.avgRelevance * 100);
 
       let sessionBlock = `\n**${sessionDate}** (relevance: ${relevance}%):\n`;
       let sessionTokens = Math.ceil(sessionBlock.length / 4);
 
       for (const msg of group.messages) {
-        const prefix = msg.role === 'user' ? 'User' : 'ASKI';
-        const line = `${prefix}: ${msg.text}\n`;
+        const line = msg.tier === 'summary'
+          ? `Summary of ${MemoryContext._episodeSize(msg)}:\n${msg.text}\n`
+          : `${msg.role === 'user' ? 'User' : 'ASKI'}: ${msg.text}\n`;
         const lineTokens = Math.ceil(line.length / 4);
 
         if (estimatedTokens + sessionTokens + lineTokens > maxTokens) break;
@@ -64,7 +69,7 @@ class MemoryContext {
 
     return results.map((r, i) => {
       const date = MemoryContext._formatDate(r.timestamp);
-      const role = r.role === 'user' ? '👤' : '🤖';
+      const role = r.tier === 'summary' ? '📝' : r.role === 'user' ? '👤' : '🤖';
       const sim = Math.round(r.similarity * 100);
       const text = r.text.length > 80 ? r.text.substring(0, 80) + '...' : r.text;
       return `${i + 1}. ${role} [${sim}%] ${date}: ${text}`;
@@ -86,12 +91,12 @@ class MemoryContext {
           sessionId: key,
           timestamp: r.timestamp,
           messages: [],
-          totalSimilarity: 0
+          totalRelevance: 0
         });
       }
       const session = sessions.get(key);
       session.messages.push(r);
-      session.totalSimilarity += r.similarity;
+      session.totalRelevance += r.relevance !== undefined ? r.relevance : r.similarity;
 
       // Самый ранний timestamp для группы
       if (r.timestamp < session.timestamp) {
@@ -99,14 +104,22 @@ class MemoryContext {
       }
     }
 
-    // Средний similarity + сортировка сообщений хронологически
+    // Средняя релевантность + сортировка сообщений хронологически
     return Array.from(sessions.values())
       .map(s => ({
         ...s,
-        avgSimilarity: s.totalSimilarity / s.messages.length,
+        avgRelevance: s.totalRelevance / s.messages.length,
         messages: s.messages.sort((a, b) => a.timestamp - b.timestamp)
       }))
-      .sort((a, b) => b.avgSimilarity - a.avgSimilarity);
+      .sort((a, b) => b.avgRelevance - a.avgRelevance);
+  }
+
+  /**
+   * "14 messages" — сколько реплик свёрнуто в эпизод
+   */
+  static _episodeSize(msg) {
+    const count = msg.metadata && msg.metadata.messageCount;
+    return count ? `${count} messages` : 'earlier messages';
   }
 
   /**
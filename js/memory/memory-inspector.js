@@ -0,0 +1,231 @@
+// ============================================================
+// memory-inspector.js — Что помнит ASKI: просмотр, правка, забывание
+// Version: 1.0
+//
+// Данные для экрана Memory Inspector (settings.js). Собирает в одном
+// месте всё, что попадает в system prompt:
+// - факты core_memory и сущности core_entities (сервер, action memory_*)
+// - фрагменты чата и эпизоды InfiniteMemory (устройство)
+//
+// "Забыть" удаляет запись вместе с копиями в обоих хранилищах:
+// факт — его дубли на сервере (тот же текст или тот же смысл) и
+// фрагменты / эпизоды на устройстве, где он повторяется; фрагмент чата —
+// его копии на устройстве и факты, извлечённые из него на сервере.
+//
+// Расположение: js/memory/memory-inspector.js
+// Зависимости: infinite-memory.js, AI_API_URL + getAIHeaders() (index.html)
+// ============================================================
+
+class MemoryInspector {
+  constructor(memory) {
+    this.memory = memory;
+
+    this.facts = [];
+    this.entities = [];
+    this.serverError = null;
+
+    // id факта → { fact, model, vector } — для поиска копий по смыслу
+    this._factVectors = new Map();
+  }
+
+  // ─── ЗАГРУЗКА ──────────────────────────────────────────
+
+  /**
+   * Факты и сущности с сервера. Без входа / сети — пустые списки и serverError
+   * @returns {Promise<{facts: Array, entities: Array, error: string|null}>}
+   */
+  async loadServer() {
+    try {
+      const data = await this._request('memory_list');
+      this.facts = data.facts || [];
+      this.entities = data.entities || [];
+      this.serverError = null;
+    } catch (error) {
+      console.warn('[MemoryInspector] Server memory unavailable:', error.message);
+      this.facts = [];
+      this.entities = [];
+      this.serverError = error.message;
+    }
+
+    return { facts: this.facts, entities: this.entities, error: this.serverError };
+  }
+
+  /**
+   * Фрагменты чата и эпизоды с устройства, от новых к старым
+   * @param {Object} options - { before, limit, tier, pinned } — см. VectorStore.list()
+   */
+  async loadLocal(options = {}) {
+    return this.memory.listMemories(options);
+  }
+
+  /**
+   * Поиск по всем трём спискам
+   * @returns {Promise<{facts: Array, entities: Array, snippets: Array}>}
+   */
+  async search(query) {
+    const words = MemoryInspector._normalize(query).split(' ').filter(Boolean);
+    const matches = (text) => {
+      const haystack = MemoryInspector._normalize(text);
+      return words.every(word => haystack.includes(word));
+    };
+
+    return {
+      facts: this.facts.filter(f => matches(f.fact)),
+      entities: this.entities.filter(e => matches(`${e.name} ${e.entity_type} ${JSON.stringify(e.attributes || {})}`)),
+      snippets: words.length > 0 ? await this.memory.searchMemories(query) : []
+    };
+  }
+
+  // ─── ПРАВКА ────────────────────────────────────────────
+
+  /**
+   * @param {'fact' | 'entity' | 'snippet'} kind
+   * @param {string} id
+   * @param {Object} changes - fact: { fact, pinned }; entity: { name, entity_type, attributes }; snippet: { text, pinned }
+   * @returns {Promise<Object>} - обновлённая запись
+   */
+  async update(kind, id, changes) {
+    if (kind === 'snippet') {
+      let entry = null;
+      if (typeof changes.text === 'string') entry = await this.memory.editMemory(id, changes.text.trim());
+      if (typeof changes.pinned === 'boolean') entry = await this.memory.pinMemory(id, changes.pinned);
+      if (!entry) throw new Error('Memory not found');
+      return entry;
+    }
+
+    const { item } = await this._request('memory_update', { memory: { kind, id, changes } });
+    const list = kind === 'fact' ? this.facts : this.entities;
+    const index = list.findIndex(x => x.id === id);
+    if (index >= 0) list[index] = { ...list[index], ...item };
+    if (kind === 'fact') this._factVectors.delete(id);
+
+    return item;
+  }
+
+  // ─── ЗАБЫВАНИЕ ─────────────────────────────────────────
+
+  /**
+   * Что ещё удалится вместе с записью — для подтверждения
+   * @param {'fact' | 'entity' | 'snippet'} kind
+   * @param {Object} item - факт / сущность / фрагмент из списков
+   * @returns {Promise<{facts: Array, snippets: Array}>}
+   */
+  async findCopies(kind, item) {
+    // Сущность — имя, а не утверждение: фрагменты, где оно упоминается, не копии
+    if (kind === 'entity') return { facts: [], snippets: [] };
+
+    const text = kind === 'fact' ? item.fact : item.text;
+    const [facts, snippets] = await Promise.all([
+      this._similarFacts(text, kind === 'fact' ? item.id : null),
+      this.memory.findCopies(text, { exclude: kind === 'snippet' ? [item.id] : [] })
+    ]);
+
+    return { facts, snippets };
+  }
+
+  /**
+   * Забыть запись и её копии
+   * @param {'fact' | 'entity' | 'snippet'} kind
+   * @param {Object} item
+   * @param {Object} copies - результат findCopies(); без него ищется заново
+   * @returns {Promise<{facts: number, entities: number, snippets: number}>}
+   */
+  async forget(kind, item, copies = null) {
+    copies = copies || await this.findCopies(kind, item);
+    const removed = { facts: 0, entities: 0, snippets: 0 };
+
+    // Сервер первым: если он недоступен, на устройстве ничего не теряем
+    if (kind === 'entity') {
+      await this._request('memory_forget', { memory: { kind: 'entity', id: item.id } });
+      this.entities = this.entities.filter(e => e.id !== item.id);
+      removed.entities = 1;
+    }
+
+    const factIds = [...(kind === 'fact' ? [item.id] : []), ...copies.facts.map(f => f.id)];
+    const gone = new Set();
+    for (const id of factIds) {
+      if (gone.has(id)) continue;
+      // Сервер удаляет и дубли с тем же текстом — они приходят в removed
+      try {
+        const result = await this._request('memory_forget', { memory: { kind: 'fact', id } });
+        (result.removed || [id]).forEach(removedId => gone.add(removedId));
+      } catch (error) {
+        if (error.message !== 'Memory not found') throw error;
+        gone.add(id);
+      }
+    }
+    this.facts = this.facts.filter(f => !gone.has(f.id));
+    gone.forEach(id => this._factVectors.delete(id));
+    removed.facts = gone.size;
+
+    const snippetIds = [...(kind === 'snippet' ? [item.id] : []), ...copies.snippets.map(s => s.id)];
+    removed.snippets = await this.memory.forget(snippetIds);
+
+    window.dispatchEvent(new CustomEvent('memory-forgotten', { detail: { kind, id: item.id, removed } }));
+    return removed;
+  }
+
+  // ─── ПРИВАТНЫЕ МЕТОДЫ ──────────────────────────────────
+
+  /**
+   * Серверные факты с тем же текстом или смыслом (эмбеддинги на устройстве)
+   */
+  async _similarFacts(text, excludeId) {
+    const candidates = this.facts.filter(f => f.id !== excludeId);
+    if (candidates.length === 0 || !text) return [];
+
+    const needle = MemoryInspector._normalize(text);
+    const engine = this.memory.engine;
+    const { vector, model } = await engine.embed(text, 'passage');
+
+    const stale = candidates.filter(f => {
+      const cached = this._factVectors.get(f.id);
+      return !cached || cached.model !== model || cached.fact !== f.fact;
+    });
+    if (stale.length > 0) {
+      const result = await engine.embedMany(stale.map(f => f.fact), 'passage');
+      stale.forEach((f, i) => this._factVectors.set(f.id, { fact: f.fact, model: result.model, vector: result.vectors[i] }));
+    }
+
+    return candidates.filter(f => {
+      if (MemoryInspector._normalize(f.fact) === needle) return true;
+      const cached = this._factVectors.get(f.id);
+      return cached.model === model &&
+        MemoryInspector._cosine(vector, cached.vector) >= this.memory.config.copySimilarity;
+    });
+  }
+
+  async _request(action, payload = {}) {
+    const response = await fetch(AI_API_URL, {
+      method: 'POST',
+      headers: await getAIHeaders(),
+      body: JSON.stringify({ action, ...payload })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || (response.status === 401 ? 'Sign in to see cloud memory' : `HTTP ${response.status}`));
+    }
+
+    return data;
+  }
+
+  static _normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  static _cosine(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      na += a[i] * a[i];
+      nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+  }
+}
+
+// Экспорт
+if (typeof window !== 'undefined') {
+  window.MemoryInspector = MemoryInspector;
+}
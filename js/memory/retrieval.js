@@ -0,0 +1,355 @@
+// ============================================================
+// retrieval.js — Ranking helpers for ASKI memory search
+// Version: 1.0
+//
+//   fuse({ vector, keyword }, { weights })  → reciprocal rank fusion
+//   mmr(candidates, { topK, lambda, similarity }) → разнообразие (без дублей)
+//   parseTimeScope('что я говорил на прошлой неделе', { timeZone, now })
+//     → { from, to, label: 'на прошлой неделе', text: 'что я говорил' }
+//
+// RRF (Cormack et al., 2009): score = Σ weight / (k + rank) — ранги,
+// а не сырые оценки, поэтому косинус и BM25 складываются без калибровки.
+// MMR (Carbonell & Goldstein, 1998): каждый следующий результат —
+// релевантный, но непохожий на уже выбранные.
+//
+// Время — только прошлое ("вчера", "last week", "3 дня назад", "в марте"):
+// это память, а не напоминания (для будущего — js/date-parser.js).
+// Границы дней — в поясе пользователя (js/time.js), неделя — пн–вс.
+//
+// Расположение: js/memory/retrieval.js
+// Needs js/time.js loaded first.
+// ============================================================
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../time.js'));
+  } else {
+    root.DropLitRetrieval = factory(root.DropLitTime);
+  }
+})(typeof self !== 'undefined' ? self : this, function(Time) {
+  'use strict';
+
+  const VERSION = '1.0.0';
+
+  const DEFAULTS = {
+    rrfK: 60,      // сглаживание рангов (значение из статьи)
+    lambda: 0.7    // MMR: 1 — только релевантность, 0 — только разнообразие
+  };
+
+  // ============================================
+  // RECIPROCAL RANK FUSION
+  // ============================================
+
+  /**
+   * Merge ranked lists by reciprocal rank
+   * @param {Object<string, Array<{id}>>} lists - name → список, лучший первым
+   * @param {Object} options - { weights: { name: number }, k }
+   * @returns {Array<{id, score, ranks: Object<string, number>}>} - лучший первым
+   */
+  function fuse(lists, options = {}) {
+    const k = options.k || DEFAULTS.rrfK;
+    const weights = options.weights || {};
+    const fused = new Map();
+
+    for (const [name, list] of Object.entries(lists)) {
+      const weight = weights[name] === undefined ? 1 : weights[name];
+      if (!list || weight === 0) continue;
+
+      list.forEach((item, rank) => {
+        let entry = fused.get(item.id);
+        if (!entry) {
+          entry = { id: item.id, score: 0, ranks: {} };
+          fused.set(item.id, entry);
+        }
+        // Дубли внутри одного списка — учитываем лучший ранг
+        if (entry.ranks[name] !== undefined) return;
+        entry.ranks[name] = rank + 1;
+        entry.score += weight / (k + rank + 1);
+      });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  // ============================================
+  // MAXIMAL MARGINAL RELEVANCE
+  // ============================================
+
+  /**
+   * Greedy MMR selection
+   * @param {Array} candidates - лучший первым
+   * @param {Object} options - { topK, lambda, relevance(c) → number, similarity(a, b) → [-1, 1] }
+   * @returns {Array} - выбранные кандидаты в порядке выбора
+   */
+  function mmr(candidates, options = {}) {
+    const topK = options.topK || 10;
+    const lambda = options.lambda === undefined ? DEFAULTS.lambda : options.lambda;
+    const relevance = options.relevance || (c => c.score);
+    const similarity = options.similarity;
+
+    if (!similarity || candidates.length <= 1) return candidates.slice(0, topK);
+
+    // Релевантность в [0, 1] — сопоставимо с косинусом
+    const maxRelevance = Math.max(...candidates.map(relevance)) || 1;
+    const pool = candidates.map(c => ({ item: c, relevance: relevance(c) / maxRelevance, maxSim: -Infinity }));
+    const selected = [];
+
+    while (selected.length < topK && pool.length > 0) {
+      let best = 0;
+      let bestScore = -Infinity;
+
+      pool.forEach((c, i) => {
+        const redundancy = selected.length === 0 ? 0 : c.maxSim;
+        const score = lambda * c.relevance - (1 - lambda) * redundancy;
+        if (score > bestScore) {
+          bestScore = score;
+          best = i;
+        }
+      });
+
+      const [chosen] = pool.splice(best, 1);
+      selected.push(chosen.item);
+
+      for (const c of pool) {
+        const sim = similarity(c.item, chosen.item);
+        if (sim > c.maxSim) c.maxSim = sim;
+      }
+    }
+
+    return selected;
+  }
+
+  // ============================================
+  // TIME SCOPE (past only)
+  // ============================================
+
+  const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    couple: 2, few: 3, several: 3,
+    'один': 1, 'одну': 1, 'одна': 1, 'два': 2, 'две': 2, 'три': 3, 'четыре': 4, 'пять': 5, 'шесть': 6,
+    'семь': 7, 'восемь': 8, 'девять': 9, 'десять': 10, 'пару': 2, 'несколько': 3
+  };
+
+  const NUMBER = '(\\d{1,3}|' + Object.keys(NUMBER_WORDS).join('|') + ')';
+
+  const UNIT_PATTERNS = [
+    ['day', 'дн(?:я|ей)|день|сутки|суток|days?'],
+    ['week', 'недел[юиь]|weeks?'],
+    ['month', 'месяц(?:а|ев)?|months?'],
+    ['year', 'год(?:а)?|лет|years?']
+  ];
+  const UNIT = '(' + UNIT_PATTERNS.map(([, re]) => re).join('|') + ')';
+
+  const MONTHS = [
+    ['январ', 'january|jan'], ['феврал', 'february|feb'], ['март', 'march|mar'], ['апрел', 'april|apr'],
+    ['ма[йяе]', 'may'], ['июн', 'june|jun'], ['июл', 'july|jul'], ['август', 'august|aug'],
+    ['сентябр', 'september|sept?'], ['октябр', 'october|oct'], ['ноябр', 'november|nov'], ['декабр', 'december|dec']
+  ];
+
+  // 0 = Sunday (как Time.localParts)
+  const WEEKDAYS = [
+    ['воскресенье', 'sunday'], ['понедельник', 'monday'], ['вторник', 'tuesday'], ['среду', 'wednesday'],
+    ['четверг', 'thursday'], ['пятницу', 'friday'], ['субботу', 'saturday']
+  ];
+
+  const B = '(?<![\\p{L}\\d])';   // граница слова (\b не знает кириллицу)
+  const E = '(?![\\p{L}\\d])';
+
+  function re(source) {
+    return new RegExp(B + '(?:' + source + ')' + E, 'u');
+  }
+
+  function toNumber(token) {
+    if (token === undefined) return 1;
+    return /^\d+$/.test(token) ? Number(token) : NUMBER_WORDS[token] || 1;
+  }
+
+  function unitOf(token) {
+    const found = UNIT_PATTERNS.find(([, source]) => new RegExp('^(?:' + source + ')$', 'u').test(token));
+    return found ? found[0] : 'day';
+  }
+
+  // ─── Calendar days in the user's zone ────────────────
+
+  function shiftDay({ year, month, day }, days) {
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+  }
+
+  function dayStart(ctx, { year, month, day }) {
+    return Time.wallTimeToInstant(year, month, day, 0, 0, ctx.zone);
+  }
+
+  function days(ctx, first, count) {
+    return { from: dayStart(ctx, first), to: dayStart(ctx, shiftDay(first, count)) - 1 };
+  }
+
+  function weekOf(ctx, offsetWeeks) {
+    const monday = shiftDay(ctx.today, -((ctx.weekday + 6) % 7) + offsetWeeks * 7);
+    return days(ctx, monday, 7);
+  }
+
+  function monthOf(ctx, year, month) {
+    const first = { year, month, day: 1 };
+    const next = month === 12 ? { year: year + 1, month: 1, day: 1 } : { year, month: month + 1, day: 1 };
+    return { from: dayStart(ctx, first), to: dayStart(ctx, next) - 1 };
+  }
+
+  function monthsBack(ctx, n) {
+    const index = ctx.today.year * 12 + ctx.today.month - 1 - n;
+    return monthOf(ctx, Math.floor(index / 12), index % 12 + 1);
+  }
+
+  function yearOf(ctx, year) {
+    return { from: dayStart(ctx, { year, month: 1, day: 1 }), to: dayStart(ctx, { year: year + 1, month: 1, day: 1 }) - 1 };
+  }
+
+  // "С начала N единиц назад до сейчас"
+  function lastPeriod(ctx, n, unit) {
+    if (unit === 'week') n *= 7;
+    if (unit === 'month') return { from: monthsBackSameDay(ctx, n), to: ctx.now };
+    if (unit === 'year') return { from: monthsBackSameDay(ctx, n * 12), to: ctx.now };
+    return { from: dayStart(ctx, shiftDay(ctx.today, -n)), to: ctx.now };
+  }
+
+  function monthsBackSameDay(ctx, n) {
+    const index = ctx.today.year * 12 + ctx.today.month - 1 - n;
+    const year = Math.floor(index / 12);
+    const month = index % 12 + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return dayStart(ctx, { year, month, day: Math.min(ctx.today.day, lastDay) });
+  }
+
+  // "N единиц назад" — тот день / неделя / месяц / год целиком
+  function periodAgo(ctx, n, unit) {
+    if (unit === 'week') return weekOf(ctx, -n);
+    if (unit === 'month') return monthsBack(ctx, n);
+    if (unit === 'year') return yearOf(ctx, ctx.today.year - n);
+    return days(ctx, shiftDay(ctx.today, -n), 1);
+  }
+
+  // Ближайший прошедший день недели (сегодняшний не считается)
+  function pastWeekday(ctx, weekday) {
+    const back = (ctx.weekday - weekday + 7) % 7 || 7;
+    return days(ctx, shiftDay(ctx.today, -back), 1);
+  }
+
+  // Последний прошедший (или текущий) такой месяц
+  function pastMonth(ctx, month, year) {
+    if (year) return monthOf(ctx, year, month);
+    return monthOf(ctx, month > ctx.today.month ? ctx.today.year - 1 : ctx.today.year, month);
+  }
+
+  const RULES = [
+    // за последние 3 дня / past 2 weeks / за последнюю неделю
+    {
+      re: re(`(?:за|в\\s+течение)\\s+(?:последн(?:ие|юю|ий|ее)\\s+)?${NUMBER}?\\s*${UNIT}|(?:in\\s+|over\\s+|during\\s+)?the\\s+(?:last|past)\\s+${NUMBER}?\\s*${UNIT}|(?:last|past)\\s+${NUMBER}\\s+${UNIT}`),
+      range: (m, ctx) => {
+        const n = m[1] || m[3] || m[5];
+        const unit = m[2] || m[4] || m[6];
+        return lastPeriod(ctx, toNumber(n), unitOf(unit));
+      }
+    },
+    // 3 дня назад / неделю назад / two weeks ago
+    {
+      re: re(`${NUMBER}?\\s*${UNIT}\\s+(?:назад|ago)`),
+      range: (m, ctx) => periodAgo(ctx, toNumber(m[1]), unitOf(m[2]))
+    },
+    {
+      re: re('позавчера|(?:the\\s+)?day\\s+before\\s+yesterday'),
+      range: (m, ctx) => days(ctx, shiftDay(ctx.today, -2), 1)
+    },
+    {
+      re: re('вчера|yesterday'),
+      range: (m, ctx) => days(ctx, shiftDay(ctx.today, -1), 1)
+    },
+    {
+      re: re('сегодня|today|this\\s+(?:morning|afternoon|evening)|earlier\\s+today'),
+      range: (m, ctx) => ({ from: dayStart(ctx, ctx.today), to: ctx.now })
+    },
+    {
+      re: re('(?:на\\s+)?прошлой\\s+неделе|(?:last|previous)\\s+week'),
+      range: (m, ctx) => weekOf(ctx, -1)
+    },
+    {
+      re: re('(?:на\\s+)?этой\\s+неделе|на\\s+неделе|this\\s+week'),
+      range: (m, ctx) => ({ from: weekOf(ctx, 0).from, to: ctx.now })
+    },
+    {
+      re: re('(?:в\\s+)?прошлом\\s+месяце|(?:last|previous)\\s+month'),
+      range: (m, ctx) => monthsBack(ctx, 1)
+    },
+    {
+      re: re('(?:в\\s+)?этом\\s+месяце|this\\s+month'),
+      range: (m, ctx) => ({ from: monthsBack(ctx, 0).from, to: ctx.now })
+    },
+    {
+      re: re('(?:в\\s+)?прошлом\\s+году|last\\s+year'),
+      range: (m, ctx) => yearOf(ctx, ctx.today.year - 1)
+    },
+    {
+      re: re('(?:в\\s+)?этом\\s+году|this\\s+year'),
+      range: (m, ctx) => ({ from: yearOf(ctx, ctx.today.year).from, to: ctx.now })
+    },
+    // в марте / in March 2025
+    ...MONTHS.map(([ru, en], i) => ({
+      re: re(`(?:в|во|за)\\s+(?:${ru})[\\p{L}]*(?:\\s+(\\d{4}))?|(?:in|during)\\s+(?:${en})(?:\\s+(\\d{4}))?`),
+      range: (m, ctx) => pastMonth(ctx, i + 1, Number(m[1] || m[2]) || null)
+    })),
+    // в (прошлый) понедельник / (on | last) Monday
+    ...WEEKDAYS.map(([ru, en], weekday) => ({
+      re: re(`(?:в|во)\\s+(?:прошл(?:ый|ую|ое)\\s+)?(?:${ru})|(?:on|last)\\s+${en}`),
+      range: (m, ctx) => pastWeekday(ctx, weekday)
+    })),
+    {
+      re: re('недавно|на\\s+днях|recently|lately|the\\s+other\\s+day'),
+      range: (m, ctx) => lastPeriod(ctx, 7, 'day')
+    }
+  ];
+
+  /**
+   * Find a past time range in a memory query
+   * @param {string} query
+   * @param {Object} options - { timeZone, now }
+   * @returns {{from: number, to: number, label: string, text: string}|null}
+   *   from/to — ms (включительно); text — запрос без временной фразы
+   */
+  function parseTimeScope(query, options = {}) {
+    if (!query) return null;
+
+    const now = options.now !== undefined ? new Date(options.now).getTime() : Date.now();
+    const zone = Time.normalizeTimeZone(options.timeZone || Time.deviceTimeZone());
+    const parts = Time.localParts(now, zone);
+    const ctx = {
+      now,
+      zone,
+      today: { year: parts.year, month: parts.month, day: parts.day },
+      weekday: parts.weekday
+    };
+
+    const text = String(query).toLowerCase().replace(/ё/g, 'е');
+
+    for (const rule of RULES) {
+      const m = text.match(rule.re);
+      if (!m) continue;
+
+      const { from, to } = rule.range(m, ctx);
+      const rest = (String(query).slice(0, m.index) + ' ' + String(query).slice(m.index + m[0].length))
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([?!.,])/g, '$1')
+        .trim();
+
+      return { from, to: Math.min(to, now), label: m[0], text: rest };
+    }
+
+    return null;
+  }
+
+  return {
+    VERSION,
+    DEFAULTS,
+    fuse,
+    mmr,
+    parseTimeScope
+  };
+});
@@ -0,0 +1,314 @@
+// ============================================================
+// vector-index-worker.js — HNSW + BM25 индексы памяти в Web Worker
+// Version: 1.1
+//
+// Граф (hnsw-index.js) строится, обновляется и опрашивается здесь,
+// main thread только шлёт сообщения. Индекс хранится в своей базе
+// IndexedDB 'droplit_memory_index' и сохраняется инкрементально:
+// после add / delete пишутся только изменённые узлы.
+// Индекс один — для текущей модели эмбеддингов; open() другой модели
+// сбрасывает старый (векторы разных моделей не смешиваются).
+// v1.1: рядом с графом — BM25 по тексту тех же записей (bm25-index.js),
+//       store 'terms'; ключевой поиск — сообщение 'keyword'.
+//
+// Протокол: postMessage({ id, type, payload }) → response({ id, type, payload })
+// Типы: open, sync, add, delete, search, keyword, clear, stats
+//
+// Расположение: js/memory/vector-index-worker.js
+// ============================================================
+
+importScripts('/js/memory/hnsw-index.js', '/js/memory/bm25-index.js');
+
+const DB_NAME = 'droplit_memory_index';
+const DB_VERSION = 2;
+
+let db = null;
+let index = null;
+let keywords = null;
+let model = null;
+
+// Сообщения обрабатываются строго по очереди: add во время open не должен
+// попасть в индекс, который ещё грузится
+let queue = Promise.resolve();
+
+// ─── MESSAGE HANDLER ─────────────────────────────────────
+
+self.onmessage = (event) => {
+  queue = queue.then(() => handleMessage(event.data));
+};
+
+async function handleMessage({ id, type, payload = {} }) {
+  try {
+    switch (type) {
+      case 'open':
+        respond(id, 'opened', await handleOpen(payload));
+        break;
+
+      case 'sync':
+        respond(id, 'synced', await handleSync(payload));
+        break;
+
+      case 'add':
+        respond(id, 'added', await handleAdd(payload));
+        break;
+
+      case 'delete':
+        respond(id, 'deleted', await handleDelete(payload));
+        break;
+
+      case 'search':
+        respond(id, 'results', handleSearch(payload));
+        break;
+
+      case 'keyword':
+        respond(id, 'results', handleKeyword(payload));
+        break;
+
+      case 'clear':
+        respond(id, 'cleared', await handleClear());
+        break;
+
+      case 'stats':
+        respond(id, 'stats', {
+          model,
+          count: index ? index.size : 0,
+          maxLevel: index ? index.maxLevel : -1,
+          bytes: index ? index.estimateBytes() : 0,
+          keywordDocs: keywords ? keywords.size : 0,
+          keywordTerms: keywords ? keywords.postings.size : 0,
+          keywordBytes: keywords ? keywords.estimateBytes() : 0
+        });
+        break;
+
+      default:
+        respond(id, 'error', { message: `Unknown message type: ${type}` });
+    }
+  } catch (error) {
+    respond(id, 'error', { message: error.message, stack: error.stack });
+  }
+}
+
+// ─── OPEN: load persisted index for a model ──────────────
+
+async function handleOpen({ model: requested }) {
+  if (!requested) throw new Error('No model provided');
+  if (index && model === requested) {
+    return { model, count: index.size, cached: true };
+  }
+
+  const startTime = Date.now();
+  await openDB();
+
+  const meta = await dbGet('meta', 'index');
+
+  if (meta && meta.model === requested) {
+    const nodes = await dbGetAll('nodes');
+    index = DropLitHNSW.HNSWIndex.fromSnapshot(meta, nodes);
+    keywords = DropLitBM25.BM25Index.fromDocs(await dbGetAll('terms'));
+  } else {
+    // Индекс другой модели (или его нет) — начинаем с нуля
+    await dbClear('nodes');
+    await dbClear('terms');
+    index = new DropLitHNSW.HNSWIndex();
+    keywords = new DropLitBM25.BM25Index();
+    await dbPut('meta', { key: 'index', model: requested, ...index.exportMeta() });
+  }
+
+  model = requested;
+  index.takeChanges();
+  keywords.takeChanges();
+
+  const elapsed = Date.now() - startTime;
+  return { model, count: index.size, elapsed };
+}
+
+// ─── SYNC: reconcile with the ids in VectorStore ─────────
+
+/**
+ * @param {Object} payload - { model, ids } — все id этой модели в хранилище
+ * @returns {{missing: Array<string>, missingText: Array<string>, extra: Array<string>}}
+ *   missing — нет в графе; missingText — в графе есть, в BM25 нет (индекс v1.0);
+ *   extra — нет в списке. extra не удаляем сами:
+ *   запись могла появиться после снимка ids — решает VectorStore
+ */
+async function handleSync({ model: requested, ids }) {
+  await handleOpen({ model: requested });
+
+  const wanted = new Set(ids.map(String));
+  const missing = [];
+  const missingText = [];
+  for (const id of wanted) {
+    if (!index.has(id)) missing.push(id);
+    else if (!keywords.has(id)) missingText.push(id);
+  }
+  const extra = [...new Set([...index.idToSlot.keys(), ...keywords.idToSlot.keys()])]
+    .filter(id => !wanted.has(id));
+
+  return { missing, missingText, extra };
+}
+
+// ─── ADD / DELETE ────────────────────────────────────────
+
+/**
+ * @param {Object} payload - { model, items: [{ id, q: Int8Array, scale, text, textOnly }] }
+ *   textOnly — вектор уже в графе, добавить только текст в BM25
+ */
+async function handleAdd({ model: itemsModel, items = [] }) {
+  // Векторы не той модели в этот индекс не попадают
+  if (!index || itemsModel !== model) {
+    return { added: 0, skipped: items.length };
+  }
+
+  for (const item of items) {
+    if (!item.textOnly) index.add(item.id, { q: item.q, scale: item.scale });
+    keywords.add(item.id, item.text || '');
+  }
+  await persist();
+
+  return { added: items.length, count: index.size };
+}
+
+async function handleDelete({ ids = [] }) {
+  if (!index) return { deleted: 0 };
+
+  const deleted = Math.max(index.delete(ids), keywords.delete(ids));
+  if (deleted > 0) await persist();
+
+  return { deleted, count: index.size };
+}
+
+// ─── SEARCH ──────────────────────────────────────────────
+
+function handleSearch({ model: queryModel, vector, k = 10, ef }) {
+  if (!index || queryModel !== model) {
+    throw new Error('Index not open for model ' + queryModel);
+  }
+
+  const startTime = performance.now();
+  const results = index.search(vector, k, ef);
+  const elapsed = performance.now() - startTime;
+
+  return { results, elapsed };
+}
+
+/**
+ * BM25 по тексту записей индекса
+ * @returns {{results: Array<{id, score}>, elapsed: number}}
+ */
+function handleKeyword({ model: queryModel, text, k = 10 }) {
+  if (!keywords || queryModel !== model) {
+    throw new Error('Index not open for model ' + queryModel);
+  }
+
+  const startTime = performance.now();
+  const results = keywords.search(text, k);
+  const elapsed = performance.now() - startTime;
+
+  return { results, elapsed };
+}
+
+// ─── CLEAR ───────────────────────────────────────────────
+
+async function handleClear() {
+  if (index) {
+    index.clear();
+    index.takeChanges();
+  }
+  if (keywords) {
+    keywords.clear();
+    keywords.takeChanges();
+  }
+  await openDB();
+  await dbClear('nodes');
+  await dbClear('terms');
+  if (model) {
+    await dbPut('meta', { key: 'index', model, ...index.exportMeta() });
+  }
+  return { count: 0 };
+}
+
+// ─── PERSISTENCE ─────────────────────────────────────────
+
+/**
+ * Write nodes and term docs changed since the last persist() + meta, in one transaction
+ */
+function persist() {
+  const { nodes, removed, meta } = index.takeChanges();
+  const text = keywords.takeChanges();
+  if (nodes.length === 0 && removed.length === 0 && text.docs.length === 0 && text.removed.length === 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['nodes', 'terms', 'meta'], 'readwrite');
+    const nodeStore = tx.objectStore('nodes');
+    for (const id of removed) nodeStore.delete(id);
+    for (const node of nodes) nodeStore.put(node);
+    const termStore = tx.objectStore('terms');
+    for (const id of text.removed) termStore.delete(id);
+    for (const doc of text.docs) termStore.put(doc);
+    tx.objectStore('meta').put({ key: 'index', model, ...meta });
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+function openDB() {
+  if (db) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (e) => {
+      const database = e.target.result;
+      if (!database.objectStoreNames.contains('nodes')) {
+        database.createObjectStore('nodes', { keyPath: 'id' });
+      }
+      if (!database.objectStoreNames.contains('meta')) {
+        database.createObjectStore('meta', { keyPath: 'key' });
+      }
+      // v2: документы BM25; для графа v1 их догрузит sync (missingText)
+      if (!database.objectStoreNames.contains('terms')) {
+        database.createObjectStore('terms', { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = (e) => {
+      db = e.target.result;
+      resolve();
+    };
+
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+function dbRequest(storeName, mode, action) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+function dbGet(storeName, key) {
+  return dbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function dbGetAll(storeName) {
+  return dbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function dbPut(storeName, value) {
+  return dbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function dbClear(storeName) {
+  return dbRequest(storeName, 'readwrite', store => store.clear());
+}
+
+// ─── MESSAGING HELPERS ───────────────────────────────────
+
+function respond(id, type, payload) {
+  self.postMessage({ id, type, payload });
+}
@@ -0,0 +1,150 @@
+// ============================================================
+// vector-index.js — Proxy to the HNSW + BM25 index Web Worker
+// Version: 1.1
+//
+// Тонкая обёртка над vector-index-worker.js: тот же протокол
+// { id, type, payload }, что и у embedding-engine.js.
+// Граф строится и опрашивается в воркере — main thread не считает косинусы.
+// v1.1: keyword() — BM25 по тексту тех же записей.
+// Используется VectorStore; он же решает, когда индекс синхронизирован.
+//
+// Расположение: js/memory/vector-index.js
+// Зависимости: vector-index-worker.js (loaded as Web Worker, imports hnsw-index.js)
+// ============================================================
+
+class VectorIndex {
+  constructor() {
+    this.worker = null;
+    this._pendingRequests = new Map(); // id → { resolve, reject }
+    this._nextId = 1;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof indexedDB !== 'undefined';
+  }
+
+  // ─── ОПЕРАЦИИ ──────────────────────────────────────────
+
+  /**
+   * Загрузить индекс модели (или начать новый)
+   * @returns {Promise<{model, count}>}
+   */
+  open(model) {
+    // Загрузка 100k узлов из IndexedDB — не мгновенная
+    return this._sendRequest('open', { model }, 120000);
+  }
+
+  /**
+   * Сверить индекс с хранилищем
+   * @param {Array<string>} ids - все id этой модели в VectorStore
+   * @returns {Promise<{missing: Array<string>, missingText: Array<string>, extra: Array<string>}>}
+   */
+  sync(model, ids) {
+    return this._sendRequest('sync', { model, ids }, 300000);
+  }
+
+  /**
+   * @param {Array} items - [{ id, q: Int8Array, scale, text }]
+   */
+  add(model, items) {
+    return this._sendRequest('add', { model, items }, 300000);
+  }
+
+  delete(ids) {
+    return this._sendRequest('delete', { ids }, 300000);
+  }
+
+  /**
+   * @returns {Promise<{results: Array<{id, similarity}>, elapsed: number}>}
+   */
+  search(model, vector, k = 10, ef = undefined) {
+    return this._sendRequest('search', { model, vector, k, ef });
+  }
+
+  /**
+   * @returns {Promise<{results: Array<{id, score}>, elapsed: number}>}
+   */
+  keyword(model, text, k = 10) {
+    return this._sendRequest('keyword', { model, text, k });
+  }
+
+  clear() {
+    return this._sendRequest('clear', {});
+  }
+
+  stats() {
+    return this._sendRequest('stats', {});
+  }
+
+  destroy() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    for (const pending of this._pendingRequests.values()) {
+      pending.reject(new Error('VectorIndex stopped'));
+    }
+    this._pendingRequests.clear();
+  }
+
+  // ─── WORKER ────────────────────────────────────────────
+
+  _ensureWorker() {
+    if (this.worker) return;
+
+    this.worker = new Worker('/js/memory/vector-index-worker.js');
+
+    this.worker.onmessage = (event) => {
+      const { id, type, payload } = event.data;
+      const pending = this._pendingRequests.get(id);
+      if (!pending) return;
+
+      this._pendingRequests.delete(id);
+      if (type === 'error') {
+        pending.reject(new Error(payload.message));
+      } else {
+        pending.resolve(payload);
+      }
+    };
+
+    this.worker.onerror = (error) => {
+      console.error('[VectorIndex] Worker error:', error.message);
+      this.destroy();
+    };
+  }
+
+  _sendRequest(type, payload, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      try {
+        this._ensureWorker();
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const id = this._nextId++;
+      const timer = setTimeout(() => {
+        this._pendingRequests.delete(id);
+        reject(new Error(`Index request timeout (${type})`));
+      }, timeout);
+
+      this._pendingRequests.set(id, {
+        resolve: (data) => {
+          clearTimeout(timer);
+          resolve(data);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+}
+
+// Экспорт
+if (typeof window !== 'undefined') {
+  window.VectorIndex = VectorIndex;
+}
@@ -1,20 +1,36 @@
 // ============================================================
 // vector-store.js — IndexedDB хранилище для ASKI Infinite Memory
-// Version: 1.0
+// Version: 1.5
 //
 // Хранит эмбеддинги сообщений чата в IndexedDB.
-// Выполняет cosine similarity поиск по всем векторам.
+// v1.1: у каждой записи есть model — поиск сравнивает только
+//       векторы той же модели, getStale() отдаёт записи на переиндексацию.
+// v1.2: векторы хранятся int8 (vector: Int8Array + scale), поиск идёт
+//       через HNSW индекс в воркере (vector-index.js). Пока индекс
+//       не синхронизирован или воркеров нет — полный перебор, как раньше.
+// v1.3: hybridSearch() — векторы + BM25 (воркер), RRF, MMR; фильтр
+//       по периоду (from / to) для запросов вроде "что я говорил вчера".
+// v1.4: tier: 'summary' — эпизоды от memory-consolidator.js; getOldestRaw(),
+//       deleteMany(); pruneOldest() summary не трогает.
+// v1.5: Memory Inspector — list(), update(); pinned: true — запись
+//       не сворачивается в эпизод и не удаляется pruneOldest().
 //
 // Расположение: js/memory/vector-store.js
+// Зависимости: hnsw-index.js (quantize), bm25-index.js, retrieval.js, vector-index.js
 // ============================================================
 
 class VectorStore {
   constructor() {
     this.dbName = 'droplit_memory';
-    this.dbVersion = 1;
+    this.dbVersion = 2;
     this.storeName = 'chat_vectors';
     this.metaStoreName = 'memory_meta';
     this.db = null;
+
+    // HNSW индекс (в воркере); null — только полный перебор
+    this.index = typeof VectorIndex !== 'undefined' && VectorIndex.isSupported() ? new VectorIndex() : null;
+    this.indexModel = null;   // для какой модели открыт индекс
+    this.indexReady = false;  // индекс содержит все записи indexModel
   }
 
   // ─── ИНИЦИАЛИЗАЦИЯ ─────────────────────────────────────
@@ -34,7 +50,19 @@ class VectorStore {
           store.createIndex('timestamp', 'timestamp', { unique: false });
           store.createIndex('sessionId', 'sessionId', { unique: false });
           store.createIndex('role', 'role', { unique: false });
+          store.createIndex('model', 'model', { unique: false });
           console.log('[VectorStore] Created chat_vectors store');
+        } else if (e.oldVersion < 2) {
+          // v1 → v2: индекс по модели, float-векторы → int8
+          const store = e.target.transaction.objectStore(this.storeName);
+          store.createIndex('model', 'model', { unique: false });
+          store.openCursor().onsuccess = (ev) => {
+            const cursor = ev.target.result;
+            if (!cursor) return;
+            cursor.update(this._prepare({ ...cursor.value, model: this._entryModel(cursor.value) }));
+            cursor.continue();
+          };
+          console.log('[VectorStore] Migrated chat_vectors to v2 (int8 + model index)');
         }
 
         // Мета-данные (статистика, версия модели и т.д.)
@@ -61,18 +89,21 @@ class VectorStore {
 
   /**
    * Добавить один вектор
-   * @param {Object} entry - { id, text, role, vector, timestamp, sessionId, metadata }
+   * @param {Object} entry - { id, text, role, vector, model, timestamp, sessionId, tier, metadata }
    */
   async add(entry) {
     await this._ensureOpen();
+    const record = this._prepare(entry);
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const tx = this.db.transaction(this.storeName, 'readwrite');
       const store = tx.objectStore(this.storeName);
-      store.put(entry);
+      store.put(record);
       tx.oncomplete = () => resolve();
       tx.onerror = (e) => reject(e.target.error);
     });
+
+    this._indexAdd([record]);
   }
 
   /**
@@ -82,16 +113,19 @@ class VectorStore {
   async addBatch(entries) {
     if (!entries || entries.length === 0) return;
     await this._ensureOpen();
+    const records = entries.map(entry => this._prepare(entry));
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const tx = this.db.transaction(this.storeName, 'readwrite');
       const store = tx.objectStore(this.storeName);
-      for (const entry of entries) {
-        store.put(entry);
+      for (const record of records) {
+        store.put(record);
       }
       tx.oncomplete = () => resolve();
       tx.onerror = (e) => reject(e.target.error);
     });
+
+    this._indexAdd(records);
   }
 
   // ─── ПОИСК ─────────────────────────────────────────────
@@ -99,20 +133,214 @@ class VectorStore {
   /**
    * Семантический поиск по cosine similarity
    * @param {Array<number>} queryVector - эмбеддинг запроса [384]
-   * @param {Object} options - настройки поиска
+   * @param {Object} options - { topK, threshold, roleFilter, maxAge, excludeSessionId, from, to, model }; model обязателен
    * @returns {Array} - отсортированные результаты
    */
   async search(queryVector, options = {}) {
+    const { model = null } = options;
+
+    // Векторы разных моделей живут в разных пространствах — сравнивать их нельзя
+    if (!model) throw new Error('VectorStore.search: model is required');
+
+    await this._ensureOpen();
+
+    const hits = await this._vectorHits(queryVector, options);
+    return hits.map(hit => this._toResult(hit.entry, hit.similarity, model));
+  }
+
+  /**
+   * Гибридный поиск: векторы + BM25 → RRF → MMR.
+   * С диапазоном дат (from / to) небольшой период ранжируется целиком,
+   * без порога похожести, с учётом свежести.
+   * @param {Array<number>} queryVector - эмбеддинг запроса
+   * @param {string} queryText - текст запроса (для BM25)
+   * @param {Object} options - { model, topK, threshold, from, to, candidates, lambda }
+   * @returns {Array} - результаты search() + relevance (0..1) и matchedBy
+   */
+  async hybridSearch(queryVector, queryText, options = {}) {
     const {
       topK = 10,
-      threshold = 0.3,
-      roleFilter = null,
-      maxAge = null,
-      excludeSessionId = null
+      model = null,
+      from = null,
+      to = null,
+      candidates = 30,
+      lambda = undefined
     } = options;
 
+    if (!model) throw new Error('VectorStore.hybridSearch: model is required');
+
     await this._ensureOpen();
 
+    const scoped = from !== null || to !== null;
+    const { pool, lists } = scoped && await this._countRange(from, to) <= VectorStore.RANGE_SCAN_LIMIT
+      ? await this._rangeCandidates(queryVector, queryText, { ...options, candidates })
+      : await this._globalCandidates(queryVector, queryText, { ...options, candidates });
+
+    const fused = DropLitRetrieval.fuse(lists, { weights: VectorStore.HYBRID_WEIGHTS }).slice(0, candidates);
+    if (fused.length === 0) return [];
+
+    const selected = DropLitRetrieval.mmr(fused, {
+      topK,
+      lambda,
+      similarity: (a, b) => this._cosineSimilarity(pool.get(a.id).entry.vector, pool.get(b.id).entry.vector)
+    });
+
+    const topScore = fused[0].score;
+    return selected.map(f => {
+      const { entry, similarity } = pool.get(f.id);
+      return {
+        ...this._toResult(entry, similarity, model),
+        relevance: f.score / topScore,
+        matchedBy: Object.keys(f.ranks)
+      };
+    });
+  }
+
+  /**
+   * Кандидаты по всей памяти: HNSW (или перебор) + BM25 из воркера
+   */
+  async _globalCandidates(queryVector, queryText, options) {
+    const { candidates } = options;
+    const pool = new Map();
+
+    const vectorHits = await this._vectorHits(queryVector, { ...options, topK: candidates });
+    vectorHits.forEach(hit => pool.set(hit.entry.id, hit));
+
+    const keywordHits = await this._keywordHits(queryText, { ...options, topK: candidates });
+    for (const hit of keywordHits) {
+      if (!pool.has(hit.entry.id)) {
+        pool.set(hit.entry.id, { entry: hit.entry, similarity: this._cosineSimilarity(queryVector, hit.entry.vector) });
+      }
+    }
+
+    return {
+      pool,
+      lists: {
+        vector: vectorHits.map(hit => ({ id: hit.entry.id })),
+        keyword: keywordHits.map(hit => ({ id: hit.entry.id }))
+      }
+    };
+  }
+
+  /**
+   * Кандидаты из периода целиком: похожесть без порога, BM25 по периоду, свежесть
+   */
+  async _rangeCandidates(queryVector, queryText, options) {
+    const { candidates, model, from, to } = options;
+    const entries = await this._recentEntries(model, from, to, VectorStore.RANGE_SCAN_LIMIT);
+    const pool = new Map();
+
+    const scored = entries
+      .filter(entry => this._matchesFilters(entry, options, Date.now()))
+      .map(entry => ({ entry, similarity: this._cosineSimilarity(queryVector, entry.vector) }));
+    scored.forEach(hit => pool.set(hit.entry.id, hit));
+
+    const keywords = new DropLitBM25.BM25Index();
+    scored.forEach(hit => keywords.add(hit.entry.id, hit.entry.text));
+
+    return {
+      pool,
+      lists: {
+        vector: [...scored].sort((a, b) => b.similarity - a.similarity).slice(0, candidates).map(hit => ({ id: hit.entry.id })),
+        keyword: this._cutWeakKeywords(keywords.search(queryText, candidates)),
+        recency: scored.slice(0, candidates).map(hit => ({ id: hit.entry.id }))
+      }
+    };
+  }
+
+  /**
+   * Векторные кандидаты: HNSW, если готов, иначе перебор
+   * @returns {Promise<Array<{entry, similarity}>>}
+   */
+  async _vectorHits(queryVector, options) {
+    if (this._ensureIndex(options.model)) {
+      try {
+        return await this._indexedSearch(queryVector, options);
+      } catch (error) {
+        console.warn('[VectorStore] Index search failed, falling back to scan:', error.message);
+      }
+    }
+
+    return this._scanSearch(queryVector, options);
+  }
+
+  /**
+   * BM25 кандидаты: из воркера, если индекс готов, иначе по последним записям
+   * @returns {Promise<Array<{entry, score}>>}
+   */
+  async _keywordHits(queryText, options) {
+    const { topK = 10, model } = options;
+    if (!queryText || DropLitBM25.tokenize(queryText).length === 0) return [];
+
+    const now = Date.now();
+
+    if (this._ensureIndex(model)) {
+      try {
+        const k = Math.max(this._hasFilters(options) ? topK * 5 : topK * 2, 50);
+        const { results } = await this.index.keyword(model, queryText, k);
+        const hits = this._cutWeakKeywords(results);
+        const entries = await this._getMany(hits.map(h => h.id));
+
+        return hits
+          .map(hit => ({ entry: entries.get(hit.id), score: hit.score }))
+          .filter(hit => hit.entry && this._matchesFilters(hit.entry, options, now))
+          .slice(0, topK);
+      } catch (error) {
+        console.warn('[VectorStore] Keyword search failed, falling back to recent scan:', error.message);
+      }
+    }
+
+    // Без воркера — BM25 по последним записям (весь архив на main thread не токенизируем)
+    const entries = (await this._recentEntries(model, options.from, options.to, VectorStore.RANGE_SCAN_LIMIT))
+      .filter(entry => this._matchesFilters(entry, options, now));
+    const keywords = new DropLitBM25.BM25Index();
+    entries.forEach(entry => keywords.add(entry.id, entry.text));
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+
+    return this._cutWeakKeywords(keywords.search(queryText, topK))
+      .map(hit => ({ entry: byId.get(hit.id), score: hit.score }));
+  }
+
+  /**
+   * Совпадение по одному частому слову — не повод попасть в контекст:
+   * оставляем хиты не слабее KEYWORD_MIN_RATIO от лучшего
+   */
+  _cutWeakKeywords(hits) {
+    if (hits.length === 0) return hits;
+    const floor = hits[0].score * VectorStore.KEYWORD_MIN_RATIO;
+    return hits.filter(hit => hit.score >= floor);
+  }
+
+  /**
+   * Поиск через HNSW: ближайшие id из воркера → записи → фильтры.
+   * С фильтрами берём кандидатов с запасом — часть отсеется.
+   */
+  async _indexedSearch(queryVector, options) {
+    const { topK = 10, threshold = 0.3, model } = options;
+
+    const k = Math.max(this._hasFilters(options) ? topK * 5 : topK * 2, 50);
+    const { results: hits } = await this.index.search(model, Array.from(queryVector), k);
+
+    const entries = await this._getMany(hits.filter(h => h.similarity >= threshold).map(h => h.id));
+    const now = Date.now();
+    const results = [];
+
+    hits.forEach(hit => {
+      const entry = entries.get(hit.id);
+      if (!entry || hit.similarity < threshold) return;
+      if (!this._matchesFilters(entry, options, now)) return;
+      results.push({ entry, similarity: hit.similarity });
+    });
+
+    return results.slice(0, topK);
+  }
+
+  /**
+   * Полный перебор курсором (fallback, пока индекс не готов)
+   */
+  async _scanSearch(queryVector, options) {
+    const { topK = 10, threshold = 0.3 } = options;
+
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction(this.storeName, 'readonly');
       const store = tx.objectStore(this.storeName);
@@ -132,20 +360,8 @@ class VectorStore {
 
         const entry = cursor.value;
 
-        // Фильтр по роли
-        if (roleFilter && entry.role !== roleFilter) {
-          cursor.continue();
-          return;
-        }
-
-        // Фильтр по возрасту
-        if (maxAge && (now - entry.timestamp) > maxAge) {
-          cursor.continue();
-          return;
-        }
-
-        // Исключить текущую сессию
-        if (excludeSessionId && entry.sessionId === excludeSessionId) {
+        // Другая модель, роль, возраст, сессия, период
+        if (!this._matchesFilters(entry, options, now)) {
           cursor.continue();
           return;
         }
@@ -154,15 +370,7 @@ class VectorStore {
         const sim = this._cosineSimilarity(queryVector, entry.vector);
 
         if (sim >= threshold) {
-          results.push({
-            id: entry.id,
-            text: entry.text,
-            role: entry.role,
-            timestamp: entry.timestamp,
-            sessionId: entry.sessionId,
-            similarity: sim,
-            metadata: entry.metadata || {}
-          });
+          results.push({ entry, similarity: sim });
         }
 
         cursor.continue();
@@ -172,6 +380,41 @@ class VectorStore {
     });
   }
 
+  /**
+   * Фильтры поиска; другая модель — ждёт переиндексации
+   */
+  _matchesFilters(entry, options, now) {
+    const { model, roleFilter = null, maxAge = null, excludeSessionId = null, from = null, to = null } = options;
+
+    if (this._entryModel(entry) !== model) return false;
+    if (roleFilter && entry.role !== roleFilter) return false;
+    if (maxAge && (now - entry.timestamp) > maxAge) return false;
+    if (excludeSessionId && entry.sessionId === excludeSessionId) return false;
+    if (from !== null && entry.timestamp < from) return false;
+    if (to !== null && entry.timestamp > to) return false;
+    return true;
+  }
+
+  _hasFilters(options) {
+    return Boolean(options.roleFilter || options.maxAge || options.excludeSessionId ||
+      (options.from !== null && options.from !== undefined) || (options.to !== null && options.to !== undefined));
+  }
+
+  _toResult(entry, similarity, model) {
+    return {
+      id: entry.id,
+      text: entry.text,
+      role: entry.role,
+      timestamp: entry.timestamp,
+      sessionId: entry.sessionId,
+      tier: entry.tier || 'raw',
+      pinned: Boolean(entry.pinned),
+      model,
+      similarity,
+      metadata: entry.metadata || {}
+    };
+  }
+
   // ─── ЧТЕНИЕ ────────────────────────────────────────────
 
   /**
@@ -189,6 +432,108 @@ class VectorStore {
     });
   }
 
+  /**
+   * Несколько записей по ID (одна транзакция)
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async _getMany(ids) {
+    await this._ensureOpen();
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, 'readonly');
+      const store = tx.objectStore(this.storeName);
+      const found = new Map();
+      for (const id of ids) {
+        store.get(id).onsuccess = (e) => {
+          if (e.target.result) found.set(id, e.target.result);
+        };
+      }
+      tx.oncomplete = () => resolve(found);
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+
+  /**
+   * Сколько записей (всех моделей) в периоде
+   */
+  async _countRange(from, to) {
+    await this._ensureOpen();
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, 'readonly');
+      const req = tx.objectStore(this.storeName).index('timestamp').count(this._timeRange(from, to));
+      req.onsuccess = () => resolve(req.result);
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+
+  /**
+   * Записи модели за период, от новых к старым
+   * @param {number|null} from - ms; null — без нижней границы
+   * @param {number|null} to - ms; null — до сейчас
+   * @param {number} limit
+   */
+  async _recentEntries(model, from = null, to = null, limit = 5000) {
+    await this._ensureOpen();
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, 'readonly');
+      const index = tx.objectStore(this.storeName).index('timestamp');
+      const entries = [];
+
+      index.openCursor(this._timeRange(from, to), 'prev').onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || entries.length >= limit) {
+          resolve(entries);
+          return;
+        }
+        if (this._entryModel(cursor.value) === model) entries.push(cursor.value);
+        cursor.continue();
+      };
+
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+
+  /**
+   * Записи всех моделей от новых к старым — для Memory Inspector
+   * @param {Object} options - { before: ms (не включая), limit, tier: 'raw' | 'summary', pinned: только закреплённые }
+   * @returns {Promise<Array>} - в формате результатов поиска, similarity: null
+   */
+  async list(options = {}) {
+    const { before = null, limit = 50, tier = null, pinned = false } = options;
+    await this._ensureOpen();
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, 'readonly');
+      const index = tx.objectStore(this.storeName).index('timestamp');
+      const range = before === null ? null : IDBKeyRange.upperBound(before, true);
+      const results = [];
+
+      index.openCursor(range, 'prev').onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+        const entry = cursor.value;
+        if ((!tier || (entry.tier || 'raw') === tier) && (!pinned || entry.pinned)) {
+          results.push(this._toResult(entry, null, this._entryModel(entry)));
+        }
+        cursor.continue();
+      };
+
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+
+  _timeRange(from, to) {
+    if (from === null && to === null) return null;
+    if (to === null) return IDBKeyRange.lowerBound(from);
+    if (from === null) return IDBKeyRange.upperBound(to);
+    return IDBKeyRange.bound(from, to);
+  }
+
   /**
    * Проверить существует ли запись
    */
@@ -197,6 +542,69 @@ class VectorStore {
     return entry !== null;
   }
 
+  /**
+   * Записи, посчитанные не этой моделью (для фоновой переиндексации)
+   * @param {string} model - текущая модель
+   * @param {number} limit - размер порции
+   * @returns {Promise<{entries: Array, total: number}>} - порция + сколько всего осталось
+   */
+  async getStale(model, limit = 16) {
+    await this._ensureOpen();
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, 'readonly');
+      const store = tx.objectStore(this.storeName);
+      const entries = [];
+      let total = 0;
+
+      store.openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) {
+          resolve({ entries, total });
+          return;
+        }
+
+        if (this._entryModel(cursor.value) !== model) {
+          total++;
+          if (entries.length < limit) entries.push(cursor.value);
+        }
+
+        cursor.continue();
+      };
+
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+
+  /**
+   * Самые старые сырые сообщения модели (для консолидации), от старых к новым
+   * @param {string} model
+   * @param {number} before - ms; только записи старше
+   * @param {number} limit
+   */
+  async getOldestRaw(model, before, limit = 3000) {
+    await this._ensureOpen();
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, 'readonly');
+      const index = tx.objectStore(this.storeName).index('timestamp');
+      const entries = [];
+
+      index.openCursor(IDBKeyRange.upperBound(before, true)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || entries.length >= limit) {
+          resolve(entries);
+          return;
+        }
+        const entry = cursor.value;
+        if (entry.tier !== 'summary' && !entry.pinned && this._entryModel(entry) === model) entries.push(entry);
+        cursor.continue();
+      };
+
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+
   // ─── СТАТИСТИКА ────────────────────────────────────────
 
   /**
@@ -234,6 +642,9 @@ class VectorStore {
         total: 0,
         byRole: { user: 0, assistant: 0 },
         sessions: new Set(),
+        byModel: {},
+        summaries: 0,
+        pinned: 0,
         oldestTimestamp: Infinity,
         newestTimestamp: 0
       };
@@ -246,6 +657,9 @@ class VectorStore {
             userMessages: stats.byRole.user,
             assistantMessages: stats.byRole.assistant,
             sessionCount: stats.sessions.size,
+            byModel: stats.byModel,
+            summaryCount: stats.summaries,
+            pinnedCount: stats.pinned,
             oldestDate: stats.oldestTimestamp === Infinity ? null : new Date(stats.oldestTimestamp),
             newestDate: stats.newestTimestamp === 0 ? null : new Date(stats.newestTimestamp)
           });
@@ -256,7 +670,11 @@ class VectorStore {
         stats.total++;
         if (entry.role === 'user') stats.byRole.user++;
         else if (entry.role === 'assistant') stats.byRole.assistant++;
+        if (entry.tier === 'summary') stats.summaries++;
+        if (entry.pinned) stats.pinned++;
         if (entry.sessionId) stats.sessions.add(entry.sessionId);
+        const model = this._entryModel(entry);
+        stats.byModel[model] = (stats.byModel[model] || 0) + 1;
         if (entry.timestamp < stats.oldestTimestamp) stats.oldestTimestamp = entry.timestamp;
         if (entry.timestamp > stats.newestTimestamp) stats.newestTimestamp = entry.timestamp;
 
@@ -270,7 +688,9 @@ class VectorStore {
   // ─── УПРАВЛЕНИЕ ЛИМИТАМИ ──────────────────────────────
 
   /**
-   * Удалить старейшие записи, если превышен лимит
+   * Удалить старейшие записи, если превышен лимит.
+   * Крайняя мера — обычно старое сворачивает MemoryConsolidator;
+   * summary-эпизоды и закреплённые записи не удаляются.
    * @param {number} keepCount - сколько записей оставить
    * @returns {number} - сколько удалено
    */
@@ -285,17 +705,20 @@ class VectorStore {
       const tx = this.db.transaction(this.storeName, 'readwrite');
       const store = tx.objectStore(this.storeName);
       const index = store.index('timestamp');
-      let deleted = 0;
+      const deletedIds = [];
 
       index.openCursor().onsuccess = (e) => {
         const cursor = e.target.result;
-        if (!cursor || deleted >= toDelete) {
-          console.log(`[VectorStore] Pruned ${deleted} old messages`);
-          resolve(deleted);
+        if (!cursor || deletedIds.length >= toDelete) {
+          console.log(`[VectorStore] Pruned ${deletedIds.length} old messages`);
+          this._indexDelete(deletedIds);
+          resolve(deletedIds.length);
           return;
         }
-        cursor.delete();
-        deleted++;
+        if (cursor.value.tier !== 'summary' && !cursor.value.pinned) {
+          deletedIds.push(cursor.primaryKey);
+          cursor.delete();
+        }
         cursor.continue();
       };
 
@@ -316,6 +739,9 @@ class VectorStore {
       tx.objectStore(this.storeName).clear();
       tx.oncomplete = () => {
         console.log('[VectorStore] Cleared all data');
+        if (this.index) {
+          this.index.clear().catch(e => console.warn('[VectorStore] Index clear failed:', e.message));
+        }
         resolve();
       };
       tx.onerror = (e) => reject(e.target.error);
@@ -331,11 +757,51 @@ class VectorStore {
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction(this.storeName, 'readwrite');
       tx.objectStore(this.storeName).delete(id);
-      tx.oncomplete = () => resolve();
+      tx.oncomplete = () => {
+        this._indexDelete([id]);
+        resolve();
+      };
       tx.onerror = (e) => reject(e.target.error);
     });
   }
 
+  /**
+   * Удалить записи по ID (одна транзакция)
+   */
+  async deleteMany(ids) {
+    if (!ids || ids.length === 0) return;
+    await this._ensureOpen();
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      for (const id of ids) store.delete(id);
+      tx.oncomplete = () => {
+        this._indexDelete(ids);
+        resolve();
+      };
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+
+  // ─── ИЗМЕНЕНИЕ ─────────────────────────────────────────
+
+  /**
+   * Изменить запись (текст + новый вектор, pinned, metadata).
+   * Индекс обновляется тем же add — старый узел заменяется.
+   * @param {string} id
+   * @param {Object} changes - поля записи; vector — Float32Array от той же модели, что model
+   * @returns {Promise<Object|null>} - обновлённая запись или null, если её нет
+   */
+  async update(id, changes) {
+    const entry = await this.get(id);
+    if (!entry) return null;
+
+    const updated = { ...entry, ...changes, metadata: { ...(entry.metadata || {}), ...(changes.metadata || {}) } };
+    await this.add(updated);
+    return updated;
+  }
+
   // ─── МЕТА-ДАННЫЕ ──────────────────────────────────────
 
   /**
@@ -366,8 +832,113 @@ class VectorStore {
     });
   }
 
+  // ─── HNSW ИНДЕКС ──────────────────────────────────────
+
+  /**
+   * Индекс готов для модели? Если открыт для другой (или не открыт) —
+   * запускает синхронизацию в фоне и возвращает false (ищем перебором).
+   */
+  _ensureIndex(model) {
+    if (!this.index) return false;
+    if (this.indexModel === model) return this.indexReady;
+
+    this._syncIndex(model);
+    return false;
+  }
+
+  /**
+   * Открыть индекс модели и догрузить в него записи, которых там нет
+   * (первый запуск, миграция, записи, добавленные без воркера)
+   */
+  async _syncIndex(model) {
+    this.indexModel = model;
+    this.indexReady = false;
+    const startTime = Date.now();
+
+    try {
+      // Сначала open: всё, что добавится дальше, воркер уже примет в индекс
+      await this.index.open(model);
+
+      const ids = await new Promise((resolve, reject) => {
+        const tx = this.db.transaction(this.storeName, 'readonly');
+        const req = tx.objectStore(this.storeName).index('model').getAllKeys(model);
+        req.onsuccess = () => resolve(req.result);
+        tx.onerror = (e) => reject(e.target.error);
+      });
+
+      const { missing, missingText = [], extra } = await this.index.sync(model, ids);
+
+      // Лишние в индексе — удаляем только то, чего правда нет в хранилище
+      if (extra.length > 0) {
+        const present = await this._getMany(extra);
+        const gone = extra.filter(id => !present.has(id));
+        if (gone.length > 0) await this.index.delete(gone);
+      }
+
+      for (let i = 0; i < missing.length && this.indexModel === model; i += 256) {
+        const entries = await this._getMany(missing.slice(i, i + 256));
+        await this.index.add(model, [...entries.values()].map(e => this._indexItem(e)));
+      }
+
+      // Граф из v1.2 без текста — догружаем только BM25
+      for (let i = 0; i < missingText.length && this.indexModel === model; i += 256) {
+        const entries = await this._getMany(missingText.slice(i, i + 256));
+        await this.index.add(model, [...entries.values()].map(e => ({ id: e.id, text: e.text, textOnly: true })));
+      }
+
+      if (this.indexModel !== model) return;
+      this.indexReady = true;
+      console.log(`[VectorStore] HNSW index ready: ${ids.length} vectors, ${missing.length} added (${Date.now() - startTime}ms)`);
+
+    } catch (error) {
+      // Без индекса работаем как раньше — полным перебором
+      console.warn('[VectorStore] HNSW index unavailable:', error.message);
+      if (this.index) this.index.destroy();
+      this.index = null;
+      this.indexReady = false;
+    }
+  }
+
+  _indexAdd(records) {
+    if (!this.index || !this.indexModel) return;
+    const items = records
+      .filter(r => this._entryModel(r) === this.indexModel)
+      .map(r => this._indexItem(r));
+    if (items.length === 0) return;
+    this.index.add(this.indexModel, items)
+      .catch(e => console.warn('[VectorStore] Index add failed:', e.message));
+  }
+
+  _indexDelete(ids) {
+    if (!this.index || !this.indexModel || ids.length === 0) return;
+    this.index.delete(ids)
+      .catch(e => console.warn('[VectorStore] Index delete failed:', e.message));
+  }
+
+  _indexItem(entry) {
+    return { id: entry.id, q: entry.vector, scale: entry.scale, text: entry.text };
+  }
+
+  /**
+   * Статистика индекса (для отладки)
+   */
+  async getIndexStats() {
+    if (!this.index) return { enabled: false };
+    const stats = await this.index.stats();
+    return { enabled: true, ready: this.indexReady, ...stats };
+  }
+
   // ─── ПРИВАТНЫЕ МЕТОДЫ ──────────────────────────────────
 
+  /**
+   * Запись для хранения: вектор → int8 (+ scale), 4× меньше места
+   */
+  _prepare(entry) {
+    if (!entry.vector || entry.vector instanceof Int8Array) return entry;
+    const { q, scale } = DropLitHNSW.quantize(entry.vector);
+    return { ...entry, vector: q, scale };
+  }
+
   /**
    * Гарантировать что БД открыта
    */
@@ -375,6 +946,13 @@ class VectorStore {
     if (!this.db) await this.open();
   }
 
+  /**
+   * Модель записи; записи до v1.1 — MiniLM
+   */
+  _entryModel(entry) {
+    return entry.model || 'Xenova/all-MiniLM-L6-v2';
+  }
+
   /**
    * Cosine similarity между двумя векторами
    * Оптимизирован для ~384 измерений
@@ -398,6 +976,12 @@ class VectorStore {
   }
 }
 
+// Гибридный поиск: период короче — ранжируем его целиком
+VectorStore.RANGE_SCAN_LIMIT = 5000;
+// Вес списков в RRF; recency — только для запросов с периодом
+VectorStore.HYBRID_WEIGHTS = { vector: 1, keyword: 1, recency: 0.5 };
+VectorStore.KEYWORD_MIN_RATIO = 0.3;
+
 // Экспорт для использования другими модулями
 if (typeof window !== 'undefined') {
   window.VectorStore = VectorStore;
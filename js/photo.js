@@ -47,7 +47,7 @@ async function ocrImageNew() {
   try {
     const response = await fetch(AI_API_URL, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: await getAIHeaders(),
       body: JSON.stringify({ action: 'ocr', image: item.image }),
     });
 
@@ -87,7 +87,7 @@ async function aiDescribeNew() {
   try {
     const response = await fetch(AI_API_URL, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: await getAIHeaders(),
       body: JSON.stringify({ action: 'describe', image: item.image }),
     });
 
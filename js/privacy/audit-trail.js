@@ -16,8 +16,15 @@
  * - Operations recorded but not content
  * - User can verify integrity locally
  * 
- * @version 1.0.0
- * @date 2026-01-09
+ * Cross-device (v1.1):
+ * - Each device keeps its own chain; entries carry the device ID
+ * - Entries are pushed to the server content-free: content hash and
+ *   metadata are folded into a single bodyHash before leaving the device
+ * - Chains of all devices are interleaved by time into one Merkle tree,
+ *   so a drop's full history can be proven with inclusion proofs
+ * 
+ * @version 1.1.0
+ * @date 2026-10-19
  */
 
 // ============================================================
@@ -44,6 +51,11 @@ const AUDIT_CONFIG = {
   // Timestamps
   enableTimestamping: false, // External timestamping (future)
   timestampService: null,
+  
+  // Cross-device sync (v1.1)
+  serverTable: 'audit_entries',
+  syncBatchSize: 500,
+  hashVersion: 2,           // v1 = legacy entries without deviceId/bodyHash
 };
 
 // ============================================================
@@ -54,6 +66,7 @@ let auditDB = null;
 let lastHash = null;
 let chainLength = 0;
 let isInitialized = false;
+let auditSyncInFlight = null;
 
 // ============================================================
 // OPERATION TYPES
@@ -252,6 +265,80 @@ async function hashContent(content) {
   return computeHash(content);
 }
 
+/**
+ * Hash of the private part of an entry (content hash + metadata)
+ * Only this digest is synced, so the server never sees either
+ * 
+ * @param {Object} entry
+ * @returns {Promise<string>}
+ */
+async function computeBodyHash(entry) {
+  return computeHash({
+    contentHash: entry.contentHash,
+    metadata: entry.metadata
+  });
+}
+
+/**
+ * Hash of an entry, by entry format version
+ * v1: local-only entries (before cross-device sync)
+ * v2: device-bound, body folded into bodyHash
+ * 
+ * @param {Object} entry
+ * @returns {Promise<string>}
+ */
+async function computeEntryHash(entry) {
+  if ((entry.hashVersion || 1) < 2) {
+    return computeHash({
+      timestamp: entry.timestamp,
+      operation: entry.operation,
+      resourceId: entry.resourceId,
+      contentHash: entry.contentHash,
+      previousHash: entry.previousHash,
+      metadata: entry.metadata
+    });
+  }
+  
+  return computeHash({
+    v: 2,
+    timestamp: entry.timestamp,
+    operation: entry.operation,
+    resourceId: entry.resourceId,
+    deviceId: entry.deviceId,
+    previousHash: entry.previousHash,
+    bodyHash: entry.bodyHash
+  });
+}
+
+/**
+ * Check a single entry's hashes
+ * Body is only checked where it is available (local entries)
+ * 
+ * @param {Object} entry
+ * @returns {Promise<string|null>} - Error message or null
+ */
+async function checkEntryHash(entry) {
+  if ((entry.hashVersion || 1) >= 2 && entry.metadata !== undefined) {
+    if (await computeBodyHash(entry) !== entry.bodyHash) {
+      return 'Body hash mismatch (tampered?)';
+    }
+  }
+  
+  if (await computeEntryHash(entry) !== entry.hash) {
+    return 'Entry hash mismatch (tampered?)';
+  }
+  
+  return null;
+}
+
+/**
+ * Device that writes this chain (DEVICE_ID from auth.js)
+ */
+function getAuditDeviceId() {
+  if (typeof DEVICE_ID !== 'undefined' && DEVICE_ID) return DEVICE_ID;
+  return localStorage.getItem('droplit_device_id') || 'unknown';
+}
+
 // ============================================================
 // LOGGING OPERATIONS
 // ============================================================
@@ -288,24 +375,23 @@ async function logOperation(operation, metadata = {}) {
     // Chain link
     previousHash: lastHash,
     
+    // Device that made the change (chains are per device)
+    deviceId: getAuditDeviceId(),
+    hashVersion: AUDIT_CONFIG.hashVersion,
+    
     // Metadata (sanitized, no sensitive data)
     metadata: sanitizeMetadata(metadata),
     
     // Computed fields (will be set below)
+    bodyHash: null,
     hash: null
     // NOTE: sequence is auto-generated by IndexedDB autoIncrement
     // Do NOT include it here — null value breaks IDB add()
   };
   
   // Compute hash of this entry (without the hash field)
-  entry.hash = await computeHash({
-    timestamp: entry.timestamp,
-    operation: entry.operation,
-    resourceId: entry.resourceId,
-    contentHash: entry.contentHash,
-    previousHash: entry.previousHash,
-    metadata: entry.metadata
-  });
+  entry.bodyHash = await computeBodyHash(entry);
+  entry.hash = await computeEntryHash(entry);
   
   // Store in IndexedDB
   return new Promise((resolve, reject) => {
@@ -355,7 +441,8 @@ function sanitizeMetadata(metadata) {
   const safeFields = [
     'count', 'size', 'duration', 'status', 'result',
     'category', 'action', 'source', 'destination',
-    'success', 'error', 'version', 'chainLength'
+    'success', 'error', 'version', 'chainLength',
+    'resolution', 'fields'
   ];
   
   const safe = {};
@@ -443,13 +530,32 @@ async function logSync(direction, count) {
   });
 }
 
+/**
+ * Log sync conflict resolution
+ * 
+ * @param {string|number} dropId 
+ * @param {string} resolution - 'manual_local', 'manual_remote', 'manual_both',
+ *                              'union', 'auto_local', 'auto_remote', 'edit_wins_over_delete'
+ * @param {Array<string>} fields - Conflicting fields
+ * @returns {Promise<Object>}
+ */
+async function logSyncConflict(dropId, resolution, fields = []) {
+  return logOperation(OPERATION_TYPES.SYNC_CONFLICT, {
+    resourceId: String(dropId),
+    resourceType: 'drop',
+    resolution,
+    fields
+  });
+}
+
 /**
  * Log key operation
  * 
  * @param {string} action - 'generate', 'rotate', 'import', 'export'
+ * @param {Object} [details] - Safe extras, e.g. { count, version, status }
  * @returns {Promise<Object>}
  */
-async function logKeyOperation(action) {
+async function logKeyOperation(action, details = {}) {
   const opMap = {
     'generate': OPERATION_TYPES.KEY_GENERATE,
     'rotate': OPERATION_TYPES.KEY_ROTATE,
@@ -458,6 +564,7 @@ async function logKeyOperation(action) {
   };
   
   return logOperation(opMap[action] || OPERATION_TYPES.KEY_GENERATE, {
+    ...details,
     action
   });
 }
@@ -484,87 +591,73 @@ async function logDataExport(format, count) {
  * Verify the integrity of the entire audit chain
  * Checks that no entries have been tampered with
  * 
- * @returns {Promise<Object>} - { valid, errors, entriesChecked }
+ * @param {Object} [options]
+ * @param {boolean} [options.allDevices] - Merge chains of all devices (server)
+ * @param {string|number} [options.dropId] - Prove this drop's history (implies allDevices)
+ * @returns {Promise<Object>} - { valid, errors, entriesChecked } (+ cross-device report)
  */
-async function verifyChainIntegrity() {
+async function verifyChainIntegrity(options = {}) {
+  if (options.allDevices || options.dropId !== undefined) {
+    return verifyAcrossDevices(options);
+  }
+  
   console.log('[Audit] Verifying chain integrity...');
   
-  return new Promise((resolve) => {
-    const tx = auditDB.transaction(AUDIT_CONFIG.storeName, 'readonly');
-    const store = tx.objectStore(AUDIT_CONFIG.storeName);
-    const request = store.openCursor();
-    
-    let previousHash = AUDIT_CONFIG.genesisHash;
-    let entriesChecked = 0;
-    const errors = [];
+  let entries;
+  try {
+    // Read first, hash after: awaiting crypto inside a cursor closes the transaction
+    entries = await getAllAuditEntries();
+  } catch (e) {
+    return { valid: false, errors: [{ error: 'Database error' }], entriesChecked: 0 };
+  }
+  
+  let previousHash = AUDIT_CONFIG.genesisHash;
+  const errors = [];
+  
+  for (const entry of entries) {
+    // Check 1: Previous hash matches
+    if (entry.previousHash !== previousHash) {
+      errors.push({
+        sequence: entry.sequence,
+        error: 'Previous hash mismatch',
+        expected: previousHash,
+        actual: entry.previousHash
+      });
+    }
     
-    request.onsuccess = async (event) => {
-      const cursor = event.target.result;
-      
-      if (cursor) {
-        const entry = cursor.value;
-        entriesChecked++;
-        
-        // Check 1: Previous hash matches
-        if (entry.previousHash !== previousHash) {
-          errors.push({
-            sequence: entry.sequence,
-            error: 'Previous hash mismatch',
-            expected: previousHash,
-            actual: entry.previousHash
-          });
-        }
-        
-        // Check 2: Entry hash is valid
-        const computedHash = await computeHash({
-          timestamp: entry.timestamp,
-          operation: entry.operation,
-          resourceId: entry.resourceId,
-          contentHash: entry.contentHash,
-          previousHash: entry.previousHash,
-          metadata: entry.metadata
-        });
-        
-        if (computedHash !== entry.hash) {
-          errors.push({
-            sequence: entry.sequence,
-            error: 'Entry hash mismatch (tampered?)',
-            expected: computedHash,
-            actual: entry.hash
-          });
-        }
-        
-        previousHash = entry.hash;
-        cursor.continue();
-        
-      } else {
-        // Done
-        const valid = errors.length === 0;
-        
-        if (valid) {
-          console.log(`[Audit] Chain verified: ${entriesChecked} entries OK`);
-        } else {
-          console.error(`[Audit] Chain verification FAILED: ${errors.length} errors`);
-        }
-        
-        // Log verification only when chain is valid
-        // (when invalid, initAuditTrail will clear DB — logging here causes race condition)
-        if (valid) {
-          logOperation(OPERATION_TYPES.SYSTEM_VERIFY, {
-            entriesChecked,
-            errorsFound: 0,
-            result: 'valid'
-          });
-        }
-        
-        resolve({ valid, errors, entriesChecked });
-      }
-    };
+    // Check 2: Entry hash is valid
+    const hashError = await checkEntryHash(entry);
+    if (hashError) {
+      errors.push({
+        sequence: entry.sequence,
+        error: hashError,
+        actual: entry.hash
+      });
+    }
     
-    request.onerror = () => {
-      resolve({ valid: false, errors: [{ error: 'Database error' }], entriesChecked: 0 });
-    };
-  });
+    previousHash = entry.hash;
+  }
+  
+  const entriesChecked = entries.length;
+  const valid = errors.length === 0;
+  
+  if (valid) {
+    console.log(`[Audit] Chain verified: ${entriesChecked} entries OK`);
+  } else {
+    console.error(`[Audit] Chain verification FAILED: ${errors.length} errors`);
+  }
+  
+  // Log verification only when chain is valid
+  // (when invalid, initAuditTrail will clear DB — logging here causes race condition)
+  if (valid) {
+    logOperation(OPERATION_TYPES.SYSTEM_VERIFY, {
+      entriesChecked,
+      errorsFound: 0,
+      result: 'valid'
+    });
+  }
+  
+  return { valid, errors, entriesChecked };
 }
 
 /**
@@ -589,16 +682,8 @@ async function verifyDropHistory(dropId) {
       // Verify each entry's hash
       let allValid = true;
       for (const entry of entries) {
-        const computedHash = await computeHash({
-          timestamp: entry.timestamp,
-          operation: entry.operation,
-          resourceId: entry.resourceId,
-          contentHash: entry.contentHash,
-          previousHash: entry.previousHash,
-          metadata: entry.metadata
-        });
-        
-        if (computedHash !== entry.hash) {
+        entry.deviceId = entry.deviceId || getAuditDeviceId();
+        if (await checkEntryHash(entry)) {
           allValid = false;
           break;
         }
@@ -620,10 +705,499 @@ async function verifyDropHistory(dropId) {
   });
 }
 
+// ============================================================
+// CROSS-DEVICE SYNC
+// ============================================================
+
+/**
+ * SQL for Supabase: content-free audit entries of all devices
+ * Run this in Supabase SQL editor
+ * Append-only: no UPDATE/DELETE policies
+ */
+const AUDIT_SCHEMA = `
+CREATE TABLE IF NOT EXISTS audit_entries (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  device_id TEXT NOT NULL,
+  sequence BIGINT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  operation TEXT NOT NULL,
+  resource_id TEXT,
+  body_hash TEXT NOT NULL,
+  previous_hash TEXT NOT NULL,
+  hash TEXT NOT NULL,
+  hash_version INT NOT NULL DEFAULT 2,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  CONSTRAINT unique_device_sequence UNIQUE (user_id, device_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_entries_resource
+ON audit_entries (user_id, resource_id);
+
+ALTER TABLE audit_entries ENABLE ROW LEVEL SECURITY;
+CREATE POLICY audit_entries_read ON audit_entries
+  FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY audit_entries_append ON audit_entries
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+`;
+
+function getAuditClient() {
+  const client = (typeof supabaseClient !== 'undefined' && supabaseClient) || window._supabaseClient;
+  const user = typeof currentUser !== 'undefined' ? currentUser : null;
+  return client && user ? { client, userId: user.id } : null;
+}
+
+/**
+ * Local entry → server row (no content hash, no metadata)
+ */
+function entryToServerRow(entry, userId) {
+  return {
+    user_id: userId,
+    device_id: entry.deviceId,
+    sequence: entry.sequence,
+    timestamp: entry.timestamp,
+    operation: entry.operation,
+    resource_id: entry.resourceId,
+    body_hash: entry.bodyHash,
+    previous_hash: entry.previousHash,
+    hash: entry.hash,
+    hash_version: entry.hashVersion
+  };
+}
+
+function serverRowToEntry(row) {
+  return {
+    deviceId: row.device_id,
+    sequence: Number(row.sequence),
+    timestamp: Number(row.timestamp),
+    isoTimestamp: new Date(Number(row.timestamp)).toISOString(),
+    operation: row.operation,
+    resourceId: row.resource_id,
+    bodyHash: row.body_hash,
+    previousHash: row.previous_hash,
+    hash: row.hash,
+    hashVersion: row.hash_version
+  };
+}
+
+/**
+ * Push new local entries to the server
+ * Legacy v1 entries stay on the device (their hash covers content hash)
+ * 
+ * @returns {Promise<{pushed: number}>}
+ */
+async function syncAuditToServer() {
+  if (auditSyncInFlight) return auditSyncInFlight;
+  
+  auditSyncInFlight = (async () => {
+    const conn = getAuditClient();
+    if (!auditDB || !conn) return { pushed: 0 };
+    
+    const deviceId = getAuditDeviceId();
+    const pushedKey = 'droplit_audit_pushed_' + conn.userId;
+    const pushedSeq = Number(localStorage.getItem(pushedKey) || 0);
+    
+    const entries = await getAllAuditEntries(IDBKeyRange.lowerBound(pushedSeq, true));
+    const rows = entries
+      .filter(e => (e.hashVersion || 1) >= 2 && e.deviceId === deviceId)
+      .map(e => entryToServerRow(e, conn.userId));
+    
+    for (let i = 0; i < rows.length; i += AUDIT_CONFIG.syncBatchSize) {
+      const batch = rows.slice(i, i + AUDIT_CONFIG.syncBatchSize);
+      const { error } = await conn.client
+        .from(AUDIT_CONFIG.serverTable)
+        .upsert(batch, { onConflict: 'user_id,device_id,sequence', ignoreDuplicates: true });
+      if (error) throw error;
+      localStorage.setItem(pushedKey, String(batch[batch.length - 1].sequence));
+    }
+    
+    if (entries.length > 0) {
+      localStorage.setItem(pushedKey, String(entries[entries.length - 1].sequence));
+    }
+    if (rows.length > 0) {
+      console.log(`[Audit] Pushed ${rows.length} entries`);
+    }
+    return { pushed: rows.length };
+  })();
+  
+  try {
+    return await auditSyncInFlight;
+  } finally {
+    auditSyncInFlight = null;
+  }
+}
+
+/**
+ * All audit entries of the user from the server (every device)
+ * 
+ * @returns {Promise<Array>}
+ */
+async function fetchServerAuditEntries() {
+  const conn = getAuditClient();
+  if (!conn) return [];
+  
+  const pageSize = 1000;
+  const entries = [];
+  
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await conn.client
+      .from(AUDIT_CONFIG.serverTable)
+      .select('device_id, sequence, timestamp, operation, resource_id, body_hash, previous_hash, hash, hash_version')
+      .eq('user_id', conn.userId)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+    
+    if (error) throw error;
+    entries.push(...data.map(serverRowToEntry));
+    if (data.length < pageSize) break;
+  }
+  
+  return entries;
+}
+
+// ============================================================
+// MERKLE TREE (all devices)
+// ============================================================
+
+/**
+ * Build Merkle tree levels over entry hashes
+ * Leaf/node prefixes keep a leaf from being passed off as a node
+ * Odd node at the end of a level is promoted unchanged
+ * 
+ * @param {Array<string>} entryHashes - In merged order
+ * @returns {Promise<Array<Array<string>>>} - levels[0] = leaves, last = [root]
+ */
+async function buildMerkleTree(entryHashes) {
+  if (entryHashes.length === 0) return [[]];
+  
+  const levels = [await Promise.all(entryHashes.map(h => computeHash('leaf:' + h)))];
+  
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length
+        ? await computeHash('node:' + level[i] + level[i + 1])
+        : level[i]);
+    }
+    levels.push(next);
+  }
+  
+  return levels;
+}
+
+/**
+ * Inclusion proof for leaf at index
+ * 
+ * @returns {Array<{hash: string, position: 'left'|'right'}>}
+ */
+function getMerkleProof(levels, index) {
+  const proof = [];
+  
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    
+    if (sibling < level.length) {
+      proof.push({ hash: level[sibling], position: index % 2 === 0 ? 'right' : 'left' });
+    }
+    index = Math.floor(index / 2);
+  }
+  
+  return proof;
+}
+
+/**
+ * Check an inclusion proof against a Merkle root
+ * 
+ * @param {string} entryHash - Audit entry hash
+ * @param {Array} proof - From getMerkleProof()
+ * @param {string} root - Merkle root
+ * @returns {Promise<boolean>}
+ */
+async function verifyMerkleProof(entryHash, proof, root) {
+  let hash = await computeHash('leaf:' + entryHash);
+  
+  for (const step of proof) {
+    hash = step.position === 'left'
+      ? await computeHash('node:' + step.hash + hash)
+      : await computeHash('node:' + hash + step.hash);
+  }
+  
+  return hash === root;
+}
+
+/**
+ * Merge local + server entries, verify each device's chain and
+ * interleave all chains by time into one Merkle tree
+ * 
+ * @param {Object} [options] - { until } (tree only over entries up to that timestamp)
+ * @returns {Promise<Object>} - { merged, levels, merkleRoot, devices, errors, warnings }
+ */
+async function mergeDeviceChains(options = {}) {
+  const thisDevice = getAuditDeviceId();
+  const errors = [];
+  const warnings = [];
+  
+  // 1. Collect: local copy is kept, server copy must match it
+  const byKey = new Map();
+  
+  for (const entry of await getAllAuditEntries()) {
+    entry.deviceId = entry.deviceId || thisDevice;
+    byKey.set(entry.deviceId + ':' + entry.sequence, entry);
+  }
+  
+  let remote = [];
+  try {
+    await syncAuditToServer();
+    remote = await fetchServerAuditEntries();
+  } catch (e) {
+    console.warn('[Audit] Server entries unavailable:', e.message);
+    warnings.push('Server unreachable — this device only');
+  }
+  
+  for (const entry of remote) {
+    const key = entry.deviceId + ':' + entry.sequence;
+    const known = byKey.get(key);
+    if (!known) {
+      byKey.set(key, entry);
+    } else if (known.hash !== entry.hash) {
+      errors.push({
+        deviceId: entry.deviceId,
+        sequence: entry.sequence,
+        error: 'Server copy differs from local entry',
+        expected: known.hash,
+        actual: entry.hash
+      });
+    }
+  }
+  
+  // 2. Verify each device's chain on its own
+  const chains = new Map();
+  for (const entry of byKey.values()) {
+    if (!chains.has(entry.deviceId)) chains.set(entry.deviceId, []);
+    chains.get(entry.deviceId).push(entry);
+  }
+  
+  const deviceNames = await getAuditDeviceNames();
+  const devices = [];
+  
+  for (const [deviceId, chain] of chains) {
+    chain.sort((a, b) => a.sequence - b.sequence);
+    const deviceErrors = [];
+    let segments = 1;
+    
+    for (let i = 0; i < chain.length; i++) {
+      const entry = chain[i];
+      
+      const hashError = await checkEntryHash(entry);
+      if (hashError) {
+        deviceErrors.push({ deviceId, sequence: entry.sequence, error: hashError });
+      }
+      
+      if (i > 0 && entry.previousHash !== chain[i - 1].hash) {
+        if (entry.previousHash === AUDIT_CONFIG.genesisHash) {
+          segments++; // chain was reset on that device (auto-repair)
+        } else {
+          deviceErrors.push({
+            deviceId,
+            sequence: entry.sequence,
+            error: 'Previous hash mismatch',
+            expected: chain[i - 1].hash,
+            actual: entry.previousHash
+          });
+        }
+      }
+    }
+    
+    errors.push(...deviceErrors);
+    devices.push({
+      deviceId,
+      deviceName: deviceNames[deviceId] || null,
+      thisDevice: deviceId === thisDevice,
+      entries: chain.length,
+      valid: deviceErrors.length === 0,
+      segments,
+      // Older entries pruned, or legacy v1 entries kept on that device
+      anchored: chain[0].previousHash !== AUDIT_CONFIG.genesisHash,
+      lastHash: chain[chain.length - 1].hash
+    });
+  }
+  
+  // 3. Interleave: time, then device, then per-device sequence (deterministic)
+  const merged = Array.from(byKey.values())
+    .filter(e => options.until === undefined || e.timestamp <= options.until)
+    .sort((a, b) =>
+      a.timestamp - b.timestamp ||
+      (a.deviceId < b.deviceId ? -1 : a.deviceId > b.deviceId ? 1 : 0) ||
+      a.sequence - b.sequence
+    );
+  
+  const levels = await buildMerkleTree(merged.map(e => e.hash));
+  
+  return {
+    merged,
+    levels,
+    merkleRoot: levels[levels.length - 1][0] || null,
+    devices,
+    deviceNames,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Cross-device integrity report
+ * With dropId: the drop's full history, each change attributed to a device
+ * and proven by a Merkle inclusion proof
+ * 
+ * @param {Object} [options] - { dropId }
+ * @returns {Promise<Object>}
+ */
+async function verifyAcrossDevices(options = {}) {
+  console.log('[Audit] Verifying chains of all devices...');
+  
+  const thisDevice = getAuditDeviceId();
+  const { merged, levels, merkleRoot, devices, deviceNames, errors, warnings } = await mergeDeviceChains();
+  
+  const report = {
+    scope: 'all_devices',
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    entriesChecked: merged.length,
+    devices,
+    merkleRoot,
+    leafCount: merged.length
+  };
+  
+  if (options.dropId !== undefined) {
+    const dropId = String(options.dropId);
+    report.dropId = dropId;
+    report.history = [];
+    
+    for (let i = 0; i < merged.length; i++) {
+      const entry = merged[i];
+      if (entry.resourceId !== dropId) continue;
+      
+      const proof = getMerkleProof(levels, i);
+      report.history.push({
+        operation: entry.operation,
+        timestamp: entry.timestamp,
+        isoTimestamp: entry.isoTimestamp || new Date(entry.timestamp).toISOString(),
+        deviceId: entry.deviceId,
+        deviceName: deviceNames[entry.deviceId] || null,
+        thisDevice: entry.deviceId === thisDevice,
+        sequence: entry.sequence,
+        hash: entry.hash,
+        leafIndex: i,
+        proof,
+        proven: await verifyMerkleProof(entry.hash, proof, merkleRoot)
+      });
+    }
+    
+    report.valid = report.valid && report.history.every(h => h.proven);
+  }
+  
+  if (report.valid) {
+    console.log(`[Audit] ${devices.length} device chains verified: ${merged.length} entries, root ${merkleRoot?.slice(0, 12)}`);
+    logOperation(OPERATION_TYPES.SYSTEM_VERIFY, {
+      count: merged.length,
+      result: 'valid',
+      source: 'all_devices'
+    });
+  } else {
+    console.error(`[Audit] Cross-device verification FAILED: ${errors.length} errors`);
+  }
+  
+  return report;
+}
+
+/**
+ * Plain-text integrity report (for alerts / debug)
+ * 
+ * @param {Object} report - From verifyAcrossDevices()
+ * @returns {string}
+ */
+function formatIntegrityReport(report) {
+  const deviceLabel = (id, name, isThis) =>
+    (name || id) + (isThis ? ' (this device)' : '');
+  
+  const lines = [
+    '=== AUDIT TRAIL (all devices) ===',
+    'Status: ' + (report.valid ? '✅ Valid' : `❌ ${report.errors.length} error(s)`),
+    `Entries: ${report.entriesChecked}`,
+    'Merkle root: ' + (report.merkleRoot ? report.merkleRoot.slice(0, 16) + '…' : '—'),
+    '',
+    'Devices:'
+  ];
+  
+  for (const d of report.devices) {
+    let line = ` • ${deviceLabel(d.deviceId, d.deviceName, d.thisDevice)} — ${d.entries} entries ${d.valid ? '✅' : '❌'}`;
+    if (d.segments > 1) line += ` (reset ${d.segments - 1}×)`;
+    lines.push(line);
+  }
+  
+  if (report.history) {
+    lines.push('', `History of drop ${report.dropId}:`);
+    if (report.history.length === 0) lines.push(' (no entries)');
+    for (const h of report.history) {
+      lines.push(` ${h.isoTimestamp.slice(0, 16).replace('T', ' ')} ${h.operation} — ` +
+        deviceLabel(h.deviceId, h.deviceName, h.thisDevice) + (h.proven ? ' ✅' : ' ❌'));
+    }
+  }
+  
+  for (const w of report.warnings || []) lines.push('', '⚠️ ' + w);
+  
+  if (report.errors.length > 0) {
+    lines.push('', 'Errors:');
+    for (const e of report.errors.slice(0, 5)) {
+      lines.push(` • ${e.deviceId || ''} #${e.sequence ?? '?'}: ${e.error}`);
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * deviceId → human name (from the enrolled devices list, if available)
+ */
+async function getAuditDeviceNames() {
+  const names = {};
+  try {
+    const conn = getAuditClient();
+    if (conn && window.DropLitPairing) {
+      for (const d of await window.DropLitPairing.listDevices(conn.userId)) {
+        names[d.device_id] = d.device_name;
+      }
+    }
+  } catch (e) {
+    // Names are cosmetic
+  }
+  return names;
+}
+
 // ============================================================
 // QUERYING
 // ============================================================
 
+/**
+ * All local entries in sequence order
+ * 
+ * @param {IDBKeyRange} [range] - Sequence range
+ * @returns {Promise<Array>}
+ */
+async function getAllAuditEntries(range = null) {
+  return new Promise((resolve, reject) => {
+    const tx = auditDB.transaction(AUDIT_CONFIG.storeName, 'readonly');
+    const request = tx.objectStore(AUDIT_CONFIG.storeName).getAll(range);
+    
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Get recent audit entries
  * 
@@ -790,9 +1364,14 @@ async function exportAuditTrail() {
  * Can be used to prove data state at a specific moment
  * 
  * @param {number} timestamp - Optional timestamp to prove
- * @returns {Promise<Object>} - Merkle-like proof
+ * @param {Object} [options] - { allDevices } for a Merkle proof over every device
+ * @returns {Promise<Object>} - Hash-chain or Merkle proof
  */
-async function generateIntegrityProof(timestamp = Date.now()) {
+async function generateIntegrityProof(timestamp = Date.now(), options = {}) {
+  if (options.allDevices) {
+    return generateMerkleProof(timestamp);
+  }
+  
   const entries = await getRecentEntries(100);
   
   // Find entry closest to timestamp
@@ -810,7 +1389,37 @@ async function generateIntegrityProof(timestamp = Date.now()) {
     previousHash: relevantEntry.previousHash,
     chainLength: chainLength,
     sequence: relevantEntry.sequence,
-    // Could add Merkle tree proof here for efficiency
+    deviceId: relevantEntry.deviceId || getAuditDeviceId()
+  };
+}
+
+/**
+ * Merkle proof: latest entry at `timestamp` is included in the tree of
+ * all devices' entries up to that moment
+ */
+async function generateMerkleProof(timestamp) {
+  const { merged, levels, merkleRoot, devices, errors } = await mergeDeviceChains({ until: timestamp });
+  
+  if (errors.length > 0) {
+    return { proofType: 'merkle', valid: false, errors };
+  }
+  if (merged.length === 0) return null;
+  
+  const index = merged.length - 1;
+  const entry = merged[index];
+  
+  return {
+    proofType: 'merkle',
+    valid: true,
+    timestamp,
+    proofTimestamp: entry.timestamp,
+    merkleRoot,
+    leafCount: merged.length,
+    leafIndex: index,
+    entryHash: entry.hash,
+    deviceId: entry.deviceId,
+    devices: devices.map(d => d.deviceId),
+    proof: getMerkleProof(levels, index)
   };
 }
 
@@ -832,13 +1441,20 @@ if (typeof window !== 'undefined') {
     logDropUpdate,
     logDropDelete,
     logSync,
+    logSyncConflict,
     logKeyOperation,
     logDataExport,
     
     verify: verifyChainIntegrity,
     verifyDrop: verifyDropHistory,
+    verifyAllDevices: verifyAcrossDevices,
+    verifyMerkleProof,
+    formatReport: formatIntegrityReport,
     generateProof: generateIntegrityProof,
     
+    sync: syncAuditToServer,
+    getSchema: () => AUDIT_SCHEMA,
+    
     getRecent: getRecentEntries,
     getByOperation: getEntriesByOperation,
     getStats: getAuditStats,
@@ -1,6 +1,6 @@
 /**
  * DROPLIT — Crypto Keys Management
- * Version: 1.0.0
+ * Version: 1.2.0
  * Date: January 9, 2026
  * 
  * Manages master encryption keys:
@@ -8,6 +8,9 @@
  * - Key generation (random)
  * - Secure storage in IndexedDB
  * - Key retrieval for encryption/decryption
+ * - Key rotation (v1.1): pending key stored next to the active one
+ *   until every drop is re-encrypted, then committed
+ * - Raw key export for backup / recovery phrase (v1.2)
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -19,6 +22,7 @@ const DB_VERSION = 1;
 const STORE_NAME = 'master_keys';
 const PBKDF2_ITERATIONS = 100000;
 const KEY_LENGTH = 256; // bits
+const ROTATION_SUFFIX = ':rotation'; // user_id of the pending key record
 
 // ═══════════════════════════════════════════════════════════════════════════
 // INDEXEDDB HELPERS
@@ -133,8 +137,10 @@ async function generateRandomKey() {
  * @param {Uint8Array} keyData - Exported key bytes
  * @param {Uint8Array} [salt] - Salt used for derivation (if password-based)
  * @param {string} keyType - 'password' or 'random'
+ * @param {number} [version] - Key version (kept when restoring from backup)
+ * @param {Uint8Array} [searchSeed] - ZK search seed that goes with the key (restore)
  */
-async function storeKey(userId, keyData, salt = null, keyType = 'random') {
+async function storeKey(userId, keyData, salt = null, keyType = 'random', version = 1, searchSeed = null) {
   const db = await openKeyDB();
   
   const record = {
@@ -143,7 +149,8 @@ async function storeKey(userId, keyData, salt = null, keyType = 'random') {
     salt: salt ? Array.from(salt) : null,
     key_type: keyType,
     created_at: new Date().toISOString(),
-    version: 1
+    version,
+    ...(searchSeed ? { search_seed: Array.from(searchSeed) } : {})
   };
   
   return new Promise((resolve, reject) => {
@@ -193,7 +200,10 @@ async function retrieveKey(userId) {
         resolve({
           key,
           keyType: record.key_type,
-          salt: record.salt ? new Uint8Array(record.salt) : null
+          salt: record.salt ? new Uint8Array(record.salt) : null,
+          version: record.version || 1,
+          // ZK search seed of a rotated key (null for keys that were never rotated)
+          searchSeed: record.search_seed ? new Uint8Array(record.search_seed) : null
         });
       } catch (error) {
         reject(error);
@@ -215,6 +225,25 @@ async function hasStoredKey(userId) {
   return key !== null;
 }
 
+/**
+ * Export raw key bytes for backup (recovery phrase / backup file)
+ * CryptoKey is non-extractable, so bytes are read from the stored record
+ * 
+ * @param {string} userId - User ID
+ * @returns {Promise<{keyData: Uint8Array, keyType: string, salt: Uint8Array|null, version: number}|null>}
+ */
+async function exportRawKey(userId) {
+  const record = await getKeyRecord(userId);
+  if (!record) return null;
+  
+  return {
+    keyData: new Uint8Array(record.key_data),
+    keyType: record.key_type,
+    salt: record.salt ? new Uint8Array(record.salt) : null,
+    version: record.version || 1
+  };
+}
+
 /**
  * Delete stored key (for key rotation or user logout)
  * 
@@ -317,6 +346,167 @@ async function unlockWithPassword(userId, password) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// KEY ROTATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read a raw key record (no import)
+ */
+async function getKeyRecord(recordId) {
+  const db = await openKeyDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const request = tx.objectStore(STORE_NAME).get(recordId);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Import a pending rotation record into a usable key
+ */
+async function importRotationRecord(record) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new Uint8Array(record.key_data),
+    { name: 'AES-GCM', length: KEY_LENGTH },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  
+  return {
+    key,
+    keyType: record.key_type,
+    salt: record.salt ? new Uint8Array(record.salt) : null,
+    version: record.version,
+    searchSeed: new Uint8Array(record.search_seed),
+    startedAt: record.rotation_started_at
+  };
+}
+
+/**
+ * Start (or resume) a key rotation
+ * The new key is stored as a pending record; the active key stays
+ * untouched until commitKeyRotation() — an interrupted rotation
+ * resumes with the same pending key.
+ * 
+ * @param {string} userId - User ID
+ * @param {string} method - 'password' or 'random'
+ * @param {string} [password] - New password (required if method is 'password')
+ * @returns {Promise<{key: CryptoKey, keyType: string, salt: Uint8Array|null, version: number, searchSeed: Uint8Array, resumed: boolean}>}
+ */
+async function beginKeyRotation(userId, method = 'random', password = null) {
+  const pending = await getKeyRecord(userId + ROTATION_SUFFIX);
+  if (pending) {
+    console.log('[CryptoKeys] Resuming key rotation from', pending.rotation_started_at);
+    return { ...(await importRotationRecord(pending)), resumed: true };
+  }
+  
+  const current = await getKeyRecord(userId);
+  if (!current) {
+    throw new Error('No key to rotate');
+  }
+  
+  let exportedKey, salt = null;
+  if (method === 'password') {
+    if (!password) {
+      throw new Error('Password required for password-based encryption');
+    }
+    ({ exportedKey, salt } = await deriveKeyFromPassword(password));
+  } else {
+    ({ exportedKey } = await generateRandomKey());
+  }
+  
+  const record = {
+    user_id: userId + ROTATION_SUFFIX,
+    key_data: Array.from(exportedKey),
+    salt: salt ? Array.from(salt) : null,
+    key_type: method === 'password' ? 'password' : 'random',
+    created_at: new Date().toISOString(),
+    version: (current.version || 1) + 1,
+    // New ZK search seed — search tokens are regenerated with the new key
+    search_seed: Array.from(crypto.getRandomValues(new Uint8Array(32))),
+    rotation_started_at: new Date().toISOString()
+  };
+  
+  const db = await openKeyDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const request = tx.objectStore(STORE_NAME).put(record);
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+  
+  console.log('[CryptoKeys] Key rotation started, new version:', record.version);
+  return { ...(await importRotationRecord(record)), resumed: false };
+}
+
+/**
+ * Get the pending rotation key, if a rotation is in progress
+ * 
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Same shape as beginKeyRotation()
+ */
+async function getPendingRotation(userId) {
+  const pending = await getKeyRecord(userId + ROTATION_SUFFIX);
+  return pending ? importRotationRecord(pending) : null;
+}
+
+/**
+ * Make the pending key the active one (single transaction)
+ * 
+ * @param {string} userId - User ID
+ * @returns {Promise<{version: number}>}
+ */
+async function commitKeyRotation(userId) {
+  const db = await openKeyDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    let version = null;
+    
+    const request = store.get(userId + ROTATION_SUFFIX);
+    request.onsuccess = () => {
+      const pending = request.result;
+      if (!pending) {
+        tx.abort();
+        return;
+      }
+      
+      version = pending.version;
+      store.put({
+        user_id: userId,
+        key_data: pending.key_data,
+        salt: pending.salt,
+        key_type: pending.key_type,
+        created_at: pending.created_at,
+        rotated_at: new Date().toISOString(),
+        version: pending.version,
+        // Seed goes with the key: the pending record is deleted in this same
+        // transaction, so a crash before setSearchSeed() must not lose it
+        search_seed: pending.search_seed
+      });
+      store.delete(userId + ROTATION_SUFFIX);
+    };
+    
+    tx.oncomplete = () => resolve({ version });
+    tx.onabort = () => reject(tx.error || new Error('No key rotation in progress'));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Drop the pending key (only safe before any drop was re-uploaded)
+ * 
+ * @param {string} userId - User ID
+ */
+async function abortKeyRotation(userId) {
+  return deleteKey(userId + ROTATION_SUFFIX);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // UTILITY FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -357,8 +547,13 @@ window.DropLitKeys = {
   retrieveKey,
   hasStoredKey,
   deleteKey,
+  exportRawKey,
   initializeEncryption,
   unlockWithPassword,
+  beginKeyRotation,
+  getPendingRotation,
+  commitKeyRotation,
+  abortKeyRotation,
   arrayBufferToBase64,
   base64ToUint8Array
 };
@@ -0,0 +1,539 @@
+/**
+ * DROPLIT — Device Pairing (QR key enrollment)
+ * Version: 1.0.0
+ * Date: October 19, 2026
+ *
+ * Moves the master key to a second device without passwords:
+ * 1. New device creates an ephemeral ECDH (P-256) key pair, shows the
+ *    public key as a QR code and opens a relay row in `device_pairing`
+ * 2. Existing device scans the QR, wraps the master key with the
+ *    ECDH shared secret and writes the ciphertext into the relay row
+ * 3. New device unwraps, verifies and stores the key, deletes the row
+ *
+ * The server only ever sees public keys and ciphertext. The QR code
+ * carries the public key too, so a key swapped in the relay row is detected.
+ *
+ * Enrolled devices are tracked in `user_devices` and can be revoked.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PAIRING_TABLE = 'device_pairing';
+const DEVICES_TABLE = 'user_devices';
+const PAIRING_QR_PREFIX = 'droplit-pair:1:';
+const PAIRING_TTL_MS = 5 * 60 * 1000;
+const PAIRING_POLL_MS = 2000;
+const PAIRING_CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+
+/**
+ * SQL for Supabase: relay + device registry
+ * Run this in Supabase SQL editor
+ */
+const PAIRING_SCHEMA = `
+-- Relay for one pairing (deleted by the new device after use)
+CREATE TABLE IF NOT EXISTS device_pairing (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  pairing_id TEXT NOT NULL UNIQUE,
+  device_id TEXT NOT NULL,
+  device_name TEXT,
+  public_key TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'waiting',   -- waiting | sent
+  wrapped_payload TEXT,
+  payload_nonce TEXT,
+  sender_public_key TEXT,
+  sender_device_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE device_pairing ENABLE ROW LEVEL SECURITY;
+CREATE POLICY device_pairing_owner ON device_pairing
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Enrolled devices
+CREATE TABLE IF NOT EXISTS user_devices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  device_id TEXT NOT NULL,
+  device_name TEXT,
+  enrolled_by TEXT,
+  enrolled_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ,
+
+  CONSTRAINT unique_user_device UNIQUE (user_id, device_id)
+);
+
+ALTER TABLE user_devices ENABLE ROW LEVEL SECURITY;
+CREATE POLICY user_devices_owner ON user_devices
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Optional: purge abandoned relay rows (pg_cron)
+-- SELECT cron.schedule('purge-device-pairing', '*/15 * * * *',
+--   $$DELETE FROM device_pairing WHERE expires_at < NOW()$$);
+`;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let activePairing = null; // { userId, pairingId, privateKey, expiresAt, cancelled }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getPairingClient() {
+  const client = (typeof supabaseClient !== 'undefined' && supabaseClient) || window._supabaseClient;
+  if (!client) throw new Error('Not connected to server');
+  return client;
+}
+
+function getPairingDeviceId() {
+  return typeof DEVICE_ID !== 'undefined' ? DEVICE_ID : localStorage.getItem('droplit_device_id');
+}
+
+/**
+ * Human-readable device name, e.g. "iPhone · Safari"
+ */
+function getPairingDeviceName() {
+  const ua = navigator.userAgent;
+  const os = /iPhone/.test(ua) ? 'iPhone'
+    : /iPad/.test(ua) ? 'iPad'
+    : /Android/.test(ua) ? 'Android'
+    : /Mac OS X/.test(ua) ? 'Mac'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Linux/.test(ua) ? 'Linux'
+    : 'Device';
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : 'Browser';
+  return `${os} · ${browser}`;
+}
+
+// Base64url keeps the QR payload short and URL-safe
+function toBase64Url(bytes) {
+  return window.DropLitKeys.arrayBufferToBase64(bytes)
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  return window.DropLitKeys.base64ToUint8Array(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * ECDH shared secret → HKDF → AES-GCM key bound to this pairing
+ */
+async function derivePairingKey(privateKey, peerPublicRaw, pairingId) {
+  const peerPublic = await crypto.subtle.importKey('raw', peerPublicRaw, PAIRING_CURVE, false, []);
+  const sharedBits = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerPublic }, privateKey, 256);
+
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+  const encoder = new TextEncoder();
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: encoder.encode(pairingId),
+      info: encoder.encode('droplit-device-pairing-v1')
+    },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Parse QR text → { pairingId, publicKey }
+ */
+function parsePairingCode(text) {
+  const match = String(text || '').trim().match(/^droplit-pair:1:([0-9a-f]{32}):([A-Za-z0-9_-]{80,100})$/);
+  if (!match) throw new Error('Not a DropLit pairing code');
+  return { pairingId: match[1], publicKey: match[2] };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NEW DEVICE — show QR, wait for key
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Open a pairing request on the new device
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<{pairingId: string, qrText: string, expiresAt: string}>}
+ */
+async function startPairing(userId) {
+  await cancelPairing();
+
+  const client = getPairingClient();
+  const keyPair = await crypto.subtle.generateKey(PAIRING_CURVE, false, ['deriveBits']);
+  const publicRaw = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+  const pairingId = Array.from(crypto.getRandomValues(new Uint8Array(16)))
+    .map(b => b.toString(16).padStart(2, '0')).join('');
+  const expiresAt = new Date(Date.now() + PAIRING_TTL_MS).toISOString();
+
+  const { error } = await client.from(PAIRING_TABLE).insert({
+    user_id: userId,
+    pairing_id: pairingId,
+    device_id: getPairingDeviceId(),
+    device_name: getPairingDeviceName(),
+    public_key: toBase64Url(publicRaw),
+    status: 'waiting',
+    expires_at: expiresAt
+  });
+  if (error) throw error;
+
+  activePairing = { userId, pairingId, privateKey: keyPair.privateKey, expiresAt, cancelled: false };
+  console.log('[Pairing] Waiting for key, pairing', pairingId.slice(0, 8));
+
+  return {
+    pairingId,
+    qrText: PAIRING_QR_PREFIX + pairingId + ':' + toBase64Url(publicRaw),
+    expiresAt
+  };
+}
+
+/**
+ * Poll the relay row until the existing device sends the key
+ *
+ * @returns {Promise<{success: boolean, verified: boolean|null, status: string}>}
+ */
+async function waitForPairing() {
+  const session = activePairing;
+  if (!session) throw new Error('No pairing in progress');
+
+  const client = getPairingClient();
+
+  while (!session.cancelled) {
+    if (Date.now() > Date.parse(session.expiresAt)) {
+      await cancelPairing();
+      throw new Error('Pairing code expired');
+    }
+
+    const { data, error } = await client
+      .from(PAIRING_TABLE)
+      .select('*')
+      .eq('pairing_id', session.pairingId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Pairing request was removed');
+    if (data.status === 'sent') return completePairing(session, data);
+
+    await new Promise(resolve => setTimeout(resolve, PAIRING_POLL_MS));
+  }
+
+  throw new Error('Pairing cancelled');
+}
+
+/**
+ * Unwrap key from the relay row and install it
+ */
+async function completePairing(session, row) {
+  const client = getPairingClient();
+
+  let payload;
+  try {
+    const aesKey = await derivePairingKey(
+      session.privateKey,
+      fromBase64Url(row.sender_public_key),
+      session.pairingId
+    );
+    const decrypted = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: fromBase64Url(row.payload_nonce),
+        additionalData: new TextEncoder().encode(session.pairingId)
+      },
+      aesKey,
+      fromBase64Url(row.wrapped_payload)
+    );
+    payload = JSON.parse(new TextDecoder().decode(decrypted));
+  } catch (e) {
+    throw new Error('Could not unwrap the key — start pairing again');
+  } finally {
+    // Relay row is single-use
+    activePairing = null;
+    await client.from(PAIRING_TABLE).delete().eq('pairing_id', session.pairingId);
+  }
+
+  const { base64ToUint8Array } = window.DropLitKeys;
+  const keyData = base64ToUint8Array(payload.key);
+  if (keyData.length !== 32) throw new Error('Received an invalid key');
+
+  const result = await window.DropLitKeyBackup.installKey(session.userId, keyData, {
+    keyType: payload.key_type || 'random',
+    salt: payload.key_salt ? base64ToUint8Array(payload.key_salt) : null,
+    version: payload.key_version || 1,
+    searchSeed: payload.search_seed || null,
+    source: 'pairing'
+  }, { overwrite: true });
+
+  await registerDevice(session.userId, { enrolledBy: row.sender_device_id });
+
+  console.log('[Pairing] Key received from', row.sender_device_id);
+  return result;
+}
+
+/**
+ * Stop waiting and remove the relay row
+ */
+async function cancelPairing() {
+  const session = activePairing;
+  if (!session) return;
+
+  session.cancelled = true;
+  activePairing = null;
+
+  try {
+    await getPairingClient().from(PAIRING_TABLE).delete().eq('pairing_id', session.pairingId);
+  } catch (e) {
+    console.warn('[Pairing] Cancel cleanup failed:', e.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXISTING DEVICE — scan QR, send key
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Wrap the master key for the device that shows the QR code
+ *
+ * @param {string} userId - User ID
+ * @param {string} qrText - Scanned QR content
+ * @returns {Promise<{deviceId: string, deviceName: string}>}
+ */
+async function sendKeyToDevice(userId, qrText) {
+  const { pairingId, publicKey } = parsePairingCode(qrText);
+  const client = getPairingClient();
+
+  const { data: row, error } = await client
+    .from(PAIRING_TABLE)
+    .select('*')
+    .eq('pairing_id', pairingId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row || row.status !== 'waiting') {
+    throw new Error('Pairing request not found — show a new code on the other device');
+  }
+  if (Date.parse(row.expires_at) < Date.now()) {
+    throw new Error('Pairing code expired');
+  }
+  if (row.public_key !== publicKey) {
+    // Server (or someone with DB access) swapped the key — never send
+    throw new Error('Pairing key mismatch — pairing aborted');
+  }
+
+  if (await window.DropLitKeys.getPendingRotation(userId)) {
+    throw new Error('Key rotation in progress — pair after it finishes');
+  }
+  const raw = await window.DropLitKeys.exportRawKey(userId);
+  if (!raw) throw new Error('No encryption key on this device');
+
+  const ephemeral = await crypto.subtle.generateKey(PAIRING_CURVE, false, ['deriveBits']);
+  const aesKey = await derivePairingKey(ephemeral.privateKey, fromBase64Url(publicKey), pairingId);
+  const nonce = crypto.getRandomValues(new Uint8Array(12));
+  const { arrayBufferToBase64 } = window.DropLitKeys;
+
+  const payload = JSON.stringify({
+    key: arrayBufferToBase64(raw.keyData),
+    key_type: raw.keyType,
+    key_salt: raw.salt ? arrayBufferToBase64(raw.salt) : null,
+    key_version: raw.version,
+    search_seed: localStorage.getItem('droplit_zk_search_seed')
+  });
+
+  const wrapped = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: new TextEncoder().encode(pairingId) },
+    aesKey,
+    new TextEncoder().encode(payload)
+  );
+  const senderPublic = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+
+  const { error: updateError } = await client
+    .from(PAIRING_TABLE)
+    .update({
+      wrapped_payload: toBase64Url(new Uint8Array(wrapped)),
+      payload_nonce: toBase64Url(nonce),
+      sender_public_key: toBase64Url(senderPublic),
+      sender_device_id: getPairingDeviceId(),
+      status: 'sent'
+    })
+    .eq('pairing_id', pairingId)
+    .eq('status', 'waiting');
+  if (updateError) throw updateError;
+
+  // Sender must be listed too (devices enrolled before pairing existed)
+  await registerDevice(userId);
+
+  if (window.DropLitAudit?.logKeyOperation) {
+    await window.DropLitAudit.logKeyOperation('export', { source: 'pairing', version: raw.version })
+      .catch(() => {});
+  }
+
+  console.log('[Pairing] Key sent to', row.device_name || row.device_id);
+  return { deviceId: row.device_id, deviceName: row.device_name };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEVICE REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Add (or re-enroll) this device in user_devices
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { enrolledBy }
+ */
+async function registerDevice(userId, options = {}) {
+  const row = {
+    user_id: userId,
+    device_id: getPairingDeviceId(),
+    device_name: getPairingDeviceName(),
+    last_seen_at: new Date().toISOString()
+  };
+
+  // Fresh enrollment lifts an old revocation
+  if (options.enrolledBy !== undefined) {
+    row.enrolled_by = options.enrolledBy;
+    row.enrolled_at = row.last_seen_at;
+    row.revoked_at = null;
+  }
+
+  const { error } = await getPairingClient()
+    .from(DEVICES_TABLE)
+    .upsert(row, { onConflict: 'user_id,device_id' });
+  if (error) throw error;
+}
+
+/**
+ * List enrolled devices
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - rows + `current` flag
+ */
+async function listDevices(userId) {
+  const { data, error } = await getPairingClient()
+    .from(DEVICES_TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .order('enrolled_at', { ascending: true });
+
+  if (error) throw error;
+
+  const currentId = getPairingDeviceId();
+  return (data || []).map(device => ({ ...device, current: device.device_id === currentId }));
+}
+
+/**
+ * Any other non-revoked device that could send us the key?
+ */
+async function hasOtherDevices(userId) {
+  try {
+    const devices = await listDevices(userId);
+    return devices.some(d => !d.current && !d.revoked_at);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Revoke a device: it drops its local key on next start
+ * NOTE: the device may have copied the key — rotate the key afterwards
+ *
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device to revoke
+ */
+async function revokeDevice(userId, deviceId) {
+  const client = getPairingClient();
+
+  const { error } = await client
+    .from(DEVICES_TABLE)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('device_id', deviceId);
+  if (error) throw error;
+
+  // Pending pairing requests from that device are dead too
+  await client.from(PAIRING_TABLE).delete().eq('user_id', userId).eq('device_id', deviceId);
+
+  console.log('[Pairing] Device revoked:', deviceId);
+}
+
+/**
+ * Check this device against the registry (and refresh last_seen)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<'active'|'revoked'|'unknown'>} - 'unknown' when offline
+ */
+async function checkDeviceStatus(userId) {
+  try {
+    const { data, error } = await getPairingClient()
+      .from(DEVICES_TABLE)
+      .select('revoked_at')
+      .eq('user_id', userId)
+      .eq('device_id', getPairingDeviceId())
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data?.revoked_at) return 'revoked';
+
+    await registerDevice(userId);
+    return 'active';
+  } catch (e) {
+    console.warn('[Pairing] Device status check failed:', e.message);
+    return 'unknown';
+  }
+}
+
+/**
+ * Remove key material from a revoked device
+ */
+async function forgetLocalKey(userId) {
+  await window.DropLitKeys.deleteKey(userId);
+  await window.DropLitKeys.abortKeyRotation(userId);
+  localStorage.removeItem('droplit_has_key_' + userId);
+  localStorage.removeItem('droplit_key_rotation_' + userId);
+  localStorage.removeItem('droplit_zk_search_seed');
+
+  window.DROPLIT_PRIVACY_ENABLED = false;
+  window.dispatchEvent(new CustomEvent('device-revoked', { detail: { userId } }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+window.DropLitPairing = {
+  // New device
+  startPairing,
+  waitForPairing,
+  cancelPairing,
+
+  // Existing device
+  parsePairingCode,
+  sendKeyToDevice,
+
+  // Registry
+  registerDevice,
+  listDevices,
+  hasOtherDevices,
+  revokeDevice,
+  checkDeviceStatus,
+  forgetLocalKey,
+
+  getSchema: () => PAIRING_SCHEMA,
+  get isPairing() { return activePairing !== null; }
+};
+
+console.log('[Pairing] Module loaded v1.0.0');
@@ -25,7 +25,8 @@ const SENSITIVE_FIELDS = [
   'audioData',
   'image',
   'notes',
-  'geo'        // Location can be sensitive
+  'geo',       // Location can be sensitive
+  'sources'    // Web search citations reveal what was researched
 ];
 
 // Fields that remain visible (for filtering, sorting, UI)
@@ -41,6 +42,7 @@ const VISIBLE_FIELDS = [
   'markers',
   'privacy_level',
   'synced',
+  '_sync',        // Vector clocks (no content)
   'syntrise_id',
   'sessionId',
   'aiGenerated',
@@ -329,7 +331,8 @@ async function prepareDropForSync(drop, key) {
       time: encrypted.time,
       audioFormat: encrypted.audioFormat,
       audioSize: encrypted.audioSize,
-      duration: encrypted.duration
+      duration: encrypted.duration,
+      _sync: encrypted._sync
     }
   };
 }
@@ -445,13 +448,14 @@ async function migrateDrop(drop, key) {
 }
 
 /**
- * Migrate all drops in localStorage
+ * Encrypt all local drops (read from DropStore)
+ * The local store stays plaintext — the feed renders from it;
+ * encrypted copies are returned for upload.
  */
 async function migrateAllDrops(key) {
-  const ideasJson = localStorage.getItem('ideas');
-  if (!ideasJson) return { migrated: 0, total: 0 };
+  const ideas = await DropStore.getAll();
+  if (ideas.length === 0) return { migrated: 0, total: 0, drops: [] };
   
-  const ideas = JSON.parse(ideasJson);
   let migrated = 0;
   
   const migratedIdeas = [];
@@ -465,11 +469,8 @@ async function migrateAllDrops(key) {
     }
   }
   
-  // Save back to localStorage
-  localStorage.setItem('ideas', JSON.stringify(migratedIdeas));
-  
   console.log(`[DropEncryption] Migration complete: ${migrated}/${ideas.length} drops`);
-  return { migrated, total: ideas.length };
+  return { migrated, total: ideas.length, drops: migratedIdeas };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -478,6 +479,8 @@ async function migrateAllDrops(key) {
 
 window.DropLitEncryption = {
   // Core functions
+  encryptData,
+  decryptData,
   encryptDrop,
   decryptDrop,
   decryptDrops,
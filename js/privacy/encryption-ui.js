@@ -1,7 +1,7 @@
 /**
  * DROPLIT — Encryption UI Components
- * Version: 1.1.0 — Mobile-First Redesign
- * Date: January 10, 2026
+ * Version: 1.3.0 — Device pairing (QR)
+ * Date: October 19, 2026
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -65,6 +65,14 @@ function showEncryptionSetupModal(userId) {
         
         <p class="enc-footer">Your data is encrypted before leaving your device</p>
         
+        <button class="enc-btn-link" onclick="DropLitEncryptionUI.showDeviceLinkModal('${userId}')">
+          Already use DropLit on another device?
+        </button>
+        
+        <button class="enc-btn-link" onclick="DropLitEncryptionUI.showKeyRestoreModal('${userId}')">
+          Have a recovery phrase or backup file?
+        </button>
+        
       </div>
     </div>
   `;
@@ -201,6 +209,572 @@ async function doSetup(userId) {
 function closeEncryptionModal() {
   const modal = document.getElementById('encryption-setup-modal');
   if (modal) modal.remove();
+  
+  // Leaving a pairing screen stops the camera / relay row
+  stopPairScanner();
+  if (window.DropLitPairing?.isPairing) {
+    window.DropLitPairing.cancelPairing();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KEY RESTORE MODAL (new device / cleared browser data)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function showKeyRestoreModal(userId) {
+  closeEncryptionModal();
+  
+  const modal = document.createElement('div');
+  modal.id = 'encryption-setup-modal';
+  modal.innerHTML = `
+    <div class="enc-modal-overlay" onclick="DropLitEncryptionUI.closeEncryptionModal()"></div>
+    <div class="enc-modal-container">
+      <div class="enc-modal-content">
+        
+        <div class="enc-header">
+          <div class="enc-icon">🗝️</div>
+          <h2>Restore Key</h2>
+          <p>Unlock your drops on this device</p>
+        </div>
+        
+        <div class="enc-options">
+          <label class="enc-option" data-method="phrase">
+            <input type="radio" name="enc-restore" value="phrase">
+            <div class="enc-option-body">
+              <span class="enc-option-icon">📝</span>
+              <div class="enc-option-text">
+                <strong>Phrase</strong>
+                <small>25 words</small>
+              </div>
+            </div>
+          </label>
+          
+          <label class="enc-option" data-method="file">
+            <input type="radio" name="enc-restore" value="file">
+            <div class="enc-option-body">
+              <span class="enc-option-icon">📄</span>
+              <div class="enc-option-text">
+                <strong>Backup File</strong>
+                <small>.json + password</small>
+              </div>
+            </div>
+          </label>
+        </div>
+        
+        <div class="enc-password-form" id="encRestorePhraseForm" style="display:none;">
+          <textarea id="encRestorePhrase" rows="4" placeholder="word1 word2 word3 ..." autocomplete="off" autocapitalize="off" spellcheck="false"></textarea>
+        </div>
+        
+        <div class="enc-password-form" id="encRestoreFileForm" style="display:none;">
+          <input type="file" id="encRestoreFile" accept=".json,application/json">
+          <input type="password" id="encRestorePassword" placeholder="Backup password" autocomplete="current-password">
+        </div>
+        
+        <div class="enc-warning" id="encWarning"></div>
+        
+        <button class="enc-btn-primary" id="encRestoreBtn" disabled onclick="DropLitEncryptionUI.doRestore('${userId}')">
+          Restore Key
+        </button>
+        
+        <p class="enc-footer">Key is checked against one of your server drops</p>
+        
+      </div>
+    </div>
+  `;
+  
+  addEncryptionStyles();
+  document.body.appendChild(modal);
+  setupRestoreListeners();
+}
+
+function setupRestoreListeners() {
+  const options = document.querySelectorAll('.enc-option');
+  const phraseForm = document.getElementById('encRestorePhraseForm');
+  const fileForm = document.getElementById('encRestoreFileForm');
+  const phrase = document.getElementById('encRestorePhrase');
+  const file = document.getElementById('encRestoreFile');
+  const pwd = document.getElementById('encRestorePassword');
+  const btn = document.getElementById('encRestoreBtn');
+  
+  let selectedMethod = null;
+  
+  const validate = () => {
+    if (selectedMethod === 'phrase') {
+      // 24 key words + version word (older phrases have 24)
+      btn.disabled = ![24, 25].includes(phrase.value.trim().split(/\s+/).length);
+    } else if (selectedMethod === 'file') {
+      btn.disabled = !(file.files.length && pwd.value.length > 0);
+    }
+  };
+  
+  options.forEach(opt => {
+    opt.addEventListener('click', () => {
+      options.forEach(o => o.classList.remove('selected'));
+      opt.classList.add('selected');
+      opt.querySelector('input').checked = true;
+      selectedMethod = opt.dataset.method;
+      
+      phraseForm.style.display = selectedMethod === 'phrase' ? 'block' : 'none';
+      fileForm.style.display = selectedMethod === 'file' ? 'block' : 'none';
+      document.getElementById('encWarning').innerHTML = '';
+      validate();
+    });
+  });
+  
+  phrase.addEventListener('input', validate);
+  file.addEventListener('change', validate);
+  pwd.addEventListener('input', validate);
+}
+
+async function doRestore(userId) {
+  const btn = document.getElementById('encRestoreBtn');
+  const warning = document.getElementById('encWarning');
+  const method = document.querySelector('.enc-option.selected')?.dataset.method;
+  
+  if (!method || !window.DropLitKeyBackup) return;
+  
+  // Replacing a working key is destructive — ask first
+  const hasKey = await window.DropLitKeys.hasStoredKey(userId);
+  if (hasKey && !confirm('This device already has an encryption key.\n\nReplace it with the restored one?')) {
+    return;
+  }
+  
+  // The phrase doesn't carry the search seed: rebuilding the server index
+  // fixes search here but breaks it on every other signed-in device
+  const rebuildSearchTokens = method === 'phrase' && confirm(
+    'A recovery phrase does not include your search index key.\n\n' +
+    'OK — rebuild the search index for this device. Search on your other devices ' +
+    'stops finding drops until you restore this phrase there too.\n\n' +
+    'Cancel — keep the current index. Search on this device will not find synced drops; ' +
+    'restore from a backup file to keep it working everywhere.'
+  );
+  
+  btn.disabled = true;
+  btn.textContent = 'Checking key...';
+  warning.innerHTML = '';
+  
+  try {
+    let result;
+    
+    if (method === 'phrase') {
+      const phrase = document.getElementById('encRestorePhrase').value;
+      result = await window.DropLitKeyBackup.restoreFromPhrase(userId, phrase, { overwrite: hasKey, rebuildSearchTokens });
+    } else {
+      const file = document.getElementById('encRestoreFile').files[0];
+      const pwd = document.getElementById('encRestorePassword').value;
+      result = await window.DropLitKeyBackup.restoreFromBackupFile(userId, await file.text(), pwd, { overwrite: hasKey });
+    }
+    
+    await finishKeyRestore(result.verified
+      ? '🗝️ Key restored and verified'
+      : '🗝️ Key restored (no encrypted drops to verify against)');
+    
+  } catch (err) {
+    console.error('[EncryptionUI] Restore error:', err);
+    warning.innerHTML = '⚠️ ' + err.message;
+    btn.disabled = false;
+    btn.textContent = 'Restore Key';
+  }
+}
+
+/**
+ * Shared tail of restore / pairing: activate the key on this device
+ */
+async function finishKeyRestore(message) {
+  closeEncryptionModal();
+  localStorage.setItem('droplit_encryption_enabled', 'true');
+  
+  if (typeof toast === 'function') {
+    toast(message, 'success');
+  }
+  
+  if (typeof updateSecurityIndicator === 'function') {
+    updateSecurityIndicator();
+  }
+  
+  if (typeof initializePrivacySystem === 'function') {
+    await initializePrivacySystem();
+  }
+  
+  // Drops that were unreadable on this device can be decrypted now
+  if (typeof pullFromServer === 'function') {
+    await pullFromServer();
+  }
+  
+  if (typeof render === 'function') render();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEVICE PAIRING — NEW DEVICE (show QR)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const QR_GENERATOR_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js';
+const QR_SCANNER_URL = 'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.min.js';
+
+let pairScanStream = null;
+
+function showDeviceLinkModal(userId) {
+  closeEncryptionModal();
+  
+  const modal = document.createElement('div');
+  modal.id = 'encryption-setup-modal';
+  modal.innerHTML = `
+    <div class="enc-modal-overlay" onclick="DropLitEncryptionUI.closeEncryptionModal()"></div>
+    <div class="enc-modal-container">
+      <div class="enc-modal-content">
+        
+        <div class="enc-header">
+          <div class="enc-icon">📲</div>
+          <h2>Link This Device</h2>
+          <p>Your key is on another device</p>
+        </div>
+        
+        <div class="enc-qr" id="encPairQR">
+          <small>On your other device open<br><b>Menu → 🔗 Pair Device</b><br>and scan the code shown here</small>
+        </div>
+        
+        <div class="enc-warning" id="encWarning"></div>
+        
+        <button class="enc-btn-primary" id="encPairBtn" onclick="DropLitEncryptionUI.doStartDeviceLink('${userId}')">
+          Show QR Code
+        </button>
+        
+        <button class="enc-btn-link" onclick="DropLitEncryptionUI.showKeyRestoreModal('${userId}')">
+          Use recovery phrase or backup file
+        </button>
+        
+      </div>
+    </div>
+  `;
+  
+  addEncryptionStyles();
+  document.body.appendChild(modal);
+}
+
+async function doStartDeviceLink(userId) {
+  const btn = document.getElementById('encPairBtn');
+  const warning = document.getElementById('encWarning');
+  const box = document.getElementById('encPairQR');
+  
+  if (!window.DropLitPairing) return;
+  
+  btn.disabled = true;
+  btn.textContent = 'Waiting for other device...';
+  warning.innerHTML = '';
+  
+  try {
+    const [request] = await Promise.all([
+      window.DropLitPairing.startPairing(userId),
+      loadScript(QR_GENERATOR_URL)
+    ]);
+    
+    const qr = qrcode(0, 'M');
+    qr.addData(request.qrText);
+    qr.make();
+    
+    const until = new Date(request.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    box.innerHTML = qr.createImgTag(4, 12) + `<small>Valid until ${until}</small>`;
+    
+    const result = await window.DropLitPairing.waitForPairing();
+    
+    await finishKeyRestore(result.verified
+      ? '📲 Device linked, key verified'
+      : '📲 Device linked');
+    
+  } catch (err) {
+    // Modal closed → pairing cancelled, nothing to show
+    if (!document.getElementById('encPairBtn')) return;
+    
+    console.error('[EncryptionUI] Pairing error:', err);
+    warning.innerHTML = '⚠️ ' + err.message;
+    box.innerHTML = '';
+    btn.disabled = false;
+    btn.textContent = 'New QR Code';
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEVICE PAIRING — EXISTING DEVICE (scan QR)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function showPairScanModal(userId) {
+  closeEncryptionModal();
+  
+  const modal = document.createElement('div');
+  modal.id = 'encryption-setup-modal';
+  modal.innerHTML = `
+    <div class="enc-modal-overlay" onclick="DropLitEncryptionUI.closeEncryptionModal()"></div>
+    <div class="enc-modal-container">
+      <div class="enc-modal-content">
+        
+        <div class="enc-header">
+          <div class="enc-icon">🔗</div>
+          <h2>Pair Device</h2>
+          <p>Scan the QR code on the new device</p>
+        </div>
+        
+        <div class="enc-qr">
+          <video id="encPairVideo" playsinline muted></video>
+        </div>
+        
+        <div class="enc-password-form">
+          <textarea id="encPairCode" rows="2" placeholder="...or paste the pairing code" autocomplete="off" autocapitalize="off" spellcheck="false"></textarea>
+        </div>
+        
+        <div class="enc-warning" id="encWarning">Only scan codes from your own devices</div>
+        
+        <button class="enc-btn-primary" id="encPairSendBtn" onclick="DropLitEncryptionUI.doSendKey('${userId}')">
+          Send Key
+        </button>
+        
+        <p class="enc-footer">Key is encrypted for that device only</p>
+        
+      </div>
+    </div>
+  `;
+  
+  addEncryptionStyles();
+  document.body.appendChild(modal);
+  startPairScanner(userId);
+}
+
+/**
+ * Camera → QR text. BarcodeDetector where available, jsQR otherwise
+ */
+async function startPairScanner(userId) {
+  const video = document.getElementById('encPairVideo');
+  if (!video || !navigator.mediaDevices?.getUserMedia) return;
+  
+  try {
+    pairScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    video.srcObject = pairScanStream;
+    await video.play();
+    
+    let detect;
+    if ('BarcodeDetector' in window) {
+      const detector = new BarcodeDetector({ formats: ['qr_code'] });
+      detect = async () => (await detector.detect(video))[0]?.rawValue;
+    } else {
+      await loadScript(QR_SCANNER_URL);
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      detect = async () => {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        ctx.drawImage(video, 0, 0);
+        return jsQR(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height)?.data;
+      };
+    }
+    
+    const tick = async () => {
+      if (!pairScanStream || !video.videoWidth) {
+        if (pairScanStream) requestAnimationFrame(tick);
+        return;
+      }
+      const text = await detect().catch(() => null);
+      if (text && text.startsWith('droplit-pair:')) {
+        document.getElementById('encPairCode').value = text;
+        stopPairScanner();
+        doSendKey(userId);
+      } else if (pairScanStream) {
+        setTimeout(() => requestAnimationFrame(tick), 250);
+      }
+    };
+    tick();
+    
+  } catch (err) {
+    console.warn('[EncryptionUI] Camera unavailable:', err.message);
+    stopPairScanner();
+    video.style.display = 'none';
+  }
+}
+
+function stopPairScanner() {
+  if (pairScanStream) {
+    pairScanStream.getTracks().forEach(track => track.stop());
+    pairScanStream = null;
+  }
+}
+
+async function doSendKey(userId) {
+  const btn = document.getElementById('encPairSendBtn');
+  const warning = document.getElementById('encWarning');
+  const code = document.getElementById('encPairCode').value;
+  
+  if (!window.DropLitPairing || !code.trim()) return;
+  
+  btn.disabled = true;
+  btn.textContent = 'Sending...';
+  
+  try {
+    const target = await window.DropLitPairing.sendKeyToDevice(userId, code);
+    closeEncryptionModal();
+    
+    if (typeof toast === 'function') {
+      toast('🔗 Key sent to ' + (target.deviceName || 'new device'), 'success');
+    }
+    if (typeof renderEnrolledDevices === 'function') renderEnrolledDevices();
+    
+  } catch (err) {
+    console.error('[EncryptionUI] Send key error:', err);
+    warning.innerHTML = '⚠️ ' + err.message;
+    btn.disabled = false;
+    btn.textContent = 'Send Key';
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KEY BACKUP MODAL
+// ═══════════════════════════════════════════════════════════════════════════
+
+function showKeyBackupModal(userId) {
+  closeEncryptionModal();
+  
+  const lastBackup = window.DropLitKeyBackup?.getLastBackupDate(userId);
+  
+  const modal = document.createElement('div');
+  modal.id = 'encryption-setup-modal';
+  modal.innerHTML = `
+    <div class="enc-modal-overlay" onclick="DropLitEncryptionUI.closeEncryptionModal()"></div>
+    <div class="enc-modal-container">
+      <div class="enc-modal-content">
+        
+        <div class="enc-header">
+          <div class="enc-icon">💾</div>
+          <h2>Back Up Key</h2>
+          <p>${lastBackup ? 'Last file backup: ' + new Date(lastBackup).toLocaleDateString() : 'Without a backup, clearing browser data loses your drops'}</p>
+        </div>
+        
+        <div class="enc-options">
+          <label class="enc-option" data-method="phrase">
+            <input type="radio" name="enc-backup" value="phrase">
+            <div class="enc-option-body">
+              <span class="enc-option-icon">📝</span>
+              <div class="enc-option-text">
+                <strong>Phrase</strong>
+                <small>Write on paper</small>
+              </div>
+            </div>
+          </label>
+          
+          <label class="enc-option" data-method="file">
+            <input type="radio" name="enc-backup" value="file">
+            <div class="enc-option-body">
+              <span class="enc-option-icon">📄</span>
+              <div class="enc-option-text">
+                <strong>Backup File</strong>
+                <small>Password-protected</small>
+              </div>
+            </div>
+          </label>
+        </div>
+        
+        <div class="enc-phrase" id="encBackupPhrase" style="display:none;"></div>
+        
+        <div class="enc-password-form" id="encBackupFileForm" style="display:none;">
+          <input type="password" id="encBackupPassword" placeholder="Backup password (min 8 chars)" autocomplete="new-password">
+          <input type="password" id="encBackupPasswordConfirm" placeholder="Confirm password" autocomplete="new-password">
+        </div>
+        
+        <div class="enc-warning" id="encWarning"></div>
+        
+        <button class="enc-btn-primary" id="encBackupBtn" disabled onclick="DropLitEncryptionUI.doBackup('${userId}')">
+          Continue
+        </button>
+        
+        <p class="enc-footer">Anyone with the phrase can read your drops</p>
+        
+      </div>
+    </div>
+  `;
+  
+  addEncryptionStyles();
+  document.body.appendChild(modal);
+  setupBackupListeners();
+}
+
+function setupBackupListeners() {
+  const options = document.querySelectorAll('.enc-option');
+  const phraseBox = document.getElementById('encBackupPhrase');
+  const fileForm = document.getElementById('encBackupFileForm');
+  const warning = document.getElementById('encWarning');
+  const btn = document.getElementById('encBackupBtn');
+  const pwd = document.getElementById('encBackupPassword');
+  const pwdConfirm = document.getElementById('encBackupPasswordConfirm');
+  
+  let selectedMethod = null;
+  
+  options.forEach(opt => {
+    opt.addEventListener('click', () => {
+      options.forEach(o => o.classList.remove('selected'));
+      opt.classList.add('selected');
+      opt.querySelector('input').checked = true;
+      selectedMethod = opt.dataset.method;
+      
+      // Hide phrase whenever user switches away
+      phraseBox.innerHTML = '';
+      phraseBox.style.display = 'none';
+      
+      if (selectedMethod === 'phrase') {
+        fileForm.style.display = 'none';
+        warning.innerHTML = '⚠️ Make sure nobody is looking at your screen';
+        btn.textContent = 'Show Phrase';
+        btn.disabled = false;
+      } else {
+        fileForm.style.display = 'block';
+        warning.innerHTML = '⚠️ Lost backup password = useless file';
+        btn.textContent = 'Download Backup';
+        btn.disabled = true;
+        pwd.focus();
+      }
+    });
+  });
+  
+  const validate = () => {
+    if (selectedMethod !== 'file') return;
+    btn.disabled = !(pwd.value.length >= 8 && pwd.value === pwdConfirm.value);
+  };
+  
+  pwd.addEventListener('input', validate);
+  pwdConfirm.addEventListener('input', validate);
+}
+
+async function doBackup(userId) {
+  const btn = document.getElementById('encBackupBtn');
+  const warning = document.getElementById('encWarning');
+  const method = document.querySelector('.enc-option.selected')?.dataset.method;
+  
+  if (!method || !window.DropLitKeyBackup) return;
+  
+  btn.disabled = true;
+  
+  try {
+    if (method === 'phrase') {
+      const phrase = await window.DropLitKeyBackup.exportRecoveryPhrase(userId);
+      const box = document.getElementById('encBackupPhrase');
+      box.innerHTML = phrase.split(' ')
+        .map((word, i) => `<span><small>${i + 1}</small>${word}</span>`)
+        .join('');
+      box.style.display = 'grid';
+      warning.innerHTML = '⚠️ Write these 25 words down in order. Never store them online.';
+      btn.textContent = 'Done';
+      btn.disabled = false;
+      btn.onclick = () => closeEncryptionModal();
+    } else {
+      const pwd = document.getElementById('encBackupPassword').value;
+      btn.textContent = 'Encrypting...';
+      await window.DropLitKeyBackup.downloadBackupFile(userId, pwd);
+      closeEncryptionModal();
+      if (typeof toast === 'function') {
+        toast('💾 Key backup saved', 'success');
+      }
+    }
+  } catch (err) {
+    console.error('[EncryptionUI] Backup error:', err);
+    warning.innerHTML = '⚠️ ' + err.message;
+    btn.textContent = method === 'phrase' ? 'Show Phrase' : 'Download Backup';
+    btn.disabled = false;
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -390,6 +964,93 @@ function addEncryptionStyles() {
       color: #666;
       margin: 16px 0 0;
     }
+    
+    /* Link button */
+    .enc-btn-link {
+      display: block;
+      width: 100%;
+      margin-top: 12px;
+      padding: 8px;
+      background: none;
+      border: none;
+      color: #8B5CF6;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    
+    /* Restore inputs */
+    .enc-password-form textarea {
+      width: 100%;
+      padding: 12px 14px;
+      background: #252542;
+      border: 1px solid #333;
+      border-radius: 8px;
+      color: #fff;
+      font-size: 16px;
+      font-family: inherit;
+      resize: none;
+      box-sizing: border-box;
+    }
+    .enc-password-form textarea:focus {
+      outline: none;
+      border-color: #8B5CF6;
+    }
+    .enc-password-form input[type="file"] {
+      padding: 10px;
+      font-size: 13px;
+      color: #aaa;
+    }
+    
+    /* Pairing QR / camera */
+    .enc-qr {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 16px;
+      text-align: center;
+      color: #888;
+      font-size: 13px;
+    }
+    .enc-qr img {
+      background: #fff;
+      border-radius: 8px;
+    }
+    .enc-qr video {
+      width: 100%;
+      max-height: 240px;
+      border-radius: 10px;
+      background: #000;
+      object-fit: cover;
+    }
+    .enc-qr b {
+      color: #fff;
+    }
+    
+    /* Recovery phrase grid */
+    .enc-phrase {
+      grid-template-columns: repeat(3, 1fr);
+      gap: 6px;
+      margin-bottom: 16px;
+      user-select: none;
+      -webkit-user-select: none;
+    }
+    .enc-phrase span {
+      padding: 6px 4px;
+      background: #252542;
+      border-radius: 6px;
+      font-size: 13px;
+      color: #fff;
+      font-family: monospace;
+    }
+    .enc-phrase small {
+      display: inline-block;
+      min-width: 18px;
+      margin-right: 4px;
+      color: #666;
+      font-size: 10px;
+      text-align: right;
+    }
   `;
   
   document.head.appendChild(style);
@@ -431,6 +1092,14 @@ window.DropLitEncryptionUI = {
   showEncryptionSetupModal,
   closeEncryptionModal,
   doSetup,
+  showKeyRestoreModal,
+  doRestore,
+  showKeyBackupModal,
+  doBackup,
+  showDeviceLinkModal,
+  doStartDeviceLink,
+  showPairScanModal,
+  doSendKey,
   updateEncryptionIndicator,
   createEncryptionBadge,
   addEncryptionStyles
@@ -441,4 +1110,8 @@ window.addEventListener('encryption-setup-needed', (e) => {
   showEncryptionSetupModal(e.detail.userId);
 });
 
-console.log('[EncryptionUI] Module loaded v1.1.0');
+window.addEventListener('device-pairing-available', (e) => {
+  showDeviceLinkModal(e.detail.userId);
+});
+
+console.log('[EncryptionUI] Module loaded v1.3.0');
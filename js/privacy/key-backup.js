@@ -0,0 +1,717 @@
+/**
+ * DROPLIT — Key Backup & Recovery
+ * Version: 1.0.0
+ * Date: October 19, 2026
+ * 
+ * The master key only lives in IndexedDB (droplit_keys). Clearing browser
+ * data without a backup means encrypted drops are lost forever.
+ * 
+ * - Recovery phrase: 24 BIP39 words (256-bit key + 8-bit checksum)
+ *   + a 25th word for the key version; the search seed is re-derived
+ *   from the key on restore and server search tokens are rebuilt
+ * - Backup file: key + search seed wrapped with a password (PBKDF2 → AES-GCM)
+ * - Restore on a new device, verified by decrypting one server drop
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const BACKUP_FORMAT = 'droplit-key-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 310000; // OWASP 2023 recommendation for PBKDF2-SHA256
+const BACKUP_SEED_STORAGE_KEY = 'droplit_zk_search_seed';
+const PHRASE_KEY_WORDS = 24;
+const PHRASE_SEED_CONTEXT = 'droplit-zk-search-seed-v1';
+
+// BIP39 English wordlist (2048 words, first 4 letters are unique)
+const BIP39_WORDLIST = (
+  'abandon ability able about above absent absorb abstract absurd abuse access ' +
+  'accident account accuse achieve acid acoustic acquire across act action ' +
+  'actor actress actual adapt add addict address adjust admit adult advance ' +
+  'advice aerobic affair afford afraid again age agent agree ahead aim air ' +
+  'airport aisle alarm album alcohol alert alien all alley allow almost alone ' +
+  'alpha already also alter always amateur amazing among amount amused analyst ' +
+  'anchor ancient anger angle angry animal ankle announce annual another ' +
+  'answer antenna antique anxiety any apart apology appear apple approve april ' +
+  'arch arctic area arena argue arm armed armor army around arrange arrest ' +
+  'arrive arrow art artefact artist artwork ask aspect assault asset assist ' +
+  'assume asthma athlete atom attack attend attitude attract auction audit ' +
+  'august aunt author auto autumn average avocado avoid awake aware away ' +
+  'awesome awful awkward axis baby bachelor bacon badge bag balance balcony ' +
+  'ball bamboo banana banner bar barely bargain barrel base basic basket ' +
+  'battle beach bean beauty because become beef before begin behave behind ' +
+  'believe below belt bench benefit best betray better between beyond bicycle ' +
+  'bid bike bind biology bird birth bitter black blade blame blanket blast ' +
+  'bleak bless blind blood blossom blouse blue blur blush board boat body boil ' +
+  'bomb bone bonus book boost border boring borrow boss bottom bounce box boy ' +
+  'bracket brain brand brass brave bread breeze brick bridge brief bright ' +
+  'bring brisk broccoli broken bronze broom brother brown brush bubble buddy ' +
+  'budget buffalo build bulb bulk bullet bundle bunker burden burger burst bus ' +
+  'business busy butter buyer buzz cabbage cabin cable cactus cage cake call ' +
+  'calm camera camp can canal cancel candy cannon canoe canvas canyon capable ' +
+  'capital captain car carbon card cargo carpet carry cart case cash casino ' +
+  'castle casual cat catalog catch category cattle caught cause caution cave ' +
+  'ceiling celery cement census century cereal certain chair chalk champion ' +
+  'change chaos chapter charge chase chat cheap check cheese chef cherry chest ' +
+  'chicken chief child chimney choice choose chronic chuckle chunk churn cigar ' +
+  'cinnamon circle citizen city civil claim clap clarify claw clay clean clerk ' +
+  'clever click client cliff climb clinic clip clock clog close cloth cloud ' +
+  'clown club clump cluster clutch coach coast coconut code coffee coil coin ' +
+  'collect color column combine come comfort comic common company concert ' +
+  'conduct confirm congress connect consider control convince cook cool copper ' +
+  'copy coral core corn correct cost cotton couch country couple course cousin ' +
+  'cover coyote crack cradle craft cram crane crash crater crawl crazy cream ' +
+  'credit creek crew cricket crime crisp critic crop cross crouch crowd ' +
+  'crucial cruel cruise crumble crunch crush cry crystal cube culture cup ' +
+  'cupboard curious current curtain curve cushion custom cute cycle dad damage ' +
+  'damp dance danger daring dash daughter dawn day deal debate debris decade ' +
+  'december decide decline decorate decrease deer defense define defy degree ' +
+  'delay deliver demand demise denial dentist deny depart depend deposit depth ' +
+  'deputy derive describe desert design desk despair destroy detail detect ' +
+  'develop device devote diagram dial diamond diary dice diesel diet differ ' +
+  'digital dignity dilemma dinner dinosaur direct dirt disagree discover ' +
+  'disease dish dismiss disorder display distance divert divide divorce dizzy ' +
+  'doctor document dog doll dolphin domain donate donkey donor door dose ' +
+  'double dove draft dragon drama drastic draw dream dress drift drill drink ' +
+  'drip drive drop drum dry duck dumb dune during dust dutch duty dwarf ' +
+  'dynamic eager eagle early earn earth easily east easy echo ecology economy ' +
+  'edge edit educate effort egg eight either elbow elder electric elegant ' +
+  'element elephant elevator elite else embark embody embrace emerge emotion ' +
+  'employ empower empty enable enact end endless endorse enemy energy enforce ' +
+  'engage engine enhance enjoy enlist enough enrich enroll ensure enter entire ' +
+  'entry envelope episode equal equip era erase erode erosion error erupt ' +
+  'escape essay essence estate eternal ethics evidence evil evoke evolve exact ' +
+  'example excess exchange excite exclude excuse execute exercise exhaust ' +
+  'exhibit exile exist exit exotic expand expect expire explain expose express ' +
+  'extend extra eye eyebrow fabric face faculty fade faint faith fall false ' +
+  'fame family famous fan fancy fantasy farm fashion fat fatal father fatigue ' +
+  'fault favorite feature february federal fee feed feel female fence festival ' +
+  'fetch fever few fiber fiction field figure file film filter final find fine ' +
+  'finger finish fire firm first fiscal fish fit fitness fix flag flame flash ' +
+  'flat flavor flee flight flip float flock floor flower fluid flush fly foam ' +
+  'focus fog foil fold follow food foot force forest forget fork fortune forum ' +
+  'forward fossil foster found fox fragile frame frequent fresh friend fringe ' +
+  'frog front frost frown frozen fruit fuel fun funny furnace fury future ' +
+  'gadget gain galaxy gallery game gap garage garbage garden garlic garment ' +
+  'gas gasp gate gather gauge gaze general genius genre gentle genuine gesture ' +
+  'ghost giant gift giggle ginger giraffe girl give glad glance glare glass ' +
+  'glide glimpse globe gloom glory glove glow glue goat goddess gold good ' +
+  'goose gorilla gospel gossip govern gown grab grace grain grant grape grass ' +
+  'gravity great green grid grief grit grocery group grow grunt guard guess ' +
+  'guide guilt guitar gun gym habit hair half hammer hamster hand happy harbor ' +
+  'hard harsh harvest hat have hawk hazard head health heart heavy hedgehog ' +
+  'height hello helmet help hen hero hidden high hill hint hip hire history ' +
+  'hobby hockey hold hole holiday hollow home honey hood hope horn horror ' +
+  'horse hospital host hotel hour hover hub huge human humble humor hundred ' +
+  'hungry hunt hurdle hurry hurt husband hybrid ice icon idea identify idle ' +
+  'ignore ill illegal illness image imitate immense immune impact impose ' +
+  'improve impulse inch include income increase index indicate indoor industry ' +
+  'infant inflict inform inhale inherit initial inject injury inmate inner ' +
+  'innocent input inquiry insane insect inside inspire install intact interest ' +
+  'into invest invite involve iron island isolate issue item ivory jacket ' +
+  'jaguar jar jazz jealous jeans jelly jewel job join joke journey joy judge ' +
+  'juice jump jungle junior junk just kangaroo keen keep ketchup key kick kid ' +
+  'kidney kind kingdom kiss kit kitchen kite kitten kiwi knee knife knock know ' +
+  'lab label labor ladder lady lake lamp language laptop large later latin ' +
+  'laugh laundry lava law lawn lawsuit layer lazy leader leaf learn leave ' +
+  'lecture left leg legal legend leisure lemon lend length lens leopard lesson ' +
+  'letter level liar liberty library license life lift light like limb limit ' +
+  'link lion liquid list little live lizard load loan lobster local lock logic ' +
+  'lonely long loop lottery loud lounge love loyal lucky luggage lumber lunar ' +
+  'lunch luxury lyrics machine mad magic magnet maid mail main major make ' +
+  'mammal man manage mandate mango mansion manual maple marble march margin ' +
+  'marine market marriage mask mass master match material math matrix matter ' +
+  'maximum maze meadow mean measure meat mechanic medal media melody melt ' +
+  'member memory mention menu mercy merge merit merry mesh message metal ' +
+  'method middle midnight milk million mimic mind minimum minor minute miracle ' +
+  'mirror misery miss mistake mix mixed mixture mobile model modify mom moment ' +
+  'monitor monkey monster month moon moral more morning mosquito mother motion ' +
+  'motor mountain mouse move movie much muffin mule multiply muscle museum ' +
+  'mushroom music must mutual myself mystery myth naive name napkin narrow ' +
+  'nasty nation nature near neck need negative neglect neither nephew nerve ' +
+  'nest net network neutral never news next nice night noble noise nominee ' +
+  'noodle normal north nose notable note nothing notice novel now nuclear ' +
+  'number nurse nut oak obey object oblige obscure observe obtain obvious ' +
+  'occur ocean october odor off offer office often oil okay old olive olympic ' +
+  'omit once one onion online only open opera opinion oppose option orange ' +
+  'orbit orchard order ordinary organ orient original orphan ostrich other ' +
+  'outdoor outer output outside oval oven over own owner oxygen oyster ozone ' +
+  'pact paddle page pair palace palm panda panel panic panther paper parade ' +
+  'parent park parrot party pass patch path patient patrol pattern pause pave ' +
+  'payment peace peanut pear peasant pelican pen penalty pencil people pepper ' +
+  'perfect permit person pet phone photo phrase physical piano picnic picture ' +
+  'piece pig pigeon pill pilot pink pioneer pipe pistol pitch pizza place ' +
+  'planet plastic plate play please pledge pluck plug plunge poem poet point ' +
+  'polar pole police pond pony pool popular portion position possible post ' +
+  'potato pottery poverty powder power practice praise predict prefer prepare ' +
+  'present pretty prevent price pride primary print priority prison private ' +
+  'prize problem process produce profit program project promote proof property ' +
+  'prosper protect proud provide public pudding pull pulp pulse pumpkin punch ' +
+  'pupil puppy purchase purity purpose purse push put puzzle pyramid quality ' +
+  'quantum quarter question quick quit quiz quote rabbit raccoon race rack ' +
+  'radar radio rail rain raise rally ramp ranch random range rapid rare rate ' +
+  'rather raven raw razor ready real reason rebel rebuild recall receive ' +
+  'recipe record recycle reduce reflect reform refuse region regret regular ' +
+  'reject relax release relief rely remain remember remind remove render renew ' +
+  'rent reopen repair repeat replace report require rescue resemble resist ' +
+  'resource response result retire retreat return reunion reveal review reward ' +
+  'rhythm rib ribbon rice rich ride ridge rifle right rigid ring riot ripple ' +
+  'risk ritual rival river road roast robot robust rocket romance roof rookie ' +
+  'room rose rotate rough round route royal rubber rude rug rule run runway ' +
+  'rural sad saddle sadness safe sail salad salmon salon salt salute same ' +
+  'sample sand satisfy satoshi sauce sausage save say scale scan scare scatter ' +
+  'scene scheme school science scissors scorpion scout scrap screen script ' +
+  'scrub sea search season seat second secret section security seed seek ' +
+  'segment select sell seminar senior sense sentence series service session ' +
+  'settle setup seven shadow shaft shallow share shed shell sheriff shield ' +
+  'shift shine ship shiver shock shoe shoot shop short shoulder shove shrimp ' +
+  'shrug shuffle shy sibling sick side siege sight sign silent silk silly ' +
+  'silver similar simple since sing siren sister situate six size skate sketch ' +
+  'ski skill skin skirt skull slab slam sleep slender slice slide slight slim ' +
+  'slogan slot slow slush small smart smile smoke smooth snack snake snap ' +
+  'sniff snow soap soccer social sock soda soft solar soldier solid solution ' +
+  'solve someone song soon sorry sort soul sound soup source south space spare ' +
+  'spatial spawn speak special speed spell spend sphere spice spider spike ' +
+  'spin spirit split spoil sponsor spoon sport spot spray spread spring spy ' +
+  'square squeeze squirrel stable stadium staff stage stairs stamp stand start ' +
+  'state stay steak steel stem step stereo stick still sting stock stomach ' +
+  'stone stool story stove strategy street strike strong struggle student ' +
+  'stuff stumble style subject submit subway success such sudden suffer sugar ' +
+  'suggest suit summer sun sunny sunset super supply supreme sure surface ' +
+  'surge surprise surround survey suspect sustain swallow swamp swap swarm ' +
+  'swear sweet swift swim swing switch sword symbol symptom syrup system table ' +
+  'tackle tag tail talent talk tank tape target task taste tattoo taxi teach ' +
+  'team tell ten tenant tennis tent term test text thank that theme then ' +
+  'theory there they thing this thought three thrive throw thumb thunder ' +
+  'ticket tide tiger tilt timber time tiny tip tired tissue title toast ' +
+  'tobacco today toddler toe together toilet token tomato tomorrow tone tongue ' +
+  'tonight tool tooth top topic topple torch tornado tortoise toss total ' +
+  'tourist toward tower town toy track trade traffic tragic train transfer ' +
+  'trap trash travel tray treat tree trend trial tribe trick trigger trim trip ' +
+  'trophy trouble truck true truly trumpet trust truth try tube tuition tumble ' +
+  'tuna tunnel turkey turn turtle twelve twenty twice twin twist two type ' +
+  'typical ugly umbrella unable unaware uncle uncover under undo unfair unfold ' +
+  'unhappy uniform unique unit universe unknown unlock until unusual unveil ' +
+  'update upgrade uphold upon upper upset urban urge usage use used useful ' +
+  'useless usual utility vacant vacuum vague valid valley valve van vanish ' +
+  'vapor various vast vault vehicle velvet vendor venture venue verb verify ' +
+  'version very vessel veteran viable vibrant vicious victory video view ' +
+  'village vintage violin virtual virus visa visit visual vital vivid vocal ' +
+  'voice void volcano volume vote voyage wage wagon wait walk wall walnut want ' +
+  'warfare warm warrior wash wasp waste water wave way wealth weapon wear ' +
+  'weasel weather web wedding weekend weird welcome west wet whale what wheat ' +
+  'wheel when where whip whisper wide width wife wild will win window wine ' +
+  'wing wink winner winter wire wisdom wise wish witness wolf woman wonder ' +
+  'wood wool word work world worry worth wrap wreck wrestle wrist write wrong ' +
+  'yard year yellow you young youth zebra zero zone zoo'
+).trim().split(' ');
+
+const BIP39_INDEX = new Map(BIP39_WORDLIST.map((word, i) => [word, i]));
+const BIP39_PREFIX_INDEX = new Map(
+  BIP39_WORDLIST.filter(word => word.length >= 4).map(word => [word.slice(0, 4), BIP39_INDEX.get(word)])
+);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECOVERY PHRASE (BIP39)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Bytes → '0101...' bit string
+ */
+function bip39Bits(bytes) {
+  return Array.from(bytes).map(b => b.toString(2).padStart(8, '0')).join('');
+}
+
+/**
+ * Find word index; accepts full words or their first 4 letters
+ */
+function bip39WordIndex(word) {
+  if (BIP39_INDEX.has(word)) return BIP39_INDEX.get(word);
+  if (word.length === 4 && BIP39_PREFIX_INDEX.has(word)) return BIP39_PREFIX_INDEX.get(word);
+  return -1;
+}
+
+/**
+ * Encode key bytes as a BIP39 mnemonic
+ * 
+ * @param {Uint8Array} entropy - 32 bytes (master key)
+ * @returns {Promise<string>} - 24 words separated by spaces
+ */
+async function entropyToPhrase(entropy) {
+  if (!(entropy instanceof Uint8Array) || entropy.length !== 32) {
+    throw new Error('Recovery phrase needs a 256-bit key');
+  }
+  
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', entropy));
+  const bits = bip39Bits(entropy) + bip39Bits(hash).slice(0, entropy.length / 4);
+  
+  const words = [];
+  for (let i = 0; i < bits.length; i += 11) {
+    words.push(BIP39_WORDLIST[parseInt(bits.slice(i, i + 11), 2)]);
+  }
+  return words.join(' ');
+}
+
+/**
+ * Decode a BIP39 mnemonic back to key bytes (validates words + checksum)
+ * 
+ * @param {string} phrase - 24 words
+ * @returns {Promise<Uint8Array>} - 32 bytes
+ */
+async function phraseToEntropy(phrase) {
+  const words = String(phrase || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  
+  if (words.length !== 24) {
+    throw new Error(`Recovery phrase must have 24 words (got ${words.length})`);
+  }
+  
+  const bits = words.map((word, i) => {
+    const index = bip39WordIndex(word);
+    if (index < 0) throw new Error(`Unknown word #${i + 1}: "${word}"`);
+    return index.toString(2).padStart(11, '0');
+  }).join('');
+  
+  const checksumLength = bits.length / 33; // 8 bits for 24 words
+  const entropyBits = bits.slice(0, bits.length - checksumLength);
+  const entropy = new Uint8Array(entropyBits.match(/.{8}/g).map(b => parseInt(b, 2)));
+  
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', entropy));
+  if (bip39Bits(hash).slice(0, checksumLength) !== bits.slice(-checksumLength)) {
+    throw new Error('Recovery phrase checksum mismatch — check word order and spelling');
+  }
+  
+  return entropy;
+}
+
+/**
+ * Split a recovery phrase into key bytes and key version
+ * 25th word = version (its wordlist index); 24-word phrases predate it
+ * 
+ * @param {string} phrase - 24 or 25 words
+ * @returns {Promise<{entropy: Uint8Array, version: number|null}>}
+ */
+async function parseRecoveryPhrase(phrase) {
+  const words = String(phrase || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  
+  let version = null;
+  if (words.length === PHRASE_KEY_WORDS + 1) {
+    version = bip39WordIndex(words.pop());
+    if (version < 1) throw new Error('Unknown key version word (#25)');
+  }
+  
+  return { entropy: await phraseToEntropy(words.join(' ')), version };
+}
+
+/**
+ * Search seed for a key restored from a phrase: the phrase can't carry the
+ * old seed, so a new one is derived from the key — every device restoring
+ * the same phrase gets the same seed
+ * 
+ * @param {Uint8Array} keyData - Raw key bytes
+ * @returns {Promise<string>} - 32-byte seed as hex
+ */
+async function deriveSeedFromKey(keyData) {
+  const context = new TextEncoder().encode(PHRASE_SEED_CONTEXT);
+  const input = new Uint8Array(keyData.length + context.length);
+  input.set(keyData, 0);
+  input.set(context, keyData.length);
+  
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+  return Array.from(hash).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read the active key for backup
+ * Refuses during rotation: the key is about to change
+ */
+async function getBackupKeyMaterial(userId) {
+  if (await window.DropLitKeys.getPendingRotation(userId)) {
+    throw new Error('Key rotation in progress — back up after it finishes');
+  }
+  
+  const raw = await window.DropLitKeys.exportRawKey(userId);
+  if (!raw) throw new Error('No encryption key on this device');
+  return raw;
+}
+
+/**
+ * Export the master key as a recovery phrase: 24 key words + version word
+ * 
+ * @param {string} userId - User ID
+ * @returns {Promise<string>}
+ */
+async function exportRecoveryPhrase(userId) {
+  const raw = await getBackupKeyMaterial(userId);
+  const versionWord = BIP39_WORDLIST[Math.min(Math.max(raw.version, 1), BIP39_WORDLIST.length - 1)];
+  const phrase = `${await entropyToPhrase(raw.keyData)} ${versionWord}`;
+  
+  await logBackupOperation('export', { source: 'phrase', version: raw.version });
+  return phrase;
+}
+
+/**
+ * Derive AES-GCM wrapping key from backup password
+ */
+async function deriveBackupWrapKey(password, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Create a password-wrapped backup of the master key (+ ZK search seed)
+ * 
+ * @param {string} userId - User ID
+ * @param {string} password - Backup password (min 8 chars)
+ * @returns {Promise<Object>} - JSON-serializable backup
+ */
+async function createBackupFile(userId, password) {
+  if (!password || password.length < 8) {
+    throw new Error('Backup password must be at least 8 characters');
+  }
+  
+  const raw = await getBackupKeyMaterial(userId);
+  const { arrayBufferToBase64 } = window.DropLitKeys;
+  
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const nonce = crypto.getRandomValues(new Uint8Array(12));
+  const wrapKey = await deriveBackupWrapKey(password, salt, BACKUP_KDF_ITERATIONS);
+  
+  // Search seed travels with the key, otherwise server search tokens won't match
+  const payload = JSON.stringify({
+    key: arrayBufferToBase64(raw.keyData),
+    search_seed: localStorage.getItem(BACKUP_SEED_STORAGE_KEY)
+  });
+  
+  const wrapped = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: backupAdditionalData(BACKUP_FORMAT_VERSION) },
+    wrapKey,
+    new TextEncoder().encode(payload)
+  );
+  
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_FORMAT_VERSION,
+    user_id: userId,
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: BACKUP_KDF_ITERATIONS,
+      salt: arrayBufferToBase64(salt)
+    },
+    cipher: {
+      name: 'AES-GCM',
+      nonce: arrayBufferToBase64(nonce)
+    },
+    wrapped_key: arrayBufferToBase64(wrapped),
+    key_type: raw.keyType,
+    key_salt: raw.salt ? arrayBufferToBase64(raw.salt) : null,
+    key_version: raw.version,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Binds ciphertext to format/version so headers can't be swapped
+ */
+function backupAdditionalData(version) {
+  return new TextEncoder().encode(`${BACKUP_FORMAT}:${version}`);
+}
+
+/**
+ * Create backup and save it as a .json file
+ * 
+ * @param {string} userId - User ID
+ * @param {string} password - Backup password
+ */
+async function downloadBackupFile(userId, password) {
+  const backup = await createBackupFile(userId, password);
+  
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `droplit-key-backup-${backup.created_at.slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  
+  localStorage.setItem('droplit_key_backup_at_' + userId, backup.created_at);
+  await logBackupOperation('export', { source: 'file', version: backup.key_version });
+  return backup;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESTORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Restore master key from a recovery phrase
+ * 
+ * @param {string} userId - User ID
+ * @param {string} phrase - 25 words (24 for phrases without a version word)
+ * @param {Object} [options] - { overwrite, rebuildSearchTokens }
+ *   rebuildSearchTokens: replace the server search tokens with ones from the
+ *   re-derived seed — other devices keep the old seed, and their search stops
+ *   finding drops until they restore from the phrase too. Ask the user first.
+ * @returns {Promise<{success: boolean, verified: boolean|null, status: string}>}
+ */
+async function restoreFromPhrase(userId, phrase, options = {}) {
+  const { entropy: keyData, version } = await parseRecoveryPhrase(phrase);
+  
+  // Password salt isn't needed (the key itself is restored); the search seed
+  // is re-derived, server tokens are rebuilt only if the caller asked
+  return installRestoredKey(userId, keyData, {
+    keyType: 'random',
+    salt: null,
+    version: version || 1,
+    searchSeed: await deriveSeedFromKey(keyData),
+    rebuildSearchTokens: Boolean(options.rebuildSearchTokens),
+    source: 'phrase'
+  }, options);
+}
+
+/**
+ * Restore master key from a backup file
+ * 
+ * @param {string} userId - User ID
+ * @param {string} fileText - Backup file contents
+ * @param {string} password - Backup password
+ * @param {Object} [options] - { overwrite }
+ * @returns {Promise<{success: boolean, verified: boolean|null, status: string}>}
+ */
+async function restoreFromBackupFile(userId, fileText, password, options = {}) {
+  let backup;
+  try {
+    backup = typeof fileText === 'string' ? JSON.parse(fileText) : fileText;
+  } catch (e) {
+    throw new Error('Not a DropLit key backup file');
+  }
+  
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('Not a DropLit key backup file');
+  }
+  if (backup.version > BACKUP_FORMAT_VERSION) {
+    throw new Error('Backup was made by a newer DropLit version');
+  }
+  if (backup.user_id && backup.user_id !== userId) {
+    throw new Error('This backup belongs to another account');
+  }
+  
+  const { base64ToUint8Array } = window.DropLitKeys;
+  
+  let payload;
+  try {
+    const wrapKey = await deriveBackupWrapKey(
+      password || '',
+      base64ToUint8Array(backup.kdf.salt),
+      backup.kdf.iterations
+    );
+    const decrypted = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: base64ToUint8Array(backup.cipher.nonce),
+        additionalData: backupAdditionalData(backup.version)
+      },
+      wrapKey,
+      base64ToUint8Array(backup.wrapped_key)
+    );
+    payload = JSON.parse(new TextDecoder().decode(decrypted));
+  } catch (e) {
+    throw new Error('Wrong password or damaged backup file');
+  }
+  
+  const keyData = base64ToUint8Array(payload.key);
+  if (keyData.length !== 32) {
+    throw new Error('Backup contains an invalid key');
+  }
+  
+  return installRestoredKey(userId, keyData, {
+    keyType: backup.key_type || 'random',
+    salt: backup.key_salt ? base64ToUint8Array(backup.key_salt) : null,
+    version: backup.key_version || 1,
+    searchSeed: payload.search_seed || null,
+    source: 'file'
+  }, options);
+}
+
+/**
+ * Verify, then store restored key on this device
+ * A key that fails to decrypt server drops is never stored
+ */
+async function installRestoredKey(userId, keyData, meta, options = {}) {
+  const check = await verifyKeyAgainstServer(keyData, userId);
+  
+  if (check.verified === false) {
+    await logBackupOperation('import', { source: meta.source, success: false, status: check.status });
+    throw new Error('This key does not decrypt your drops — check the phrase or backup file');
+  }
+  
+  if (!options.overwrite && await window.DropLitKeys.hasStoredKey(userId)) {
+    throw new Error('An encryption key already exists on this device');
+  }
+  
+  const seed = meta.searchSeed
+    ? new Uint8Array(meta.searchSeed.match(/.{2}/g).map(h => parseInt(h, 16)))
+    : null;
+  
+  // Seed is stored with the key, like after a rotation (see commitKeyRotation)
+  await window.DropLitKeys.storeKey(userId, keyData, meta.salt, meta.keyType, meta.version, seed);
+  
+  if (seed) {
+    if (window.DropLitZKSearch?.setSearchSeed) {
+      await window.DropLitZKSearch.setSearchSeed(seed);
+    } else {
+      localStorage.setItem(BACKUP_SEED_STORAGE_KEY, meta.searchSeed);
+    }
+  }
+  
+  // Server tokens were made with a seed we don't have — rebuild in the background
+  if (meta.rebuildSearchTokens && window.DropLitEncryptedSync?.regenerateSearchTokens) {
+    window.DropLitEncryptedSync.regenerateSearchTokens(userId).catch(e =>
+      console.warn('[KeyBackup] Search token rebuild failed:', e.message)
+    );
+  }
+  
+  localStorage.setItem('droplit_has_key_' + userId, 'true');
+  await logBackupOperation('import', {
+    source: meta.source,
+    version: meta.version,
+    success: true,
+    status: check.status
+  });
+  
+  console.log('[KeyBackup] Key restored from', meta.source, '—', check.status);
+  return { success: true, verified: check.verified, status: check.status };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VERIFICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check a key by decrypting the user's latest encrypted drops from the server
+ * 
+ * @param {Uint8Array} keyData - Raw key bytes
+ * @param {string} userId - User ID
+ * @returns {Promise<{verified: boolean|null, status: string}>}
+ *   verified = null when there is nothing to check against (offline, no drops)
+ */
+async function verifyKeyAgainstServer(keyData, userId) {
+  const client = (typeof supabaseClient !== 'undefined' && supabaseClient) || window._supabaseClient;
+  if (!client || !navigator.onLine) {
+    return { verified: null, status: 'offline' };
+  }
+  
+  let rows;
+  try {
+    // Several rows: during an unfinished rotation some drops use the newer key
+    const { data, error } = await client
+      .from('drops')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('is_deleted', false)
+      .gt('encryption_version', 0)
+      .order('created_at', { ascending: false })
+      .limit(5);
+    
+    if (error) throw error;
+    rows = data || [];
+  } catch (e) {
+    console.warn('[KeyBackup] Verification fetch failed:', e.message);
+    return { verified: null, status: 'unreachable' };
+  }
+  
+  if (rows.length === 0) {
+    return { verified: null, status: 'no_encrypted_drops' };
+  }
+  
+  const key = await crypto.subtle.importKey(
+    'raw',
+    keyData,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['decrypt']
+  );
+  
+  for (const row of rows) {
+    const drop = await window.DropLitEncryption.processDropFromServer(row, key);
+    if (!drop._decryption_error) {
+      return { verified: true, status: 'verified' };
+    }
+  }
+  
+  return { verified: false, status: 'mismatch' };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function logBackupOperation(action, details) {
+  try {
+    if (window.DropLitAudit?.logKeyOperation) {
+      await window.DropLitAudit.logKeyOperation(action, details);
+    }
+  } catch (e) {
+    console.warn('[KeyBackup] Audit log failed:', e.message);
+  }
+}
+
+/**
+ * When the current key was last backed up to a file (ISO string or null)
+ */
+function getLastBackupDate(userId) {
+  return localStorage.getItem('droplit_key_backup_at_' + userId);
+}
+
+// Backups made before a rotation can't decrypt re-encrypted drops
+window.addEventListener('encryption-key-rotated', () => {
+  if (typeof currentUser !== 'undefined' && currentUser) {
+    localStorage.removeItem('droplit_key_backup_at_' + currentUser.id);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+window.DropLitKeyBackup = {
+  // Recovery phrase
+  entropyToPhrase,
+  phraseToEntropy,
+  exportRecoveryPhrase,
+  restoreFromPhrase,
+  
+  // Backup file
+  createBackupFile,
+  downloadBackupFile,
+  restoreFromBackupFile,
+  
+  // Install (also used by device pairing)
+  installKey: installRestoredKey,
+  
+  // Verification
+  verifyKeyAgainstServer,
+  getLastBackupDate
+};
+
+console.log('[KeyBackup] Module loaded v1.0.0');
@@ -5,10 +5,14 @@
  * Generates semantic embeddings entirely on the user's device.
  * Server NEVER sees the text or embeddings.
  * 
- * Uses: Transformers.js (Xenova) with MiniLM model
+ * Uses: the shared EmbeddingService (js/memory/embedding-engine.js) —
+ * the same Web Worker and model as ASKI Infinite Memory.
+ * The model is picked by the user; every cached vector records it,
+ * vectors of another model are never compared and get re-indexed
+ * in the background after a model change.
  * 
- * @version 1.0.0
- * @date 2026-01-09
+ * @version 1.1.0
+ * @date 2026-10-19
  */
 
 // ============================================================
@@ -16,21 +20,7 @@
 // ============================================================
 
 const EMBEDDINGS_CONFIG = {
-  // Model selection (trade-off: size vs quality)
-  models: {
-    // Recommended: Good balance of size and quality
-    default: 'Xenova/all-MiniLM-L6-v2',      // 384 dims, ~23MB
-    // Alternative: Smaller, faster
-    light: 'Xenova/all-MiniLM-L12-v2',       // 384 dims, ~33MB
-    // Alternative: Multilingual (EN + RU + more)
-    multilingual: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2', // 384 dims, ~470MB
-  },
-  
-  // Current model (can be changed in settings)
-  currentModel: 'Xenova/all-MiniLM-L6-v2',
-  
-  // Embedding dimensions (depends on model)
-  dimensions: 384,
+  // Model: chosen in settings, see EmbeddingEngine.MODELS
   
   // Processing settings
   maxTextLength: 512,        // Max tokens for model
@@ -42,7 +32,6 @@ const EMBEDDINGS_CONFIG = {
   storeName: 'embeddings',
   
   // Performance
-  useWebWorker: true,        // Run in background thread
   progressCallback: null,    // For UI progress updates
 };
 
@@ -50,10 +39,27 @@ const EMBEDDINGS_CONFIG = {
 // STATE
 // ============================================================
 
-let embedderPipeline = null;
-let isModelLoading = false;
-let modelLoadPromise = null;
 let embeddingsDB = null;
+let reindexPromise = null;
+
+/**
+ * Shared embedding service (one worker for chat memory and drops)
+ * @returns {EmbeddingEngine}
+ */
+function getEmbeddingService() {
+  if (!window.EmbeddingService) {
+    throw new Error('EmbeddingService not loaded (js/memory/embedding-engine.js)');
+  }
+  return window.EmbeddingService;
+}
+
+/**
+ * Id of the model new vectors are computed with
+ * @returns {string|null}
+ */
+function currentModelId() {
+  return window.EmbeddingService ? window.EmbeddingService.modelId : null;
+}
 
 // ============================================================
 // INITIALIZATION
@@ -81,6 +87,9 @@ async function initLocalEmbeddings(options = {}) {
       await loadEmbeddingModel();
     }
     
+    // Vectors left over from a previous model
+    setTimeout(() => reindexDrops(), 10000);
+    
     console.log('[Embeddings] System initialized successfully');
     return true;
     
@@ -123,69 +132,27 @@ async function initEmbeddingsDB() {
 
 /**
  * Load the embedding model
- * Uses dynamic import to load Transformers.js only when needed
+ * Starts the shared worker (no-op if chat memory already did)
  * 
- * @returns {Promise<Object>} - The pipeline object
+ * @returns {Promise<EmbeddingEngine>} - The shared service
  */
 async function loadEmbeddingModel() {
-  // Return existing pipeline if loaded
-  if (embedderPipeline) {
-    return embedderPipeline;
-  }
-  
-  // Return existing promise if loading
-  if (isModelLoading && modelLoadPromise) {
-    return modelLoadPromise;
-  }
-  
-  isModelLoading = true;
+  const service = getEmbeddingService();
   
-  modelLoadPromise = (async () => {
-    console.log('[Embeddings] Loading model:', EMBEDDINGS_CONFIG.currentModel);
-    
+  if (!service.isReady()) {
     const startTime = Date.now();
+    console.log('[Embeddings] Loading model:', service.modelId);
     
     try {
-      // Dynamic import of Transformers.js
-      // This allows the main app to load without waiting for ML library
-      const { pipeline, env } = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.1');
-      
-      // Configure Transformers.js
-      env.allowLocalModels = false;  // Use CDN models
-      env.useBrowserCache = true;    // Cache model in browser
-      
-      // Create the pipeline
-      embedderPipeline = await pipeline(
-        'feature-extraction',
-        EMBEDDINGS_CONFIG.currentModel,
-        {
-          progress_callback: (progress) => {
-            if (EMBEDDINGS_CONFIG.progressCallback) {
-              EMBEDDINGS_CONFIG.progressCallback(progress);
-            }
-            // Log progress for debugging
-            if (progress.status === 'progress') {
-              console.log(`[Embeddings] Loading: ${progress.file} - ${Math.round(progress.progress)}%`);
-            }
-          }
-        }
-      );
-      
-      const loadTime = Date.now() - startTime;
-      console.log(`[Embeddings] Model loaded in ${loadTime}ms`);
-      
-      isModelLoading = false;
-      return embedderPipeline;
-      
+      await service.init();
+      console.log(`[Embeddings] Model loaded in ${Date.now() - startTime}ms`);
     } catch (error) {
       console.error('[Embeddings] Failed to load model:', error);
-      isModelLoading = false;
-      modelLoadPromise = null;
       throw error;
     }
-  })();
+  }
   
-  return modelLoadPromise;
+  return service;
 }
 
 /**
@@ -193,18 +160,20 @@ async function loadEmbeddingModel() {
  * @returns {boolean}
  */
 function isModelReady() {
-  return embedderPipeline !== null;
+  return !!window.EmbeddingService && window.EmbeddingService.isReady();
 }
 
 /**
  * Get model loading status
- * @returns {Object} - { loaded, loading, model }
+ * @returns {Object} - { loaded, loading, model, reindexing }
  */
 function getModelStatus() {
+  const service = window.EmbeddingService;
   return {
-    loaded: embedderPipeline !== null,
-    loading: isModelLoading,
-    model: EMBEDDINGS_CONFIG.currentModel
+    loaded: !!service && service.isReady(),
+    loading: !!service && service.isLoading(),
+    model: currentModelId(),
+    reindexing: reindexPromise !== null
   };
 }
 
@@ -213,32 +182,26 @@ function getModelStatus() {
 // ============================================================
 
 /**
- * Generate embedding for a single text
- * All processing happens locally - nothing sent to server
+ * Embed text, returning the vector together with the model that computed it
  * 
  * @param {string} text - Text to embed
- * @returns {Promise<Float32Array>} - Embedding vector (384 dims)
+ * @param {string} kind - 'passage' (drop text) | 'query' (search query)
+ * @returns {Promise<{embedding: Float32Array, model: string}>}
  */
-async function generateEmbedding(text) {
+async function embedText(text, kind = 'passage') {
   if (!text || typeof text !== 'string') {
     throw new Error('Invalid text for embedding');
   }
   
   // Ensure model is loaded
-  const pipeline = await loadEmbeddingModel();
+  const service = await loadEmbeddingModel();
   
   // Truncate if too long
   const truncatedText = text.slice(0, EMBEDDINGS_CONFIG.maxTextLength * 4); // ~4 chars per token
   
   try {
-    // Generate embedding
-    const output = await pipeline(truncatedText, {
-      pooling: 'mean',      // Average of all token embeddings
-      normalize: true        // L2 normalize for cosine similarity
-    });
-    
-    // Extract the embedding array
-    return new Float32Array(output.data);
+    const { vector, model } = await service.embed(truncatedText, kind);
+    return { embedding: new Float32Array(vector), model };
     
   } catch (error) {
     console.error('[Embeddings] Generation failed:', error);
@@ -246,6 +209,17 @@ async function generateEmbedding(text) {
   }
 }
 
+/**
+ * Generate embedding for a single text
+ * All processing happens locally - nothing sent to server
+ * 
+ * @param {string} text - Text to embed
+ * @returns {Promise<Float32Array>} - Embedding vector (384 dims)
+ */
+async function generateEmbedding(text) {
+  return (await embedText(text, 'passage')).embedding;
+}
+
 /**
  * Generate embedding for a drop
  * Caches result in IndexedDB
@@ -266,9 +240,9 @@ async function generateDropEmbedding(drop) {
     return null;
   }
   
-  // Check cache first
+  // Check cache first (same text, same model)
   const textHash = await hashText(text);
-  const cached = await getCachedEmbedding(drop.id, textHash);
+  const cached = await getCachedEmbedding(drop.id, textHash, currentModelId());
   
   if (cached) {
     console.log('[Embeddings] Using cached embedding for drop:', drop.id);
@@ -276,11 +250,11 @@ async function generateDropEmbedding(drop) {
   }
   
   // Generate new embedding
-  const embedding = await generateEmbedding(text);
+  const { embedding, model } = await embedText(text, 'passage');
   
   // Cache it
   if (EMBEDDINGS_CONFIG.cacheEmbeddings) {
-    await cacheEmbedding(drop.id, textHash, embedding);
+    await cacheEmbedding(drop.id, textHash, embedding, model);
   }
   
   return embedding;
@@ -375,25 +349,30 @@ async function semanticSearch(query, drops, options = {}) {
   console.log(`[Embeddings] Semantic search: "${query.substring(0, 50)}..."`);
   
   // Generate query embedding
-  const queryEmbedding = await generateEmbedding(query);
+  const { embedding: queryEmbedding, model } = await embedText(query, 'query');
   
   // Score all drops
   const scored = [];
   
   for (const drop of drops) {
-    // Get or generate embedding for drop
-    let dropEmbedding = drop.embedding;
+    // Get or generate embedding for drop — only vectors of the query's model
+    let dropEmbedding = drop.embedding && drop.embeddingModel === model ? drop.embedding : null;
     
     if (!dropEmbedding) {
       // Try to get from cache
       const text = drop.text || drop.content || '';
       if (text) {
         const textHash = await hashText(text);
-        dropEmbedding = await getCachedEmbedding(drop.id, textHash);
+        dropEmbedding = await getCachedEmbedding(drop.id, textHash, model);
         
         // Generate if not cached
         if (!dropEmbedding) {
-          dropEmbedding = await generateDropEmbedding(drop);
+          const fresh = await embedText(text, 'passage');
+          if (fresh.model !== model) continue; // model switched mid-search
+          dropEmbedding = fresh.embedding;
+          if (EMBEDDINGS_CONFIG.cacheEmbeddings) {
+            await cacheEmbedding(drop.id, textHash, fresh.embedding, fresh.model);
+          }
         }
       }
     }
@@ -469,9 +448,10 @@ async function hashText(text) {
  * Get cached embedding
  * @param {string|number} dropId 
  * @param {string} textHash 
+ * @param {string} model - Only a vector of this model counts as cached
  * @returns {Promise<Float32Array|null>}
  */
-async function getCachedEmbedding(dropId, textHash) {
+async function getCachedEmbedding(dropId, textHash, model) {
   if (!embeddingsDB) {
     return null;
   }
@@ -485,8 +465,8 @@ async function getCachedEmbedding(dropId, textHash) {
       request.onsuccess = () => {
         const record = request.result;
         
-        // Check if cached and text hasn't changed
-        if (record && record.textHash === textHash && record.embedding) {
+        // Check if cached, text hasn't changed and same model
+        if (record && record.textHash === textHash && record.model === model && record.embedding) {
           resolve(new Float32Array(record.embedding));
         } else {
           resolve(null);
@@ -505,8 +485,9 @@ async function getCachedEmbedding(dropId, textHash) {
  * @param {string|number} dropId 
  * @param {string} textHash 
  * @param {Float32Array} embedding 
+ * @param {string} model - Model that computed the vector
  */
-async function cacheEmbedding(dropId, textHash, embedding) {
+async function cacheEmbedding(dropId, textHash, embedding, model) {
   if (!embeddingsDB) {
     return;
   }
@@ -521,7 +502,7 @@ async function cacheEmbedding(dropId, textHash, embedding) {
         textHash,
         embedding: Array.from(embedding), // Convert to regular array for storage
         timestamp: Date.now(),
-        model: EMBEDDINGS_CONFIG.currentModel
+        model
       };
       
       const request = store.put(record);
@@ -581,7 +562,7 @@ async function getEmbeddingCacheStats() {
           count: countRequest.result,
           // Approximate size: 384 dims * 4 bytes * count
           estimatedSizeBytes: countRequest.result * 384 * 4,
-          model: EMBEDDINGS_CONFIG.currentModel
+          model: currentModelId()
         });
       };
       
@@ -626,7 +607,7 @@ async function indexAllDrops(drops, onProgress = null) {
     try {
       // Check if already cached
       const textHash = await hashText(text);
-      const existing = await getCachedEmbedding(drop.id, textHash);
+      const existing = await getCachedEmbedding(drop.id, textHash, currentModelId());
       
       if (existing) {
         cached++;
@@ -659,6 +640,113 @@ async function indexAllDrops(drops, onProgress = null) {
   return stats;
 }
 
+/**
+ * Delete cached vectors of any model other than `model`
+ * @param {string} model 
+ * @returns {Promise<number>} - Deleted records
+ */
+async function pruneOtherModels(model) {
+  if (!embeddingsDB) {
+    return 0;
+  }
+  
+  return new Promise((resolve) => {
+    try {
+      const tx = embeddingsDB.transaction(EMBEDDINGS_CONFIG.storeName, 'readwrite');
+      const store = tx.objectStore(EMBEDDINGS_CONFIG.storeName);
+      let deleted = 0;
+      
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (cursor.value.model !== model) {
+          cursor.delete();
+          deleted++;
+        }
+        cursor.continue();
+      };
+      
+      tx.oncomplete = () => resolve(deleted);
+      tx.onerror = () => resolve(deleted);
+    } catch {
+      resolve(0);
+    }
+  });
+}
+
+/**
+ * Count cached vectors computed by another model
+ * @param {string} model 
+ * @returns {Promise<number>}
+ */
+async function countOtherModels(model) {
+  if (!embeddingsDB) {
+    return 0;
+  }
+  
+  return new Promise((resolve) => {
+    try {
+      const tx = embeddingsDB.transaction(EMBEDDINGS_CONFIG.storeName, 'readonly');
+      const store = tx.objectStore(EMBEDDINGS_CONFIG.storeName);
+      let stale = 0;
+      
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(stale);
+          return;
+        }
+        if (cursor.value.model !== model) stale++;
+        cursor.continue();
+      };
+      
+      tx.onerror = () => resolve(stale);
+    } catch {
+      resolve(0);
+    }
+  });
+}
+
+/**
+ * Background re-index after a model change
+ * Re-embeds the in-memory (already decrypted) drops with the current model,
+ * then drops vectors of other models. Repeated calls share one pass.
+ * 
+ * @returns {Promise<Object|null>} - indexAllDrops stats, null if nothing to do
+ */
+function reindexDrops() {
+  if (reindexPromise) return reindexPromise;
+  
+  reindexPromise = (async () => {
+    try {
+      const model = currentModelId();
+      if (!embeddingsDB || !model) return null;
+      
+      const stale = await countOtherModels(model);
+      if (stale === 0) return null;
+      
+      console.log(`[Embeddings] Re-indexing ${stale} cached drops for ${model}...`);
+      
+      const drops = typeof ideas !== 'undefined' ? ideas : [];
+      const stats = await indexAllDrops(drops);
+      
+      // Model switched again while we were indexing — the next pass handles it
+      if (currentModelId() !== model) return stats;
+      
+      stats.pruned = await pruneOtherModels(model);
+      return stats;
+      
+    } catch (error) {
+      console.warn('[Embeddings] Re-index stopped:', error.message);
+      return null;
+    } finally {
+      reindexPromise = null;
+    }
+  })();
+  
+  return reindexPromise;
+}
+
 /**
  * Get drops for ASKI context using semantic search
  * Returns most relevant drops for the query
@@ -712,10 +800,20 @@ if (typeof window !== 'undefined') {
     getCacheStats: getEmbeddingCacheStats,
     
     indexAll: indexAllDrops,
+    reindex: reindexDrops,
     getRelevantForAski: getRelevantDropsForAski,
     
     config: EMBEDDINGS_CONFIG
   };
   
+  // User picked another model — re-embed drops in the background
+  window.addEventListener('embedding-model-changed', () => {
+    if (reindexPromise) {
+      reindexPromise.then(() => reindexDrops());
+    } else {
+      reindexDrops();
+    }
+  });
+  
   console.log('[Embeddings] Module loaded. Access via window.DropLitEmbeddings');
 }
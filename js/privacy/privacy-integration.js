@@ -379,9 +379,10 @@ async function getAskiContext(userMessage, allDrops, options = {}) {
 /**
  * Verify data integrity across all systems
  * 
+ * @param {Object} [options] - Passed to audit verify, e.g. { allDevices, dropId }
  * @returns {Promise<Object>} - Verification results
  */
-async function verifyDataIntegrity() {
+async function verifyDataIntegrity(options = {}) {
   console.log('[Privacy] Verifying data integrity...');
   
   const results = {
@@ -391,12 +392,19 @@ async function verifyDataIntegrity() {
   
   // Check audit trail
   if (PrivacySystem.layers.audit.ready) {
-    const auditResult = await PrivacySystem.layers.audit.module.verify();
+    const auditResult = await PrivacySystem.layers.audit.module.verify(options);
     results.checks.auditTrail = {
       valid: auditResult.valid,
       entriesChecked: auditResult.entriesChecked,
       errors: auditResult.errors?.length || 0
     };
+    
+    // Cross-device: who made which change
+    if (auditResult.devices) {
+      results.checks.auditTrail.merkleRoot = auditResult.merkleRoot;
+      results.checks.auditTrail.devices = auditResult.devices;
+      results.checks.auditTrail.history = auditResult.history;
+    }
   }
   
   // Check embedding cache stats
@@ -418,14 +426,15 @@ async function verifyDataIntegrity() {
  * Generate proof of data state
  * Can be used to prove data hasn't changed
  * 
+ * @param {Object} [options] - { allDevices } for a Merkle proof over every device
  * @returns {Promise<Object>} - Integrity proof
  */
-async function generateIntegrityProof() {
+async function generateIntegrityProof(options = {}) {
   if (!PrivacySystem.layers.audit.ready) {
     return null;
   }
   
-  return PrivacySystem.layers.audit.module.generateProof();
+  return PrivacySystem.layers.audit.module.generateProof(Date.now(), options);
 }
 
 // ============================================================
@@ -60,6 +60,9 @@ async function initEncryption() {
   encryptionKey = keyData.key;
   encryptionReady = true;
   
+  // Rotation committed but the app closed before the search seed was applied
+  await applyKeySearchSeed(keyData);
+  
   console.log('[SyncEncrypted] Encryption initialized');
   window.dispatchEvent(new CustomEvent('encryption-ready'));
   
@@ -129,18 +132,22 @@ async function syncDropEncrypted(drop, action = 'upsert') {
   }
   
   try {
+    // Get current user
+    const { data: { user } } = await window.supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+    
+    // During a key rotation uploads use the pending key — a drop the rotation
+    // has already passed would otherwise stay on the old key after commit
+    const pending = await window.DropLitKeys.getPendingRotation(user.id);
+    
     // Prepare encrypted drop
-    const prepared = await window.DropLitEncryption.prepareDropForSync(drop, encryptionKey);
+    const prepared = await window.DropLitEncryption.prepareDropForSync(drop, pending ? pending.key : encryptionKey);
     
     if (!prepared) {
       // Privacy level = maximum, don't sync
       return { success: true, reason: 'local_only' };
     }
     
-    // Get current user
-    const { data: { user } } = await window.supabase.auth.getUser();
-    if (!user) throw new Error('Not authenticated');
-    
     // Add user_id
     prepared.user_id = user.id;
     
@@ -199,8 +206,9 @@ async function syncDropEncrypted(drop, action = 'upsert') {
 /**
  * Fetch drops from Supabase (decrypt)
  * REPLACES: fetchDropsFromServer in sync.js
+ * includeDeleted: tombstones come back as { id, is_deleted, _sync } — the merge needs their clocks
  */
-async function fetchDropsEncrypted() {
+async function fetchDropsEncrypted(options = {}) {
   if (!encryptionReady) {
     console.warn('[SyncEncrypted] Encryption not ready');
     return [];
@@ -211,11 +219,12 @@ async function fetchDropsEncrypted() {
     if (!user) throw new Error('Not authenticated');
     
     // Fetch encrypted drops
-    const { data, error } = await window.supabase
+    let query = window.supabase
       .from('drops')
       .select('*')
-      .eq('user_id', user.id)
-      .eq('is_deleted', false)
+      .eq('user_id', user.id);
+    if (!options.includeDeleted) query = query.eq('is_deleted', false);
+    const { data, error } = await query
       .order('created_at', { ascending: false })
       .limit(500);
     
@@ -226,6 +235,14 @@ async function fetchDropsEncrypted() {
     // Decrypt all drops
     const decrypted = [];
     for (const serverDrop of data) {
+      if (serverDrop.is_deleted) {
+        decrypted.push({
+          id: parseInt(serverDrop.external_id) || serverDrop.id,
+          is_deleted: true,
+          _sync: serverDrop.metadata?._sync || { clocks: {} }
+        });
+        continue;
+      }
       const drop = await window.DropLitEncryption.processDropFromServer(serverDrop, encryptionKey);
       decrypted.push(drop);
     }
@@ -249,22 +266,34 @@ async function fullSyncEncrypted() {
   }
   
   try {
-    // 1. Fetch server drops
-    const serverDrops = await fetchDropsEncrypted();
+    // 1. Fetch server drops (with tombstones)
+    const serverDrops = await fetchDropsEncrypted({ includeDeleted: true });
     
-    // 2. Get local drops
-    const localDrops = JSON.parse(localStorage.getItem('ideas') || '[]');
+    // 2. Get local drops (in-memory feed when the app has loaded it)
+    const localDrops = typeof ideas !== 'undefined' ? ideas : await window.DropStore.getAll();
     
-    // 3. Merge (server wins for conflicts based on timestamp)
-    const merged = mergeDrops(localDrops, serverDrops);
+    // 3. Merge (vector clocks with sync-merge.js, otherwise server wins by timestamp)
+    const { drops: merged, result } = mergeDrops(localDrops, serverDrops);
     
-    // 4. Save merged to localStorage
-    localStorage.setItem('ideas', JSON.stringify(merged));
+    // 4. Save merged — feed array updated in place so the UI sees it
+    if (typeof ideas !== 'undefined') {
+      ideas.splice(0, ideas.length, ...merged);
+    }
+    await window.DropStore.saveAll(merged);
     
-    // 5. Push unsynced local drops
-    const unsyncedDrops = merged.filter(d => !d.synced);
-    for (const drop of unsyncedDrops) {
-      await syncDropEncrypted(drop, 'upsert');
+    // 5. Push changes — same steps as pullFromServer in js/auth.js, encrypted transport
+    if (result) {
+      DropLitMerge.rememberFingerprints(merged);
+      await DropLitMerge.applyMergeResult(result, {
+        pushDrop: drop => syncDropEncrypted(drop, 'upsert'),
+        pushTombstone: pushTombstoneEncrypted,
+        onResolved: onEncryptedConflictResolved
+      });
+    } else {
+      const unsyncedDrops = merged.filter(d => !d.synced);
+      for (const drop of unsyncedDrops) {
+        await syncDropEncrypted(drop, 'upsert');
+      }
     }
     
     console.log(`[SyncEncrypted] Full sync complete: ${merged.length} drops`);
@@ -287,14 +316,35 @@ async function fullSyncEncrypted() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Merge local and server drops
- * Server wins for conflicts (most recent)
+ * Merge local and server drops → { drops, result }
+ * With sync-merge.js loaded: per-field vector clocks, tombstones; result is the
+ * mergeAll() outcome for DropLitMerge.applyMergeResult. Drops we could not
+ * decrypt stay untouched.
+ * Fallback: server wins unless local timestamp is newer, result is null
  */
 function mergeDrops(localDrops, serverDrops) {
+  if (window.DropLitMerge) {
+    const deviceId = syncDeviceId();
+    const unreadable = new Set(serverDrops.filter(d => d._decryption_error).map(d => String(d.id)));
+    const mergeable = localDrops.filter(d => !unreadable.has(String(d.id)));
+    const untouched = localDrops.filter(d => unreadable.has(String(d.id)));
+    
+    DropLitMerge.stampLocalChanges(mergeable, deviceId);
+    const result = DropLitMerge.mergeAll(
+      mergeable,
+      serverDrops.filter(d => !d._decryption_error),
+      deviceId
+    );
+    const drops = [...result.drops, ...untouched]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return { drops, result };
+  }
+  
   const merged = new Map();
   
   // Add server drops (they are authoritative)
   for (const drop of serverDrops) {
+    if (drop.is_deleted) continue;
     const key = String(drop.id);
     merged.set(key, { ...drop, synced: true });
   }
@@ -316,20 +366,61 @@ function mergeDrops(localDrops, serverDrops) {
   }
   
   // Convert back to array, sorted by timestamp descending
-  return Array.from(merged.values())
+  const drops = Array.from(merged.values())
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return { drops, result: null };
+}
+
+function syncDeviceId() {
+  return window.DropLitAuth?.getDeviceId?.() || localStorage.getItem('droplit_device_id');
+}
+
+/**
+ * Mark a drop deleted on the server, keeping its clocks (pushTombstone in js/auth.js)
+ */
+async function pushTombstoneEncrypted(tombstone) {
+  const { data: { user } } = await window.supabase.auth.getUser();
+  if (!user) throw new Error('Not authenticated');
+  
+  const { error } = await window.supabase
+    .from('drops')
+    .update({
+      is_deleted: true,
+      metadata: {
+        _sync: {
+          clocks: tombstone.clocks,
+          device_id: tombstone.device_id || syncDeviceId(),
+          deleted_at: tombstone.deleted_at
+        }
+      }
+    })
+    .eq('external_id', String(tombstone.id))
+    .eq('user_id', user.id);
+  
+  if (error) throw error;
+}
+
+/**
+ * Conflict resolved in the UI: save, re-render, push the kept version (and the copy)
+ */
+async function onEncryptedConflictResolved(result) {
+  await window.DropStore.saveAll(typeof ideas !== 'undefined' ? ideas : []);
+  if (typeof render === 'function') render();
+  
+  if (result.drop) await syncDropEncrypted(result.drop, 'upsert');
+  if (result.copy) await syncDropEncrypted(result.copy, 'upsert');
 }
 
 /**
  * Mark a drop as synced in localStorage
  */
 function markDropSynced(dropId) {
-  const ideas = JSON.parse(localStorage.getItem('ideas') || '[]');
-  const index = ideas.findIndex(d => d.id === dropId);
+  if (typeof ideas === 'undefined') return;
+  const drop = ideas.find(d => d.id === dropId);
   
-  if (index !== -1) {
-    ideas[index].synced = true;
-    localStorage.setItem('ideas', JSON.stringify(ideas));
+  if (drop) {
+    drop.synced = true;
+    window.DropStore.put(drop);
   }
 }
 
@@ -385,29 +476,333 @@ async function migrateLocalDrops() {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// ASKI CONTEXT BUILDING
+// KEY ROTATION
 // ═══════════════════════════════════════════════════════════════════════════
 
+const ROTATION_PROGRESS_PREFIX = 'droplit_key_rotation_';
+const ROTATION_PAGE_SIZE = 200;
+
+let rotationRunning = false;
+
+function getRotationProgress(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(ROTATION_PROGRESS_PREFIX + userId) || 'null');
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveRotationProgress(userId, progress) {
+  localStorage.setItem(ROTATION_PROGRESS_PREFIX + userId, JSON.stringify(progress));
+}
+
 /**
- * Get decrypted drops for ASKI context
- * This is called from chat.js when building context for AI
+ * All encrypted rows of a table, paged (rotation re-reads the list
+ * until nothing new shows up — drops synced mid-rotation are caught too)
  */
-async function getDropsForAskiContext(filter = {}) {
-  // Get local drops (already decrypted in memory/localStorage)
-  const ideas = JSON.parse(localStorage.getItem('ideas') || '[]');
+async function fetchEncryptedRows(client, table, userId) {
+  const rows = [];
+  for (let from = 0; ; from += ROTATION_PAGE_SIZE) {
+    let query = client
+      .from(table)
+      .select('*')
+      .eq('user_id', userId)
+      .gt('encryption_version', 0)
+      .order('created_at', { ascending: true })
+      .range(from, from + ROTATION_PAGE_SIZE - 1);
+    
+    if (table === 'drops') query = query.eq('is_deleted', false);
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < ROTATION_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Re-encrypt one drop row with the new key and upload new ZK tokens
+ * @returns {Promise<boolean>} - false if the row can't be decrypted with either key
+ */
+async function rotateDropRow(client, userId, row, oldKey, pending, newSearchKey) {
+  let plain = await window.DropLitEncryption.processDropFromServer(row, oldKey);
+  let alreadyRotated = false;
+  
+  if (plain._decryption_error) {
+    // Uploaded before an interruption, or synced mid-rotation with the new key
+    plain = await window.DropLitEncryption.processDropFromServer(row, pending.key);
+    if (plain._decryption_error) return false;
+    alreadyRotated = true;
+  }
+  
+  if (!alreadyRotated) {
+    const prepared = await window.DropLitEncryption.prepareDropForSync(plain, pending.key);
+    if (prepared) {
+      const { error } = await client
+        .from('drops')
+        .update(prepared)
+        .eq('id', row.id)
+        .eq('user_id', userId);
+      if (error) throw error;
+    }
+  }
+  
+  if (newSearchKey) {
+    await uploadDropTokens(client, userId, row.id, plain, newSearchKey);
+  }
+  
+  return true;
+}
+
+/**
+ * Replace the ZK search tokens of one drop
+ */
+async function uploadDropTokens(client, userId, dropId, plain, searchKey) {
+  const tokens = await window.DropLitZKSearch.generateDropTokens(plain, searchKey);
+  const { error } = await client
+    .from('drop_search_tokens')
+    .upsert({
+      drop_id: dropId,
+      user_id: userId,
+      tokens: tokens,
+      token_count: tokens.length
+    }, {
+      onConflict: 'drop_id'
+    });
+  if (error) console.warn('[SyncEncrypted] Token re-upload failed:', dropId, error.message);
+  return !error;
+}
+
+/**
+ * Re-encrypt one command_drops row (see command-encryption.js)
+ */
+async function rotateCommandRow(client, userId, row, oldKey, pending) {
+  let plaintext;
+  try {
+    plaintext = await window.DropLitEncryption.decryptData(row.encrypted_content, row.encryption_nonce, oldKey);
+  } catch (e) {
+    try {
+      await window.DropLitEncryption.decryptData(row.encrypted_content, row.encryption_nonce, pending.key);
+      return true; // already rotated
+    } catch (e2) {
+      return false;
+    }
+  }
   
-  let filtered = ideas;
+  const { encrypted, nonce } = await window.DropLitEncryption.encryptData(plaintext, pending.key);
+  const { error } = await client
+    .from('command_drops')
+    .update({
+      encrypted_content: encrypted,
+      encryption_nonce: nonce
+    })
+    .eq('id', row.id)
+    .eq('user_id', userId);
+  if (error) throw error;
   
-  // Apply filters
-  if (filter.category) {
-    filtered = filtered.filter(d => d.category === filter.category);
+  return true;
+}
+
+/**
+ * Rotate the master key and re-encrypt everything on the server
+ * 
+ * 1. New key (random or from a new password) stored as pending
+ * 2. Every encrypted drop: decrypt with old key → encrypt with new → upload
+ *    + ZK search tokens regenerated with a search key from a new seed
+ * 3. Encrypted command drops re-encrypted the same way
+ * 4. Commit: pending key becomes active, audit KEY_ROTATE
+ * 
+ * Resumable: progress (done row ids) is kept in localStorage and the
+ * pending key in IndexedDB — calling again after a crash/reload continues.
+ * 
+ * @param {Object} options
+ * @param {string} [options.method] - 'random' | 'password'
+ * @param {string} [options.password] - New password for method 'password'
+ * @param {Function} [options.onProgress] - (message, fraction) => void
+ * @returns {Promise<{success: boolean, rotated?: number, skipped?: number, version?: number, error?: string}>}
+ */
+async function rotateEncryptionKey(options = {}) {
+  const { method = 'random', password = null, onProgress = null } = options;
+  
+  const client = (typeof supabaseClient !== 'undefined' && supabaseClient) || window._supabaseClient;
+  const user = typeof currentUser !== 'undefined' ? currentUser : null;
+  
+  if (!client || !user) {
+    return { success: false, error: 'Not authenticated' };
+  }
+  if (rotationRunning) {
+    return { success: false, error: 'Rotation already running' };
+  }
+  
+  rotationRunning = true;
+  
+  try {
+    const oldKeyData = await window.DropLitKeys.retrieveKey(user.id);
+    if (!oldKeyData) throw new Error('No encryption key to rotate');
+    
+    // 1. Pending key (resumes an interrupted rotation)
+    onProgress?.('Preparing new key...', 0);
+    const pending = await window.DropLitKeys.beginKeyRotation(user.id, method, password);
+    
+    let progress = getRotationProgress(user.id);
+    if (!progress || progress.version !== pending.version) {
+      progress = { version: pending.version, started_at: pending.startedAt, done: [], skipped: [] };
+    }
+    saveRotationProgress(user.id, progress);
+    
+    const done = new Set(progress.done);
+    const skipped = new Set(progress.skipped);
+    
+    const newSearchKey = window.DropLitZKSearch
+      ? await window.DropLitZKSearch.deriveSearchKey(pending.searchSeed)
+      : null;
+    
+    // 2 + 3. Drops, then command drops — repeat until nothing is left
+    for (const table of ['drops', 'command_drops']) {
+      for (;;) {
+        const rows = await fetchEncryptedRows(client, table, user.id);
+        const todo = rows.filter(r => !done.has(r.id) && !skipped.has(r.id));
+        if (todo.length === 0) break;
+        
+        for (let i = 0; i < todo.length; i++) {
+          const row = todo[i];
+          const ok = table === 'drops'
+            ? await rotateDropRow(client, user.id, row, oldKeyData.key, pending, newSearchKey)
+            : await rotateCommandRow(client, user.id, row, oldKeyData.key, pending);
+          
+          if (ok) {
+            done.add(row.id);
+          } else {
+            // Unreadable with both keys — nothing we can re-encrypt
+            console.warn('[SyncEncrypted] Cannot decrypt during rotation:', table, row.id);
+            skipped.add(row.id);
+          }
+          
+          progress.done = Array.from(done);
+          progress.skipped = Array.from(skipped);
+          saveRotationProgress(user.id, progress);
+          
+          onProgress?.(`Re-encrypting ${table === 'drops' ? 'drops' : 'commands'} ${i + 1}/${todo.length}`, (i + 1) / todo.length);
+        }
+      }
+    }
+    
+    // 4. Commit
+    onProgress?.('Activating new key...', 1);
+    // The seed is committed with the key; applied from the active record
+    const { version } = await window.DropLitKeys.commitKeyRotation(user.id);
+    
+    const newKeyData = await window.DropLitKeys.retrieveKey(user.id);
+    encryptionKey = newKeyData.key;
+    encryptionReady = true;
+    await applyKeySearchSeed(newKeyData);
+    
+    localStorage.removeItem(ROTATION_PROGRESS_PREFIX + user.id);
+    
+    if (window.DropLitAudit) {
+      await window.DropLitAudit.logKeyOperation('rotate', {
+        count: done.size,
+        version,
+        status: skipped.size > 0 ? 'partial' : 'complete'
+      });
+    }
+    
+    console.log(`[SyncEncrypted] Key rotated to v${version}: ${done.size} re-encrypted, ${skipped.size} skipped`);
+    window.dispatchEvent(new CustomEvent('encryption-key-rotated', { detail: { version } }));
+    
+    return { success: true, rotated: done.size, skipped: skipped.size, version };
+    
+  } catch (error) {
+    console.error('[SyncEncrypted] Key rotation failed (resumable):', error);
+    return { success: false, error: error.message };
+  } finally {
+    rotationRunning = false;
+  }
+}
+
+/**
+ * Regenerate server ZK search tokens for every encrypted drop with the
+ * search seed of the active key. Needed after a restore that could not
+ * bring the old seed back (recovery phrase): old tokens no longer match.
+ * 
+ * @param {string} userId - User ID
+ * @param {Function} [onProgress] - (message, fraction) => void
+ * @returns {Promise<{success: boolean, updated?: number, skipped?: number, error?: string}>}
+ */
+async function regenerateSearchTokens(userId, onProgress = null) {
+  const client = (typeof supabaseClient !== 'undefined' && supabaseClient) || window._supabaseClient;
+  if (!client || !window.DropLitZKSearch) {
+    return { success: false, error: 'Not available' };
+  }
+  if (await window.DropLitKeys.getPendingRotation(userId)) {
+    return { success: false, error: 'Key rotation in progress' };
   }
   
-  if (filter.days) {
-    const cutoff = Date.now() - (filter.days * 24 * 60 * 60 * 1000);
-    filtered = filtered.filter(d => new Date(d.timestamp).getTime() > cutoff);
+  const keyData = await window.DropLitKeys.retrieveKey(userId);
+  if (!keyData?.searchSeed) {
+    return { success: false, error: 'No search seed for the active key' };
   }
   
+  try {
+    const searchKey = await window.DropLitZKSearch.deriveSearchKey(keyData.searchSeed);
+    const rows = await fetchEncryptedRows(client, 'drops', userId);
+    let updated = 0;
+    let skipped = 0;
+    
+    for (let i = 0; i < rows.length; i++) {
+      const plain = await window.DropLitEncryption.processDropFromServer(rows[i], keyData.key);
+      if (!plain._decryption_error && await uploadDropTokens(client, userId, rows[i].id, plain, searchKey)) {
+        updated++;
+      } else {
+        skipped++;
+      }
+      onProgress?.(`Rebuilding search index ${i + 1}/${rows.length}`, (i + 1) / rows.length);
+    }
+    
+    console.log(`[SyncEncrypted] Search tokens regenerated: ${updated} drops, ${skipped} skipped`);
+    return { success: true, updated, skipped };
+  } catch (error) {
+    console.error('[SyncEncrypted] Search token regeneration failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Switch ZK search to the seed stored with the active key, if it differs
+ * from the one in use (no-op for keys that were never rotated)
+ */
+async function applyKeySearchSeed(keyData) {
+  if (!keyData?.searchSeed || !window.DropLitZKSearch) return;
+  
+  const hex = Array.from(keyData.searchSeed).map(b => b.toString(16).padStart(2, '0')).join('');
+  if (localStorage.getItem('droplit_zk_search_seed') === hex && window.DropLitZKSearch.isReady?.()) return;
+  
+  await window.DropLitZKSearch.setSearchSeed(keyData.searchSeed);
+}
+
+/**
+ * Is a key rotation waiting to be resumed?
+ */
+async function hasPendingRotation(userId) {
+  return (await window.DropLitKeys.getPendingRotation(userId)) !== null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ASKI CONTEXT BUILDING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Get decrypted drops for ASKI context
+ * This is called from chat.js when building context for AI
+ */
+async function getDropsForAskiContext(filter = {}) {
+  // Local drops are stored decrypted; category/date go through DropStore indexes
+  let filtered = await window.DropStore.query({
+    category: filter.category || undefined,
+    from: filter.days ? Date.now() - (filter.days * 24 * 60 * 60 * 1000) : undefined
+  });
+  
   if (filter.query) {
     const query = filter.query.toLowerCase();
     filtered = filtered.filter(d => 
@@ -503,6 +898,11 @@ window.DropLitEncryptedSync = {
   migrateLocalDrops,
   getDropsForAskiContext,
   
+  // Key rotation
+  rotateEncryptionKey,
+  hasPendingRotation,
+  regenerateSearchTokens,
+  
   // Auto-sync
   startAutoSync,
   stopAutoSync,
@@ -170,6 +170,21 @@ async function getOrCreatePersistentSearchSeed() {
   return seed.buffer;
 }
 
+/**
+ * Replace the persistent search seed after key rotation
+ * and switch to the search key derived from it
+ * 
+ * @param {Uint8Array} seed - 32-byte seed from the rotated key record
+ * @returns {Promise<boolean>}
+ */
+async function setSearchSeed(seed) {
+  const hex = Array.from(seed).map(b => b.toString(16).padStart(2, '0')).join('');
+  localStorage.setItem('droplit_zk_search_seed', hex);
+  searchKey = await deriveSearchKey(seed);
+  console.log('[ZK-Search] Search key rotated');
+  return true;
+}
+
 /**
  * Check if ZK Search is initialized
  * @returns {boolean}
@@ -265,17 +280,18 @@ function generateNgrams(word) {
  * But without the key, you can't reverse the token to the word
  * 
  * @param {string} word - Word to tokenize
+ * @param {CryptoKey} [key] - Search key (default: active one; key rotation passes the new key)
  * @returns {Promise<string>} - Hex token
  */
-async function generateToken(word) {
-  if (!searchKey) {
+async function generateToken(word, key = searchKey) {
+  if (!key) {
     throw new Error('ZK Search not initialized');
   }
   
   const encoder = new TextEncoder();
   const data = encoder.encode(word.toLowerCase());
   
-  const signature = await crypto.subtle.sign('HMAC', searchKey, data);
+  const signature = await crypto.subtle.sign('HMAC', key, data);
   const hashArray = Array.from(new Uint8Array(signature));
   
   // Take first N characters as token
@@ -290,10 +306,11 @@ async function generateToken(word) {
  * These tokens will be stored on server alongside encrypted drop
  * 
  * @param {string} text - Text content
+ * @param {CryptoKey} [key] - Search key (default: active one)
  * @returns {Promise<Array<string>>} - Array of tokens
  */
-async function generateSearchTokens(text) {
-  if (!searchKey) {
+async function generateSearchTokens(text, key = searchKey) {
+  if (!key) {
     throw new Error('ZK Search not initialized');
   }
   
@@ -301,7 +318,7 @@ async function generateSearchTokens(text) {
   const tokens = [];
   
   for (const word of words) {
-    const token = await generateToken(word);
+    const token = await generateToken(word, key);
     tokens.push(token);
   }
   
@@ -313,9 +330,10 @@ async function generateSearchTokens(text) {
  * Generate search tokens for a drop
  * 
  * @param {Object} drop - Drop object
+ * @param {CryptoKey} [key] - Search key (default: active one)
  * @returns {Promise<Array<string>>} - Array of tokens
  */
-async function generateDropSearchTokens(drop) {
+async function generateDropSearchTokens(drop, key = searchKey) {
   const text = drop.text || drop.content || '';
   
   // Also include category and tags for searchability
@@ -329,7 +347,7 @@ async function generateDropSearchTokens(drop) {
     searchableText += ' ' + drop.tags.join(' ');
   }
   
-  return generateSearchTokens(searchableText);
+  return generateSearchTokens(searchableText, key);
 }
 
 // ============================================================
@@ -681,6 +699,8 @@ if (typeof window !== 'undefined') {
   window.DropLitZKSearch = {
     init: initZKSearch,
     isReady: isZKSearchReady,
+    deriveSearchKey,
+    setSearchSeed,
     
     generateToken,
     generateTokens: generateSearchTokens,
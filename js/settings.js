@@ -1,7 +1,7 @@
 // ============================================
-// DROPLIT SETTINGS v1.3 - Smart AutoDrop
+// DROPLIT SETTINGS v1.4 - Memory Inspector
 // Main Menu, Settings, Export/Import, Undo
-// Chat History Management
+// Chat History Management, Memory Inspector
 // ============================================
 
 function addCatPrompt(){document.getElementById('addCatModal').classList.add('show');}
@@ -59,6 +59,8 @@ function openMainMenu() {
   initVoiceSettings();
   // Initialize chat history settings (v0.9.120)
   initChatHistorySettings();
+  // On-device embedding model picker
+  initEmbeddingModelSettings();
   // Sync AutoDrop indicator
   if (typeof updateAutoDropIndicator === 'function') {
     updateAutoDropIndicator();
@@ -72,8 +74,9 @@ function closeMainMenu() {
 }
 
 // Debug info (v0.9.58)
-function showDebugInfo() {
+async function showDebugInfo() {
   closeMainMenu();
+  const storage = await DropStore.getStats();
   const total = ideas.length;
   const stringIds = ideas.filter(i => typeof i.id === 'string').length;
   const merged = ideas.filter(i => i.isMerged).length;
@@ -100,7 +103,9 @@ function showDebugInfo() {
     `Sync: ${syncStatus}\n` +
     `Last sync: ${lastSync}\n\n` +
     `=== STORAGE ===\n` +
-    `LocalStorage: ${(localStorage.getItem('droplit_ideas')?.length / 1024).toFixed(1)} KB`
+    `Backend: ${storage.backend}\n` +
+    `Used: ${storage.usageKB !== null ? storage.usageKB.toFixed(1) + ' KB' : 'n/a'}` +
+    (storage.quotaKB ? ` of ${(storage.quotaKB / 1024).toFixed(0)} MB` : '')
   );
 }
 
@@ -172,8 +177,14 @@ function performUndo(index) {
   
   switch (entry.action) {
     case 'delete':
-      // Restore deleted drop
+      // Restore deleted drop (overrides the sync tombstone)
+      if (window.DropLitMerge && window.DropLitAuth) {
+        DropLitMerge.restoreFromTombstone(entry.data, DropLitAuth.getDeviceId());
+      }
       ideas.push(entry.data);
+      if (typeof syncDropToServer === 'function' && typeof currentUser !== 'undefined' && currentUser) {
+        syncDropToServer(entry.data, 'update');
+      }
       toast('Drop restored', 'success');
       break;
       
@@ -616,7 +627,7 @@ function shouldAutoSaveToDrop(text, role = 'assistant') {
 }
 
 // Auto-save message as drop (for AutoDrop mode)
-function autoSaveMessageAsDrop(text, isUser) {
+function autoSaveMessageAsDrop(text, isUser, extras = {}) {
   // Filter out service/error messages
   const servicePatterns = [
     'Connection error',
@@ -647,7 +658,8 @@ function autoSaveMessageAsDrop(text, isUser) {
     conversation_id: convId,
     message_index: msgIndex,
     role: isUser ? 'user' : 'assistant',
-    source: 'autodrop'
+    source: 'autodrop',
+    ...extras
   };
   
   ideas.unshift(drop);
@@ -930,6 +942,55 @@ document.addEventListener('DOMContentLoaded', () => {
   setTimeout(() => initChatHistorySettings(), 200);
 });
 
+// ============================================
+// PERSONA TOOLS (tool registry v1.0)
+// Per-persona on/off for ASKI tools, sent as disabledTools
+// ============================================
+
+const PERSONA_TOOLS_KEY = 'aski_disabled_tools';
+
+function loadPersonaToolSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(PERSONA_TOOLS_KEY) || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function getDisabledTools(persona = getAIModel()) {
+  const disabled = loadPersonaToolSettings()[persona];
+  return Array.isArray(disabled) ? disabled : [];
+}
+
+function setToolEnabled(toolName, enabled, persona = getAIModel()) {
+  const settings = loadPersonaToolSettings();
+  const disabled = new Set(settings[persona] || []);
+  if (enabled) disabled.delete(toolName); else disabled.add(toolName);
+  settings[persona] = [...disabled];
+  localStorage.setItem(PERSONA_TOOLS_KEY, JSON.stringify(settings));
+}
+
+function togglePersonaTool(toolName) {
+  const toggle = document.querySelector(`#personaToolsList [data-tool="${toolName}"] .settings-toggle`);
+  if (!toggle) return;
+  const isEnabled = toggle.classList.toggle('active');
+  setToolEnabled(toolName, isEnabled);
+}
+
+function renderPersonaTools() {
+  const container = document.getElementById('personaToolsList');
+  if (!container || !window.DropLitTools) return;
+  
+  const disabled = getDisabledTools();
+  const riskLabels = { read: '', write: 'edits', destructive: 'asks first' };
+  
+  container.innerHTML = DropLitTools.list().map(tool => `
+    <div class="persona-tool" data-tool="${tool.name}">
+      <span class="persona-tool-name">${escapeHtml(tool.title)}${riskLabels[tool.risk] ? ` <span class="persona-tool-risk risk-${tool.risk}">${riskLabels[tool.risk]}</span>` : ''}</span>
+      <div class="settings-toggle${disabled.includes(tool.name) ? '' : ' active'}" onclick="togglePersonaTool('${tool.name}')"></div>
+    </div>`).join('');
+}
+
 // ============================================
 // CHAT HISTORY MANAGEMENT (v0.9.120)
 // ============================================
@@ -1018,6 +1079,286 @@ function updateChatHistoryStats() {
   }
 }
 
+// ============================================
+// ON-DEVICE EMBEDDING MODEL
+// ============================================
+
+// One model for chat memory and drop search (window.EmbeddingService)
+function initEmbeddingModelSettings() {
+  const service = window.EmbeddingService;
+  if (!service) return;
+  
+  document.querySelectorAll('#embeddingModelSelector .pill-m').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.model === service.modelId);
+  });
+  updateEmbeddingModelStatus();
+}
+
+async function setEmbeddingModel(modelId) {
+  const service = window.EmbeddingService;
+  if (!service || modelId === service.modelId) return;
+  
+  const info = EmbeddingEngine.MODELS[modelId];
+  if (!info) return;
+  
+  document.querySelectorAll('#embeddingModelSelector .pill-m').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.model === modelId);
+  });
+  toast(`Модель поиска: ${info.label} — переиндексация в фоне`, 'info');
+  
+  try {
+    await service.setModel(modelId);
+  } catch (e) {
+    console.error('[Settings] Embedding model change failed:', e);
+    toast('Не удалось загрузить модель: ' + e.message, 'error');
+  }
+  updateEmbeddingModelStatus();
+}
+
+function updateEmbeddingModelStatus(progress = null) {
+  const el = document.getElementById('embeddingModelStatus');
+  const service = window.EmbeddingService;
+  if (!el || !service) return;
+  
+  const info = EmbeddingEngine.MODELS[service.modelId] || {};
+  let state = service.isReady() ? 'loaded' : service.isLoading() ? 'loading…' : 'loads on first use';
+  if (progress && progress.stage === 'downloading') state = progress.message;
+  if (progress && progress.stage === 'reindexing') state = progress.message;
+  
+  el.textContent = `${info.label || service.modelId} · ${info.languages || ''} · ${info.size || ''} · ${state}`;
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('memory-progress', (e) => updateEmbeddingModelStatus(e.detail));
+}
+
+// ============================================
+// MEMORY INSPECTOR
+// What ASKI remembers: core_memory facts, core_entities (server)
+// and indexed chat snippets / episodes (InfiniteMemory on device)
+// ============================================
+
+const MEMORY_PAGE_SIZE = 50;
+
+let memoryInspector = null;
+let memoryInspectorTab = 'facts';
+let memoryInspectorQuery = '';
+let memorySnippets = [];          // loaded chat page(s) or search results
+let memorySnippetsMore = false;
+let memorySearchResults = null;   // { facts, entities, snippets } while searching
+let memorySearchTimer = null;
+
+async function openMemoryInspector() {
+  if (!window.InfiniteMemory || typeof MemoryInspector === 'undefined') {
+    toast('Memory is not loaded yet', 'warning');
+    return;
+  }
+  if (!memoryInspector) memoryInspector = new MemoryInspector(window.InfiniteMemory);
+  
+  closeMainMenu();
+  memoryInspectorQuery = '';
+  memorySearchResults = null;
+  document.getElementById('memoryInspectorSearch').value = '';
+  document.getElementById('memoryInspectorModal').classList.add('show');
+  document.getElementById('memoryInspectorList').innerHTML = '<div class="memory-empty">Loading…</div>';
+  
+  await Promise.all([memoryInspector.loadServer(), loadMemorySnippets(true)]);
+  renderMemoryInspector();
+}
+
+function closeMemoryInspector() {
+  document.getElementById('memoryInspectorModal').classList.remove('show');
+}
+
+function setMemoryInspectorTab(tab) {
+  memoryInspectorTab = tab;
+  renderMemoryInspector();
+}
+
+async function loadMemorySnippets(reset = false) {
+  const before = !reset && memorySnippets.length ? memorySnippets[memorySnippets.length - 1].timestamp : null;
+  try {
+    const page = await memoryInspector.loadLocal({ before, limit: MEMORY_PAGE_SIZE });
+    memorySnippets = reset ? page : memorySnippets.concat(page);
+    memorySnippetsMore = page.length === MEMORY_PAGE_SIZE;
+  } catch (e) {
+    console.error('[MemoryInspector] Local memory error:', e);
+    memorySnippets = reset ? [] : memorySnippets;
+    memorySnippetsMore = false;
+  }
+}
+
+async function loadMoreMemorySnippets() {
+  await loadMemorySnippets(false);
+  renderMemoryInspector();
+}
+
+function searchMemoryInspector(value) {
+  clearTimeout(memorySearchTimer);
+  memorySearchTimer = setTimeout(async () => {
+    memoryInspectorQuery = value.trim();
+    memorySearchResults = memoryInspectorQuery ? await memoryInspector.search(memoryInspectorQuery).catch(e => {
+      console.error('[MemoryInspector] Search error:', e);
+      return { facts: [], entities: [], snippets: [] };
+    }) : null;
+    renderMemoryInspector();
+  }, 300);
+}
+
+function getMemoryInspectorItems() {
+  const source = memorySearchResults || {
+    facts: memoryInspector.facts,
+    entities: memoryInspector.entities,
+    snippets: memorySnippets
+  };
+  return { facts: source.facts, entities: source.entities, chat: source.snippets };
+}
+
+function findMemoryItem(kind, id) {
+  const items = getMemoryInspectorItems();
+  const list = kind === 'fact' ? items.facts : kind === 'entity' ? items.entities : items.chat;
+  return list.find(x => String(x.id) === String(id)) || null;
+}
+
+function renderMemoryInspector() {
+  const list = document.getElementById('memoryInspectorList');
+  if (!list || !memoryInspector) return;
+  
+  const items = getMemoryInspectorItems();
+  document.querySelectorAll('#memoryInspectorTabs .pill-s').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tab === memoryInspectorTab);
+    btn.querySelector('span').textContent = items[btn.dataset.tab].length + (btn.dataset.tab === 'chat' && !memorySearchResults && memorySnippetsMore ? '+' : '');
+  });
+  
+  let html = '';
+  if (memoryInspectorTab === 'facts') {
+    html = items.facts.map(f => renderMemoryItem('fact', f.id, f.fact, [
+      f.source ? `from ${f.source}` : 'extracted by ASKI',
+      f.created_at ? new Date(f.created_at).toLocaleDateString() : null,
+      f.pinned ? 'confirmed by you' : f.confidence ? `confidence ${Math.round(f.confidence * 100)}%` : null,
+      f.hidden ? 'not used in chat' : null
+    ], f.pinned)).join('');
+    if (memoryInspector.serverError) html = `<div class="memory-empty">☁️ ${escapeHtml(memoryInspector.serverError)}</div>` + html;
+  } else if (memoryInspectorTab === 'entities') {
+    html = items.entities.map(e => renderMemoryItem('entity', e.id, e.name, [
+      e.entity_type,
+      e.mention_count ? `mentioned ${e.mention_count}×` : null,
+      ...Object.entries(e.attributes || {}).map(([key, value]) => `${key}: ${value}`)
+    ], false)).join('');
+    if (memoryInspector.serverError) html = `<div class="memory-empty">☁️ ${escapeHtml(memoryInspector.serverError)}</div>` + html;
+  } else {
+    html = items.chat.map(m => renderMemoryItem('snippet', m.id, m.text, [
+      m.tier === 'summary'
+        ? `episode · ${m.metadata.messageCount || '?'} messages`
+        : `chat · ${m.role === 'user' ? 'you' : 'ASKI'}`,
+      m.timestamp ? new Date(m.timestamp).toLocaleDateString() : null,
+      m.relevance !== undefined ? `match ${Math.round(m.relevance * 100)}%` : null,
+      m.metadata && m.metadata.edited ? 'edited' : null,
+      'on this device'
+    ], m.pinned)).join('');
+    if (!memorySearchResults && memorySnippetsMore) {
+      html += '<button class="pill-m sec memory-more" onclick="loadMoreMemorySnippets()">Load more</button>';
+    }
+  }
+  
+  list.innerHTML = html || `<div class="memory-empty">${memoryInspectorQuery ? 'Nothing found' : 'Nothing remembered yet'}</div>`;
+}
+
+function renderMemoryItem(kind, id, text, meta, pinned) {
+  const ref = `'${kind}', '${escapeHtml(String(id))}'`;
+  const canPin = kind !== 'entity';
+  return `
+    <div class="memory-item${pinned ? ' pinned' : ''}">
+      <div class="memory-item-text">${pinned ? '📌 ' : ''}${escapeHtml(text || '')}</div>
+      <div class="memory-item-meta">${meta.filter(Boolean).map(escapeHtml).join(' · ')}</div>
+      <div class="memory-item-actions">
+        <button class="pill-s sec" onclick="editMemoryItem(${ref})">Edit</button>
+        ${canPin ? `<button class="pill-s sec" onclick="toggleMemoryPin(${ref})">${pinned ? 'Unpin' : 'Pin'}</button>` : ''}
+        <button class="pill-s sec memory-forget" onclick="forgetMemoryItem(${ref})">Forget</button>
+      </div>
+    </div>`;
+}
+
+async function editMemoryItem(kind, id) {
+  const item = findMemoryItem(kind, id);
+  if (!item) return;
+  
+  const current = kind === 'fact' ? item.fact : kind === 'entity' ? item.name : item.text;
+  const text = prompt(kind === 'entity' ? 'Name:' : 'What should ASKI remember instead?', current);
+  if (text === null || !text.trim() || text.trim() === current) return;
+  
+  const changes = kind === 'fact' ? { fact: text } : kind === 'entity' ? { name: text } : { text };
+  try {
+    const updated = await memoryInspector.update(kind, id, changes);
+    if (kind === 'snippet') Object.assign(item, { text: updated.text, metadata: updated.metadata });
+    else if (memorySearchResults) Object.assign(item, updated);
+    renderMemoryInspector();
+    toast('Memory updated', 'success');
+  } catch (e) {
+    console.error('[MemoryInspector] Edit failed:', e);
+    toast('Could not update: ' + e.message, 'error');
+  }
+}
+
+async function toggleMemoryPin(kind, id) {
+  const item = findMemoryItem(kind, id);
+  if (!item) return;
+  
+  try {
+    await memoryInspector.update(kind, id, { pinned: !item.pinned });
+    item.pinned = !item.pinned;
+    renderMemoryInspector();
+  } catch (e) {
+    console.error('[MemoryInspector] Pin failed:', e);
+    toast('Could not pin: ' + e.message, 'error');
+  }
+}
+
+async function forgetMemoryItem(kind, id) {
+  const item = findMemoryItem(kind, id);
+  if (!item) return;
+  
+  const text = kind === 'fact' ? item.fact : kind === 'entity' ? item.name : item.text;
+  let copies;
+  try {
+    copies = await memoryInspector.findCopies(kind, item);
+  } catch (e) {
+    console.error('[MemoryInspector] Copy lookup failed:', e);
+    toast('Could not check copies: ' + e.message, 'error');
+    return;
+  }
+  
+  const preview = [...copies.facts.map(f => f.fact), ...copies.snippets.map(s => s.text)]
+    .slice(0, 5)
+    .map(t => '• ' + (t.length > 80 ? t.substring(0, 80) + '…' : t));
+  const total = copies.facts.length + copies.snippets.length;
+  const confirmed = confirm(
+    '🧠 FORGET THIS?\n\n' +
+    `"${text.length > 160 ? text.substring(0, 160) + '…' : text}"\n\n` +
+    (total > 0 ? `Also removes ${total} ${total === 1 ? 'copy' : 'copies'}:\n${preview.join('\n')}${total > 5 ? '\n…' : ''}\n\n` : '') +
+    'ASKI will not remember it anymore. This cannot be undone.'
+  );
+  if (!confirmed) return;
+  
+  try {
+    const removed = await memoryInspector.forget(kind, item, copies);
+    const gone = new Set([String(id), ...copies.snippets.map(s => String(s.id))]);
+    memorySnippets = memorySnippets.filter(m => !gone.has(String(m.id)));
+    if (memorySearchResults) {
+      memorySearchResults = {
+        facts: memorySearchResults.facts.filter(f => memoryInspector.facts.includes(f)),
+        entities: memorySearchResults.entities.filter(e => memoryInspector.entities.includes(e)),
+        snippets: memorySearchResults.snippets.filter(m => !gone.has(String(m.id)))
+      };
+    }
+    renderMemoryInspector();
+    toast(`Forgotten: ${removed.facts + removed.entities + removed.snippets} ${removed.facts + removed.entities + removed.snippets === 1 ? 'item' : 'items'}`, 'success');
+  } catch (e) {
+    console.error('[MemoryInspector] Forget failed:', e);
+    toast('Could not forget: ' + e.message, 'error');
+  }
+}
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -1039,5 +1380,9 @@ window.DropLitSettings = {
   undoAction: undoLast,
   setChatAutoDelete,
   initChatHistorySettings,
-  updateChatHistoryStats
+  updateChatHistoryStats,
+  initEmbeddingModelSettings,
+  setEmbeddingModel,
+  openMemoryInspector,
+  closeMemoryInspector
 };
@@ -0,0 +1,711 @@
+// ============================================
+// DROPLIT SYNC MERGE v1.0
+// Bidirectional drop merge with per-field vector clocks
+//
+// Каждый дроп несёт _sync.clocks: { field: { deviceId: counter } }
+//   - локальная правка поля → counter++ для этого устройства
+//   - clocks едут на сервер в drops.metadata._sync
+//   - при pull поля сравниваются по clock:
+//       local после remote  → local
+//       remote после local  → remote
+//       concurrent          → text: конфликт (UI), остальное — авто
+//
+// Удаление = tombstone с clock поля "deleted". Если удалённый дроп
+// параллельно редактировали на другом устройстве — правка побеждает.
+//
+// Каждое разрешение конфликта пишется в audit trail как sync.conflict
+// ============================================
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const MERGE_CONFIG = {
+    // Поля, которые синхронизируются и версионируются
+    TRACKED_FIELDS: ['text', 'notes', 'category', 'markers', 'tags'],
+
+    // Поля-множества: при конфликте объединяются
+    SET_FIELDS: ['markers', 'tags'],
+
+    // Поля, конфликт в которых решает пользователь
+    MANUAL_FIELDS: ['text'],
+
+    // Сколько хранить tombstones (дни)
+    TOMBSTONE_TTL_DAYS: 30,
+
+    STORAGE_KEYS: {
+      fingerprints: 'droplit_sync_fingerprints',
+      tombstones: 'droplit_tombstones',
+      conflicts: 'droplit_sync_conflicts'
+    }
+  };
+
+  // ============================================
+  // VECTOR CLOCKS
+  // ============================================
+
+  /**
+   * Сравнить два vector clock
+   * @returns {'equal'|'before'|'after'|'concurrent'} — a относительно b
+   */
+  function compareClocks(a = {}, b = {}) {
+    let aGreater = false;
+    let bGreater = false;
+
+    for (const device of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const av = a[device] || 0;
+      const bv = b[device] || 0;
+      if (av > bv) aGreater = true;
+      if (bv > av) bGreater = true;
+    }
+
+    if (aGreater && bGreater) return 'concurrent';
+    if (aGreater) return 'after';
+    if (bGreater) return 'before';
+    return 'equal';
+  }
+
+  function mergeClocks(a = {}, b = {}) {
+    const out = { ...a };
+    for (const [device, value] of Object.entries(b)) {
+      out[device] = Math.max(out[device] || 0, value);
+    }
+    return out;
+  }
+
+  function tick(clock = {}, deviceId) {
+    return { ...clock, [deviceId]: (clock[deviceId] || 0) + 1 };
+  }
+
+  /**
+   * Все clocks дропа как один — для сравнения с tombstone
+   */
+  function flattenClocks(clocks = {}) {
+    return Object.values(clocks).reduce((acc, c) => mergeClocks(acc, c), {});
+  }
+
+  function getClocks(drop) {
+    return (drop && drop._sync && drop._sync.clocks) || {};
+  }
+
+  // ============================================
+  // LOCAL CHANGE DETECTION
+  // Отпечатки полей хранятся только локально (на сервер не уходят)
+  // ============================================
+
+  function fingerprint(value) {
+    const str = value === undefined || value === null ? '' : JSON.stringify(value);
+    // FNV-1a, 32 bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  function normalizeField(field, value) {
+    if (MERGE_CONFIG.SET_FIELDS.includes(field)) {
+      return [...new Set(value || [])].sort();
+    }
+    return value === undefined ? null : value;
+  }
+
+  function loadJSON(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key) || 'null') || fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  function saveJSON(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * Найти локальные правки и увеличить clock этого устройства
+   * Дроп без отпечатка (новый / до v1.0) фиксируется как baseline
+   *
+   * @param {Array} drops - Локальные дропы (мутируются: _sync.clocks)
+   * @param {string} deviceId
+   * @returns {number} Сколько дропов изменилось
+   */
+  function stampLocalChanges(drops, deviceId) {
+    const fps = loadJSON(MERGE_CONFIG.STORAGE_KEYS.fingerprints, {});
+    let changed = 0;
+
+    for (const drop of drops) {
+      if (!drop || drop.id === undefined) continue;
+      const key = String(drop.id);
+      const known = fps[key];
+      const current = {};
+      let dropChanged = false;
+
+      for (const field of MERGE_CONFIG.TRACKED_FIELDS) {
+        current[field] = fingerprint(normalizeField(field, drop[field]));
+        if (known && known[field] !== current[field]) {
+          drop._sync = drop._sync || { clocks: {} };
+          drop._sync.clocks = drop._sync.clocks || {};
+          drop._sync.clocks[field] = tick(drop._sync.clocks[field], deviceId);
+          dropChanged = true;
+        }
+      }
+
+      if (dropChanged) {
+        drop._sync.device_id = deviceId;
+        drop._sync.modified_at = new Date().toISOString();
+        drop.synced = false;
+        changed++;
+      }
+      fps[key] = current;
+    }
+
+    saveJSON(MERGE_CONFIG.STORAGE_KEYS.fingerprints, fps);
+    return changed;
+  }
+
+  /**
+   * Запомнить текущие значения как синхронизированные
+   */
+  function rememberFingerprints(drops) {
+    const fps = loadJSON(MERGE_CONFIG.STORAGE_KEYS.fingerprints, {});
+    for (const drop of drops) {
+      if (!drop || drop.id === undefined) continue;
+      const current = {};
+      for (const field of MERGE_CONFIG.TRACKED_FIELDS) {
+        current[field] = fingerprint(normalizeField(field, drop[field]));
+      }
+      fps[String(drop.id)] = current;
+    }
+    saveJSON(MERGE_CONFIG.STORAGE_KEYS.fingerprints, fps);
+  }
+
+  // ============================================
+  // TOMBSTONES
+  // ============================================
+
+  function getTombstones() {
+    return loadJSON(MERGE_CONFIG.STORAGE_KEYS.tombstones, {});
+  }
+
+  function saveTombstones(tombstones) {
+    // Старые tombstones больше не нужны — все устройства их уже видели
+    const cutoff = Date.now() - MERGE_CONFIG.TOMBSTONE_TTL_DAYS * 86400000;
+    for (const [id, t] of Object.entries(tombstones)) {
+      if (new Date(t.deleted_at).getTime() < cutoff) delete tombstones[id];
+    }
+    saveJSON(MERGE_CONFIG.STORAGE_KEYS.tombstones, tombstones);
+  }
+
+  /**
+   * Зафиксировать локальное удаление
+   * @returns {Object} tombstone ({ id, deleted_at, clocks })
+   */
+  function recordTombstone(drop, deviceId) {
+    const clocks = { ...getClocks(drop) };
+    clocks.deleted = tick(clocks.deleted, deviceId);
+
+    const tombstone = {
+      id: drop.id,
+      deleted_at: new Date().toISOString(),
+      device_id: deviceId,
+      clocks
+    };
+
+    const tombstones = getTombstones();
+    tombstones[String(drop.id)] = tombstone;
+    saveTombstones(tombstones);
+
+    return tombstone;
+  }
+
+  /**
+   * Вернуть удалённый дроп (undo) — clock "deleted" должен обогнать tombstone,
+   * иначе следующий pull удалит дроп снова
+   */
+  function restoreFromTombstone(drop, deviceId) {
+    const tombstones = getTombstones();
+    const tombstone = tombstones[String(drop.id)];
+    const clocks = { ...getClocks(drop) };
+    clocks.deleted = tick(mergeClocks(clocks.deleted, tombstone?.clocks?.deleted), deviceId);
+
+    drop._sync = { ...(drop._sync || {}), clocks, device_id: deviceId, modified_at: new Date().toISOString() };
+    drop.synced = false;
+
+    if (tombstone) {
+      delete tombstones[String(drop.id)];
+      saveTombstones(tombstones);
+    }
+    return drop;
+  }
+
+  function clearTombstone(id) {
+    const tombstones = getTombstones();
+    if (tombstones[String(id)]) {
+      delete tombstones[String(id)];
+      saveTombstones(tombstones);
+    }
+  }
+
+  /**
+   * Переживает ли живой дроп tombstone?
+   * Да, если у дропа есть правки, которых удаливший не видел
+   */
+  function survivesTombstone(drop, tombstone) {
+    // Удаление старым клиентом (без clocks) — удаление побеждает
+    if (Object.keys(tombstone.clocks || {}).length === 0) return false;
+    const order = compareClocks(flattenClocks(getClocks(drop)), flattenClocks(tombstone.clocks));
+    return order === 'after' || order === 'concurrent';
+  }
+
+  // ============================================
+  // MERGE
+  // ============================================
+
+  /**
+   * Слить две версии одного дропа
+   *
+   * @returns {{ drop, conflicts, resolutions, localWins, remoteWins }}
+   *   conflicts   — поля для ручного разрешения (text)
+   *   resolutions — автоматически решённые конфликты (для аудита)
+   */
+  function mergeDrop(local, remote, deviceId) {
+    const localClocks = getClocks(local);
+    const remoteClocks = getClocks(remote);
+
+    // Локальные поля (media, audio...) не синхронизируются — берём local как основу
+    const merged = { ...remote, ...local };
+    const mergedClocks = {};
+    const conflicts = [];
+    const resolutions = [];
+    let localWins = false;
+    let remoteWins = false;
+
+    for (const field of MERGE_CONFIG.TRACKED_FIELDS) {
+      const lc = localClocks[field] || {};
+      const rc = remoteClocks[field] || {};
+      const lv = normalizeField(field, local[field]);
+      const rv = normalizeField(field, remote[field]);
+      const same = fingerprint(lv) === fingerprint(rv);
+      const order = compareClocks(lc, rc);
+
+      if (same) {
+        mergedClocks[field] = mergeClocks(lc, rc);
+        // Значения совпали, но сервер не знает наш clock — отправим
+        if (order === 'after' || order === 'concurrent') localWins = true;
+        continue;
+      }
+
+      if (order === 'after') {
+        merged[field] = local[field];
+        mergedClocks[field] = lc;
+        localWins = true;
+      } else if (order === 'before') {
+        merged[field] = remote[field];
+        mergedClocks[field] = rc;
+        remoteWins = true;
+      } else if (order === 'equal') {
+        // История неизвестна (дропы до v1.0) — побеждает более свежий
+        const localNewer = new Date(local.timestamp || 0) >= new Date(remote.timestamp || 0);
+        merged[field] = localNewer ? local[field] : remote[field];
+        mergedClocks[field] = lc;
+        if (localNewer) localWins = true; else remoteWins = true;
+      } else if (MERGE_CONFIG.MANUAL_FIELDS.includes(field)) {
+        // Оба устройства правили текст — спрашиваем пользователя.
+        // Clock не сливаем, пока конфликт не решён
+        conflicts.push({
+          drop_id: local.id,
+          field,
+          local_value: local[field],
+          remote_value: remote[field],
+          local_clock: lc,
+          remote_clock: rc,
+          remote_device: remote._sync?.device_id || null
+        });
+        mergedClocks[field] = lc;
+      } else if (MERGE_CONFIG.SET_FIELDS.includes(field)) {
+        merged[field] = [...new Set([...(local[field] || []), ...(remote[field] || [])])];
+        mergedClocks[field] = tick(mergeClocks(lc, rc), deviceId);
+        resolutions.push({ drop_id: local.id, field, resolution: 'union' });
+        localWins = true;
+      } else {
+        // Детерминированно: побеждает устройство с большим id (одинаково на обеих сторонах)
+        const remoteDevice = remote._sync?.device_id || '';
+        const localDevice = local._sync?.device_id || deviceId;
+        const takeRemote = remoteDevice > localDevice;
+        merged[field] = takeRemote ? remote[field] : local[field];
+        mergedClocks[field] = mergeClocks(lc, rc);
+        resolutions.push({ drop_id: local.id, field, resolution: takeRemote ? 'auto_remote' : 'auto_local' });
+        if (takeRemote) remoteWins = true; else localWins = true;
+      }
+    }
+
+    merged._sync = {
+      ...(local._sync || {}),
+      clocks: { ...mergedClocks, ...(localClocks.deleted || remoteClocks.deleted
+        ? { deleted: mergeClocks(localClocks.deleted, remoteClocks.deleted) }
+        : {}) }
+    };
+    merged.synced = !localWins && conflicts.length === 0;
+
+    return { drop: merged, conflicts, resolutions, localWins, remoteWins };
+  }
+
+  /**
+   * Слить локальную ленту с сервером
+   *
+   * @param {Array} localDrops - Текущие локальные дропы
+   * @param {Array} remoteDrops - Дропы с сервера (включая is_deleted)
+   * @param {string} deviceId
+   * @returns {{ drops, toPush, tombstonesToPush, conflicts, resolutions, stats }}
+   */
+  function mergeAll(localDrops, remoteDrops, deviceId) {
+    const tombstones = getTombstones();
+    const localById = new Map(localDrops.map(d => [String(d.id), d]));
+    const remoteById = new Map(remoteDrops.map(d => [String(d.id), d]));
+
+    const drops = [];
+    const toPush = [];
+    const tombstonesToPush = [];
+    const conflicts = [];
+    const resolutions = [];
+    const stats = { added: 0, updated: 0, deleted: 0, resurrected: 0, conflicts: 0 };
+
+    // 1. Локальные дропы
+    for (const [id, local] of localById) {
+      const remote = remoteById.get(id);
+
+      if (!remote) {
+        // Ещё не на сервере (или только локальный media-дроп)
+        drops.push(local);
+        // Media и command-дропы живут только локально
+        if (!local.isMedia && local.type !== 'command' && local.category !== 'command') toPush.push(local);
+        continue;
+      }
+
+      if (remote.is_deleted) {
+        const remoteTombstone = { clocks: getClocks(remote) };
+        if (survivesTombstone(local, remoteTombstone)) {
+          // Правка на этом устройстве параллельна удалению — правка побеждает
+          local.synced = false;
+          drops.push(local);
+          toPush.push(local);
+          resolutions.push({ drop_id: local.id, field: 'deleted', resolution: 'edit_wins_over_delete' });
+          stats.resurrected++;
+        } else {
+          tombstones[id] = {
+            id: local.id,
+            deleted_at: remote._sync?.deleted_at || new Date().toISOString(),
+            clocks: getClocks(remote)
+          };
+          stats.deleted++;
+        }
+        continue;
+      }
+
+      const result = mergeDrop(local, remote, deviceId);
+      drops.push(result.drop);
+      conflicts.push(...result.conflicts);
+      resolutions.push(...result.resolutions);
+      // С открытым конфликтом не пушим: сервер хранит версию другого устройства до решения
+      if (result.localWins && result.conflicts.length === 0) toPush.push(result.drop);
+      if (result.remoteWins) stats.updated++;
+    }
+
+    // 2. Дропы, которых нет локально
+    for (const [id, remote] of remoteById) {
+      if (localById.has(id) || remote.is_deleted) continue;
+
+      const tombstone = tombstones[id];
+      if (tombstone) {
+        if (survivesTombstone(remote, tombstone)) {
+          // Удалили здесь, но на другом устройстве правили позже — возвращаем
+          delete tombstones[id];
+          delete remote.is_deleted;
+          remote.synced = true;
+          drops.push(remote);
+          resolutions.push({ drop_id: remote.id, field: 'deleted', resolution: 'edit_wins_over_delete' });
+          stats.resurrected++;
+        } else {
+          // Сервер ещё не знает об удалении
+          tombstonesToPush.push(tombstone);
+        }
+        continue;
+      }
+
+      delete remote.is_deleted;
+      remote.synced = true;
+      drops.push(remote);
+      stats.added++;
+    }
+
+    saveTombstones(tombstones);
+    stats.conflicts = conflicts.length;
+
+    // Конфликты, которые больше не воспроизводятся (другое устройство уже решило), — из очереди
+    const detected = new Set(conflicts.map(c => `${c.drop_id}:${c.field}`));
+    saveJSON(MERGE_CONFIG.STORAGE_KEYS.conflicts, getConflicts().filter(q =>
+      detected.has(`${q.drop_id}:${q.field}`) || !remoteById.has(String(q.drop_id))
+    ));
+
+    return {
+      drops,
+      toPush,
+      tombstonesToPush,
+      conflicts,
+      resolutions,
+      stats
+    };
+  }
+
+  // ============================================
+  // CONFLICT QUEUE
+  // ============================================
+
+  function getConflicts() {
+    return loadJSON(MERGE_CONFIG.STORAGE_KEYS.conflicts, []);
+  }
+
+  /**
+   * Добавить конфликты в очередь (один на drop+field, новый заменяет старый)
+   */
+  function enqueueConflicts(conflicts) {
+    const queue = getConflicts();
+    for (const c of conflicts) {
+      const idx = queue.findIndex(q => String(q.drop_id) === String(c.drop_id) && q.field === c.field);
+      const entry = { ...c, detected_at: new Date().toISOString() };
+      if (idx !== -1) queue[idx] = entry; else queue.push(entry);
+    }
+    saveJSON(MERGE_CONFIG.STORAGE_KEYS.conflicts, queue);
+    return queue.length;
+  }
+
+  /**
+   * Разрешить конфликт
+   *
+   * @param {Object} conflict - Запись из очереди
+   * @param {'local'|'remote'|'both'} choice
+   * @param {Array} drops - Лента (мутируется)
+   * @param {string} deviceId
+   * @returns {{ drop, copy }} Изменённый дроп и (для 'both') копия
+   */
+  function resolveConflict(conflict, choice, drops, deviceId) {
+    const drop = drops.find(d => String(d.id) === String(conflict.drop_id));
+
+    const queue = getConflicts().filter(q =>
+      !(String(q.drop_id) === String(conflict.drop_id) && q.field === conflict.field)
+    );
+    saveJSON(MERGE_CONFIG.STORAGE_KEYS.conflicts, queue);
+
+    if (!drop) return { drop: null, copy: null };
+
+    const field = conflict.field;
+    drop[field] = choice === 'remote' ? conflict.remote_value : conflict.local_value;
+    if (field === 'text') drop.content = drop[field];
+
+    // Решение видело обе версии → clock доминирует над обеими
+    drop._sync = drop._sync || { clocks: {} };
+    drop._sync.clocks[field] = tick(mergeClocks(conflict.local_clock, conflict.remote_clock), deviceId);
+    drop._sync.device_id = deviceId;
+    drop._sync.modified_at = new Date().toISOString();
+    drop.synced = false;
+
+    let copy = null;
+    if (choice === 'both') {
+      const now = new Date();
+      copy = {
+        ...drop,
+        id: Date.now(),
+        [field]: conflict.remote_value,
+        timestamp: now.toISOString(),
+        created: now.toISOString(),
+        date: now.toLocaleDateString('ru-RU'),
+        time: now.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' }),
+        _sync: { clocks: {}, device_id: deviceId },
+        synced: false
+      };
+      if (field === 'text') copy.content = copy.text;
+      drops.push(copy);
+    }
+
+    rememberFingerprints(copy ? [drop, copy] : [drop]);
+    return { drop, copy };
+  }
+
+  // ============================================
+  // AUDIT
+  // ============================================
+
+  async function logResolution(dropId, resolution, field) {
+    if (typeof DropLitAudit === 'undefined' || !DropLitAudit.logSyncConflict) return;
+    try {
+      await DropLitAudit.logSyncConflict(dropId, resolution, [field]);
+    } catch (e) {
+      console.warn('[SyncMerge] Audit log failed:', e.message);
+    }
+  }
+
+  // ============================================
+  // APPLY MERGE RESULT
+  // Шаги после mergeAll — общие для js/auth.js и privacy/sync-encrypted.js,
+  // транспорт (plain / encrypted) передаёт вызывающий
+  // ============================================
+
+  /**
+   * Отправить то, чего нет на сервере, записать авто-разрешения в audit,
+   * поставить конфликты текста в очередь и показать UI
+   * @param {Object} result - результат mergeAll()
+   * @param {Object} transport - { pushDrop(drop), pushTombstone(tombstone), onResolved(result) }
+   */
+  async function applyMergeResult(result, transport) {
+    for (const drop of result.toPush) {
+      await transport.pushDrop(drop);
+    }
+    for (const tombstone of result.tombstonesToPush) {
+      await transport.pushTombstone(tombstone);
+    }
+    for (const r of result.resolutions) {
+      await logResolution(r.drop_id, r.resolution, r.field);
+    }
+    if (result.conflicts.length > 0) {
+      enqueueConflicts(result.conflicts);
+    }
+    if (getConflicts().length > 0) {
+      showConflictUI(transport.onResolved);
+    }
+  }
+
+  // ============================================
+  // CONFLICT UI
+  // ============================================
+
+  let onConflictResolved = null;
+
+  function escapeHTML(str) {
+    return String(str || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function ensureModal() {
+    let overlay = document.getElementById('syncConflictModal');
+    if (overlay) return overlay;
+
+    overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.id = 'syncConflictModal';
+    overlay.innerHTML = `
+      <div class="modal type-b sync-conflict-modal">
+        <div class="modal-header"><h3>Sync conflict</h3></div>
+        <div class="modal-body">
+          <div class="modal-text" id="syncConflictInfo"></div>
+          <div class="sync-conflict-version">
+            <div class="sync-conflict-label">This device</div>
+            <div class="sync-conflict-text" id="syncConflictLocal"></div>
+          </div>
+          <div class="sync-conflict-version">
+            <div class="sync-conflict-label">Other device</div>
+            <div class="sync-conflict-text" id="syncConflictRemote"></div>
+          </div>
+        </div>
+        <div class="modal-actions">
+          <button class="modal-btn sec" data-choice="both">Keep both</button>
+          <button class="modal-btn sec" data-choice="remote">Other</button>
+          <button class="modal-btn pri" data-choice="local">This</button>
+        </div>
+      </div>`;
+
+    overlay.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.addEventListener('click', () => handleChoice(btn.dataset.choice));
+    });
+
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Показать следующий конфликт из очереди
+   * @param {Function} onResolved - (result, conflict, choice) после каждого решения
+   */
+  function showConflictUI(onResolved) {
+    if (onResolved) onConflictResolved = onResolved;
+
+    const queue = getConflicts();
+    const overlay = ensureModal();
+
+    if (queue.length === 0) {
+      overlay.classList.remove('show');
+      return;
+    }
+
+    const conflict = queue[0];
+    document.getElementById('syncConflictInfo').textContent =
+      `This drop was edited on two devices${queue.length > 1 ? ` (1 of ${queue.length})` : ''}. Which version should be kept?`;
+    document.getElementById('syncConflictLocal').innerHTML = escapeHTML(conflict.local_value);
+    document.getElementById('syncConflictRemote').innerHTML = escapeHTML(conflict.remote_value);
+    overlay.classList.add('show');
+  }
+
+  async function handleChoice(choice) {
+    const conflict = getConflicts()[0];
+    if (!conflict) return showConflictUI();
+
+    const deviceId = window.DropLitAuth ? DropLitAuth.getDeviceId() : 'unknown';
+    const result = resolveConflict(conflict, choice, typeof ideas !== 'undefined' ? ideas : [], deviceId);
+
+    await logResolution(conflict.drop_id, `manual_${choice}`, conflict.field);
+    console.log('🔀 Sync conflict resolved:', conflict.drop_id, choice);
+
+    if (onConflictResolved) {
+      try {
+        await onConflictResolved(result, conflict, choice);
+      } catch (e) {
+        console.error('[SyncMerge] onResolved error:', e);
+      }
+    }
+
+    showConflictUI();
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  window.DropLitMerge = {
+    config: MERGE_CONFIG,
+
+    // Clocks
+    compareClocks,
+    mergeClocks,
+
+    // Local changes
+    stampLocalChanges,
+    rememberFingerprints,
+
+    // Tombstones
+    recordTombstone,
+    restoreFromTombstone,
+    clearTombstone,
+    getTombstones,
+
+    // Merge
+    mergeDrop,
+    mergeAll,
+    applyMergeResult,
+
+    // Conflicts
+    getConflicts,
+    enqueueConflicts,
+    resolveConflict,
+    showConflictUI,
+    logResolution
+  };
+
+  console.log('[SyncMerge] Module loaded');
+})();
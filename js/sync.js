@@ -323,12 +323,19 @@ async function syncDropEncrypted(drop) {
     }
     
     // Step 2: Get encryption key
+    // During a key rotation new uploads already use the pending key —
+    // and ZK tokens from the pending search seed, not the one being retired
     let key = null;
     try {
-      const keyData = await DropLitKeys.retrieveKey(currentUser.id);
+      const pending = await DropLitKeys.getPendingRotation(currentUser.id);
+      const keyData = pending || await DropLitKeys.retrieveKey(currentUser.id);
       if (keyData && keyData.key) {
         key = keyData.key;
       }
+      if (pending && searchTokens && typeof DropLitZKSearch !== 'undefined') {
+        const pendingSearchKey = await DropLitZKSearch.deriveSearchKey(pending.searchSeed);
+        searchTokens = await DropLitZKSearch.generateDropTokens(drop, pendingSearchKey);
+      }
     } catch (keyErr) {
       console.warn('⚠️ Failed to get encryption key:', keyErr.message);
     }
@@ -345,7 +352,8 @@ async function syncDropEncrypted(drop) {
         if (prepared) {
           supabaseData = {
             user_id: currentUser.id,
-            ...prepared
+            ...prepared,
+            is_deleted: false
           };
           isEncrypted = true;
           console.log('🔐 Drop encrypted successfully');
@@ -409,12 +417,19 @@ async function syncDropUnencrypted(drop) {
         external_id: String(drop.id),
         content: drop.text,
         category: drop.category || 'inbox',
+        markers: drop.markers || [],
+        tags: drop.tags || [],
+        notes: drop.notes || null,
         source: drop.source || 'droplit',
+        is_deleted: false,
         metadata: {
           date: drop.date,
           time: drop.time,
+          timestamp: drop.timestamp,
           creator: drop.creator || 'user',
-          isMedia: drop.isMedia || false
+          isMedia: drop.isMedia || false,
+          sources: drop.sources, // web search citations (undefined → не пишется)
+          _sync: drop._sync
         },
         encryption_version: 0,
         privacy_level: 'standard'
@@ -614,10 +629,10 @@ async function initPrivacyAfterAuth() {
     
     if (hasKey) {
       // Load existing key and initialize
-      const key = await DropLitKeys.loadKey(currentUser.id);
-      if (key) {
+      const keyData = await DropLitKeys.retrieveKey(currentUser.id);
+      if (keyData) {
         await DropLitPrivacy.init({
-          masterKey: key,
+          masterKey: keyData.key,
           config: {
             enableEncryption: true,
             enableLocalEmbeddings: true,  // Will lazy-load ML model
@@ -636,6 +651,7 @@ async function initPrivacyAfterAuth() {
     }
     
     console.log('ℹ️ No encryption key found. Privacy features available after setup.');
+    await offerDevicePairing();
     return false;
     
   } catch (error) {
@@ -644,6 +660,23 @@ async function initPrivacyAfterAuth() {
   }
 }
 
+/**
+ * Second device without a key: if another enrolled device has it,
+ * offer QR pairing (once per session)
+ */
+async function offerDevicePairing() {
+  if (typeof DropLitPairing === 'undefined' || !currentUser) return false;
+  if (sessionStorage.getItem('droplit_pairing_offered')) return false;
+  
+  if (!await DropLitPairing.hasOtherDevices(currentUser.id)) return false;
+  
+  sessionStorage.setItem('droplit_pairing_offered', '1');
+  window.dispatchEvent(new CustomEvent('device-pairing-available', {
+    detail: { userId: currentUser.id }
+  }));
+  return true;
+}
+
 /**
  * Show privacy setup UI
  */
@@ -709,6 +742,7 @@ window.DropLitSync = {
   searchDropsPrivate,
   getContextForAski,
   initPrivacyAfterAuth,
+  offerDevicePairing,
   showPrivacySetup,
   getPrivacyStatus,
   isPrivacyReady
@@ -741,23 +775,28 @@ async function syncDropToServer(drop, action = 'create') {
   console.log(`📤 syncDropToServer: ${action} drop ${drop.id}`);
   
   try {
-    // Handle delete action
+    // Handle delete action — tombstone keeps clocks for other devices
     if (action === 'delete') {
-      const { error } = await supabaseClient
-        .from('drops')
-        .update({ is_deleted: true })
-        .eq('external_id', String(drop.id))
-        .eq('user_id', currentUser.id);
-      
-      if (error) {
-        console.error('❌ Delete sync error:', error);
-        return { success: false, error: error.message };
+      if (window.DropLitMerge) {
+        await pushTombstone(DropLitMerge.recordTombstone(drop, DEVICE_ID));
+      } else {
+        const { error } = await supabaseClient
+          .from('drops')
+          .update({ is_deleted: true })
+          .eq('external_id', String(drop.id))
+          .eq('user_id', currentUser.id);
+        if (error) throw error;
       }
       
       console.log('✅ Drop marked as deleted:', drop.id);
       return { success: true, action: 'delete' };
     }
     
+    // Bump field clocks for local edits made since the last sync
+    if (window.DropLitMerge) {
+      DropLitMerge.stampLocalChanges([drop], DEVICE_ID);
+    }
+    
     // Check if privacy is enabled
     if (isPrivacyReady()) {
       console.log('🔐 Privacy enabled, using encrypted sync');
@@ -777,4 +816,5 @@ async function syncDropToServer(drop, action = 'create') {
 window.syncDropToServer = syncDropToServer;
 window.syncDropEncrypted = syncDropEncrypted;
 window.initPrivacyAfterAuth = initPrivacyAfterAuth;
+window.offerDevicePairing = offerDevicePairing;
 window.getPrivacyStatus = getPrivacyStatus;
@@ -0,0 +1,311 @@
+// ============================================
+// DROPLIT TIME v1.0
+// Instants + IANA zone for reminders and command drops
+//
+// Правило: храним момент (ISO в UTC) и пояс пользователя отдельно,
+// показываем — в поясе и локали пользователя, а не сервера / UTC.
+//
+//   toInstant('2026-01-15T09:00', 'Europe/Berlin') → 08:00Z
+//     (время без смещения — это часы пользователя; с Z / ±hh:mm — как есть)
+//   atLocalTime({ dayOffset: 1, hour: 9 }, { timeZone }) → "завтра в 9" в поясе пользователя
+//   format(instant, { timeZone, locale, style: 'time' | 'date' | 'short' | 'datetime' | 'full' })
+//
+// DST: несуществующее время (весенний перевод) сдвигается вперёд,
+// двойное (осенний) — берётся первое.
+//
+// Shared by api/ai.js, js/cron.js, js/command-validator.js, sw.js and the app.
+// ============================================
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.DropLitTime = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const VERSION = '1.0.0';
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  const DEFAULT_LOCALE = 'ru-RU';
+
+  // ============================================
+  // ZONES
+  // ============================================
+
+  const formatterCache = {};
+
+  function getFormatter(timeZone) {
+    if (!formatterCache[timeZone]) {
+      formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+    return formatterCache[timeZone];
+  }
+
+  /**
+   * Return a usable IANA zone name, falling back to UTC
+   */
+  function normalizeTimeZone(timeZone) {
+    if (!timeZone) return 'UTC';
+    try {
+      getFormatter(timeZone);
+      return timeZone;
+    } catch (e) {
+      console.warn('[Time] Unknown timezone, using UTC:', timeZone);
+      return 'UTC';
+    }
+  }
+
+  /**
+   * Zone of this device (page / service worker); UTC where Intl has no zone
+   */
+  function deviceTimeZone() {
+    try {
+      return normalizeTimeZone(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    } catch (e) {
+      return 'UTC';
+    }
+  }
+
+  /**
+   * First usable tag of a locale or Accept-Language header ("de-DE,de;q=0.9" → "de-DE")
+   */
+  function normalizeLocale(locale) {
+    const tag = String(locale || '').split(',')[0].split(';')[0].trim();
+    if (!tag || tag === '*') return DEFAULT_LOCALE;
+    try {
+      return Intl.DateTimeFormat.supportedLocalesOf([tag])[0] || DEFAULT_LOCALE;
+    } catch (e) {
+      return DEFAULT_LOCALE;
+    }
+  }
+
+  const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+  /**
+   * Wall-clock parts of an instant in the zone
+   * @returns {{year, month, day, hour, minute, second, weekday}} weekday: 0 = Sunday
+   */
+  function localParts(instant, timeZone) {
+    const parts = {};
+    for (const p of getFormatter(normalizeTimeZone(timeZone)).formatToParts(new Date(instant))) {
+      parts[p.type] = p.value;
+    }
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS[parts.weekday]
+    };
+  }
+
+  /**
+   * Offset of the zone from UTC at the given instant (ms, local - UTC)
+   */
+  function offsetAt(instant, timeZone) {
+    const t = new Date(instant).getTime();
+    const p = localParts(t, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(t / 1000) * 1000;
+  }
+
+  /**
+   * "+02:00" / "-05:30" / "+00:00"
+   */
+  function formatOffset(instant, timeZone) {
+    const minutes = Math.round(offsetAt(instant, timeZone) / MINUTE);
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Convert a local wall-clock time to an instant (ms)
+   * Handles DST gaps (shift forward) and overlaps (first occurrence)
+   */
+  function wallTimeToInstant(year, month, day, hour, minute, timeZone, second = 0) {
+    const zone = normalizeTimeZone(timeZone);
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetBefore = offsetAt(wall - 12 * HOUR, zone);
+    const offsetAfter = offsetAt(wall + 12 * HOUR, zone);
+
+    const candidates = [wall - offsetBefore, wall - offsetAfter]
+      .filter(t => offsetAt(t, zone) === wall - t);
+
+    if (candidates.length > 0) {
+      return Math.min(...candidates);
+    }
+
+    // Wall time falls into a DST gap — use the pre-transition offset,
+    // which lands right after the clocks jump forward
+    return wall - offsetBefore;
+  }
+
+  /**
+   * Local calendar date (y/m/d) of an instant in the zone
+   */
+  function localDate(instant, timeZone) {
+    const { year, month, day } = localParts(instant, timeZone);
+    return { year, month, day };
+  }
+
+  // ============================================
+  // INSTANTS
+  // ============================================
+
+  const NAIVE_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+  /**
+   * Parse a stored / model-provided time into a Date.
+   * ISO with Z or offset → as is; "YYYY-MM-DD[THH:mm[:ss]]" → wall time in timeZone.
+   * @returns {Date|null}
+   */
+  function toInstant(value, timeZone = 'UTC') {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date || typeof value === 'number') {
+      const d = new Date(value);
+      return isNaN(d.getTime()) ? null : d;
+    }
+
+    const text = String(value).trim();
+    const naive = text.match(NAIVE_DATETIME);
+    if (naive) {
+      const [, y, mo, d, h = '0', mi = '0', s = '0'] = naive;
+      return new Date(wallTimeToInstant(+y, +mo, +d, +h, +mi, timeZone, +s));
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  /**
+   * Instant + zone, as stored with a command: { at, timezone, local, offset }
+   */
+  function toZoned(value, timeZone) {
+    const zone = normalizeTimeZone(timeZone);
+    const instant = toInstant(value, zone);
+    if (!instant) return null;
+
+    const p = localParts(instant, zone);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+      at: instant.toISOString(),
+      timezone: zone,
+      local: `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`,
+      offset: formatOffset(instant, zone)
+    };
+  }
+
+  /**
+   * Wall time `hour:minute` on the day `dayOffset` days from today (in the zone)
+   * { dayOffset: 1, hour: 9 } = "tomorrow at 9"
+   * @returns {Date}
+   */
+  function atLocalTime({ dayOffset = 0, hour = 0, minute = 0 } = {}, options = {}) {
+    const zone = normalizeTimeZone(options.timeZone);
+    const now = options.now !== undefined ? options.now : Date.now();
+    const today = localDate(now, zone);
+    // Date.UTC нормализует переполнение дней (31 + 1 → 1-е следующего месяца)
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+    return new Date(wallTimeToInstant(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute, zone));
+  }
+
+  /**
+   * Next occurrence of `hour:minute` in the zone: today if still ahead, else tomorrow
+   * @returns {Date}
+   */
+  function nextLocalTime(hour, minute = 0, options = {}) {
+    const now = options.now !== undefined ? options.now : Date.now();
+    const today = atLocalTime({ dayOffset: 0, hour, minute }, { ...options, now });
+    return today.getTime() > now ? today : atLocalTime({ dayOffset: 1, hour, minute }, { ...options, now });
+  }
+
+  /**
+   * Same wall-clock time `days` later (DST-safe, unlike + days * 24h)
+   * @returns {Date}
+   */
+  function addLocalDays(instant, days, timeZone) {
+    const p = localParts(instant, timeZone);
+    const day = new Date(Date.UTC(p.year, p.month - 1, p.day + days));
+    return new Date(wallTimeToInstant(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), p.hour, p.minute, timeZone, p.second));
+  }
+
+  /**
+   * 'YYYY-MM-DD' in the zone → ISO start (or last ms) of that local day
+   */
+  function dayBoundary(day, timeZone, endOfDay = false) {
+    const [y, m, d] = String(day).split('-').map(Number);
+    const start = wallTimeToInstant(y, m, d, 0, 0, timeZone);
+    if (!endOfDay) return new Date(start).toISOString();
+    const next = new Date(Date.UTC(y, m - 1, d + 1));
+    return new Date(wallTimeToInstant(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone) - 1).toISOString();
+  }
+
+  // ============================================
+  // DISPLAY
+  // ============================================
+
+  const STYLES = {
+    time: { hour: '2-digit', minute: '2-digit' },
+    date: { day: '2-digit', month: '2-digit' },
+    short: { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' },
+    datetime: { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' },
+    full: { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }
+  };
+
+  /**
+   * Local time for display, in the user's zone and locale
+   * @param {Object} options - { timeZone, locale, style }
+   */
+  function format(value, options = {}) {
+    const zone = normalizeTimeZone(options.timeZone);
+    const instant = toInstant(value, zone);
+    if (!instant) return '';
+
+    const locale = options.locale || DEFAULT_LOCALE;
+    const fields = STYLES[options.style || 'datetime'] || STYLES.datetime;
+    try {
+      return instant.toLocaleString(locale, { ...fields, timeZone: zone });
+    } catch (e) {
+      return instant.toLocaleString(DEFAULT_LOCALE, { ...fields, timeZone: zone });
+    }
+  }
+
+  return {
+    VERSION,
+    DEFAULT_LOCALE,
+    normalizeTimeZone,
+    normalizeLocale,
+    deviceTimeZone,
+    localParts,
+    localDate,
+    offsetAt,
+    formatOffset,
+    wallTimeToInstant,
+    toInstant,
+    toZoned,
+    atLocalTime,
+    nextLocalTime,
+    addLocalDays,
+    dayBoundary,
+    format
+  };
+});
@@ -0,0 +1,527 @@
+// ============================================
+// DROPLIT TOOL REGISTRY v1.1
+// Единый реестр инструментов ASKI
+//
+// Каждый инструмент описан один раз:
+//   name, description, input_schema — то, что видит модель
+//   title         — название в настройках персоны
+//   risk          — 'read' | 'write' | 'destructive'
+//   statusLabel   — индикатор в чате, пока инструмент работает
+//   resultKey     — поле в done-событии / JSON ответе (createDrop, deleteDrop...)
+//   collect       — 'all' → массив результатов (графики, веб-поиски), иначе последний
+//   readyEvent    — SSE событие сразу после выполнения (chart_ready)
+//   rateBucket    — отдельный бюджет rate limit (image, email)
+//   execute       — исполнитель на сервере
+//   effect        — применение результата на клиенте (+ describe для подтверждения)
+//
+// execute и effect живут каждый в своей среде и подключаются через implement():
+//   api/ai.js → implement({ create_drop: { execute } })
+//   chat.js   → implement({ create_drop: { effect } })
+//
+// Персона может отключать инструменты: список приходит в запросе
+// (disabledTools), сервер не показывает их модели и не исполняет.
+// Результаты destructive-инструментов chat.js применяет только после
+// подтверждения в чате.
+//
+// Загружается в api/ai.js (import) и на странице (window.DropLitTools).
+// ============================================
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.DropLitTools = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const VERSION = '1.1.0';
+
+  const RISK_LEVELS = ['read', 'write', 'destructive'];
+
+  const TOOLS = [
+    {
+      name: "create_drop",
+      title: "Create drops",
+      risk: "write",
+      statusLabel: "Creating drop...",
+      resultKey: "createDrop",
+      description: "Create note. Use ONLY when user EXPLICITLY asks to save/remember.",
+      input_schema: {
+        type: "object",
+        properties: {
+          text: { type: "string", description: "Note content" },
+          category: { type: "string", enum: ["tasks", "ideas", "bugs", "questions", "design", "inbox"] }
+        },
+        required: ["text"]
+      }
+    },
+    {
+      name: "send_email",
+      title: "Send email",
+      risk: "write",
+      statusLabel: "Sending email...",
+      resultKey: "sendEmail",
+      rateBucket: "email",
+      description: "Send email with content, optionally as Word document attachment. Use when user asks to send, email, or share something. Can use names from address book (Alex, Бухгалтерия, etc.) or direct email addresses.",
+      input_schema: {
+        type: "object",
+        properties: {
+          to: { 
+            type: "string", 
+            description: "Recipient: name from address book (Alex, мне, Бухгалтерия) or email address" 
+          },
+          subject: { 
+            type: "string", 
+            description: "Email subject line" 
+          },
+          content: { 
+            type: "string", 
+            description: "Email body content (text or HTML)" 
+          },
+          as_word: { 
+            type: "boolean", 
+            description: "If true, convert content to Word document and attach" 
+          },
+          filename: {
+            type: "string",
+            description: "Filename for Word attachment (without extension). Default: 'document'"
+          }
+        },
+        required: ["to", "subject", "content"]
+      }
+    },
+    {
+      name: "get_summary",
+      title: "Summaries",
+      risk: "read",
+      statusLabel: "Summarizing...",
+      description: "Get summary of user's notes for a period.",
+      input_schema: {
+        type: "object",
+        properties: {
+          period: { type: "string", enum: ["today", "week", "month"] }
+        },
+        required: []
+      }
+    },
+    {
+      name: "search_drops",
+      title: "Search drops",
+      risk: "read",
+      statusLabel: "Searching drops...",
+      resultKey: "searchDrops",
+      description: "Search ALL user's drops, not only the ЛЕНТА/FEED snapshot. Use to find older notes by words, category, period, creator or marker. Returns drops with IDs for update_drop/delete_drop. Encrypted drops are searched on the user's device and shown in the app.",
+      input_schema: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Keywords to look for (optional if filters are set)" },
+          category: { type: "string", enum: ["tasks", "ideas", "bugs", "questions", "design", "handmagic", "link", "command", "photo", "audio", "inbox"] },
+          date_from: { type: "string", description: "Start date YYYY-MM-DD (user's timezone)" },
+          date_to: { type: "string", description: "End date YYYY-MM-DD inclusive" },
+          creator: { type: "string", enum: ["user", "aski"], description: "Who created the drop" },
+          marker: { type: "string", enum: ["heart", "star", "fire", "done", "trash", "think"] },
+          limit: { type: "number", description: "Max results (default 10, max 30)" }
+        },
+        required: []
+      }
+    },
+    {
+      name: "web_search",
+      title: "Web search",
+      risk: "read",
+      statusLabel: "Searching...",
+      resultKey: "webSearch",
+      collect: "all",
+      description: "Search internet for current events, news, weather, prices, facts. Returns numbered sources — cite them in the answer as [n].",
+      input_schema: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Search query" },
+          search_depth: { type: "string", enum: ["basic", "advanced"] }
+        },
+        required: ["query"]
+      }
+    },
+    {
+      name: "create_event",
+      title: "Create reminders",
+      risk: "write",
+      statusLabel: "Scheduling...",
+      resultKey: "createEvent",
+      description: "Create a command drop: reminder, alarm, or scheduled notification. Use when user asks to remind, wake up, schedule something. Trigger phrases: 'remind me...', 'wake me up...', 'in X hours...', 'tomorrow at...', 'напомни...', 'разбуди...', 'через X минут...'",
+      input_schema: {
+        type: "object",
+        properties: {
+          name: { 
+            type: "string", 
+            description: "Short title for the reminder/alarm" 
+          },
+          description: { 
+            type: "string", 
+            description: "Detailed description of what to remind about" 
+          },
+          trigger_type: { 
+            type: "string", 
+            enum: ["datetime", "cron"], 
+            description: "datetime for one-time, cron for recurring" 
+          },
+          trigger_at: { 
+            type: "string", 
+            description: "When to trigger, in the user's LOCAL time without offset (e.g. 2026-01-15T08:00) — the server converts it using the user's timezone. An explicit offset or Z is taken as is. REQUIRED for datetime type." 
+          },
+          cron_expression: { 
+            type: "string", 
+            description: "Cron expression for recurring, in user's LOCAL time (e.g. '0 8 * * *' = daily 8am, '0 8 * * 1-5' = weekdays 8am, '0 19 * * 2' = every Tuesday 7pm). REQUIRED for cron type. Use for 'every day', 'every morning', 'каждый вторник' etc." 
+          },
+          action_type: { 
+            type: "string", 
+            enum: ["push", "tts", "email", "telegram", "webhook"], 
+            description: "push=notification banner (default), tts=voice announcement, email=send email, telegram=telegram message, webhook=signed POST to a URL (smart home, IFTTT, Zapier)" 
+          },
+          recipient: {
+            type: "string",
+            description: "Recipient for email/telegram/webhook actions: email — name from address book or address ('me' = user), telegram — chat id or @channel, webhook — https:// URL. Commands to addresses outside the address book wait for user confirmation."
+          },
+          priority: { 
+            type: "number", 
+            description: "1-10 urgency. Use 8-10 for alarms/wake-up, 5 for normal reminders, 1-3 for low priority" 
+          }
+        },
+        required: ["name", "trigger_type", "action_type"]
+      }
+    },
+    {
+      name: "cancel_event",
+      title: "Cancel reminders",
+      risk: "write",
+      statusLabel: "Cancelling reminder...",
+      resultKey: "cancelEvent",
+      description: "Cancel/delete an existing reminder or scheduled event. Use when user asks to cancel, delete, remove a reminder. Trigger phrases: 'cancel reminder...', 'delete reminder...', 'remove alarm...', 'отмени напоминание...', 'удали напоминание...', 'отмена...'",
+      input_schema: {
+        type: "object",
+        properties: {
+          event_id: {
+            type: "string",
+            description: "ID of the event to cancel (from list_events or recent context)"
+          },
+          search_query: {
+            type: "string",
+            description: "Search text to find the reminder to cancel (if ID not known). Searches in reminder titles."
+          }
+        },
+        required: []
+      }
+    },
+    {
+      name: "list_events",
+      title: "List reminders",
+      risk: "read",
+      statusLabel: "Checking reminders...",
+      resultKey: "listEvents",
+      description: "List all active reminders and scheduled events. Recurring events include their next 5 runs. Use when user asks to see, show, list reminders. Trigger phrases: 'show my reminders', 'what reminders...', 'list alarms', 'покажи напоминания', 'какие напоминания', 'мои напоминания'",
+      input_schema: {
+        type: "object",
+        properties: {
+          status: {
+            type: "string",
+            enum: ["pending", "executed", "cancelled", "all"],
+            description: "Filter by status. Default: pending (active reminders)"
+          },
+          limit: {
+            type: "number",
+            description: "Max number of events to return. Default: 10"
+          }
+        },
+        required: []
+      }
+    },
+    {
+      name: "delete_drop",
+      title: "Delete drops",
+      risk: "destructive",
+      statusLabel: "Deleting drop...",
+      resultKey: "deleteDrop",
+      description: "Delete a drop from user's feed. Find the ID in ЛЕНТА/FEED or in search_drops results. Nothing is deleted right away: the user confirms in the chat, then the app deletes it.",
+      input_schema: {
+        type: "object",
+        properties: {
+          drop_id: {
+            type: "string",
+            description: "ID of the drop from ЛЕНТА/FEED list or search_drops results"
+          }
+        },
+        required: ["drop_id"]
+      }
+    },
+    {
+      name: "update_drop",
+      title: "Edit drops",
+      risk: "write",
+      statusLabel: "Updating drop...",
+      resultKey: "updateDrop",
+      description: "Edit content of a drop in user's feed. Find the ID in ЛЕНТА/FEED or in search_drops results. Returns action for frontend to execute.",
+      input_schema: {
+        type: "object",
+        properties: {
+          drop_id: {
+            type: "string",
+            description: "ID of the drop from ЛЕНТА/FEED list or search_drops results"
+          },
+          new_content: {
+            type: "string",
+            description: "New text content for the drop"
+          }
+        },
+        required: ["drop_id", "new_content"]
+      }
+    },
+    {
+      name: "update_event",
+      title: "Edit reminders",
+      risk: "write",
+      statusLabel: "Updating reminder...",
+      description: "Modify an existing reminder/scheduled event. Use when user wants to change time, reschedule, or update reminder text. Trigger phrases: 'change reminder to...', 'reschedule...', 'move reminder to...', 'перенеси напоминание...', 'измени время...'",
+      input_schema: {
+        type: "object",
+        properties: {
+          event_id: {
+            type: "string",
+            description: "ID of the reminder to update (UUID format)"
+          },
+          search_query: {
+            type: "string",
+            description: "Text to search for if ID not provided"
+          },
+          new_title: {
+            type: "string",
+            description: "New title/name for the reminder"
+          },
+          new_time: {
+            type: "string",
+            description: "New trigger time in the user's LOCAL time without offset (e.g. 2026-01-15T10:00)"
+          },
+          new_description: {
+            type: "string",
+            description: "New description text"
+          }
+        },
+        required: []
+      }
+    },
+    {
+      name: "generate_image",
+      title: "Generate images",
+      risk: "write",
+      statusLabel: "Generating image...",
+      resultKey: "generateImage",
+      rateBucket: "image",
+      description: "Generate an image using GPT Image (gpt-image-1). Use when user asks to create, generate, draw, make an image, picture, illustration, infographic, visual. Can use images from chat as reference. Trigger phrases: 'create image...', 'generate picture...', 'draw...', 'make illustration...', 'нарисуй...', 'создай картинку...', 'сгенерируй изображение...', 'сделай на основе этого фото...'",
+      input_schema: {
+        type: "object",
+        properties: {
+          prompt: {
+            type: "string",
+            description: "Detailed description of the image to generate. Be specific about style, colors, composition. In English for best results. If user uploaded an image, describe what to create based on it."
+          },
+          size: {
+            type: "string",
+            enum: ["square", "vertical", "horizontal"],
+            description: "Image orientation: square (1024x1024), vertical (1024x1536 - BEST for phone, DEFAULT), horizontal (1536x1024). Default: vertical"
+          },
+          quality: {
+            type: "string",
+            enum: ["low", "medium", "high"],
+            description: "Image quality: low (~$0.02), medium (~$0.07), high (~$0.19). Default: medium"
+          }
+        },
+        required: ["prompt"]
+      }
+    },
+    {
+      name: "create_chart",
+      title: "Charts",
+      risk: "read",
+      statusLabel: "Building chart...",
+      resultKey: "createCharts",
+      collect: "all",
+      readyEvent: { type: "chart_ready", key: "chart" },
+      description: "Create a data visualization chart from user's drops or provided data. Use when user asks for statistics, analytics, graphs, charts, visualizations of their data. Trigger phrases: 'покажи статистику...', 'построй график...', 'сколько у меня...', 'визуализируй...', 'диаграмма...', 'show stats...', 'chart of...', 'visualize...'",
+      input_schema: {
+        type: "object",
+        properties: {
+          title: {
+            type: "string",
+            description: "Chart title in user's language"
+          },
+          chart_type: {
+            type: "string",
+            enum: ["bar", "line", "pie", "doughnut", "polarArea", "radar"],
+            description: "Chart type: bar (comparison), line (trends over time), pie/doughnut (proportions), polarArea (categories), radar (multiple metrics)"
+          },
+          data_source: {
+            type: "string",
+            enum: ["drops", "manual"],
+            description: "Data source: 'drops' to analyze user's drops, 'manual' for provided data"
+          },
+          query: {
+            type: "string",
+            description: "What to analyze. Examples: 'tasks by category', 'drops per day this week', 'ideas vs bugs ratio'"
+          },
+          filters: {
+            type: "object",
+            description: "Filters for drops query",
+            properties: {
+              categories: { type: "array", items: { type: "string" }, description: "Filter by categories: tasks, ideas, bugs, etc." },
+              period: { type: "string", enum: ["today", "week", "month", "all"], description: "Time period" },
+              creator: { type: "string", enum: ["user", "aski", "all"], description: "Who created" }
+            }
+          },
+          manual_data: {
+            type: "object",
+            description: "Manual data if data_source is 'manual'",
+            properties: {
+              labels: { type: "array", items: { type: "string" }, description: "X-axis labels" },
+              values: { type: "array", items: { type: "number" }, description: "Data values" },
+              dataset_label: { type: "string", description: "Dataset label for legend" }
+            }
+          },
+          colors: {
+            type: "string",
+            enum: ["default", "warm", "cool", "monochrome", "rainbow"],
+            description: "Color scheme. Default: auto-selected based on chart type"
+          }
+        },
+        required: ["title", "chart_type"]
+      }
+    },
+    {
+      name: "create_diagram",
+      title: "Diagrams",
+      risk: "read",
+      statusLabel: "Drawing diagram...",
+      resultKey: "createDiagrams",
+      collect: "all",
+      readyEvent: { type: "diagram_ready", key: "diagram" },
+      description: "Create diagrams and schemas: flowcharts, sequences, architecture, mindmaps, ER, gantt, state machines. Uses Mermaid.js (renders in browser - fully private, no external servers). Trigger phrases: 'нарисуй схему...', 'покажи архитектуру...', 'диаграмма процесса...', 'flowchart...', 'sequence diagram...', 'mind map...'",
+      input_schema: {
+        type: "object",
+        properties: {
+          title: {
+            type: "string",
+            description: "Diagram title in user's language"
+          },
+          diagram_type: {
+            type: "string",
+            enum: ["flowchart", "sequence", "class", "state", "er", "gantt", "mindmap", "pie", "block", "timeline", "quadrant", "git"],
+            description: "Diagram type: flowchart (processes), sequence (interactions), class (OOP), state (state machine), er (database), gantt (timeline), mindmap (ideas), pie (proportions), block (architecture), timeline (chronology), quadrant (priorities), git (branches)"
+          },
+          code: {
+            type: "string",
+            description: "Mermaid code. Start with diagram type keyword (flowchart, sequenceDiagram, classDiagram, etc). Use proper Mermaid syntax."
+          },
+          theme: {
+            type: "string",
+            enum: ["default", "dark", "forest", "neutral"],
+            description: "Color theme. Default: clean look"
+          }
+        },
+        required: ["title", "diagram_type", "code"]
+      }
+    }
+  ];
+
+  const registry = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+  function get(name) {
+    return registry.get(name) || null;
+  }
+
+  function list() {
+    return TOOLS.slice();
+  }
+
+  function names() {
+    return TOOLS.map(tool => tool.name);
+  }
+
+  /**
+   * Подключить реализации из текущей среды.
+   * @param {Object<string, {execute?: Function, effect?: Function, describe?: Function}>} handlers
+   */
+  function implement(handlers) {
+    for (const [name, impl] of Object.entries(handlers)) {
+      const tool = registry.get(name);
+      if (!tool) throw new Error(`Unknown tool: ${name}`);
+      Object.assign(tool, impl);
+    }
+  }
+
+  /**
+   * Оставить только известные имена (disabledTools приходит от клиента).
+   * @param {*} disabled
+   * @returns {string[]}
+   */
+  function normalizeDisabled(disabled) {
+    if (!Array.isArray(disabled)) return [];
+    return disabled.filter(name => typeof name === 'string' && registry.has(name));
+  }
+
+  function isEnabled(name, disabled = []) {
+    return registry.has(name) && !disabled.includes(name);
+  }
+
+  /**
+   * Схемы для модели (без метаданных реестра).
+   * @param {string[]} [disabled]
+   * @returns {Array<{name: string, description: string, input_schema: Object}>}
+   */
+  function getSchemas(disabled = []) {
+    return TOOLS
+      .filter(tool => !disabled.includes(tool.name))
+      .map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+  }
+
+  /**
+   * Результаты выполнения → поля ответа по resultKey.
+   * @param {Array<{toolName: string, result: Object}>} toolResults
+   * @returns {Object} { createDrop: {...}|null, createCharts: [...], ... }
+   */
+  function collectResults(toolResults) {
+    const collected = {};
+    for (const tool of TOOLS) {
+      if (tool.resultKey) collected[tool.resultKey] = tool.collect === 'all' ? [] : null;
+    }
+
+    for (const { toolName, result } of toolResults) {
+      const tool = registry.get(toolName);
+      if (!tool?.resultKey) continue;
+      if (tool.collect === 'all') {
+        collected[tool.resultKey].push(result);
+      } else {
+        collected[tool.resultKey] = result;
+      }
+    }
+
+    return collected;
+  }
+
+  function getStatusLabel(name) {
+    return registry.get(name)?.statusLabel || null;
+  }
+
+  return {
+    VERSION,
+    RISK_LEVELS,
+    get,
+    list,
+    names,
+    implement,
+    normalizeDisabled,
+    isEnabled,
+    getSchemas,
+    collectResults,
+    getStatusLabel
+  };
+});
@@ -28,10 +28,12 @@ const AskiValidator = (function() {
     // 🟢 WHITELIST — явно разрешённые паттерны
     // ─────────────────────────────────────────────────────────────
     
+    // Инструменты берём из реестра (js/tool-registry.js), остальное — навыки без tool call
     capabilities: [
-      'create_drop', 'delete_drop', 'update_drop', 'search_drops',
-      'generate_chart', 'generate_diagram', 'generate_image',
-      'send_email', 'summarize', 'translate', 'explain'
+      ...(typeof DropLitTools !== 'undefined' ? DropLitTools.names() : [
+        'create_drop', 'delete_drop', 'update_drop', 'search_drops', 'generate_image', 'send_email'
+      ]),
+      'summarize', 'translate', 'explain'
     ],
     
     safePatterns: [
@@ -212,6 +214,8 @@ const AskiValidator = (function() {
         const parsed = JSON.parse(stored);
         // Merge with defaults to ensure all fields exist
         db = mergeDeep(JSON.parse(JSON.stringify(DEFAULT_DB)), parsed);
+        // Capabilities не обучаются — всегда актуальный список из реестра
+        db.capabilities = [...DEFAULT_DB.capabilities];
       } else {
         db = JSON.parse(JSON.stringify(DEFAULT_DB));
       }
@@ -1,17 +1,31 @@
 // ============================================
-// DropLit Service Worker v2.0.1
+// DropLit Service Worker v2.5.0
 // Caching + Offline + Push + Command Executor
+// v2.1: Recurring (cron) commands are re-armed after firing
+// v2.2: Level 5 execution guard + signed execution records
+// v2.3: email / telegram / webhook commands are executed by the server (/api/ai execute_command)
+// v2.4: shared time module (js/time.js) for zones — cron and the guard depend on it
+// v2.5: js/date-parser.js cached for offline command creation (the guard doesn't need it)
 // ============================================
 
-const CACHE_NAME = 'droplit-v2.0.1';
+importScripts('/js/time.js', '/js/cron.js', '/js/command-validator.js', '/js/command-executor.js');
+
+const CACHE_NAME = 'droplit-v2.5.0';
 const EXECUTOR_ID = 'service_worker';
 const CHECK_INTERVAL = 15000; // 15 seconds
 const CLAIM_TIMEOUT = 60000; // 60 seconds
+const AI_API_URL = '/api/ai';
+const AUTH_TOKEN_TIMEOUT = 3000;
 
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/manifest.json',
+  '/js/time.js',
+  '/js/cron.js',
+  '/js/date-parser.js',
+  '/js/command-validator.js',
+  '/js/command-executor.js',
   '/icons/icon-192.png',
   '/icons/icon-512.png'
   // Google Fonts loaded via <link> in HTML, not cacheable cross-origin in SW
@@ -28,7 +42,7 @@ let commandCheckInterval = null;
 // INSTALL: Cache core assets
 // ============================================
 self.addEventListener('install', (event) => {
-  console.log('[SW] Installing v2.0.1...');
+  console.log('[SW] Installing v2.5.0...');
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then((cache) => {
@@ -186,6 +200,19 @@ async function executeLocalCommand(cmd) {
   console.log('[SW] Executing local command:', cmd.title);
   
   try {
+    // Level 5: re-check at fire time (cancelled / not approved / expired)
+    const verdict = CommandValidator.guardExecution(cmd);
+    if (!verdict.valid) {
+      await handleBlockedCommand(cmd, verdict);
+      return;
+    }
+    
+    // email / telegram / webhook — отправляет сервер
+    if (DropLitExecutor.isRemote(cmd.action_type)) {
+      await executeRemoteLocalCommand(cmd, verdict);
+      return;
+    }
+    
     // Show notification
     await self.registration.showNotification(`⚡ ${cmd.title}`, {
       body: cmd.content || cmd.title,
@@ -196,7 +223,8 @@ async function executeLocalCommand(cmd) {
       requireInteraction: true,
       data: {
         command_id: cmd.id,
-        action: 'open_command'
+        action: 'open_command',
+        recurring: !!cmd.schedule_rule
       },
       actions: [
         { action: 'done', title: '✓ Done' },
@@ -204,6 +232,22 @@ async function executeLocalCommand(cmd) {
       ]
     });
     
+    await CommandValidator.recordExecution(cmd, verdict, { executor: EXECUTOR_ID, outcome: 'executed' });
+    
+    // Recurring command: schedule the next run instead of finishing
+    const nextRun = getNextRun(cmd);
+    if (nextRun) {
+      await rearmLocalCommand(cmd.id, nextRun);
+      await notifyClients({
+        type: 'COMMAND_REARMED',
+        command_id: cmd.id,
+        scheduled_at: nextRun,
+        executor: EXECUTOR_ID
+      });
+      console.log('[SW] Recurring command re-armed:', cmd.id, '→', nextRun);
+      return;
+    }
+    
     // Update status in IndexedDB
     await updateLocalCommandStatus(cmd.id, 'executed');
     
@@ -224,6 +268,70 @@ async function executeLocalCommand(cmd) {
   }
 }
 
+// Remote action of a local-only command: the server runs the adapter, we keep the local queue in sync
+async function executeRemoteLocalCommand(cmd, verdict) {
+  const result = await requestRemoteExecution({ command: cmd });
+  if (!result) return; // нет сессии / сети — останется pending до следующей проверки
+  if (result.duplicate) return;
+  if (result.blocked) {
+    // Сервер отказал — повтор каждые CHECK_INTERVAL только жжёт лимит email
+    await handleBlockedCommand(cmd, {
+      ...verdict,
+      valid: false,
+      errors: [{ level: 5, code: result.reason || 'BLOCKED', message: result.approval_reason || 'Blocked by server' }]
+    });
+    return;
+  }
+
+  const execution = result.execution;
+  await CommandValidator.recordExecution(cmd, verdict, {
+    executor: EXECUTOR_ID,
+    outcome: execution?.status === 'failed' ? 'failed' : 'executed'
+  });
+  await showExecutionNotification(cmd, execution);
+  
+  const nextRun = getNextRun(cmd);
+  if (nextRun) {
+    await rearmLocalCommand(cmd.id, nextRun);
+  } else {
+    await updateLocalCommandStatus(cmd.id, result.status);
+  }
+  await notifyClients({
+    type: 'COMMAND_EXECUTED',
+    command_id: cmd.id,
+    status: nextRun ? 'pending' : result.status,
+    scheduled_at: nextRun,
+    execution,
+    executor: EXECUTOR_ID
+  });
+}
+
+// Command failed the Level 5 guard (or the server refused it): record it and move it out of the queue
+async function handleBlockedCommand(cmd, verdict) {
+  const reason = verdict.errors[0]?.code || 'BLOCKED';
+  console.warn('[SW] Command blocked:', cmd.id, reason);
+  
+  await CommandValidator.recordExecution(cmd, verdict, { executor: EXECUTOR_ID, outcome: 'blocked' });
+  
+  // A missed run of a recurring command only skips this occurrence
+  const nextRun = reason === 'COMMAND_EXPIRED' ? getNextRun(cmd) : null;
+  if (nextRun) {
+    await rearmLocalCommand(cmd.id, nextRun);
+    await notifyClients({ type: 'COMMAND_REARMED', command_id: cmd.id, scheduled_at: nextRun, executor: EXECUTOR_ID });
+    return;
+  }
+  
+  const statusByReason = {
+    COMMAND_CANCELLED: 'cancelled',
+    APPROVAL_REJECTED: 'cancelled',
+    NOT_APPROVED: 'awaiting_approval',
+    COMMAND_EXPIRED: 'expired'
+  };
+  const status = statusByReason[reason] || 'failed';
+  await updateLocalCommandStatus(cmd.id, status);
+  await notifyClients({ type: 'COMMAND_BLOCKED', command_id: cmd.id, status, reason });
+}
+
 async function updateLocalCommandStatus(id, status) {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open('droplit_commands', 1);
@@ -252,6 +360,103 @@ async function updateLocalCommandStatus(id, status) {
   });
 }
 
+// ============================================
+// RECURRING COMMANDS (cron)
+// ============================================
+
+// Next run for a recurring command, or null for one-shot commands
+function getNextRun(cmd) {
+  if (!cmd?.schedule_rule || !self.DropLitCron) return null;
+  
+  const timeZone = DropLitTime.normalizeTimeZone(cmd.timezone || cmd.action_params?.timezone);
+  
+  // Count from the later of "now" and the run that just fired,
+  // so a worker that slept for days does not replay missed runs
+  const firedAt = new Date(cmd.scheduled_at).getTime() || 0;
+  const from = Math.max(Date.now(), firedAt);
+  
+  const next = DropLitCron.nextRun(cmd.schedule_rule, { from, timeZone });
+  return next ? next.toISOString() : null;
+}
+
+async function rearmLocalCommand(id, nextRun) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('droplit_commands', 1);
+    
+    request.onsuccess = () => {
+      const db = request.result;
+      const tx = db.transaction('commands', 'readwrite');
+      const store = tx.objectStore('commands');
+      
+      const getRequest = store.get(id);
+      getRequest.onsuccess = () => {
+        const cmd = getRequest.result;
+        if (cmd) {
+          cmd.status = 'pending';
+          cmd.last_executed_at = new Date().toISOString();
+          cmd.run_count = (cmd.run_count || 0) + 1;
+          cmd.scheduled_at = nextRun;
+          cmd.executor = EXECUTOR_ID;
+          store.put(cmd);
+        }
+        resolve();
+      };
+      
+      getRequest.onerror = () => reject(getRequest.error);
+    };
+    
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function fetchSupabaseCommand(commandId) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/command_drops?id=eq.${commandId}&select=id,title,status,approval,scheduled_at,schedule_rule,sense_type,action_type,action_params`,
+    {
+      headers: {
+        'apikey': SUPABASE_KEY,
+        'Authorization': `Bearer ${SUPABASE_KEY}`
+      }
+    }
+  );
+  
+  if (!response.ok) {
+    console.warn('[SW] Could not load command:', commandId, response.status);
+    return null;
+  }
+  
+  const [cmd] = await response.json();
+  return cmd || null;
+}
+
+// Re-arm a recurring command in Supabase after its notification fired
+async function rearmSupabaseCommand(commandId, cmd = null) {
+  cmd = cmd || await fetchSupabaseCommand(commandId);
+  if (!cmd || cmd.status === 'cancelled') return null;
+  
+  const nextRun = getNextRun(cmd);
+  if (!nextRun) return null;
+  
+  await fetch(`${SUPABASE_URL}/rest/v1/command_drops?id=eq.${commandId}`, {
+    method: 'PATCH',
+    headers: {
+      'apikey': SUPABASE_KEY,
+      'Authorization': `Bearer ${SUPABASE_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=minimal'
+    },
+    body: JSON.stringify({
+      status: 'pending',
+      scheduled_at: nextRun,
+      last_executed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+  });
+  
+  console.log('[SW] Supabase command re-armed:', commandId, '→', nextRun);
+  return nextRun;
+}
+
 // ============================================
 // SUPABASE COMMAND CHECK
 // ============================================
@@ -282,6 +487,47 @@ async function checkSupabaseCommands() {
     console.log('[SW] Found notifications:', notifications.length, notifications);
     
     for (const notif of notifications) {
+      const commandId = notif.data?.command_id || notif.command_id;
+      
+      // Level 5: the command may have been cancelled or expired since the server queued it
+      let cmd = null;
+      let verdict = null;
+      if (commandId) {
+        cmd = await fetchSupabaseCommand(commandId);
+        if (cmd) {
+          verdict = CommandValidator.guardExecution(cmd, { acceptStatuses: ['pending', 'in_progress', 'executed'] });
+          if (!verdict.valid) {
+            console.warn('[SW] Notification blocked by Level 5:', notif.id, verdict.errors[0]?.code);
+            await CommandValidator.recordExecution(cmd, verdict, { executor: EXECUTOR_ID, outcome: 'blocked' });
+            await markNotificationStatus(notif.id, 'cancelled');
+            continue;
+          }
+        }
+      }
+      
+      // email / telegram / webhook — сервер отправляет и сам переносит повторяющиеся
+      if (cmd && DropLitExecutor.isRemote(cmd.action_type)) {
+        const result = await requestRemoteExecution({ commandId });
+        if (!result) continue; // уведомление останется pending — выполнит приложение или следующая проверка
+        
+        await markNotificationStatus(notif.id, 'delivered');
+        if (result.execution && !result.duplicate) {
+          await CommandValidator.recordExecution(cmd, verdict, {
+            executor: EXECUTOR_ID,
+            outcome: result.execution.status === 'failed' ? 'failed' : 'executed'
+          });
+          await showExecutionNotification(cmd, result.execution);
+          await notifyClients({
+            type: 'COMMAND_EXECUTED',
+            command_id: commandId,
+            status: result.status,
+            scheduled_at: result.next_run,
+            execution: result.execution
+          });
+        }
+        continue;
+      }
+      
       console.log('[SW] Showing notification:', notif.title);
       
       await self.registration.showNotification(notif.title, {
@@ -297,20 +543,25 @@ async function checkSupabaseCommands() {
       console.log('[SW] Notification shown, marking as delivered');
       
       // Mark as delivered
-      await fetch(
-        `${SUPABASE_URL}/rest/v1/pending_notifications?id=eq.${notif.id}`,
-        {
-          method: 'PATCH',
-          headers: {
-            'apikey': SUPABASE_KEY,
-            'Authorization': `Bearer ${SUPABASE_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ status: 'delivered', delivered_at: new Date().toISOString() })
-        }
-      );
+      await markNotificationStatus(notif.id, 'delivered');
       
       console.log('[SW] Marked as delivered:', notif.id);
+      
+      if (cmd && verdict) {
+        await CommandValidator.recordExecution(cmd, verdict, { executor: EXECUTOR_ID, outcome: 'executed' });
+      }
+      
+      // Recurring command → schedule the next run
+      if (commandId) {
+        try {
+          const nextRun = await rearmSupabaseCommand(commandId, cmd);
+          if (nextRun) {
+            await notifyClients({ type: 'COMMAND_REARMED', command_id: commandId, scheduled_at: nextRun });
+          }
+        } catch (rearmError) {
+          console.error('[SW] Re-arm error:', rearmError);
+        }
+      }
     }
     
   } catch (error) {
@@ -318,6 +569,90 @@ async function checkSupabaseCommands() {
   }
 }
 
+// ============================================
+// REMOTE EXECUTION (email / telegram / webhook)
+// ============================================
+
+// У SW нет сессии Supabase — access token спрашиваем у открытой вкладки
+async function requestAuthToken() {
+  const clientList = await clients.matchAll({ type: 'window' });
+  
+  for (const client of clientList) {
+    const token = await new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => resolve(null), AUTH_TOKEN_TIMEOUT);
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timer);
+        resolve(event.data?.token || null);
+      };
+      client.postMessage({ type: 'GET_AUTH_TOKEN' }, [channel.port2]);
+    });
+    if (token) return token;
+  }
+  return null;
+}
+
+// null → выполнить сейчас нельзя (нет вкладки с сессией или сети)
+async function requestRemoteExecution(body) {
+  const token = await requestAuthToken();
+  if (!token) {
+    console.log('[SW] No auth token, remote command stays pending');
+    return null;
+  }
+  
+  try {
+    const response = await fetch(AI_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ action: 'execute_command', ...body })
+    });
+    if (response.status === 429 || response.status === 401) return null;
+    const result = await response.json();
+    console.log('[SW] Remote execution:', result.execution?.status || result.reason || result.error);
+    return result;
+  } catch (error) {
+    console.warn('[SW] Remote execution failed:', error.message);
+    return null;
+  }
+}
+
+async function showExecutionNotification(cmd, execution) {
+  const icons = { email: '📧', telegram: '✈️', webhook: '🔗' };
+  const failed = execution?.status === 'failed';
+  
+  await self.registration.showNotification(`${failed ? '⚠️' : (icons[cmd.action_type] || '⚡')} ${cmd.title}`, {
+    body: DropLitExecutor.describe(execution) || cmd.title,
+    icon: '/icons/icon-192.png',
+    badge: '/icons/badge-72.png',
+    tag: `command-${cmd.id}`,
+    data: {
+      command_id: cmd.id,
+      action: 'open_command'
+    }
+  });
+}
+
+async function markNotificationStatus(id, status) {
+  const body = { status };
+  if (status === 'delivered') body.delivered_at = new Date().toISOString();
+  
+  return fetch(
+    `${SUPABASE_URL}/rest/v1/pending_notifications?id=eq.${id}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'apikey': SUPABASE_KEY,
+        'Authorization': `Bearer ${SUPABASE_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    }
+  );
+}
+
 // ============================================
 // PUSH: Handle incoming push notifications
 // ============================================
@@ -372,6 +707,14 @@ self.addEventListener('notificationclick', (event) => {
   const data = event.notification.data || {};
   
   // Handle command-specific actions
+  if (event.action === 'done' && data.command_id && data.recurring) {
+    // Recurring command is already re-armed — "done" only acknowledges this run
+    event.waitUntil(
+      notifyClients({ type: 'COMMAND_ACKNOWLEDGED', command_id: data.command_id })
+    );
+    return;
+  }
+  
   if (event.action === 'done' && data.command_id) {
     // Mark as completed
     event.waitUntil(
@@ -544,4 +887,4 @@ async function syncCommandsToSupabase() {
   console.log('[SW] Syncing commands to Supabase...');
 }
 
-console.log('[SW] DropLit Service Worker v2.0.1 loaded');
+console.log('[SW] DropLit Service Worker v2.2.0 loaded');